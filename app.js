@@ -13,11 +13,26 @@ const orderController = require('./controllers/OrderController');
 const reviewController = require('./controllers/ReviewController');
 const Order = require('./models/order');
 const refundController = require('./controllers/RefundController');
+const promoController = require('./controllers/PromoController');
+const deliverySlotController = require('./controllers/DeliverySlotController');
+const deliveryFeeController = require('./controllers/DeliveryFeeController');
+const apiController = require('./controllers/ApiController');
+const twoFactorController = require('./controllers/TwoFactorController');
+const auditController = require('./controllers/AuditController');
 const paypal = require('./services/paypal');
+const audit = require('./services/audit');
+const { buildSessionOptions } = require('./services/sessionStore');
 const {
     checkAuthenticated,
-    checkAdmin,
-    checkRoles
+    requirePermission,
+    checkRoles,
+    checkApiAuthenticated,
+    checkApiRoles,
+    checkScope,
+    authenticateToken,
+    csrfProtection,
+    requireStaffTwoFactor,
+    exposePermissions
 } = require('./middleware');
 
 const ensureRefundRequestsTable = () => {
@@ -71,6 +86,8 @@ const storage = multer.diskStorage({
 });
 
 const upload = multer({ storage: storage });
+// CSV imports are parsed in memory and never written to disk
+const csvUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 1024 * 1024 } });
 
 // Set up view engine
 app.set('view engine', 'ejs');
@@ -82,36 +99,89 @@ app.use(express.urlencoded({
 }));
 app.use(express.json());
 
-// Session Middleware
-app.use(session({
-    secret: 'secret',
-    resave: false,
-    saveUninitialized: true,
-    cookie: { maxAge: 1000 * 60 * 60 * 24 * 7 } 
-}));
+// Bearer-token API clients get a per-request session and skip the cookie session below
+app.use(authenticateToken);
+
+// Behind a reverse proxy, TRUST_PROXY lets secure cookies and req.ip see the original request
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
+// Session Middleware (stored in the sessions table; secret and cookie flags come from .env)
+app.use(session(buildSessionOptions()));
 
 app.use(flash());
 
+// Every form and same-site fetch must echo the session's CSRF token
+app.use(csrfProtection);
+app.use(requireStaffTwoFactor);
+app.use(exposePermissions);
+
 // Routes
 app.get('/', (req, res) => {
     res.render('index', {user: req.session.user});
 });
 
-app.get('/inventory', checkAuthenticated, checkAdmin, productController.showInventory);
+app.get('/inventory', checkAuthenticated, requirePermission('inventory.manage'), productController.showInventory);
+app.get('/inventory/export.csv', checkAuthenticated, requirePermission('inventory.manage'), productController.exportInventory);
+app.get('/inventory/import', checkAuthenticated, requirePermission('inventory.manage'), productController.showImportForm);
+app.post('/inventory/import', checkAuthenticated, requirePermission('inventory.manage'), csvUpload.single('file'), productController.previewImport);
+app.post('/inventory/import/commit', checkAuthenticated, requirePermission('inventory.manage'), productController.commitImport);
+app.post('/inventory/import/discard', checkAuthenticated, requirePermission('inventory.manage'), productController.discardImport);
+app.get('/inventory/:id/stock', checkAuthenticated, requirePermission('inventory.manage'), productController.showStockForm);
+app.post('/inventory/:id/stock', checkAuthenticated, requirePermission('inventory.manage'), productController.adjustStock);
+app.post('/admin/stock-alerts/:id/resolve', checkAuthenticated, requirePermission('inventory.manage'), productController.resolveStockAlert);
 
 app.get('/register', userController.showRegister);
 app.post('/register', userController.register);
 
 app.get('/login', userController.showLogin);
 app.post('/login', userController.login);
-
-app.get('/admin/users', checkAuthenticated, checkAdmin, userController.listUsers);
-app.get('/admin/users/:id/edit', checkAuthenticated, checkAdmin, userController.editUserForm);
-app.post('/admin/users/:id', checkAuthenticated, checkAdmin, userController.updateUserRole);
-app.post('/admin/users/:id/delete', checkAuthenticated, checkAdmin, userController.deleteUser);
-app.get('/admin/refunds', checkAuthenticated, checkAdmin, refundController.listRefunds);
-app.post('/admin/refunds/:id/approve', checkAuthenticated, checkAdmin, refundController.approveRefund);
-app.post('/admin/refunds/:id/deny', checkAuthenticated, checkAdmin, refundController.denyRefund);
+app.get('/login/2fa', twoFactorController.showChallenge);
+app.post('/login/2fa', twoFactorController.verifyChallenge);
+app.get('/login/2fa/setup', twoFactorController.showLoginSetup);
+app.post('/login/2fa/setup', twoFactorController.completeLoginSetup);
+app.get('/forgot-password', userController.showForgotPassword);
+app.post('/forgot-password', userController.requestPasswordReset);
+app.get('/reset-password/:token', userController.showResetPassword);
+app.post('/reset-password/:token', userController.resetPassword);
+app.get('/verify-email/resend', userController.showResendVerification);
+app.post('/verify-email/resend', userController.resendVerification);
+app.get('/verify-email/:token', userController.verifyEmail);
+
+app.get('/account', checkAuthenticated, userController.showAccount);
+app.post('/account', checkAuthenticated, userController.updateAccount);
+app.post('/account/password', checkAuthenticated, userController.changePassword);
+app.post('/account/addresses', checkAuthenticated, userController.saveAddress);
+app.post('/account/addresses/:id', checkAuthenticated, userController.saveAddress);
+app.post('/account/addresses/:id/default', checkAuthenticated, userController.setDefaultAddress);
+app.post('/account/addresses/:id/delete', checkAuthenticated, userController.deleteAddress);
+app.post('/account/tokens', checkAuthenticated, userController.createApiToken);
+app.post('/account/tokens/:id/revoke', checkAuthenticated, userController.revokeApiToken);
+app.get('/account/2fa/setup', checkAuthenticated, twoFactorController.showAccountSetup);
+app.post('/account/2fa/setup', checkAuthenticated, twoFactorController.enableFromAccount);
+app.post('/account/2fa/recovery-codes', checkAuthenticated, twoFactorController.regenerateRecoveryCodes);
+app.post('/account/2fa/disable', checkAuthenticated, twoFactorController.disable);
+
+app.get('/admin/users', checkAuthenticated, requirePermission('users.manage'), userController.listUsers);
+app.get('/admin/users/:id/edit', checkAuthenticated, requirePermission('users.manage'), userController.editUserForm);
+app.post('/admin/users/:id', checkAuthenticated, requirePermission('users.manage'), userController.updateUserRole);
+app.post('/admin/users/:id/delete', checkAuthenticated, requirePermission('users.manage'), userController.deleteUser);
+app.post('/admin/users/:id/unlock', checkAuthenticated, requirePermission('users.manage'), userController.unlockUser);
+app.post('/admin/users/:id/two-factor/reset', checkAuthenticated, requirePermission('users.manage'), twoFactorController.resetForUser);
+app.get('/admin/users/:id/sessions', checkAuthenticated, requirePermission('users.manage'), userController.listUserSessions);
+app.post('/admin/users/:id/sessions/revoke-all', checkAuthenticated, requirePermission('users.manage'), userController.revokeAllUserSessions);
+app.post('/admin/users/:id/sessions/:handle/revoke', checkAuthenticated, requirePermission('users.manage'), userController.revokeUserSession);
+app.get('/admin/refunds', checkAuthenticated, requirePermission('refunds.approve', 'refunds.execute'), refundController.listRefunds);
+app.post('/admin/refunds/:id/approve', checkAuthenticated, requirePermission('refunds.approve'), refundController.approveRefund);
+app.post('/admin/refunds/:id/deny', checkAuthenticated, requirePermission('refunds.approve'), refundController.denyRefund);
+app.get('/admin/audit', checkAuthenticated, requirePermission('audit.view'), auditController.listEntries);
+app.get('/admin/audit/export.csv', checkAuthenticated, requirePermission('audit.view'), auditController.exportEntries);
+app.get('/admin/promos', checkAuthenticated, requirePermission('promotions.manage'), promoController.listPromos);
+app.post('/admin/promos', checkAuthenticated, requirePermission('promotions.manage'), promoController.createPromo);
+app.get('/admin/promos/:id/edit', checkAuthenticated, requirePermission('promotions.manage'), promoController.editPromoForm);
+app.post('/admin/promos/:id', checkAuthenticated, requirePermission('promotions.manage'), promoController.updatePromo);
+app.post('/admin/promos/:id/toggle', checkAuthenticated, requirePermission('promotions.manage'), promoController.togglePromo);
 
 app.get('/shopping', checkAuthenticated, checkRoles('user'), productController.showShopping);
 
@@ -119,10 +189,16 @@ app.post('/add-to-cart/:id', checkAuthenticated, checkRoles('user'), cartControl
 app.get('/cart', checkAuthenticated, checkRoles('user'), cartController.viewCart);
 app.post('/cart/update/:id', checkAuthenticated, checkRoles('user'), cartController.updateCartItem);
 app.post('/cart/remove/:id', checkAuthenticated, checkRoles('user'), cartController.removeCartItem);
+app.post('/cart/promo', checkAuthenticated, checkRoles('user'), cartController.applyPromoCode);
+app.post('/cart/promo/remove', checkAuthenticated, checkRoles('user'), cartController.removePromoCode);
+app.post('/cart/delivery-quote', checkScope('cart:manage'), checkAuthenticated, checkRoles('user'), orderController.quoteDelivery);
 app.post('/checkout', checkAuthenticated, checkRoles('user'), orderController.checkout);
-app.get('/orders/history', checkAuthenticated, checkRoles('user', 'admin'), orderController.history);
+app.get('/orders/history', checkAuthenticated, orderController.history);
 app.post('/orders/:id/delivery', checkAuthenticated, orderController.updateDeliveryDetails);
+app.post('/orders/:id/cancel', checkAuthenticated, orderController.cancelOrder);
 app.get('/orders/:id/invoice', checkAuthenticated, orderController.invoice);
+app.get('/orders/:id/invoice.pdf', checkAuthenticated, orderController.invoicePdf);
+app.get('/credit-notes/:id.pdf', checkAuthenticated, orderController.creditNotePdf);
 app.post('/orders/:id/refund-request', checkAuthenticated, checkRoles('user'), refundController.requestRefund);
 
 // PayPal: Create Order
@@ -130,15 +206,23 @@ app.post('/api/paypal/create-order', checkAuthenticated, checkRoles('user'), asy
     try {
         const deliveryMethod = req.body.deliveryMethod;
         const deliveryAddress = req.body.deliveryAddress;
-        const checkout = await orderController.getCheckoutContext(req, { deliveryMethod, deliveryAddress });
-        req.session.pendingCheckout = {
-            deliveryMethod: checkout.deliveryMethod,
-            deliveryAddress: checkout.deliveryAddress
-        };
-        const order = await paypal.createOrder(checkout.total.toFixed(2));
+        const addressId = req.body.addressId;
+        const slotId = req.body.slotId;
+        const checkout = await orderController.getCheckoutContext(req, { deliveryMethod, deliveryAddress, addressId, slotId });
+        // Hold the exact items and total so capture cannot race other shoppers or cart edits.
+        const reservation = await orderController.reserveCheckout(req, checkout);
+        let order;
+        try {
+            order = await paypal.createOrder(checkout.total.toFixed(2));
+        } catch (paypalErr) {
+            await orderController.closeReservation(reservation.reservationId, 'released');
+            throw paypalErr;
+        }
         if (order && order.id) {
-            res.json({ id: order.id, total: checkout.total });
+            await orderController.attachReservationToPaypalOrder(reservation.reservationId, order.id);
+            res.json({ id: order.id, total: checkout.total, reservedUntil: reservation.expiresAt });
         } else {
+            await orderController.closeReservation(reservation.reservationId, 'released');
             res.status(500).json({ error: 'Failed to create PayPal order', details: order });
         }
     } catch (err) {
@@ -153,6 +237,19 @@ app.post('/api/paypal/capture-order', checkAuthenticated, checkRoles('user'), as
         if (!orderID) {
             return res.status(400).json({ error: 'Missing PayPal order ID.' });
         }
+
+        const reservation = await orderController.findReservation(req, orderID);
+        if (!reservation) {
+            return res.status(404).json({ error: 'No reserved checkout found for this payment. Please check out again.' });
+        }
+        if (reservation.status !== 'active') {
+            return res.status(409).json({ error: 'This checkout has already been processed.' });
+        }
+        if (reservation.is_expired) {
+            await orderController.closeReservation(reservation.id, 'expired');
+            return res.status(410).json({ error: 'Your reserved items expired before payment was completed. You have not been charged; please check out again.' });
+        }
+
         const capture = await paypal.captureOrder(orderID);
         console.log('PayPal captureOrder response:', capture);
 
@@ -160,9 +257,30 @@ app.post('/api/paypal/capture-order', checkAuthenticated, checkRoles('user'), as
         const captureId = captureDetails?.id;
 
         if (capture.status === 'COMPLETED' && captureId) {
-            const pending = req.session.pendingCheckout || {};
-            const checkout = await orderController.getCheckoutContext(req, pending);
-            const orderResult = await orderController.createOrderFromContext(req, checkout);
+            // The capture went through, so report whether handing the money back worked too.
+            const refundCapture = async (reason) => {
+                try {
+                    await orderController.refundReservationCapture(reservation, captureId);
+                } catch (refundErr) {
+                    return res.status(502).json({ error: `${reason} ${refundErr.message}` });
+                }
+                return res.status(409).json({ error: `${reason} Your payment has been refunded. Please check out again.` });
+            };
+
+            const capturedAmount = Number.parseFloat(captureDetails?.amount?.value);
+            const reservedTotal = Number.parseFloat(reservation.total);
+            if (!Number.isFinite(capturedAmount) || Math.abs(capturedAmount - reservedTotal) >= 0.01) {
+                return refundCapture('The payment amount did not match your reserved total.');
+            }
+
+            let orderResult;
+            try {
+                orderResult = await orderController.createOrderFromReservation(req, reservation, captureId);
+            } catch (orderErr) {
+                console.error('Error creating order from reservation:', orderErr);
+                return refundCapture(orderErr.message);
+            }
+
             await new Promise((resolve, reject) => {
                 Order.updatePayment(orderResult.orderId, {
                     method: 'paypal',
@@ -175,8 +293,7 @@ app.post('/api/paypal/capture-order', checkAuthenticated, checkRoles('user'), as
                     return resolve();
                 });
             });
-            req.session.pendingCheckout = null;
-            req.flash('success', `Thanks for your purchase! ${checkout.deliveryMethod === 'delivery' ? 'We will deliver your order shortly.' : 'Pickup details will be shared soon.'}`);
+            req.flash('success', `Thanks for your purchase! ${reservation.delivery_method === 'delivery' ? 'We will deliver your order shortly.' : 'Pickup details will be shared soon.'}`);
             res.json({ success: true, orderId: orderResult.orderId, redirect: '/orders/history' });
         } else {
             res.status(400).json({ error: 'Payment not completed', details: capture });
@@ -186,8 +303,8 @@ app.post('/api/paypal/capture-order', checkAuthenticated, checkRoles('user'), as
     }
 });
 
-// PayPal: Refund (full or partial) - admin only
-app.post('/api/paypal/refund', checkAuthenticated, checkAdmin, async (req, res) => {
+// PayPal: Refund (full or partial) - needs refunds.execute
+app.post('/api/paypal/refund', checkScope('orders:admin'), checkAuthenticated, requirePermission('refunds.execute'), async (req, res) => {
     try {
         const orderId = parseInt(req.body.orderId, 10);
         if (!Number.isFinite(orderId)) {
@@ -245,10 +362,11 @@ app.post('/api/paypal/refund', checkAuthenticated, checkAdmin, async (req, res)
             });
             const Payment = require('./models/payment');
             const RefundRequest = require('./models/refundRequest');
+            const CreditNote = require('./models/creditNote');
             const refundedValue = refundResponse.amount && refundResponse.amount.value
                 ? Number.parseFloat(refundResponse.amount.value)
                 : (refundAmount !== null ? refundAmount : orderTotal);
-            await new Promise((resolve, reject) => {
+            const refundRecord = await new Promise((resolve, reject) => {
                 Payment.createRefund(
                     orderId,
                     'paypal',
@@ -256,9 +374,9 @@ app.post('/api/paypal/refund', checkAuthenticated, checkAdmin, async (req, res)
                     refundedValue,
                     refundResponse.id,
                     JSON.stringify(refundResponse),
-                    (err) => {
+                    (err, result) => {
                         if (err) return reject(err);
-                        return resolve();
+                        return resolve(result);
                     }
                 );
             });
@@ -277,7 +395,35 @@ app.post('/api/paypal/refund', checkAuthenticated, checkAdmin, async (req, res)
                     );
                 });
             }
-            return res.json({ success: true, refund: refundResponse });
+            audit.record(req, {
+                action: 'refund.execute',
+                targetType: 'order',
+                targetId: orderId,
+                before: { paymentStatus: order.payment_status },
+                after: {
+                    paymentStatus: status,
+                    amount: refundedValue,
+                    paypalRefundId: refundResponse.id,
+                    refundRequestId: Number.isFinite(refundRequestId) ? refundRequestId : null
+                }
+            });
+            // The money has already moved, so a failed credit note is logged rather than reported as a failed refund.
+            const creditNote = await new Promise((resolve) => {
+                CreditNote.createForRefund(refundRecord.insertId, req.body.adminNote || null, (err, note) => {
+                    if (err) {
+                        console.error('Error issuing credit note:', err);
+                        return resolve(null);
+                    }
+                    return resolve(note);
+                });
+            });
+            return res.json({
+                success: true,
+                refund: refundResponse,
+                creditNote: creditNote
+                    ? { id: creditNote.id, number: creditNote.creditNoteNumber, url: `/credit-notes/${creditNote.id}.pdf` }
+                    : null
+            });
         }
 
         console.error('PayPal refund failed:', refundResponse);
@@ -295,8 +441,8 @@ app.post('/api/paypal/refund', checkAuthenticated, checkAdmin, async (req, res)
     }
 });
 
-// PayPal: Manually link/update a capture ID to an order (admin only)
-app.post('/api/paypal/link-capture', checkAuthenticated, checkAdmin, async (req, res) => {
+// PayPal: Manually link/update a capture ID to an order (needs refunds.execute)
+app.post('/api/paypal/link-capture', checkScope('orders:admin'), checkAuthenticated, requirePermission('refunds.execute'), async (req, res) => {
     try {
         const orderId = parseInt(req.body.orderId, 10);
         const captureId = (req.body.captureId || '').trim();
@@ -333,26 +479,64 @@ app.post('/api/paypal/link-capture', checkAuthenticated, checkAdmin, async (req,
             });
         });
 
+        audit.record(req, {
+            action: 'payment.link_capture',
+            targetType: 'order',
+            targetId: orderId,
+            before: { paymentStatus: orderRows[0].payment_status, paymentReference: orderRows[0].payment_reference },
+            after: { paymentStatus: nextStatus, paymentReference: captureId }
+        });
         return res.json({ success: true });
     } catch (err) {
         return res.status(500).json({ error: 'Failed to link capture ID', message: err.message });
     }
 });
 
+// JSON API for the mobile app. Accepts the web session or a bearer token with the route's scope;
+// failures answer with an error object.
+app.get('/api/v1/products', checkScope('catalogue:read'), checkApiAuthenticated, apiController.listProducts);
+app.get('/api/v1/products/:id', checkScope('catalogue:read'), checkApiAuthenticated, apiController.getProduct);
+app.get('/api/v1/categories', checkScope('catalogue:read'), checkApiAuthenticated, apiController.listCategories);
+app.get('/api/v1/cart', checkScope('cart:manage'), checkApiAuthenticated, checkApiRoles('user'), apiController.getCart);
+app.post('/api/v1/cart/items', checkScope('cart:manage'), checkApiAuthenticated, checkApiRoles('user'), apiController.addCartItem);
+app.patch('/api/v1/cart/items/:productId', checkScope('cart:manage'), checkApiAuthenticated, checkApiRoles('user'), apiController.updateCartItem);
+app.delete('/api/v1/cart/items/:productId', checkScope('cart:manage'), checkApiAuthenticated, checkApiRoles('user'), apiController.removeCartItem);
+app.post('/api/v1/checkout/quote', checkScope('cart:manage'), checkApiAuthenticated, checkApiRoles('user'), apiController.quoteCheckout);
+app.post('/api/v1/checkout', checkScope('cart:manage'), checkApiAuthenticated, checkApiRoles('user'), apiController.checkout);
+app.get('/api/v1/orders', checkScope('cart:manage'), checkApiAuthenticated, checkApiRoles('user'), apiController.listOrders);
+app.get('/api/v1/orders/:id', checkScope('cart:manage'), checkApiAuthenticated, checkApiRoles('user'), apiController.getOrder);
+app.post('/api/v1/orders/:id/refund-requests', checkScope('cart:manage'), checkApiAuthenticated, checkApiRoles('user'), apiController.createRefundRequest);
+app.get('/api/v1/admin/orders', checkScope('orders:admin'), checkApiAuthenticated, requirePermission('orders.fulfil'), apiController.listAllOrders);
+app.get('/api/v1/admin/orders/:id', checkScope('orders:admin'), checkApiAuthenticated, requirePermission('orders.fulfil'), apiController.getAnyOrder);
+app.post('/api/v1/admin/orders/:id/status', checkScope('orders:admin'), checkApiAuthenticated, requirePermission('orders.fulfil'), apiController.updateOrderStatus);
+app.use('/api/v1', apiController.notFound);
+app.use('/api/v1', apiController.handleError);
+
 app.get('/logout', userController.logout);
 
 app.get('/product/:id', checkAuthenticated, productController.showProductDetails);
 app.post('/product/:id/reviews', checkAuthenticated, checkRoles('user'), reviewController.upsert);
 app.post('/product/:id/reviews/:reviewId/delete', checkAuthenticated, checkRoles('user'), reviewController.remove);
 
-app.get('/addProduct', checkAuthenticated, checkAdmin, productController.showAddProductForm);
-app.post('/addProduct', checkAuthenticated, checkAdmin, upload.single('image'), productController.addProduct);
-
-app.get('/updateProduct/:id', checkAuthenticated, checkAdmin, productController.showUpdateProductForm);
-app.post('/updateProduct/:id', checkAuthenticated, checkAdmin, upload.single('image'), productController.updateProduct);
-
-app.get('/deleteProduct/:id', checkAuthenticated, checkAdmin, productController.deleteProduct);
-app.get('/admin/deliveries', checkAuthenticated, checkAdmin, orderController.listAllDeliveries);
+app.get('/addProduct', checkAuthenticated, requirePermission('inventory.manage'), productController.showAddProductForm);
+app.post('/addProduct', checkAuthenticated, requirePermission('inventory.manage'), upload.single('image'), productController.addProduct);
+
+app.get('/updateProduct/:id', checkAuthenticated, requirePermission('inventory.manage'), productController.showUpdateProductForm);
+app.post('/updateProduct/:id', checkAuthenticated, requirePermission('inventory.manage'), upload.single('image'), productController.updateProduct);
+
+app.post('/deleteProduct/:id', checkAuthenticated, requirePermission('inventory.manage'), productController.deleteProduct);
+app.get('/admin/deliveries', checkAuthenticated, requirePermission('orders.fulfil'), orderController.listAllDeliveries);
+app.get('/admin/delivery-slots', checkAuthenticated, requirePermission('delivery.manage'), deliverySlotController.listSlots);
+app.post('/admin/delivery-slots', checkAuthenticated, requirePermission('delivery.manage'), deliverySlotController.createSlot);
+app.post('/admin/delivery-slots/:id', checkAuthenticated, requirePermission('delivery.manage'), deliverySlotController.updateSlot);
+app.post('/admin/delivery-slots/:id/delete', checkAuthenticated, requirePermission('delivery.manage'), deliverySlotController.deleteSlot);
+app.get('/admin/delivery-fees', checkAuthenticated, requirePermission('delivery.manage'), deliveryFeeController.listRules);
+app.post('/admin/delivery-fees', checkAuthenticated, requirePermission('delivery.manage'), deliveryFeeController.createRule);
+app.get('/admin/delivery-fees/:id/edit', checkAuthenticated, requirePermission('delivery.manage'), deliveryFeeController.editRuleForm);
+app.post('/admin/delivery-fees/:id', checkAuthenticated, requirePermission('delivery.manage'), deliveryFeeController.updateRule);
+app.post('/admin/delivery-fees/:id/toggle', checkAuthenticated, requirePermission('delivery.manage'), deliveryFeeController.toggleRule);
+app.post('/admin/delivery-fees/:id/delete', checkAuthenticated, requirePermission('delivery.manage'), deliveryFeeController.deleteRule);
+app.post('/admin/deliveries/:id/status', checkAuthenticated, requirePermission('orders.fulfil'), orderController.updateFulfilmentStatus);
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`Server running on http://localhost:${PORT}`));
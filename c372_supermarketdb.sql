@@ -17,6 +17,75 @@
 UNLOCK TABLES;
 COMMIT;
 
+--
+-- Table structure for table `api_tokens`
+--
+
+DROP TABLE IF EXISTS `api_tokens`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+-- api_tokens are personal access tokens for API clients; only a SHA-256 of the token is stored
+CREATE TABLE `api_tokens` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `name` varchar(50) COLLATE utf8mb4_general_ci NOT NULL,
+  `token_hash` char(64) COLLATE utf8mb4_general_ci NOT NULL,
+  -- token_hint: last four characters, so users can tell their tokens apart
+  `token_hint` char(4) COLLATE utf8mb4_general_ci NOT NULL,
+  -- scopes: comma-separated, from catalogue:read | cart:manage | orders:admin
+  `scopes` varchar(255) COLLATE utf8mb4_general_ci NOT NULL,
+  `last_used_at` datetime DEFAULT NULL,
+  `expires_at` datetime DEFAULT NULL,
+  `revoked_at` datetime DEFAULT NULL,
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_api_tokens_hash` (`token_hash`),
+  KEY `api_tokens_user_id_idx` (`user_id`),
+  CONSTRAINT `api_tokens_user_id_fk` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `audit_log`
+--
+
+DROP TABLE IF EXISTS `audit_log`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+-- audit_log records every back-office change: who did it, to what, and the values before and
+-- after. It is append-only; the triggers below reject updates and deletes. Actor details are
+-- copied in so entries outlive deleted accounts.
+CREATE TABLE `audit_log` (
+  `id` bigint NOT NULL AUTO_INCREMENT,
+  `actor_id` int DEFAULT NULL,
+  `actor_email` varchar(255) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  `actor_role` varchar(10) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  -- action: dotted name such as user.update or refund.approve (see services/audit.js)
+  `action` varchar(50) COLLATE utf8mb4_general_ci NOT NULL,
+  `target_type` varchar(30) COLLATE utf8mb4_general_ci NOT NULL,
+  `target_id` varchar(64) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  -- before_values / after_values: JSON of the fields that changed
+  `before_values` json DEFAULT NULL,
+  `after_values` json DEFAULT NULL,
+  `ip` varchar(45) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  `user_agent` varchar(255) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  `request_method` varchar(10) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  `request_path` varchar(255) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  -- api_token_id: set when the change came through a personal access token
+  `api_token_id` int DEFAULT NULL,
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `audit_log_created_at_idx` (`created_at`),
+  KEY `audit_log_actor_idx` (`actor_id`,`created_at`),
+  KEY `audit_log_action_idx` (`action`,`created_at`),
+  KEY `audit_log_target_idx` (`target_type`,`target_id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+DELIMITER ;;
+/*!50003 CREATE TRIGGER `audit_log_no_update` BEFORE UPDATE ON `audit_log` FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only' */;;
+/*!50003 CREATE TRIGGER `audit_log_no_delete` BEFORE DELETE ON `audit_log` FOR EACH ROW SIGNAL SQLSTATE '45000' SET MESSAGE_TEXT = 'audit_log is append-only' */;;
+DELIMITER ;
+
 --
 -- Table structure for table `cart`
 --
@@ -43,6 +112,190 @@ CREATE TABLE `cart` (
 
 INSERT INTO `cart` VALUES (33,7,1,8),(34,7,2,1);
 
+--
+-- Table structure for table `credit_notes`
+--
+
+DROP TABLE IF EXISTS `credit_notes`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+-- credit_notes are issued for each PayPal refund; numbers come from document_sequences and never reuse order or payment ids
+CREATE TABLE `credit_notes` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `credit_note_number` varchar(20) COLLATE utf8mb4_general_ci NOT NULL,
+  `order_id` int NOT NULL,
+  -- payment_id: the refund row in payments this note documents
+  `payment_id` int NOT NULL,
+  -- amount / tax_amount: GST-inclusive amount credited and the GST reversed
+  `amount` decimal(10,2) NOT NULL,
+  `tax_amount` decimal(10,2) NOT NULL DEFAULT '0.00',
+  `reason` varchar(255) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  `issued_at` datetime DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_credit_notes_number` (`credit_note_number`),
+  UNIQUE KEY `uniq_credit_notes_payment` (`payment_id`),
+  KEY `credit_notes_order_id_idx` (`order_id`),
+  CONSTRAINT `credit_notes_order_id_fk` FOREIGN KEY (`order_id`) REFERENCES `orders` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `credit_notes_payment_id_fk` FOREIGN KEY (`payment_id`) REFERENCES `payments` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `delivery_fee_rules`
+--
+
+DROP TABLE IF EXISTS `delivery_fee_rules`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+-- delivery_fee_rules drive computeDeliveryFee; with no active zone the flat default fee applies
+CREATE TABLE `delivery_fee_rules` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  -- rule_type: zone | free_over | express
+  `rule_type` varchar(20) COLLATE utf8mb4_general_ci NOT NULL,
+  `name` varchar(60) COLLATE utf8mb4_general_ci NOT NULL,
+  -- postal_prefixes: comma-separated leading digits of Singapore postal codes, e.g. 52,53; blank = all
+  `postal_prefixes` varchar(255) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  -- amount: zone fee or express surcharge
+  `amount` decimal(10,2) NOT NULL DEFAULT '0.00',
+  -- min_subtotal: basket (after promo discount) that unlocks a free_over rule
+  `min_subtotal` decimal(10,2) DEFAULT NULL,
+  `is_active` tinyint(1) NOT NULL DEFAULT '1',
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `delivery_fee_rules_type_active_idx` (`rule_type`,`is_active`)
+) ENGINE=InnoDB AUTO_INCREMENT=2 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `delivery_fee_rules`
+--
+
+INSERT INTO `delivery_fee_rules` VALUES (1,'zone','Island-wide',NULL,1.50,NULL,1,'2025-11-24 18:00:00','2025-11-24 18:00:00');
+
+--
+-- Table structure for table `delivery_slots`
+--
+
+DROP TABLE IF EXISTS `delivery_slots`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+-- delivery_slots are the admin-configured windows shoppers book at checkout
+CREATE TABLE `delivery_slots` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `slot_date` date NOT NULL,
+  `start_time` time NOT NULL,
+  `end_time` time NOT NULL,
+  -- method: delivery | pickup
+  `method` varchar(20) COLLATE utf8mb4_general_ci NOT NULL,
+  -- capacity: maximum orders (including live PayPal holds) the slot accepts
+  `capacity` int NOT NULL,
+  `is_active` tinyint(1) NOT NULL DEFAULT '1',
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP,
+  -- is_express: slot attracts the express surcharge fee rule
+  `is_express` tinyint(1) NOT NULL DEFAULT '0',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_delivery_slots_window` (`slot_date`,`start_time`,`method`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `document_sequences`
+--
+
+DROP TABLE IF EXISTS `document_sequences`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+-- document_sequences hands out gap-free invoice and credit note numbers
+CREATE TABLE `document_sequences` (
+  -- name: invoice | credit_note
+  `name` varchar(20) COLLATE utf8mb4_general_ci NOT NULL,
+  `prefix` varchar(10) COLLATE utf8mb4_general_ci NOT NULL,
+  -- last_value: last number issued; incremented under a row lock
+  `last_value` int NOT NULL DEFAULT '0',
+  PRIMARY KEY (`name`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Dumping data for table `document_sequences`
+--
+
+INSERT INTO `document_sequences` VALUES ('credit_note','CN',0),('invoice','INV',0);
+
+--
+-- Table structure for table `inventory_movements`
+--
+
+DROP TABLE IF EXISTS `inventory_movements`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+-- inventory_movements is the stock ledger: one row for every change to products.quantity
+CREATE TABLE `inventory_movements` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `product_id` int NOT NULL,
+  -- movement_type: sale | cancellation_restock | adjustment | spoilage | receipt
+  `movement_type` varchar(30) COLLATE utf8mb4_general_ci NOT NULL,
+  `quantity_change` int NOT NULL,
+  `quantity_before` int NOT NULL,
+  `quantity_after` int NOT NULL,
+  -- actor_id: user who caused the change (shopper for sales, admin otherwise)
+  `actor_id` int DEFAULT NULL,
+  `order_id` int DEFAULT NULL,
+  `reason` varchar(255) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `inventory_movements_product_idx` (`product_id`,`created_at`),
+  CONSTRAINT `inventory_movements_product_id_fk` FOREIGN KEY (`product_id`) REFERENCES `products` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `inventory_movements_actor_id_fk` FOREIGN KEY (`actor_id`) REFERENCES `users` (`id`) ON DELETE SET NULL,
+  CONSTRAINT `inventory_movements_order_id_fk` FOREIGN KEY (`order_id`) REFERENCES `orders` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `invoices`
+--
+
+DROP TABLE IF EXISTS `invoices`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+-- invoices gives each order one sequential tax invoice number, separate from the order id
+CREATE TABLE `invoices` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `invoice_number` varchar(20) COLLATE utf8mb4_general_ci NOT NULL,
+  `order_id` int NOT NULL,
+  `issued_at` datetime DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_invoices_number` (`invoice_number`),
+  UNIQUE KEY `uniq_invoices_order` (`order_id`),
+  CONSTRAINT `invoices_order_id_fk` FOREIGN KEY (`order_id`) REFERENCES `orders` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `login_attempts`
+--
+
+DROP TABLE IF EXISTS `login_attempts`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+-- login_attempts is an append-only sign-in log used for throttling; rows are keyed by the
+-- lower-cased email typed in, so attempts against unknown or deleted accounts are kept too
+CREATE TABLE `login_attempts` (
+  `id` bigint NOT NULL AUTO_INCREMENT,
+  `email` varchar(255) COLLATE utf8mb4_general_ci NOT NULL,
+  `user_id` int DEFAULT NULL,
+  `ip` varchar(45) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  -- outcome: success | failure | throttled | unverified | unlock
+  `outcome` varchar(20) COLLATE utf8mb4_general_ci NOT NULL,
+  `user_agent` varchar(255) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `login_attempts_email_idx` (`email`,`outcome`,`created_at`),
+  KEY `login_attempts_ip_idx` (`ip`,`outcome`,`created_at`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
 --
 -- Table structure for table `order_items`
 --
@@ -56,6 +309,9 @@ CREATE TABLE `order_items` (
   `product_id` int NOT NULL,
   `quantity` int NOT NULL,
   `price` decimal(10,2) NOT NULL,
+  -- tax_rate / tax_amount: GST rate in force at checkout and the GST contained in this line after its share of any promo discount
+  `tax_rate` decimal(5,2) NOT NULL DEFAULT '0.00',
+  `tax_amount` decimal(10,2) NOT NULL DEFAULT '0.00',
   PRIMARY KEY (`id`),
   KEY `order_items_order_id_idx` (`order_id`),
   KEY `order_items_product_id_idx` (`product_id`),
@@ -68,7 +324,7 @@ CREATE TABLE `order_items` (
 -- Dumping data for table `order_items`
 --
 
-INSERT INTO `order_items` VALUES (1,1,2,1,0.80),(2,2,2,1,0.80),(3,3,19,1,4.00),(4,4,1,1,1.50),(5,5,2,1,0.80),(6,6,1,1,1.50),(7,7,1,1,1.50),(10,11,21,2,14.70),(29,28,1,5,1.50),(30,29,1,4,1.50),(31,30,1,1,1.50),(32,31,1,5,1.50);
+INSERT INTO `order_items` (`id`,`order_id`,`product_id`,`quantity`,`price`) VALUES (1,1,2,1,0.80),(2,2,2,1,0.80),(3,3,19,1,4.00),(4,4,1,1,1.50),(5,5,2,1,0.80),(6,6,1,1,1.50),(7,7,1,1,1.50),(10,11,21,2,14.70),(29,28,1,5,1.50),(30,29,1,4,1.50),(31,30,1,1,1.50),(32,31,1,5,1.50);
 
 --
 -- Table structure for table `orders`
@@ -90,13 +346,53 @@ CREATE TABLE `orders` (
   `payment_status` varchar(20) COLLATE utf8mb4_general_ci NOT NULL DEFAULT 'unpaid',
   -- payment_reference: provider order/transaction ID (e.g., PayPal order ID)
   `payment_reference` varchar(120) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  -- promo_code / discount_amount: promo applied at checkout (total already has the discount taken off)
+  `promo_code` varchar(40) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  `discount_amount` decimal(10,2) NOT NULL DEFAULT '0.00',
+  -- fulfilment_status: pending | packing | out_for_delivery | ready_for_pickup | completed | cancelled
+  `fulfilment_status` varchar(30) COLLATE utf8mb4_general_ci NOT NULL DEFAULT 'pending',
   `created_at` datetime DEFAULT CURRENT_TIMESTAMP,
+  -- delivery_recipient / delivery_contact / delivery_postal_code: copied from the chosen saved address at checkout
+  `delivery_recipient` varchar(100) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  `delivery_contact` varchar(20) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  `delivery_postal_code` char(6) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  -- delivery_slot_id: booked delivery/pickup window; cleared if the shopper switches method
+  `delivery_slot_id` int DEFAULT NULL,
+  -- delivery_fee_breakdown: JSON list of {label, amount} lines that make up delivery_fee
+  `delivery_fee_breakdown` text COLLATE utf8mb4_general_ci,
+  -- tax_rate / tax_amount: GST rate at checkout and the GST included in total (items plus delivery); prices are GST-inclusive
+  `tax_rate` decimal(5,2) NOT NULL DEFAULT '0.00',
+  `tax_amount` decimal(10,2) NOT NULL DEFAULT '0.00',
   PRIMARY KEY (`id`),
   KEY `orders_user_id_idx` (`user_id`),
-  CONSTRAINT `orders_user_id_fk` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+  KEY `orders_delivery_slot_id_idx` (`delivery_slot_id`),
+  CONSTRAINT `orders_user_id_fk` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `orders_delivery_slot_id_fk` FOREIGN KEY (`delivery_slot_id`) REFERENCES `delivery_slots` (`id`) ON DELETE SET NULL
 ) ENGINE=InnoDB AUTO_INCREMENT=32 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
+--
+-- Table structure for table `order_status_history`
+--
+
+DROP TABLE IF EXISTS `order_status_history`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+-- order_status_history records every fulfilment_status change for the order timeline
+CREATE TABLE `order_status_history` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `order_id` int NOT NULL,
+  `status` varchar(30) COLLATE utf8mb4_general_ci NOT NULL,
+  -- changed_by: user who made the change (shopper at checkout, admin afterwards)
+  `changed_by` int DEFAULT NULL,
+  `note` varchar(255) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `order_status_history_order_id_idx` (`order_id`),
+  CONSTRAINT `order_status_history_order_id_fk` FOREIGN KEY (`order_id`) REFERENCES `orders` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
 --
 -- Table structure for table `payments`
 --
@@ -119,6 +415,8 @@ CREATE TABLE `payments` (
   -- payload: raw gateway response (JSON string)
   `payload` text COLLATE utf8mb4_general_ci,
   `created_at` datetime DEFAULT CURRENT_TIMESTAMP,
+  -- tax_amount: GST reversed by a refund, in proportion to the share of the order total refunded
+  `tax_amount` decimal(10,2) NOT NULL DEFAULT '0.00',
   PRIMARY KEY (`id`),
   KEY `payments_order_id_idx` (`order_id`),
   CONSTRAINT `payments_order_id_fk` FOREIGN KEY (`order_id`) REFERENCES `orders` (`id`) ON DELETE CASCADE
@@ -176,7 +474,11 @@ CREATE TABLE `products` (
   `image` varchar(50) COLLATE utf8mb4_general_ci NOT NULL,
   `category` varchar(100) COLLATE utf8mb4_general_ci NOT NULL DEFAULT 'General',
   `is_deleted` tinyint(1) NOT NULL DEFAULT '0',
-  PRIMARY KEY (`id`)
+  `sku` varchar(64) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  -- reorder_threshold: the product counts as low on stock once quantity drops below this
+  `reorder_threshold` int NOT NULL DEFAULT '5',
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_products_sku` (`sku`)
 ) ENGINE=InnoDB AUTO_INCREMENT=23 DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
@@ -184,7 +486,61 @@ CREATE TABLE `products` (
 -- Dumping data for table `products`
 --
 
-INSERT INTO `products` VALUES (1,'Apples',24,1.50,0.00,NULL,'apples.png','General',0),(2,'Bananas',7,0.80,0.00,NULL,'bananas.png','General',0),(3,'Milk',0,3.50,0.00,NULL,'milk.png','General',0),(4,'Bread',80,1.80,9.00,NULL,'bread.png','General',0),(14,'Tomatoes',1,1.50,0.00,NULL,'tomatoes.png','General',0),(19,'Broccoli',25,5.00,20.00,'11','Broccoli.png','General',0),(20,'fish',2,1.00,0.00,NULL,'389900dd859b26489093fb2df80cebf3.jpg','meat',1),(21,'duck meat',8,15.00,0.00,NULL,'duckmeat.jpg','Meat',1),(22,'dick',69,69.00,6.90,NULL,'dog head.webp','General',0);
+INSERT INTO `products` VALUES (1,'Apples',24,1.50,0.00,NULL,'apples.png','General',0,NULL,5),(2,'Bananas',7,0.80,0.00,NULL,'bananas.png','General',0,NULL,5),(3,'Milk',0,3.50,0.00,NULL,'milk.png','General',0,NULL,5),(4,'Bread',80,1.80,9.00,NULL,'bread.png','General',0,NULL,5),(14,'Tomatoes',1,1.50,0.00,NULL,'tomatoes.png','General',0,NULL,5),(19,'Broccoli',25,5.00,20.00,'11','Broccoli.png','General',0,NULL,5),(20,'fish',2,1.00,0.00,NULL,'389900dd859b26489093fb2df80cebf3.jpg','meat',1,NULL,5),(21,'duck meat',8,15.00,0.00,NULL,'duckmeat.jpg','Meat',1,NULL,5),(22,'dick',69,69.00,6.90,NULL,'dog head.webp','General',0,NULL,5);
+
+--
+-- Table structure for table `promo_codes`
+--
+
+DROP TABLE IF EXISTS `promo_codes`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `promo_codes` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `code` varchar(40) COLLATE utf8mb4_general_ci NOT NULL,
+  `description` varchar(255) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  -- discount_type: percentage | fixed | free_delivery
+  `discount_type` varchar(20) COLLATE utf8mb4_general_ci NOT NULL,
+  `discount_value` decimal(10,2) NOT NULL DEFAULT '0.00',
+  `min_spend` decimal(10,2) NOT NULL DEFAULT '0.00',
+  -- max_uses / max_uses_per_user: NULL means unlimited
+  `max_uses` int DEFAULT NULL,
+  `max_uses_per_user` int DEFAULT NULL,
+  `starts_at` datetime DEFAULT NULL,
+  `ends_at` datetime DEFAULT NULL,
+  -- categories: comma-separated product categories the discount applies to, NULL for all
+  `categories` varchar(255) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  `is_active` tinyint(1) NOT NULL DEFAULT '1',
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `promo_codes_code_uq` (`code`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `promo_redemptions`
+--
+
+DROP TABLE IF EXISTS `promo_redemptions`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `promo_redemptions` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `promo_code_id` int NOT NULL,
+  `order_id` int NOT NULL,
+  `user_id` int NOT NULL,
+  `discount_amount` decimal(10,2) NOT NULL DEFAULT '0.00',
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `promo_redemptions_promo_code_id_idx` (`promo_code_id`),
+  KEY `promo_redemptions_order_id_idx` (`order_id`),
+  KEY `promo_redemptions_user_id_idx` (`user_id`),
+  CONSTRAINT `promo_redemptions_promo_code_id_fk` FOREIGN KEY (`promo_code_id`) REFERENCES `promo_codes` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `promo_redemptions_order_id_fk` FOREIGN KEY (`order_id`) REFERENCES `orders` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `promo_redemptions_user_id_fk` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
 
 --
 -- Table structure for table `sessions`
@@ -197,7 +553,10 @@ CREATE TABLE `sessions` (
   `session_id` varchar(128) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL,
   `expires` int unsigned NOT NULL,
   `data` mediumtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin,
-  PRIMARY KEY (`session_id`)
+  `user_id` int DEFAULT NULL,
+  PRIMARY KEY (`session_id`),
+  KEY `sessions_user_id_idx` (`user_id`),
+  KEY `sessions_expires_idx` (`expires`)
 ) ENGINE=InnoDB DEFAULT CHARSET=latin1;
 /*!40101 SET character_set_client = @saved_cs_client */;
 
@@ -205,7 +564,174 @@ CREATE TABLE `sessions` (
 -- Dumping data for table `sessions`
 --
 
-INSERT INTO `sessions` VALUES ('EWDvfV_r6X-pO6Gjbk9kmKGX1ZiGLRuf',1764570539,'{\"cookie\":{\"originalMaxAge\":604800000,\"expires\":\"2025-12-01T06:28:58.604Z\",\"httpOnly\":true,\"path\":\"/\"},\"flash\":{\"error\":[\"Please log in to view this resource\"]}}'),('LaJHjLsJ-q6jKS5pH5YBnKBPCNCFjDyv',1764575364,'{\"cookie\":{\"originalMaxAge\":604800000,\"expires\":\"2025-12-01T07:49:24.457Z\",\"httpOnly\":true,\"path\":\"/\"},\"user\":{\"id\":7,\"username\":\"bobochan@gmail.com\",\"email\":\"bobochan@gmail.com\",\"address\":\"123\",\"contact\":\"82345678\",\"role\":\"user\",\"free_delivery\":0},\"flash\":{\"success\":[\"Bananas added to cart at $0.80.\"]}}'),('jOk5zKtUbvMoVTVQ-73JAYi_HKVgf_e-',1764599866,'{\"cookie\":{\"originalMaxAge\":604800000,\"expires\":\"2025-12-01T14:37:46.427Z\",\"httpOnly\":true,\"path\":\"/\"},\"user\":{\"id\":1,\"username\":\"Peter Lim\",\"email\":\"peter@peter.com\",\"address\":\"Woodlands Ave 2\",\"contact\":\"98765432\",\"role\":\"admin\",\"free_delivery\":0},\"flash\":{}}'),('snIYt1hJw9eqAFP8z6dutb06xksAzYJw',1764640844,'{\"cookie\":{\"originalMaxAge\":604800000,\"expires\":\"2025-12-02T02:00:43.848Z\",\"httpOnly\":true,\"path\":\"/\"},\"user\":{\"id\":1,\"username\":\"Peter Lim\",\"email\":\"peter@peter.com\",\"address\":\"Woodlands Ave 2\",\"contact\":\"98765432\",\"role\":\"admin\",\"free_delivery\":0},\"flash\":{}}');
+INSERT INTO `sessions` VALUES ('EWDvfV_r6X-pO6Gjbk9kmKGX1ZiGLRuf',1764570539,'{\"cookie\":{\"originalMaxAge\":604800000,\"expires\":\"2025-12-01T06:28:58.604Z\",\"httpOnly\":true,\"path\":\"/\"},\"flash\":{\"error\":[\"Please log in to view this resource\"]}}',NULL),('LaJHjLsJ-q6jKS5pH5YBnKBPCNCFjDyv',1764575364,'{\"cookie\":{\"originalMaxAge\":604800000,\"expires\":\"2025-12-01T07:49:24.457Z\",\"httpOnly\":true,\"path\":\"/\"},\"user\":{\"id\":7,\"username\":\"bobochan@gmail.com\",\"email\":\"bobochan@gmail.com\",\"address\":\"123\",\"contact\":\"82345678\",\"role\":\"user\",\"free_delivery\":0},\"flash\":{\"success\":[\"Bananas added to cart at $0.80.\"]}}',7),('jOk5zKtUbvMoVTVQ-73JAYi_HKVgf_e-',1764599866,'{\"cookie\":{\"originalMaxAge\":604800000,\"expires\":\"2025-12-01T14:37:46.427Z\",\"httpOnly\":true,\"path\":\"/\"},\"user\":{\"id\":1,\"username\":\"Peter Lim\",\"email\":\"peter@peter.com\",\"address\":\"Woodlands Ave 2\",\"contact\":\"98765432\",\"role\":\"admin\",\"free_delivery\":0},\"flash\":{}}',1),('snIYt1hJw9eqAFP8z6dutb06xksAzYJw',1764640844,'{\"cookie\":{\"originalMaxAge\":604800000,\"expires\":\"2025-12-02T02:00:43.848Z\",\"httpOnly\":true,\"path\":\"/\"},\"user\":{\"id\":1,\"username\":\"Peter Lim\",\"email\":\"peter@peter.com\",\"address\":\"Woodlands Ave 2\",\"contact\":\"98765432\",\"role\":\"admin\",\"free_delivery\":0},\"flash\":{}}',1);
+
+--
+-- Table structure for table `stock_alerts`
+--
+
+DROP TABLE IF EXISTS `stock_alerts`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+-- stock_alerts is raised when an order pushes a product below its reorder threshold
+CREATE TABLE `stock_alerts` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `product_id` int NOT NULL,
+  -- order_id: the order whose stock deduction triggered the alert
+  `order_id` int DEFAULT NULL,
+  -- alert_type: low_stock | out_of_stock
+  `alert_type` varchar(20) COLLATE utf8mb4_general_ci NOT NULL,
+  `quantity` int NOT NULL,
+  `threshold` int NOT NULL,
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP,
+  `resolved_at` datetime DEFAULT NULL,
+  `resolved_by` int DEFAULT NULL,
+  PRIMARY KEY (`id`),
+  KEY `stock_alerts_open_idx` (`resolved_at`,`product_id`),
+  CONSTRAINT `stock_alerts_product_id_fk` FOREIGN KEY (`product_id`) REFERENCES `products` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `stock_alerts_order_id_fk` FOREIGN KEY (`order_id`) REFERENCES `orders` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `stock_reservations`
+--
+
+DROP TABLE IF EXISTS `stock_reservations`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+-- stock_reservations hold cart contents and totals between PayPal create-order and capture-order
+CREATE TABLE `stock_reservations` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  -- paypal_order_id: PayPal order created for this reservation
+  `paypal_order_id` varchar(64) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  -- status: active | consumed | released | expired | refunded | refund_failed
+  `status` varchar(20) COLLATE utf8mb4_general_ci NOT NULL DEFAULT 'active',
+  `delivery_method` varchar(20) COLLATE utf8mb4_general_ci NOT NULL DEFAULT 'pickup',
+  `delivery_address` varchar(255) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  `subtotal` decimal(10,2) NOT NULL DEFAULT '0.00',
+  `delivery_fee` decimal(10,2) NOT NULL DEFAULT '0.00',
+  `promo_code_id` int DEFAULT NULL,
+  `promo_code` varchar(40) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  `discount_amount` decimal(10,2) NOT NULL DEFAULT '0.00',
+  `total` decimal(10,2) NOT NULL DEFAULT '0.00',
+  `order_id` int DEFAULT NULL,
+  `capture_reference` varchar(120) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  `refund_reference` varchar(120) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  `expires_at` datetime NOT NULL,
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  `delivery_recipient` varchar(100) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  `delivery_contact` varchar(20) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  `delivery_postal_code` char(6) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  `delivery_slot_id` int DEFAULT NULL,
+  `delivery_fee_breakdown` text COLLATE utf8mb4_general_ci,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `stock_reservations_paypal_order_id_uq` (`paypal_order_id`),
+  KEY `stock_reservations_user_id_idx` (`user_id`),
+  KEY `stock_reservations_status_expires_idx` (`status`, `expires_at`),
+  KEY `stock_reservations_delivery_slot_id_idx` (`delivery_slot_id`),
+  CONSTRAINT `stock_reservations_user_id_fk` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `stock_reservations_order_id_fk` FOREIGN KEY (`order_id`) REFERENCES `orders` (`id`) ON DELETE SET NULL,
+  CONSTRAINT `stock_reservations_delivery_slot_id_fk` FOREIGN KEY (`delivery_slot_id`) REFERENCES `delivery_slots` (`id`) ON DELETE SET NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `stock_reservation_items`
+--
+
+DROP TABLE IF EXISTS `stock_reservation_items`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+CREATE TABLE `stock_reservation_items` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `reservation_id` int NOT NULL,
+  `product_id` int NOT NULL,
+  `product_name` varchar(200) COLLATE utf8mb4_general_ci NOT NULL,
+  `quantity` int NOT NULL,
+  `price` decimal(10,2) NOT NULL,
+  PRIMARY KEY (`id`),
+  KEY `stock_reservation_items_reservation_id_idx` (`reservation_id`),
+  KEY `stock_reservation_items_product_id_idx` (`product_id`),
+  CONSTRAINT `stock_reservation_items_reservation_id_fk` FOREIGN KEY (`reservation_id`) REFERENCES `stock_reservations` (`id`) ON DELETE CASCADE,
+  CONSTRAINT `stock_reservation_items_product_id_fk` FOREIGN KEY (`product_id`) REFERENCES `products` (`id`)
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `user_addresses`
+--
+
+DROP TABLE IF EXISTS `user_addresses`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+-- user_addresses is the shopper's address book; orders keep their own copy of the chosen address
+CREATE TABLE `user_addresses` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  -- label: shopper's name for the address, e.g. Home or Office
+  `label` varchar(40) COLLATE utf8mb4_general_ci NOT NULL,
+  `recipient` varchar(100) COLLATE utf8mb4_general_ci NOT NULL,
+  `street` varchar(200) COLLATE utf8mb4_general_ci NOT NULL,
+  -- unit: optional floor/unit number, e.g. #05-12
+  `unit` varchar(20) COLLATE utf8mb4_general_ci DEFAULT NULL,
+  -- postal_code: Singapore 6-digit postal code
+  `postal_code` char(6) COLLATE utf8mb4_general_ci NOT NULL,
+  `contact` varchar(20) COLLATE utf8mb4_general_ci NOT NULL,
+  `is_default` tinyint(1) NOT NULL DEFAULT '0',
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP,
+  `updated_at` datetime DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `user_addresses_user_id_idx` (`user_id`),
+  CONSTRAINT `user_addresses_user_id_fk` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `user_recovery_codes`
+--
+
+DROP TABLE IF EXISTS `user_recovery_codes`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+-- user_recovery_codes are one-time two-factor backup codes; only a SHA-256 of each code is stored
+CREATE TABLE `user_recovery_codes` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  `code_hash` char(64) COLLATE utf8mb4_general_ci NOT NULL,
+  `used_at` datetime DEFAULT NULL,
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  KEY `user_recovery_codes_user_id_idx` (`user_id`,`code_hash`),
+  CONSTRAINT `user_recovery_codes_user_id_fk` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
+
+--
+-- Table structure for table `user_tokens`
+--
+
+DROP TABLE IF EXISTS `user_tokens`;
+/*!40101 SET @saved_cs_client     = @@character_set_client */;
+/*!50503 SET character_set_client = utf8mb4 */;
+-- user_tokens holds single-use links sent by email; only a SHA-256 of the token is stored
+CREATE TABLE `user_tokens` (
+  `id` int NOT NULL AUTO_INCREMENT,
+  `user_id` int NOT NULL,
+  -- purpose: password_reset | email_verification
+  `purpose` varchar(30) COLLATE utf8mb4_general_ci NOT NULL,
+  `token_hash` char(64) COLLATE utf8mb4_general_ci NOT NULL,
+  `expires_at` datetime NOT NULL,
+  `used_at` datetime DEFAULT NULL,
+  `created_at` datetime DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (`id`),
+  UNIQUE KEY `uniq_user_tokens_hash` (`token_hash`),
+  KEY `user_tokens_user_purpose_idx` (`user_id`,`purpose`),
+  CONSTRAINT `user_tokens_user_id_fk` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_general_ci;
+/*!40101 SET character_set_client = @saved_cs_client */;
 
 --
 -- Table structure for table `users`
@@ -218,11 +744,20 @@ CREATE TABLE `users` (
   `id` int NOT NULL AUTO_INCREMENT,
   `username` varchar(20) NOT NULL,
   `email` varchar(255) NOT NULL,
+  -- password: scrypt$N$r$p$salt$hash; legacy 40-char SHA1 hex values are upgraded on next login
   `password` varchar(255) NOT NULL,
   `address` varchar(255) NOT NULL,
   `contact` varchar(10) NOT NULL,
+  -- role: user (shopper), staff, driver, finance or admin; what each may do is set in services/permissions.js
   `role` varchar(10) NOT NULL,
   `free_delivery` tinyint(1) NOT NULL DEFAULT '0',
+  -- email_verified: set once the signup verification link is opened; existing accounts are grandfathered in
+  `email_verified` tinyint(1) NOT NULL DEFAULT '0',
+  -- totp_secret: base32 authenticator secret, set once two-factor sign-in is confirmed
+  `totp_secret` varchar(64) DEFAULT NULL,
+  `totp_enabled_at` datetime DEFAULT NULL,
+  -- totp_last_step: time step of the last accepted code, so a code cannot be replayed
+  `totp_last_step` bigint DEFAULT NULL,
   PRIMARY KEY (`id`)
 ) ENGINE=InnoDB AUTO_INCREMENT=8 DEFAULT CHARSET=latin1;
 /*!40101 SET character_set_client = @saved_cs_client */;
@@ -231,7 +766,7 @@ CREATE TABLE `users` (
 -- Dumping data for table `users`
 --
 
-INSERT INTO `users` VALUES (1,'Peter Lim','peter@peter.com','7c4a8d09ca3762af61e59520943dc26494f8941b','Woodlands Ave 2','98765432','admin',0),(2,'Mary Tan','mary@mary.com','7c4a8d09ca3762af61e59520943dc26494f8941b','Tampines Ave 1','12345678','user',0),(4,'sarahlee','sarahlee@gmail.com','7c4a8d09ca3762af61e59520943dc26494f8941b','Woodlands','98765432','user',0),(7,'bobochan@gmail.com','bobochan@gmail.com','7c4a8d09ca3762af61e59520943dc26494f8941b','123','82345678','user',0);
+INSERT INTO `users` VALUES (1,'Peter Lim','peter@peter.com','7c4a8d09ca3762af61e59520943dc26494f8941b','Woodlands Ave 2','98765432','admin',0,1,NULL,NULL,NULL),(2,'Mary Tan','mary@mary.com','7c4a8d09ca3762af61e59520943dc26494f8941b','Tampines Ave 1','12345678','user',0,1,NULL,NULL,NULL),(4,'sarahlee','sarahlee@gmail.com','7c4a8d09ca3762af61e59520943dc26494f8941b','Woodlands','98765432','user',0,1,NULL,NULL,NULL),(7,'bobochan@gmail.com','bobochan@gmail.com','7c4a8d09ca3762af61e59520943dc26494f8941b','123','82345678','user',0,1,NULL,NULL,NULL);
 /*!40103 SET TIME_ZONE=@OLD_TIME_ZONE */;
 
 /*!40101 SET SQL_MODE=@OLD_SQL_MODE */;
@@ -0,0 +1,646 @@
+const Cart = require('../models/cart');
+const Order = require('../models/order');
+const Product = require('../models/product');
+const RefundRequest = require('../models/refundRequest');
+const Review = require('../models/review');
+const CartController = require('./CartController');
+const OrderController = require('./OrderController');
+const ProductController = require('./ProductController');
+const audit = require('../services/audit');
+const pagination = require('../services/pagination');
+const { sendError, sendModelError } = require('../services/apiErrors');
+
+const PRODUCT_PAGE_SIZE = 20;
+const ORDER_PAGE_SIZE = 10;
+const MAX_CART_QUANTITY = 99;
+
+const parseId = (value) => {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed > 0 ? parsed : null;
+};
+
+const pageMeta = (paging, total) => ({
+    page: paging.page,
+    limit: paging.limit,
+    total: Number(total) || 0,
+    totalPages: Math.max(1, Math.ceil((Number(total) || 0) / paging.limit))
+});
+
+const imageUrl = (image) => (image ? `/images/${encodeURIComponent(image)}` : null);
+
+const toApiProduct = (row) => {
+    const product = OrderController.decorateProduct(row);
+    const quantity = Number(product.quantity) || 0;
+    return {
+        id: product.id,
+        name: product.productName,
+        category: product.category || 'General',
+        image: imageUrl(product.image),
+        price: product.price,
+        effectivePrice: product.effectivePrice,
+        discountPercentage: product.discountPercentage,
+        hasDiscount: product.hasDiscount,
+        offerMessage: product.offerMessage,
+        stock: quantity,
+        inStock: quantity > 0,
+        averageRating: row.average_rating !== undefined && row.average_rating !== null
+            ? Number(Number(row.average_rating).toFixed(2))
+            : null,
+        reviewCount: Number(row.review_count || 0)
+    };
+};
+
+const toApiReview = (review) => ({
+    id: review.id,
+    userId: review.user_id,
+    username: review.username,
+    rating: Number(review.rating),
+    comment: review.comment || '',
+    createdAt: review.created_at,
+    updatedAt: review.updated_at
+});
+
+const toApiCartItem = (item) => ({
+    productId: item.productId,
+    name: item.productName,
+    category: item.category || 'General',
+    image: imageUrl(item.image),
+    quantity: Number(item.quantity),
+    unitPrice: item.price,
+    originalPrice: item.originalPrice,
+    discountPercentage: item.discountPercentage,
+    hasDiscount: item.hasDiscount,
+    offerMessage: item.offerMessage,
+    lineTotal: Number((Number(item.price) * Number(item.quantity)).toFixed(2))
+});
+
+const toApiOrderItem = (item) => ({
+    productId: item.product_id,
+    name: item.productName || 'Deleted product',
+    image: imageUrl(item.image),
+    quantity: Number(item.quantity),
+    unitPrice: Number(item.price),
+    taxAmount: item.tax_amount !== undefined && item.tax_amount !== null ? Number(item.tax_amount) : null,
+    lineTotal: Number((Number(item.price) * Number(item.quantity)).toFixed(2))
+});
+
+const toApiRefundRequest = (row) => ({
+    id: row.id,
+    orderId: row.order_id,
+    status: row.status,
+    reason: row.reason,
+    requestedAmount: row.requested_amount !== null ? Number(row.requested_amount) : null,
+    refundedAmount: row.refunded_amount !== null ? Number(row.refunded_amount) : null,
+    adminNote: row.admin_note || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+});
+
+const toApiOrder = (row, items) => {
+    const order = OrderController.withSlotLabel(row);
+    const status = order.fulfilment_status || 'pending';
+    return {
+        id: order.id,
+        createdAt: order.created_at,
+        status,
+        statusLabel: Order.FULFILMENT_LABELS[status] || status,
+        cancellable: status === 'pending',
+        total: Number(order.total || 0),
+        discountAmount: Number(order.discount_amount || 0),
+        promoCode: order.promo_code || null,
+        taxRate: order.tax_rate !== undefined ? Number(order.tax_rate || 0) : null,
+        taxAmount: order.tax_amount !== undefined ? Number(order.tax_amount || 0) : null,
+        payment: {
+            method: order.payment_method || null,
+            status: order.payment_status || null
+        },
+        delivery: {
+            method: order.delivery_method || 'pickup',
+            address: order.delivery_address || null,
+            recipient: order.delivery_recipient || null,
+            contact: order.delivery_contact || null,
+            postalCode: order.delivery_postal_code || null,
+            slot: order.slot_label,
+            fee: Number(order.delivery_fee || 0),
+            editable: Order.isDeliveryEditable(status)
+        },
+        items: (items || []).map(toApiOrderItem),
+        invoiceUrl: `/orders/${order.id}/invoice.pdf`
+    };
+};
+
+/**
+ * Load an order with its items, status history and refund requests. When a user id is given,
+ * orders belonging to someone else are reported as not found.
+ * @param {number} orderId
+ * @param {number|null} userId - Owner to match, or null for admin lookups.
+ * @param {Function} callback - Node-style callback (err, order|null).
+ */
+const loadOrder = (orderId, userId, callback) => {
+    Order.findById(orderId, (orderErr, orderRows) => {
+        if (orderErr) {
+            return callback(orderErr);
+        }
+        if (!orderRows || !orderRows.length || (userId !== null && orderRows[0].user_id !== userId)) {
+            return callback(null, null);
+        }
+
+        Order.findItemsByOrderIds([orderId], (itemsErr, itemRows) => {
+            if (itemsErr) {
+                return callback(itemsErr);
+            }
+
+            Order.findStatusHistoryByOrderIds([orderId], (historyErr, historyRows) => {
+                if (historyErr) {
+                    return callback(historyErr);
+                }
+
+                RefundRequest.findByOrderIds([orderId], (refundErr, refundRows) => {
+                    if (refundErr) {
+                        return callback(refundErr);
+                    }
+
+                    return callback(null, {
+                        ...toApiOrder(orderRows[0], itemRows),
+                        statusHistory: (historyRows || []).map((entry) => ({
+                            status: entry.status,
+                            label: Order.FULFILMENT_LABELS[entry.status] || entry.status,
+                            note: entry.note || null,
+                            createdAt: entry.created_at
+                        })),
+                        refundRequests: (refundRows || []).map(toApiRefundRequest)
+                    });
+                });
+            });
+        });
+    });
+};
+
+/**
+ * Reply with the shopper's current cart, including the session promo code if it still applies.
+ */
+const sendCart = (req, res, status = 200) => {
+    CartController.syncCartFromDb(req, (err, cart) => {
+        if (err) {
+            return sendModelError(res, err, 500, 'Error loading cart for API');
+        }
+
+        CartController.previewPromo(req, cart, (promoErr, promo) => {
+            const subtotal = CartController.calculateCartSubtotal(cart);
+            const discountAmount = promo ? promo.discountAmount : 0;
+            return res.status(status).json({
+                data: {
+                    items: cart.map(toApiCartItem),
+                    itemCount: cart.reduce((sum, item) => sum + Number(item.quantity), 0),
+                    subtotal,
+                    promo: promo
+                        ? {
+                            code: promo.code,
+                            description: promo.description,
+                            discountAmount: promo.discountAmount,
+                            freeDelivery: promo.freeDelivery
+                        }
+                        : null,
+                    promoError: promoErr ? promoErr.message : null,
+                    total: Number(Math.max(0, subtotal - discountAmount).toFixed(2))
+                }
+            });
+        });
+    });
+};
+
+const parseCartQuantity = (value, { allowZero = false } = {}) => {
+    const quantity = Number(value);
+    const min = allowZero ? 0 : 1;
+    return Number.isInteger(quantity) && quantity >= min && quantity <= MAX_CART_QUANTITY ? quantity : null;
+};
+
+/**
+ * GET /api/v1/products - search the catalogue. Accepts the same query parameters as /shopping.
+ */
+const listProducts = (req, res) => {
+    const filters = ProductController.parseShoppingFilters(req.query);
+    const paging = pagination.fromQuery(req.query, PRODUCT_PAGE_SIZE);
+
+    Product.search(filters, paging, (err, rows, total) => {
+        if (err) {
+            return sendModelError(res, err, 500, 'Error searching products for API');
+        }
+        return res.json({
+            data: (rows || []).map(toApiProduct),
+            meta: {
+                ...pageMeta(paging, total),
+                filters,
+                sorts: Object.keys(ProductController.SHOPPING_SORTS)
+            }
+        });
+    });
+};
+
+/**
+ * GET /api/v1/categories
+ */
+const listCategories = (req, res) => {
+    Product.getCategories((err, rows) => {
+        if (err) {
+            return sendModelError(res, err, 500, 'Error loading categories for API');
+        }
+        return res.json({ data: (rows || []).map((row) => row.category).filter(Boolean) });
+    });
+};
+
+/**
+ * GET /api/v1/products/:id - product detail with its reviews.
+ */
+const getProduct = (req, res) => {
+    const productId = parseId(req.params.id);
+    if (!productId) {
+        return sendError(res, 404, 'Product not found.');
+    }
+
+    Product.getById(productId, (err, rows) => {
+        if (err) {
+            return sendModelError(res, err, 500, 'Error loading product for API');
+        }
+        if (!rows || !rows.length) {
+            return sendError(res, 404, 'Product not found.');
+        }
+
+        Review.findByProduct(productId, (reviewErr, reviewRows) => {
+            if (reviewErr) {
+                return sendModelError(res, reviewErr, 500, 'Error loading reviews for API');
+            }
+
+            const reviews = reviewRows || [];
+            const averageRating = reviews.length
+                ? reviews.reduce((sum, review) => sum + Number(review.rating || 0), 0) / reviews.length
+                : null;
+
+            return res.json({
+                data: {
+                    ...toApiProduct({ ...rows[0], average_rating: averageRating, review_count: reviews.length }),
+                    reviews: reviews.map(toApiReview)
+                }
+            });
+        });
+    });
+};
+
+/**
+ * GET /api/v1/cart
+ */
+const getCart = (req, res) => sendCart(req, res);
+
+/**
+ * POST /api/v1/cart/items - body: {productId, quantity}. Adds to any quantity already in the cart.
+ */
+const addCartItem = (req, res) => {
+    const productId = parseId(req.body.productId);
+    const quantity = req.body.quantity === undefined ? 1 : parseCartQuantity(req.body.quantity);
+
+    const errors = [];
+    if (!productId) {
+        errors.push('productId must be a product id.');
+    }
+    if (quantity === null) {
+        errors.push(`quantity must be a whole number from 1 to ${MAX_CART_QUANTITY}.`);
+    }
+    if (errors.length) {
+        return sendError(res, 422, 'The cart item is invalid.', errors);
+    }
+
+    Cart.addItem(req.session.user.id, productId, quantity, (err) => {
+        if (err) {
+            return sendModelError(res, err, 404, 'Error adding cart item via API');
+        }
+        return sendCart(req, res, 201);
+    });
+};
+
+/**
+ * PATCH /api/v1/cart/items/:productId - body: {quantity}. A quantity of 0 removes the item.
+ */
+const updateCartItem = (req, res) => {
+    const productId = parseId(req.params.productId);
+    const quantity = parseCartQuantity(req.body.quantity, { allowZero: true });
+
+    if (!productId) {
+        return sendError(res, 404, 'Item not found in cart.');
+    }
+    if (quantity === null) {
+        return sendError(res, 422, 'The cart item is invalid.', [`quantity must be a whole number from 0 to ${MAX_CART_QUANTITY}.`]);
+    }
+
+    Cart.setQuantity(req.session.user.id, productId, quantity, (err, result) => {
+        if (err) {
+            // Products that have been withdrawn are dropped from the cart by the model.
+            return sendModelError(res, err, 409, 'Error updating cart item via API');
+        }
+        if (result && result.affectedRows === 0) {
+            return sendError(res, 404, 'Item not found in cart.');
+        }
+        return sendCart(req, res);
+    });
+};
+
+/**
+ * DELETE /api/v1/cart/items/:productId
+ */
+const removeCartItem = (req, res) => {
+    const productId = parseId(req.params.productId);
+    if (!productId) {
+        return sendError(res, 404, 'Item not found in cart.');
+    }
+
+    Cart.removeItem(req.session.user.id, productId, (err, result) => {
+        if (err) {
+            return sendModelError(res, err, 500, 'Error removing cart item via API');
+        }
+        if (result && result.affectedRows === 0) {
+            return sendError(res, 404, 'Item not found in cart.');
+        }
+        return sendCart(req, res);
+    });
+};
+
+/**
+ * POST /api/v1/checkout/quote - price the cart for a delivery method, address, slot and promo
+ * code without placing the order. Takes the same body as checkout; the slot may be left out.
+ */
+const quoteCheckout = (req, res) => {
+    OrderController.getCheckoutContext(req, { quoteOnly: true, promoCode: req.body.promoCode || undefined })
+        .then((context) => res.json({
+            data: {
+                deliveryMethod: context.deliveryMethod,
+                deliveryZone: context.deliveryZone,
+                deliveryFee: context.deliveryFee,
+                deliveryFeeLines: context.deliveryFeeLines,
+                slot: context.slot,
+                subtotal: context.subtotal,
+                discountAmount: context.discountAmount,
+                promoCode: context.promo ? context.promo.code : null,
+                taxRate: context.taxRate,
+                taxAmount: context.taxAmount,
+                total: context.total
+            }
+        }))
+        .catch((err) => sendModelError(res, err, 422, 'Error quoting checkout via API'));
+};
+
+/**
+ * POST /api/v1/checkout - body: {deliveryMethod, addressId | deliveryAddress, slotId, promoCode}.
+ * Places the order from the shopper's cart, as the web checkout does.
+ */
+const checkout = (req, res) => {
+    OrderController.getCheckoutContext(req, { promoCode: req.body.promoCode || undefined })
+        .then((context) => OrderController.createOrderFromContext(req, context)
+            .then((result) => loadOrder(result.orderId, req.session.user.id, (loadErr, order) => {
+                if (loadErr || !order) {
+                    if (loadErr) {
+                        console.error('Error loading order after API checkout:', loadErr);
+                    }
+                    return res.status(201).json({ data: { id: result.orderId } });
+                }
+                return res.status(201).json({ data: order });
+            }))
+            // Stock or slot changed between pricing and placing the order.
+            .catch((err) => sendModelError(res, err, 409, 'Error placing order via API')))
+        .catch((err) => sendModelError(res, err, 422, 'Error preparing checkout via API'));
+};
+
+/**
+ * GET /api/v1/orders - the shopper's orders, newest first.
+ */
+const listOrders = (req, res) => {
+    const paging = pagination.fromQuery(req.query, ORDER_PAGE_SIZE);
+
+    Order.findByUser(req.session.user.id, paging, (err, orderRows, total) => {
+        if (err) {
+            return sendModelError(res, err, 500, 'Error listing orders for API');
+        }
+
+        const orderIds = (orderRows || []).map((order) => order.id);
+        Order.findItemsByOrderIds(orderIds, (itemsErr, itemRows) => {
+            if (itemsErr) {
+                return sendModelError(res, itemsErr, 500, 'Error listing order items for API');
+            }
+
+            return res.json({
+                data: (orderRows || []).map((order) => toApiOrder(
+                    order,
+                    (itemRows || []).filter((item) => item.order_id === order.id)
+                )),
+                meta: pageMeta(paging, total)
+            });
+        });
+    });
+};
+
+/**
+ * GET /api/v1/orders/:id
+ */
+const getOrder = (req, res) => {
+    const orderId = parseId(req.params.id);
+    if (!orderId) {
+        return sendError(res, 404, 'Order not found.');
+    }
+
+    loadOrder(orderId, req.session.user.id, (err, order) => {
+        if (err) {
+            return sendModelError(res, err, 500, 'Error loading order for API');
+        }
+        if (!order) {
+            return sendError(res, 404, 'Order not found.');
+        }
+        return res.json({ data: order });
+    });
+};
+
+/**
+ * POST /api/v1/orders/:id/refund-requests - body: {reason, amount}. Leave amount out to ask for a full refund.
+ */
+const createRefundRequest = (req, res) => {
+    const orderId = parseId(req.params.id);
+    const reason = String(req.body.reason || '').trim();
+    const amountRaw = req.body.amount;
+    const amount = amountRaw !== undefined && amountRaw !== null && String(amountRaw).trim() !== ''
+        ? Number.parseFloat(amountRaw)
+        : null;
+
+    if (!orderId) {
+        return sendError(res, 404, 'Order not found.');
+    }
+
+    const errors = [];
+    if (!reason) {
+        errors.push('reason is required.');
+    } else if (reason.length > 255) {
+        errors.push('reason must be 255 characters or fewer.');
+    }
+    if (amount !== null && (!Number.isFinite(amount) || amount <= 0)) {
+        errors.push('amount must be more than zero.');
+    }
+    if (errors.length) {
+        return sendError(res, 422, 'The refund request is invalid.', errors);
+    }
+
+    Order.findById(orderId, (orderErr, orderRows) => {
+        if (orderErr) {
+            return sendModelError(res, orderErr, 500, 'Error loading order for refund request');
+        }
+        if (!orderRows || !orderRows.length || orderRows[0].user_id !== req.session.user.id) {
+            return sendError(res, 404, 'Order not found.');
+        }
+        if (amount !== null && amount > Number(orderRows[0].total)) {
+            return sendError(res, 422, 'The refund request is invalid.', ['amount cannot be more than the order total.']);
+        }
+
+        RefundRequest.createRequest(orderId, req.session.user.id, amount, reason, (createErr, result) => {
+            if (createErr) {
+                return sendModelError(res, createErr, 500, 'Error creating refund request via API');
+            }
+
+            RefundRequest.findByOrderIds([orderId], (findErr, rows) => {
+                const created = !findErr && (rows || []).find((row) => row.id === result.insertId);
+                return res.status(201).json({
+                    data: created ? toApiRefundRequest(created) : { id: result.insertId, orderId, status: 'requested' }
+                });
+            });
+        });
+    });
+};
+
+// Cancelling restocks and refunds, which the API leaves to the web order screens.
+const nextStatusesFor = (status, deliveryMethod) => Order.getNextFulfilmentStatuses(status, deliveryMethod)
+    .filter((next) => next !== 'cancelled');
+
+/**
+ * GET /api/v1/admin/orders - every order, newest first, with the customer.
+ */
+const listAllOrders = (req, res) => {
+    const paging = pagination.fromQuery(req.query, ORDER_PAGE_SIZE);
+
+    Order.findAllWithUsers(paging, (err, orderRows, total) => {
+        if (err) {
+            return sendModelError(res, err, 500, 'Error listing all orders for API');
+        }
+
+        const orderIds = (orderRows || []).map((order) => order.id);
+        Order.findItemsByOrderIds(orderIds, (itemsErr, itemRows) => {
+            if (itemsErr) {
+                return sendModelError(res, itemsErr, 500, 'Error listing order items for API');
+            }
+
+            return res.json({
+                data: (orderRows || []).map((order) => ({
+                    ...toApiOrder(order, (itemRows || []).filter((item) => item.order_id === order.id)),
+                    customer: { id: order.user_id, username: order.username, email: order.email, contact: order.contact },
+                    nextStatuses: nextStatusesFor(order.fulfilment_status, order.delivery_method)
+                })),
+                meta: pageMeta(paging, total)
+            });
+        });
+    });
+};
+
+/**
+ * GET /api/v1/admin/orders/:id
+ */
+const getAnyOrder = (req, res) => {
+    const orderId = parseId(req.params.id);
+    if (!orderId) {
+        return sendError(res, 404, 'Order not found.');
+    }
+
+    loadOrder(orderId, null, (err, order) => {
+        if (err) {
+            return sendModelError(res, err, 500, 'Error loading order for admin API');
+        }
+        if (!order) {
+            return sendError(res, 404, 'Order not found.');
+        }
+        return res.json({
+            data: {
+                ...order,
+                nextStatuses: nextStatusesFor(order.status, order.delivery.method)
+            }
+        });
+    });
+};
+
+/**
+ * POST /api/v1/admin/orders/:id/status - body: {status, note}.
+ */
+const updateOrderStatus = (req, res) => {
+    const orderId = parseId(req.params.id);
+    const nextStatus = String(req.body.status || '').trim();
+    const note = String(req.body.note || '').trim().slice(0, 255) || null;
+
+    if (!orderId) {
+        return sendError(res, 404, 'Order not found.');
+    }
+    if (!Order.FULFILMENT_STATUSES.includes(nextStatus)) {
+        return sendError(res, 422, 'The status update is invalid.', [`status must be one of: ${Order.FULFILMENT_STATUSES.join(', ')}.`]);
+    }
+
+    Order.updateFulfilmentStatus(orderId, nextStatus, { changedBy: req.session.user.id, note }, (err, result) => {
+        if (err) {
+            const status = err.message === 'Order not found.' ? 404 : 409;
+            return sendModelError(res, err, status, 'Error updating fulfilment status via API');
+        }
+
+        audit.record(req, {
+            action: 'order.status',
+            targetType: 'order',
+            targetId: orderId,
+            before: { status: result.previousStatus },
+            after: { status: result.status, note }
+        });
+
+        loadOrder(orderId, null, (loadErr, order) => {
+            if (loadErr || !order) {
+                return res.json({ data: { id: orderId, status: nextStatus } });
+            }
+            return res.json({ data: order });
+        });
+    });
+};
+
+/**
+ * Fallback for unknown /api/v1 paths.
+ */
+const notFound = (req, res) => sendError(res, 404, `No endpoint for ${req.method} ${req.originalUrl}.`);
+
+/**
+ * Error handler for /api/v1, so malformed bodies and unexpected failures still answer in JSON.
+ */
+const handleError = (err, req, res, next) => {
+    if (res.headersSent) {
+        return next(err);
+    }
+    if (err.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'The request body is not valid JSON.');
+    }
+    console.error('Unhandled API error:', err);
+    return sendError(res, 500, 'Something went wrong. Please try again.');
+};
+
+module.exports = {
+    listProducts,
+    listCategories,
+    getProduct,
+    getCart,
+    addCartItem,
+    updateCartItem,
+    removeCartItem,
+    quoteCheckout,
+    checkout,
+    listOrders,
+    getOrder,
+    createRefundRequest,
+    listAllOrders,
+    getAnyOrder,
+    updateOrderStatus,
+    notFound,
+    handleError
+};
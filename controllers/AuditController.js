@@ -0,0 +1,104 @@
+const AuditLog = require('../models/auditLog');
+const audit = require('../services/audit');
+const csv = require('../services/csv');
+const pagination = require('../services/pagination');
+
+const AUDIT_PAGE_SIZE = 50;
+const CSV_COLUMNS = ['id', 'created_at', 'actor_id', 'actor_email', 'actor_role', 'action', 'target_type', 'target_id',
+    'before', 'after', 'ip', 'user_agent', 'method', 'path'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Filters from the query string; anything unrecognised is dropped rather than rejected.
+const readFilters = (query) => {
+    const text = (value, max) => String(value || '').trim().slice(0, max);
+    const action = text(query.action, 50);
+    const targetType = text(query.targetType, 30);
+    const from = text(query.from, 10);
+    const to = text(query.to, 10);
+    return {
+        actor: text(query.actor, 255),
+        action: Object.prototype.hasOwnProperty.call(audit.ACTIONS, action) ? action : '',
+        targetType: audit.TARGET_TYPES.includes(targetType) ? targetType : '',
+        targetId: text(query.targetId, 64),
+        from: DATE_PATTERN.test(from) ? from : '',
+        to: DATE_PATTERN.test(to) ? to : ''
+    };
+};
+
+const listEntries = (req, res) => {
+    const filters = readFilters(req.query);
+    const paging = pagination.fromQuery(req.query, AUDIT_PAGE_SIZE);
+
+    AuditLog.search(filters, paging, (err, entries, total) => {
+        if (err) {
+            console.error('Error fetching audit log:', err);
+            req.flash('error', 'Unable to load the audit log.');
+            return res.redirect('/account');
+        }
+
+        const pageInfo = pagination.build('/admin/audit', req.query, paging, total);
+        if (paging.page > pageInfo.totalPages) {
+            return res.redirect(pageInfo.lastUrl);
+        }
+
+        const exportParams = new URLSearchParams();
+        Object.keys(filters).forEach((key) => {
+            if (filters[key]) {
+                exportParams.set(key, filters[key]);
+            }
+        });
+
+        return res.render('adminAudit', {
+            entries,
+            filters,
+            actions: audit.listActions(),
+            actionLabels: audit.ACTIONS,
+            targetTypes: audit.TARGET_TYPES,
+            exportUrl: `/admin/audit/export.csv${exportParams.toString() ? `?${exportParams}` : ''}`,
+            pagination: pageInfo,
+            user: req.session.user,
+            messages: req.flash('success'),
+            errors: req.flash('error')
+        });
+    });
+};
+
+const exportEntries = (req, res) => {
+    const filters = readFilters(req.query);
+
+    AuditLog.findForExport(filters, (err, entries) => {
+        if (err) {
+            console.error('Error exporting audit log:', err);
+            req.flash('error', 'Unable to export the audit log right now.');
+            return res.redirect('/admin/audit');
+        }
+
+        const json = (value) => (value === null || value === undefined ? '' : JSON.stringify(value));
+        const rows = entries.map((entry) => [
+            entry.id,
+            entry.created_at instanceof Date ? entry.created_at.toISOString() : entry.created_at,
+            entry.actor_id || '',
+            entry.actor_email || '',
+            entry.actor_role || '',
+            entry.action,
+            entry.target_type,
+            entry.target_id || '',
+            json(entry.before_values),
+            json(entry.after_values),
+            entry.ip || '',
+            entry.user_agent || '',
+            entry.request_method || '',
+            entry.request_path || ''
+        ]);
+        const stamp = new Date().toISOString().slice(0, 10);
+
+        res.set('Content-Type', 'text/csv; charset=utf-8');
+        res.attachment(`audit-log-${stamp}.csv`);
+        return res.send(csv.stringify([CSV_COLUMNS, ...rows]));
+    });
+};
+
+module.exports = {
+    listEntries,
+    exportEntries
+};
@@ -1,5 +1,9 @@
 const Cart = require('../models/cart');
+const DeliverySlot = require('../models/deliverySlot');
+const PromoCode = require('../models/promoCode');
+const UserAddress = require('../models/userAddress');
 const db = require('../db');
+const permissions = require('../services/permissions');
 
 const findCartItem = (cart, productId) =>
     cart.find(item => item.productId === productId);
@@ -8,7 +12,7 @@ const ensureShopperRole = (req, res) => {
     const shopperRoles = ['user'];
     if (!req.session.user || !shopperRoles.includes(req.session.user.role)) {
         req.flash('error', 'Access denied.');
-        res.redirect('/inventory');
+        res.redirect(req.session.user ? permissions.homePageFor(req.session.user) : '/login');
         return false;
     }
     return true;
@@ -33,6 +37,40 @@ const calculatePricing = (product) => {
     };
 };
 
+const calculateCartSubtotal = (cart) => Number((cart || []).reduce((sum, item) => {
+    const unitPrice = Number(item.price);
+    const quantity = Number(item.quantity);
+    if (!Number.isFinite(unitPrice) || !Number.isFinite(quantity)) {
+        return sum;
+    }
+    return sum + (unitPrice * quantity);
+}, 0).toFixed(2));
+
+/**
+ * Evaluate the promo code stored in the session against the current cart.
+ * Clears the code from the session if it no longer applies.
+ */
+const previewPromo = (req, cart, callback) => {
+    const code = req.session.promoCode;
+    if (!code || !cart.length) {
+        return callback(null, null);
+    }
+
+    PromoCode.resolveForCheckout(code, req.session.user.id, cart, calculateCartSubtotal(cart), (err, result) => {
+        if (err) {
+            req.session.promoCode = null;
+            return callback(err, null);
+        }
+        return callback(null, {
+            code: result.promo.code,
+            description: result.promo.description,
+            discountType: result.promo.discount_type,
+            discountAmount: result.discountAmount,
+            freeDelivery: result.freeDelivery
+        });
+    });
+};
+
 const syncCartFromDb = (req, callback) => {
     if (!req.session.user) {
         req.session.cart = [];
@@ -56,7 +94,8 @@ const syncCartFromDb = (req, callback) => {
                 offerMessage,
                 hasDiscount: pricing.hasDiscount,
                 quantity: item.quantity,
-                image: item.image
+                image: item.image,
+                category: item.category
             };
         });
 
@@ -123,12 +162,44 @@ const viewCart = (req, res) => {
             return res.redirect('/shopping');
         }
 
-        res.render('cart', {
-            cart: req.session.cart || [],
-            user: req.session.user,
-            messages: req.flash('success'),
-            errors: req.flash('error'),
-            paypalClientId: process.env.PAYPAL_CLIENT_ID || ''
+        const cart = req.session.cart || [];
+        previewPromo(req, cart, (promoErr, promo) => {
+            const errors = req.flash('error');
+            if (promoErr) {
+                errors.push(`${promoErr.message} The promo code has been removed.`);
+            }
+
+            UserAddress.findByUser(req.session.user.id, (addressErr, addressRows) => {
+                if (addressErr) {
+                    console.error('Error loading saved addresses:', addressErr);
+                }
+
+                DeliverySlot.findUpcoming(null, req.session.user.id, (slotErr, slotRows) => {
+                    if (slotErr) {
+                        console.error('Error loading delivery slots:', slotErr);
+                    }
+
+                    res.render('cart', {
+                        cart,
+                        promo,
+                        user: req.session.user,
+                        addresses: (addressRows || []).map((address) => ({
+                            ...address,
+                            line: UserAddress.formatLine(address)
+                        })),
+                        slots: (slotRows || []).map((slot) => ({
+                            id: slot.id,
+                            method: slot.method,
+                            label: DeliverySlot.formatWindow(slot),
+                            isExpress: Boolean(slot.is_express),
+                            remaining: Math.max(0, Number(slot.capacity) - Number(slot.booked || 0))
+                        })),
+                        messages: req.flash('success'),
+                        errors,
+                        paypalClientId: process.env.PAYPAL_CLIENT_ID || ''
+                    });
+                });
+            });
         });
     });
 };
@@ -209,9 +280,60 @@ const removeCartItem = (req, res) => {
     });
 };
 
+const applyPromoCode = (req, res) => {
+    if (!ensureShopperRole(req, res)) {
+        return;
+    }
+
+    const code = PromoCode.normaliseCode(req.body.promoCode);
+    if (!code) {
+        req.flash('error', 'Please enter a promo code.');
+        return res.redirect('/cart');
+    }
+
+    syncCartFromDb(req, (syncErr, cart) => {
+        if (syncErr) {
+            console.error('Error loading cart for promo code:', syncErr);
+            req.flash('error', 'Unable to load your cart right now.');
+            return res.redirect('/cart');
+        }
+
+        if (!cart.length) {
+            req.flash('error', 'Add items to your cart before applying a promo code.');
+            return res.redirect('/cart');
+        }
+
+        PromoCode.resolveForCheckout(code, req.session.user.id, cart, calculateCartSubtotal(cart), (promoErr) => {
+            if (promoErr) {
+                req.flash('error', promoErr.message || 'Unable to apply promo code.');
+                return res.redirect('/cart');
+            }
+
+            req.session.promoCode = code;
+            req.flash('success', `Promo code ${code} applied.`);
+            return res.redirect('/cart');
+        });
+    });
+};
+
+const removePromoCode = (req, res) => {
+    if (!ensureShopperRole(req, res)) {
+        return;
+    }
+
+    req.session.promoCode = null;
+    req.flash('success', 'Promo code removed.');
+    return res.redirect('/cart');
+};
+
 module.exports = {
     addToCart,
     viewCart,
     updateCartItem,
-    removeCartItem
+    removeCartItem,
+    applyPromoCode,
+    removePromoCode,
+    calculateCartSubtotal,
+    previewPromo,
+    syncCartFromDb
 };
@@ -0,0 +1,258 @@
+const DeliveryFeeRule = require('../models/deliveryFeeRule');
+const audit = require('../services/audit');
+
+const parseOptionalNumber = (value) => {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return null;
+    }
+    const parsed = Number.parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : NaN;
+};
+
+const toFormData = (rule) => ({
+    ruleType: rule.rule_type,
+    name: rule.name,
+    postalPrefixes: rule.postal_prefixes || '',
+    amount: Number(rule.amount || 0) > 0 ? Number(rule.amount) : '',
+    minSubtotal: rule.min_subtotal !== null ? Number(rule.min_subtotal) : '',
+    isActive: Boolean(rule.is_active)
+});
+
+// A rule row in the shape buildRulePayload produces, for before/after values in the audit log.
+const auditableRule = (rule) => ({
+    ruleType: rule.rule_type,
+    name: rule.name,
+    postalPrefixes: rule.postal_prefixes,
+    amount: rule.amount,
+    minSubtotal: rule.min_subtotal,
+    isActive: Boolean(rule.is_active)
+});
+
+/**
+ * Validate submitted fee rule fields and build the model payload.
+ * @returns {{data:Object, errors:string[]}}
+ */
+const buildRulePayload = (body) => {
+    const errors = [];
+    const ruleType = body.ruleType;
+    const name = body.name ? String(body.name).trim() : '';
+    const prefixes = DeliveryFeeRule.parsePrefixes(body.postalPrefixes);
+    const amount = parseOptionalNumber(body.amount);
+    const minSubtotal = parseOptionalNumber(body.minSubtotal);
+
+    if (!DeliveryFeeRule.RULE_TYPES.includes(ruleType)) {
+        errors.push('Rule type is invalid.');
+    }
+    if (!name || name.length > 80) {
+        errors.push('Name is required and must be 80 characters or fewer.');
+    }
+    if (prefixes.some((prefix) => !/^\d{1,6}$/.test(prefix))) {
+        errors.push('Postal prefixes must be 1-6 digits, separated by commas.');
+    }
+    if (ruleType === 'express' && prefixes.length) {
+        errors.push('Express surcharges apply island-wide; leave postal prefixes blank.');
+    }
+    if (ruleType !== 'free_over' && (amount === null || !Number.isFinite(amount) || amount < 0)) {
+        errors.push('Fee must be zero or more.');
+    }
+    if (ruleType === 'free_over' && (minSubtotal === null || !Number.isFinite(minSubtotal) || minSubtotal <= 0)) {
+        errors.push('Free delivery thresholds need a minimum basket above zero.');
+    }
+
+    const postalPrefixes = prefixes.join(', ');
+    if (postalPrefixes.length > 255) {
+        errors.push('Postal prefixes are too long.');
+    }
+
+    return {
+        errors,
+        data: {
+            ruleType,
+            name: name.slice(0, 80),
+            postalPrefixes: ruleType === 'express' ? null : postalPrefixes || null,
+            amount: ruleType === 'free_over' ? 0 : Number((amount || 0).toFixed(2)),
+            minSubtotal: ruleType === 'free_over' ? Number((minSubtotal || 0).toFixed(2)) : null,
+            isActive: body.isActive === 'on' || body.isActive === 'true' || body.isActive === '1'
+        }
+    };
+};
+
+const listRules = (req, res) => {
+    DeliveryFeeRule.findAll((err, rules) => {
+        if (err) {
+            console.error('Error fetching delivery fee rules:', err);
+            req.flash('error', 'Unable to load delivery fee rules.');
+            return res.redirect('/admin/deliveries');
+        }
+
+        res.render('adminDeliveryFees', {
+            user: req.session.user,
+            rules: rules || [],
+            ruleTypeLabels: DeliveryFeeRule.RULE_TYPE_LABELS,
+            formData: req.flash('formData')[0] || { ruleType: 'zone', isActive: true },
+            messages: req.flash('success'),
+            errors: req.flash('error')
+        });
+    });
+};
+
+const createRule = (req, res) => {
+    const { data, errors } = buildRulePayload(req.body);
+
+    if (errors.length) {
+        req.flash('error', errors);
+        req.flash('formData', { ...req.body, isActive: data.isActive });
+        return res.redirect('/admin/delivery-fees');
+    }
+
+    DeliveryFeeRule.create(data, (err, result) => {
+        if (err) {
+            console.error('Error creating delivery fee rule:', err);
+            req.flash('error', 'Unable to create the fee rule.');
+            req.flash('formData', { ...req.body, isActive: data.isActive });
+            return res.redirect('/admin/delivery-fees');
+        }
+
+        audit.record(req, { action: 'delivery_fee.create', targetType: 'delivery_fee_rule', targetId: result && result.insertId, after: data });
+
+        req.flash('success', `Fee rule "${data.name}" created.`);
+        return res.redirect('/admin/delivery-fees');
+    });
+};
+
+const editRuleForm = (req, res) => {
+    const ruleId = parseInt(req.params.id, 10);
+
+    DeliveryFeeRule.findById(ruleId, (err, rows) => {
+        if (err) {
+            console.error('Error fetching delivery fee rule:', err);
+            req.flash('error', 'Unable to load the fee rule.');
+            return res.redirect('/admin/delivery-fees');
+        }
+
+        if (!rows || !rows.length) {
+            req.flash('error', 'Fee rule not found.');
+            return res.redirect('/admin/delivery-fees');
+        }
+
+        res.render('editDeliveryFee', {
+            user: req.session.user,
+            rule: rows[0],
+            formData: req.flash('formData')[0] || toFormData(rows[0]),
+            messages: req.flash('success'),
+            errors: req.flash('error')
+        });
+    });
+};
+
+const updateRule = (req, res) => {
+    const ruleId = parseInt(req.params.id, 10);
+    if (!Number.isFinite(ruleId)) {
+        req.flash('error', 'Invalid fee rule selected.');
+        return res.redirect('/admin/delivery-fees');
+    }
+
+    const { data, errors } = buildRulePayload(req.body);
+    if (errors.length) {
+        req.flash('error', errors);
+        req.flash('formData', { ...req.body, isActive: data.isActive });
+        return res.redirect(`/admin/delivery-fees/${ruleId}/edit`);
+    }
+
+    DeliveryFeeRule.findById(ruleId, (findErr, rows) => {
+        if (findErr) {
+            console.error('Error fetching delivery fee rule:', findErr);
+            req.flash('error', 'Unable to update the fee rule.');
+            return res.redirect(`/admin/delivery-fees/${ruleId}/edit`);
+        }
+
+        if (!rows || !rows.length) {
+            req.flash('error', 'Fee rule not found.');
+            return res.redirect('/admin/delivery-fees');
+        }
+
+        DeliveryFeeRule.update(ruleId, data, (err, result) => {
+            if (err) {
+                console.error('Error updating delivery fee rule:', err);
+                req.flash('error', 'Unable to update the fee rule.');
+                req.flash('formData', { ...req.body, isActive: data.isActive });
+                return res.redirect(`/admin/delivery-fees/${ruleId}/edit`);
+            }
+
+            if (result.affectedRows === 0) {
+                req.flash('error', 'Fee rule not found.');
+                return res.redirect('/admin/delivery-fees');
+            }
+
+            audit.record(req, { action: 'delivery_fee.update', targetType: 'delivery_fee_rule', targetId: ruleId, ...audit.changes(auditableRule(rows[0]), data) });
+            req.flash('success', `Fee rule "${data.name}" updated.`);
+            return res.redirect('/admin/delivery-fees');
+        });
+    });
+};
+
+const toggleRule = (req, res) => {
+    const ruleId = parseInt(req.params.id, 10);
+    const activate = req.body.active === '1';
+
+    if (!Number.isFinite(ruleId)) {
+        req.flash('error', 'Invalid fee rule selected.');
+        return res.redirect('/admin/delivery-fees');
+    }
+
+    DeliveryFeeRule.setActive(ruleId, activate, (err, result) => {
+        if (err || !result || result.affectedRows === 0) {
+            if (err) {
+                console.error('Error toggling delivery fee rule:', err);
+            }
+            req.flash('error', 'Unable to update the fee rule.');
+            return res.redirect('/admin/delivery-fees');
+        }
+
+        audit.record(req, { action: 'delivery_fee.toggle', targetType: 'delivery_fee_rule', targetId: ruleId, before: { isActive: !activate }, after: { isActive: activate } });
+        req.flash('success', activate ? 'Fee rule activated.' : 'Fee rule deactivated.');
+        return res.redirect('/admin/delivery-fees');
+    });
+};
+
+const deleteRule = (req, res) => {
+    const ruleId = parseInt(req.params.id, 10);
+
+    if (!Number.isFinite(ruleId)) {
+        req.flash('error', 'Invalid fee rule selected.');
+        return res.redirect('/admin/delivery-fees');
+    }
+
+    DeliveryFeeRule.findById(ruleId, (findErr, rows) => {
+        if (findErr || !rows || !rows.length) {
+            if (findErr) {
+                console.error('Error fetching delivery fee rule:', findErr);
+            }
+            req.flash('error', 'Unable to delete the fee rule.');
+            return res.redirect('/admin/delivery-fees');
+        }
+
+        DeliveryFeeRule.remove(ruleId, (err, result) => {
+            if (err || !result || result.affectedRows === 0) {
+                if (err) {
+                    console.error('Error deleting delivery fee rule:', err);
+                }
+                req.flash('error', 'Unable to delete the fee rule.');
+                return res.redirect('/admin/delivery-fees');
+            }
+
+            audit.record(req, { action: 'delivery_fee.delete', targetType: 'delivery_fee_rule', targetId: ruleId, before: auditableRule(rows[0]) });
+            req.flash('success', 'Fee rule deleted.');
+            return res.redirect('/admin/delivery-fees');
+        });
+    });
+};
+
+module.exports = {
+    listRules,
+    createRule,
+    editRuleForm,
+    updateRule,
+    toggleRule,
+    deleteRule
+};
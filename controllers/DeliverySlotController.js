@@ -0,0 +1,197 @@
+const DeliverySlot = require('../models/deliverySlot');
+const audit = require('../services/audit');
+
+const MAX_REPEAT_DAYS = 28;
+const MAX_CAPACITY = 500;
+
+// A slot row in the shape of the slot forms, for before/after values in the audit log.
+const auditableSlot = (slot) => ({
+    slotDate: DeliverySlot.formatDateKey(slot.slot_date),
+    startTime: slot.start_time,
+    endTime: slot.end_time,
+    method: slot.method,
+    capacity: slot.capacity,
+    isActive: Boolean(slot.is_active),
+    isExpress: Boolean(slot.is_express)
+});
+
+const parseCapacity = (value) => {
+    const parsed = Number(value);
+    return Number.isInteger(parsed) && parsed >= 1 && parsed <= MAX_CAPACITY ? parsed : null;
+};
+
+/**
+ * Validate submitted slot fields and build the model payload.
+ * @returns {{data:Object, errors:string[]}}
+ */
+const buildSlotPayload = (body) => {
+    const errors = [];
+    const slotDate = body.slotDate ? String(body.slotDate).trim() : '';
+    const startTime = body.startTime ? String(body.startTime).trim().slice(0, 5) : '';
+    const endTime = body.endTime ? String(body.endTime).trim().slice(0, 5) : '';
+    const method = body.method;
+    const capacity = parseCapacity(body.capacity);
+    const days = body.days === undefined || body.days === '' ? 1 : Number(body.days);
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(slotDate) || Number.isNaN(new Date(slotDate).getTime())) {
+        errors.push('Choose a valid date.');
+    } else if (slotDate < DeliverySlot.formatDateKey(new Date())) {
+        errors.push('Slots cannot be created in the past.');
+    }
+    if (!/^\d{2}:\d{2}$/.test(startTime) || !/^\d{2}:\d{2}$/.test(endTime)) {
+        errors.push('Start and end times are required.');
+    } else if (startTime >= endTime) {
+        errors.push('The end time must be after the start time.');
+    }
+    if (!DeliverySlot.SLOT_METHODS.includes(method)) {
+        errors.push('Choose delivery or pickup.');
+    }
+    if (capacity === null) {
+        errors.push(`Capacity must be a whole number from 1 to ${MAX_CAPACITY}.`);
+    }
+    if (!Number.isInteger(days) || days < 1 || days > MAX_REPEAT_DAYS) {
+        errors.push(`Repeat for 1 to ${MAX_REPEAT_DAYS} days.`);
+    }
+
+    return {
+        errors,
+        data: {
+            slotDate,
+            startTime: `${startTime}:00`,
+            endTime: `${endTime}:00`,
+            method,
+            capacity,
+            days,
+            isActive: body.isActive === 'on' || body.isActive === 'true' || body.isActive === '1',
+            isExpress: method === 'delivery' && (body.isExpress === 'on' || body.isExpress === 'true' || body.isExpress === '1')
+        }
+    };
+};
+
+const listSlots = (req, res) => {
+    const today = DeliverySlot.formatDateKey(new Date());
+
+    DeliverySlot.findFrom(today, (err, slots) => {
+        if (err) {
+            console.error('Error fetching delivery slots:', err);
+            req.flash('error', 'Unable to load delivery slots.');
+            return res.redirect('/admin/deliveries');
+        }
+
+        res.render('adminDeliverySlots', {
+            user: req.session.user,
+            slots: (slots || []).map((slot) => ({
+                ...slot,
+                label: DeliverySlot.formatWindow(slot),
+                booked: Number(slot.booked || 0)
+            })),
+            formData: req.flash('formData')[0] || { slotDate: today, method: 'delivery', capacity: 10, days: 1, isActive: true },
+            maxRepeatDays: MAX_REPEAT_DAYS,
+            messages: req.flash('success'),
+            errors: req.flash('error')
+        });
+    });
+};
+
+const createSlot = (req, res) => {
+    const { data, errors } = buildSlotPayload(req.body);
+
+    if (errors.length) {
+        req.flash('error', errors);
+        req.flash('formData', { ...req.body, isActive: data.isActive, isExpress: data.isExpress });
+        return res.redirect('/admin/delivery-slots');
+    }
+
+    DeliverySlot.create(data, (err, created) => {
+        if (err) {
+            console.error('Error creating delivery slots:', err);
+            req.flash('error', 'Unable to create delivery slots.');
+            req.flash('formData', { ...req.body, isActive: data.isActive, isExpress: data.isExpress });
+            return res.redirect('/admin/delivery-slots');
+        }
+
+        if (created > 0) {
+            audit.record(req, { action: 'delivery_slot.create', targetType: 'delivery_slot', after: { ...data, created } });
+        }
+        const skipped = data.days - created;
+        const skippedNote = skipped > 0 ? ` Skipped ${skipped} day(s) that already had this window.` : '';
+        req.flash('success', `Created ${created} slot(s).${skippedNote}`);
+        return res.redirect('/admin/delivery-slots');
+    });
+};
+
+const updateSlot = (req, res) => {
+    const slotId = parseInt(req.params.id, 10);
+    const capacity = parseCapacity(req.body.capacity);
+
+    if (!Number.isFinite(slotId)) {
+        req.flash('error', 'Invalid slot selected.');
+        return res.redirect('/admin/delivery-slots');
+    }
+    if (capacity === null) {
+        req.flash('error', `Capacity must be a whole number from 1 to ${MAX_CAPACITY}.`);
+        return res.redirect('/admin/delivery-slots');
+    }
+
+    const data = {
+        capacity,
+        isActive: req.body.isActive === 'on' || req.body.isActive === 'true' || req.body.isActive === '1',
+        isExpress: req.body.isExpress === 'on' || req.body.isExpress === 'true' || req.body.isExpress === '1'
+    };
+
+    DeliverySlot.getBooking(slotId, null, false, (findErr, booking) => {
+        if (findErr) {
+            console.error('Error fetching delivery slot:', findErr);
+            req.flash('error', 'Unable to update the slot.');
+            return res.redirect('/admin/delivery-slots');
+        }
+
+        DeliverySlot.update(slotId, data, (err) => {
+            if (err) {
+                console.error('Error updating delivery slot:', err);
+                req.flash('error', 'Unable to update the slot.');
+                return res.redirect('/admin/delivery-slots');
+            }
+            audit.record(req, { action: 'delivery_slot.update', targetType: 'delivery_slot', targetId: slotId, ...audit.changes(auditableSlot(booking.slot), data) });
+            req.flash('success', 'Slot updated.');
+            return res.redirect('/admin/delivery-slots');
+        });
+    });
+};
+
+const deleteSlot = (req, res) => {
+    const slotId = parseInt(req.params.id, 10);
+
+    if (!Number.isFinite(slotId)) {
+        req.flash('error', 'Invalid slot selected.');
+        return res.redirect('/admin/delivery-slots');
+    }
+
+    DeliverySlot.getBooking(slotId, null, false, (findErr, booking) => {
+        if (findErr) {
+            console.error('Error fetching delivery slot:', findErr);
+            req.flash('error', 'Unable to delete the slot.');
+            return res.redirect('/admin/delivery-slots');
+        }
+
+        DeliverySlot.remove(slotId, (err, deleted) => {
+            if (err) {
+                console.error('Error deleting delivery slot:', err);
+                req.flash('error', 'Unable to delete the slot.');
+            } else if (!deleted) {
+                req.flash('error', 'Slots that have bookings cannot be deleted. Deactivate the slot instead.');
+            } else {
+                audit.record(req, { action: 'delivery_slot.delete', targetType: 'delivery_slot', targetId: slotId, before: auditableSlot(booking.slot) });
+                req.flash('success', 'Slot deleted.');
+            }
+            return res.redirect('/admin/delivery-slots');
+        });
+    });
+};
+
+module.exports = {
+    listSlots,
+    createSlot,
+    updateSlot,
+    deleteSlot
+};
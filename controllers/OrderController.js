@@ -1,10 +1,27 @@
 const Cart = require('../models/cart');
+const CreditNote = require('../models/creditNote');
+const DeliveryFeeRule = require('../models/deliveryFeeRule');
+const DeliverySlot = require('../models/deliverySlot');
+const Invoice = require('../models/invoice');
 const Order = require('../models/order');
 const Payment = require('../models/payment');
 const RefundRequest = require('../models/refundRequest');
+const StockReservation = require('../models/stockReservation');
+const PromoCode = require('../models/promoCode');
 const User = require('../models/user');
-
+const UserAddress = require('../models/userAddress');
+const audit = require('../services/audit');
+const paypal = require('../services/paypal');
+const pagination = require('../services/pagination');
+const permissions = require('../services/permissions');
+const pdf = require('../services/pdf');
+const tax = require('../services/tax');
+
+// Charged when no zone rule covers the address.
 const DELIVERY_FEE = 1.5;
+const RESERVATION_MINUTES = Number.parseInt(process.env.STOCK_RESERVATION_MINUTES, 10) || 15;
+const HISTORY_PAGE_SIZE = 10;
+const DELIVERIES_PAGE_SIZE = 20;
 
 const normalisePrice = (value) => {
     const parsed = Number.parseFloat(value);
@@ -53,20 +70,63 @@ const normaliseOrderItem = (item) => {
     };
 };
 
-const computeDeliveryFee = (user, deliveryMethod, waiveFee = false) => {
-    if (deliveryMethod !== 'delivery') {
-        return 0;
+const groupStatusHistory = (rows) => (rows || []).reduce((acc, row) => {
+    if (!acc[row.order_id]) {
+        acc[row.order_id] = [];
     }
+    acc[row.order_id].push(row);
+    return acc;
+}, {});
 
-    if (waiveFee) {
-        return 0;
+/**
+ * Price delivery from the active fee rules, then apply promo, admin and member waivers
+ * as a final line so the breakdown still shows what was waived.
+ * @param {Array<Object>} rules - Active delivery_fee_rules rows.
+ * @param {{user:Object, deliveryMethod:string, waiveReason?:string|null, postalCode?:string|null, subtotal:number, express?:boolean}} options
+ * @returns {{fee:number, zone:string|null, lines:Array<{label:string, amount:number}>}}
+ */
+const computeDeliveryFee = (rules, options) => {
+    if (options.deliveryMethod !== 'delivery') {
+        return { fee: 0, zone: null, lines: [] };
     }
 
-    if (user && (user.free_delivery || user.free_delivery === 1)) {
-        return 0;
+    const quote = DeliveryFeeRule.evaluate(rules, {
+        postalCode: options.postalCode,
+        subtotal: options.subtotal,
+        express: options.express,
+        defaultFee: DELIVERY_FEE
+    });
+
+    const user = options.user;
+    const waiveReason = options.waiveReason
+        || (user && (user.free_delivery || user.free_delivery === 1) ? 'Free delivery (member benefit)' : null);
+
+    if (!waiveReason || quote.fee <= 0) {
+        return quote;
     }
 
-    return DELIVERY_FEE;
+    return {
+        fee: 0,
+        zone: quote.zone,
+        lines: [...quote.lines, { label: waiveReason, amount: -quote.fee }]
+    };
+};
+
+/**
+ * Read the fee breakdown stored on an order or reservation.
+ * @param {string|null} value - JSON text from delivery_fee_breakdown.
+ * @returns {Array<{label:string, amount:number}>}
+ */
+const parseFeeBreakdown = (value) => {
+    if (!value) {
+        return [];
+    }
+    try {
+        const lines = typeof value === 'string' ? JSON.parse(value) : value;
+        return Array.isArray(lines) ? lines : [];
+    } catch (err) {
+        return [];
+    }
 };
 
 const sanitiseDeliveryAddress = (address) => {
@@ -77,6 +137,112 @@ const sanitiseDeliveryAddress = (address) => {
     return trimmed.length ? trimmed.slice(0, 255) : null;
 };
 
+const EMPTY_DELIVERY_SNAPSHOT = {
+    deliveryAddress: null,
+    deliveryRecipient: null,
+    deliveryContact: null,
+    deliveryPostalCode: null
+};
+
+/**
+ * Work out where an order should be delivered. A saved address id wins; otherwise a typed
+ * address is used as-is, then the shopper's default saved address, then the account address.
+ * @param {number} userId - Owner of the address book.
+ * @param {{addressId?:string|number, address?:string, fallbackAddress?:string}} input
+ * @param {Function} callback - Node-style callback (err, snapshot|null).
+ */
+const resolveDeliveryAddress = (userId, input, callback) => {
+    const rawId = input.addressId;
+    const addressId = Number.parseInt(rawId, 10);
+
+    if (rawId !== undefined && rawId !== null && rawId !== '' && rawId !== 'other') {
+        if (!Number.isFinite(addressId)) {
+            return callback(new Error('Selected address not found.'));
+        }
+        return UserAddress.findById(addressId, userId, (err, address) => {
+            if (err) {
+                return callback(err);
+            }
+            if (!address) {
+                return callback(new Error('Selected address not found.'));
+            }
+            return callback(null, UserAddress.toSnapshot(address));
+        });
+    }
+
+    const typedAddress = sanitiseDeliveryAddress(input.address);
+    if (typedAddress) {
+        return callback(null, { ...EMPTY_DELIVERY_SNAPSHOT, deliveryAddress: typedAddress });
+    }
+
+    UserAddress.findDefault(userId, (err, address) => {
+        if (err) {
+            return callback(err);
+        }
+        if (address) {
+            return callback(null, UserAddress.toSnapshot(address));
+        }
+        const fallback = sanitiseDeliveryAddress(input.fallbackAddress);
+        return callback(null, fallback ? { ...EMPTY_DELIVERY_SNAPSHOT, deliveryAddress: fallback } : null);
+    });
+};
+
+/**
+ * Check the chosen delivery/pickup slot still has room. When slots are configured for the
+ * method one must be picked; with none configured checkout carries on without a slot.
+ * @param {number} userId - Shopper checking out; their own PayPal hold does not count against them.
+ * @param {string} deliveryMethod
+ * @param {string|number} slotInput - Submitted slot id.
+ * @param {Function} callback - Node-style callback (err, {id, label, isExpress}|null).
+ */
+const resolveDeliverySlot = (userId, deliveryMethod, slotInput, callback) => {
+    if (slotInput === undefined || slotInput === null || slotInput === '') {
+        return DeliverySlot.countUpcoming(deliveryMethod, (countErr, count) => {
+            if (countErr) {
+                return callback(countErr);
+            }
+            if (count > 0) {
+                return callback(new Error(`Please choose a ${deliveryMethod} time slot.`));
+            }
+            return callback(null, null);
+        });
+    }
+
+    const slotId = Number.parseInt(slotInput, 10);
+    if (!Number.isFinite(slotId)) {
+        return callback(new Error('The selected time slot no longer exists.'));
+    }
+
+    DeliverySlot.getBooking(slotId, userId, false, (err, booking) => {
+        if (err) {
+            return callback(err);
+        }
+        const bookingError = DeliverySlot.bookingError(booking.slot, booking.booked, deliveryMethod);
+        if (bookingError) {
+            return callback(new Error(bookingError));
+        }
+        return callback(null, {
+            id: booking.slot.id,
+            label: DeliverySlot.formatWindow(booking.slot),
+            isExpress: Boolean(booking.slot.is_express)
+        });
+    });
+};
+
+/**
+ * Attach a readable slot label to order rows selected with the slot columns.
+ */
+const withSlotLabel = (order) => ({
+    ...order,
+    slot_label: order.slot_date
+        ? DeliverySlot.formatWindow({
+            slot_date: order.slot_date,
+            start_time: order.slot_start_time,
+            end_time: order.slot_end_time
+        })
+        : null
+});
+
 const loadCartFromDb = (req, callback) => {
     if (!req.session.user) {
         req.session.cart = [];
@@ -99,7 +265,8 @@ const loadCartFromDb = (req, callback) => {
                 offerMessage: decorated.offerMessage,
                 hasDiscount: decorated.hasDiscount,
                 quantity: item.quantity,
-                image: item.image
+                image: item.image,
+                category: item.category
             };
         });
 
@@ -133,27 +300,104 @@ const getCheckoutContext = (req, overrides = {}) => new Promise((resolve, reject
 
         const deliveryMethodInput = overrides.deliveryMethod ?? req.body.deliveryMethod;
         const deliveryMethod = deliveryMethodInput === 'delivery' ? 'delivery' : 'pickup';
-        const rawAddress = overrides.deliveryAddress ?? req.body.deliveryAddress ?? req.session.user.address;
-        const deliveryAddress = deliveryMethod === 'delivery'
-            ? sanitiseDeliveryAddress(rawAddress)
-            : null;
-
-        if (deliveryMethod === 'delivery' && !deliveryAddress) {
-            return reject(new Error('Please provide a delivery address.'));
-        }
-
-        const deliveryFee = computeDeliveryFee(req.session.user, deliveryMethod);
-        const subtotal = calculateCartSubtotal(cartItems);
-        const total = Number((subtotal + deliveryFee).toFixed(2));
-
-        return resolve({
-            cartItems,
-            deliveryMethod,
-            deliveryAddress,
-            deliveryFee,
-            subtotal: Number(subtotal.toFixed(2)),
-            total
-        });
+
+        const withDelivery = (next) => {
+            if (deliveryMethod !== 'delivery') {
+                return next(EMPTY_DELIVERY_SNAPSHOT);
+            }
+            return resolveDeliveryAddress(req.session.user.id, {
+                addressId: overrides.addressId ?? req.body.addressId,
+                address: overrides.deliveryAddress ?? req.body.deliveryAddress,
+                fallbackAddress: req.session.user.address
+            }, (addressErr, snapshot) => {
+                if (addressErr) {
+                    return reject(addressErr);
+                }
+                if (!snapshot) {
+                    return reject(new Error('Please provide a delivery address.'));
+                }
+                return next(snapshot);
+            });
+        };
+
+        const withSlot = (next) => {
+            const slotInput = overrides.slotId ?? req.body.slotId;
+            // Fee quotes are requested before the shopper has picked a slot.
+            if (overrides.quoteOnly && (slotInput === undefined || slotInput === null || slotInput === '')) {
+                return next(null);
+            }
+            resolveDeliverySlot(req.session.user.id, deliveryMethod, slotInput, (slotErr, slot) => {
+                if (slotErr) {
+                    return reject(slotErr);
+                }
+                return next(slot);
+            });
+        };
+
+        withDelivery((delivery) => withSlot((slot) => {
+            const subtotal = Number(calculateCartSubtotal(cartItems).toFixed(2));
+            const promoCodeInput = overrides.promoCode ?? req.session.promoCode;
+
+            const finalise = (promoResult) => {
+                const discountAmount = promoResult ? promoResult.discountAmount : 0;
+
+                DeliveryFeeRule.findActive((rulesErr, rules) => {
+                    if (rulesErr) {
+                        return reject(rulesErr);
+                    }
+
+                    const quote = computeDeliveryFee(rules, {
+                        user: req.session.user,
+                        deliveryMethod,
+                        waiveReason: promoResult && promoResult.freeDelivery
+                            ? `Free delivery (${promoResult.promo.code})`
+                            : null,
+                        postalCode: delivery.deliveryPostalCode || DeliveryFeeRule.extractPostalCode(delivery.deliveryAddress),
+                        subtotal: subtotal - discountAmount,
+                        express: Boolean(slot && slot.isExpress)
+                    });
+                    const deliveryFee = quote.fee;
+                    const total = Number((subtotal - discountAmount + deliveryFee).toFixed(2));
+                    const orderTax = tax.computeOrderTax(cartItems, { discountAmount, deliveryFee });
+
+                    return resolve({
+                        cartItems,
+                        deliveryMethod,
+                        ...delivery,
+                        slot,
+                        deliveryFee,
+                        deliveryFeeLines: quote.lines,
+                        deliveryZone: quote.zone,
+                        taxRate: orderTax.rate,
+                        taxAmount: orderTax.taxAmount,
+                        subtotal,
+                        discountAmount,
+                        promo: promoResult
+                            ? {
+                                id: promoResult.promo.id,
+                                code: promoResult.promo.code,
+                                discountType: promoResult.promo.discount_type,
+                                freeDelivery: promoResult.freeDelivery
+                            }
+                            : null,
+                        total
+                    });
+                });
+            };
+
+            if (!promoCodeInput) {
+                return finalise(null);
+            }
+
+            PromoCode.resolveForCheckout(promoCodeInput, req.session.user.id, cartItems, subtotal, (promoErr, promoResult) => {
+                if (promoErr) {
+                    // Drop a code that no longer applies so the shopper sees the undiscounted total.
+                    req.session.promoCode = null;
+                    return reject(promoErr);
+                }
+                return finalise(promoResult);
+            });
+        }));
     });
 });
 
@@ -165,12 +409,29 @@ const createOrderFromContext = (req, context) => new Promise((resolve, reject) =
     Order.create(req.session.user.id, context.cartItems, {
         deliveryMethod: context.deliveryMethod,
         deliveryAddress: context.deliveryAddress,
-        deliveryFee: context.deliveryFee
+        deliveryRecipient: context.deliveryRecipient,
+        deliveryContact: context.deliveryContact,
+        deliveryPostalCode: context.deliveryPostalCode,
+        deliverySlotId: context.slot ? context.slot.id : null,
+        deliveryFee: context.deliveryFee,
+        deliveryFeeBreakdown: context.deliveryFeeLines || [],
+        promoId: context.promo ? context.promo.id : null,
+        promoCode: context.promo ? context.promo.code : null,
+        discountAmount: context.discountAmount || 0
     }, (error, result) => {
         if (error) {
             return reject(error);
         }
 
+        req.session.promoCode = null;
+
+        // Number the tax invoice at the point of sale; it is issued on first view if this fails.
+        Invoice.ensureForOrder(result.orderId, (invoiceErr) => {
+            if (invoiceErr) {
+                console.error('Error issuing invoice number:', invoiceErr);
+            }
+        });
+
         Cart.clear(req.session.user.id, (clearErr) => {
             if (clearErr) {
                 console.error('Error clearing cart after checkout:', clearErr);
@@ -182,6 +443,152 @@ const createOrderFromContext = (req, context) => new Promise((resolve, reject) =
     });
 });
 
+/**
+ * Hold the checkout's line items and totals while the shopper approves a PayPal payment.
+ */
+const reserveCheckout = (req, context) => new Promise((resolve, reject) => {
+    StockReservation.expireStale((expireErr) => {
+        if (expireErr) {
+            console.error('Error expiring stale reservations:', expireErr);
+        }
+
+        StockReservation.create(req.session.user.id, {
+            items: context.cartItems,
+            deliveryMethod: context.deliveryMethod,
+            deliveryAddress: context.deliveryAddress,
+            deliveryRecipient: context.deliveryRecipient,
+            deliveryContact: context.deliveryContact,
+            deliveryPostalCode: context.deliveryPostalCode,
+            deliverySlotId: context.slot ? context.slot.id : null,
+            deliveryFee: context.deliveryFee,
+            deliveryFeeBreakdown: context.deliveryFeeLines || [],
+            subtotal: context.subtotal,
+            promoId: context.promo ? context.promo.id : null,
+            promoCode: context.promo ? context.promo.code : null,
+            discountAmount: context.discountAmount || 0,
+            total: context.total
+        }, RESERVATION_MINUTES, (err, result) => {
+            if (err) {
+                return reject(err);
+            }
+            return resolve(result);
+        });
+    });
+});
+
+const attachReservationToPaypalOrder = (reservationId, paypalOrderId) => new Promise((resolve, reject) => {
+    StockReservation.attachProviderOrder(reservationId, paypalOrderId, (err) => {
+        if (err) {
+            return reject(err);
+        }
+        return resolve();
+    });
+});
+
+const closeReservation = (reservationId, status, details = {}) => new Promise((resolve, reject) => {
+    StockReservation.close(reservationId, status, details, (err) => {
+        if (err) {
+            return reject(err);
+        }
+        return resolve();
+    });
+});
+
+const findReservation = (req, paypalOrderId) => new Promise((resolve, reject) => {
+    StockReservation.findByProviderOrder(paypalOrderId, req.session.user.id, (err, reservation) => {
+        if (err) {
+            return reject(err);
+        }
+        return resolve(reservation);
+    });
+});
+
+/**
+ * Refund a capture that cannot be turned into an order and close its reservation.
+ * When PayPal does not accept the refund the reservation is closed as refund_failed,
+ * keeping the capture reference for staff to reconcile, and the promise rejects.
+ */
+const refundReservationCapture = (reservation, captureId) => paypal.refundCapture(captureId, null)
+    .catch((refundErr) => {
+        console.error('PayPal refund request failed for unmatched capture:', captureId, refundErr);
+        return null;
+    })
+    .then((refundResponse) => {
+        if (!refundResponse || (refundResponse.status !== 'COMPLETED' && refundResponse.status !== 'PENDING')) {
+            console.error('PayPal refund failed for unmatched capture:', captureId, refundResponse);
+            return closeReservation(reservation.id, 'refund_failed', { captureReference: captureId })
+                .then(() => {
+                    throw new Error(`Your payment could not be refunded automatically. Please contact the store quoting PayPal capture ${captureId}.`);
+                });
+        }
+        return closeReservation(reservation.id, 'refunded', {
+            captureReference: captureId,
+            refundReference: refundResponse.id || null
+        });
+    });
+
+/**
+ * Turn a captured reservation into an order using the reserved line items and totals.
+ */
+const createOrderFromReservation = (req, reservation, captureId) => new Promise((resolve, reject) => {
+    StockReservation.consume(reservation.id, captureId, (consumeErr) => {
+        if (consumeErr) {
+            return reject(consumeErr);
+        }
+        return resolve();
+    });
+})
+    .then(() => createOrderFromContext(req, {
+        cartItems: reservation.items,
+        deliveryMethod: reservation.delivery_method,
+        deliveryAddress: reservation.delivery_address,
+        deliveryRecipient: reservation.delivery_recipient,
+        deliveryContact: reservation.delivery_contact,
+        deliveryPostalCode: reservation.delivery_postal_code,
+        slot: reservation.delivery_slot_id ? { id: reservation.delivery_slot_id } : null,
+        deliveryFee: Number(reservation.delivery_fee || 0),
+        deliveryFeeLines: parseFeeBreakdown(reservation.delivery_fee_breakdown),
+        promo: reservation.promo_code_id
+            ? { id: reservation.promo_code_id, code: reservation.promo_code }
+            : null,
+        discountAmount: Number(reservation.discount_amount || 0)
+    }))
+    .then((orderResult) => new Promise((resolve) => {
+        StockReservation.linkOrder(reservation.id, orderResult.orderId, (linkErr) => {
+            if (linkErr) {
+                console.error('Error linking reservation to order:', linkErr);
+            }
+            return resolve(orderResult);
+        });
+    }));
+
+/**
+ * Price delivery for the shopper's cart and current selection so the cart page can show the breakdown.
+ */
+const quoteDelivery = (req, res) => {
+    getCheckoutContext(req, { quoteOnly: true })
+        .then((context) => res.json({
+            deliveryMethod: context.deliveryMethod,
+            zone: context.deliveryZone,
+            lines: context.deliveryFeeLines,
+            deliveryFee: context.deliveryFee,
+            subtotal: context.subtotal,
+            discountAmount: context.discountAmount,
+            taxRate: context.taxRate,
+            taxAmount: context.taxAmount,
+            total: context.total
+        }))
+        .catch((err) => {
+            if (err.code) {
+                console.error('Error quoting delivery fee:', err);
+            }
+            res.status(400).json({
+                error: 'Unable to price delivery',
+                message: err.code ? 'Unable to price delivery right now.' : err.message
+            });
+        });
+};
+
 /**
  * Handle checkout and order creation.
  */
@@ -189,7 +596,10 @@ const checkout = (req, res) => {
     getCheckoutContext(req)
         .then((context) => createOrderFromContext(req, context)
             .then(() => {
-                req.flash('success', `Thanks for your purchase! ${context.deliveryMethod === 'delivery' ? 'We will deliver your order shortly.' : 'Pickup details will be shared soon.'}`);
+                const slotNote = context.slot
+                    ? `Your ${context.deliveryMethod} slot is ${context.slot.label}.`
+                    : (context.deliveryMethod === 'delivery' ? 'We will deliver your order shortly.' : 'Pickup details will be shared soon.');
+                req.flash('success', `Thanks for your purchase! ${slotNote}`);
                 return res.redirect('/orders/history');
             })
             .catch((error) => {
@@ -218,25 +628,33 @@ const history = (req, res) => {
     }
 
     const sessionUser = req.session.user;
-    const isAdmin = sessionUser && sessionUser.role === 'admin';
-    const onErrorRedirect = isAdmin ? '/admin/deliveries' : '/shopping';
+    const isStaff = permissions.hasPermission(sessionUser, 'orders.fulfil');
+    const onErrorRedirect = isStaff ? '/admin/deliveries' : '/shopping';
 
-    const ordersFetcher = isAdmin
-        ? (cb) => Order.findAllWithUsers(cb)
-        : (cb) => Order.findByUser(sessionUser.id, cb);
+    const paging = pagination.fromQuery(req.query, HISTORY_PAGE_SIZE);
+    const ordersFetcher = isStaff
+        ? (cb) => Order.findAllWithUsers(paging, cb)
+        : (cb) => Order.findByUser(sessionUser.id, paging, cb);
 
-    ordersFetcher((ordersError, orderRows) => {
+    ordersFetcher((ordersError, orderRows, totalOrders) => {
         if (ordersError) {
             console.error('Error fetching purchase history:', ordersError);
             req.flash('error', 'Unable to load purchase history.');
             return res.redirect(onErrorRedirect);
         }
 
+        const pageInfo = pagination.build('/orders/history', req.query, paging, totalOrders);
+        if (paging.page > pageInfo.totalPages) {
+            return res.redirect(pageInfo.lastUrl);
+        }
+
         const orders = (orderRows || []).map((order) => ({
-            ...order,
+            ...withSlotLabel(order),
             delivery_method: order.delivery_method || 'pickup',
             delivery_address: order.delivery_address,
-            delivery_fee: Number(order.delivery_fee || 0)
+            delivery_fee: Number(order.delivery_fee || 0),
+            fulfilment_status: order.fulfilment_status || 'pending',
+            delivery_editable: Order.isDeliveryEditable(order.fulfilment_status)
         }));
         const orderIds = orders.map(order => order.id);
 
@@ -272,19 +690,58 @@ const history = (req, res) => {
                     return acc;
                 }, {});
 
-                Order.getBestSellers(4, (bestErr, bestRows) => {
-                    if (bestErr) {
-                        console.error('Error fetching best sellers:', bestErr);
+                Order.findStatusHistoryByOrderIds(orderIds, (historyErr, historyRows) => {
+                    if (historyErr) {
+                        console.error('Error fetching order status history:', historyErr);
                     }
 
-                    res.render('orderHistory', {
-                        user: sessionUser,
-                        orders,
-                        orderItems: itemsByOrder,
-                        refundRequests: refundRequestsByOrder,
-                        bestSellers: (bestRows || []).map(decorateProduct),
-                        messages: req.flash('success'),
-                        errors: req.flash('error')
+                    Order.getBestSellers(4, (bestErr, bestRows) => {
+                        if (bestErr) {
+                            console.error('Error fetching best sellers:', bestErr);
+                        }
+
+                        // Staff edit deliveries as free text; shoppers pick from their address book.
+                        const addressFetcher = isStaff
+                            ? (cb) => cb(null, [])
+                            : (cb) => UserAddress.findByUser(sessionUser.id, cb);
+
+                        addressFetcher((addressErr, addressRows) => {
+                            if (addressErr) {
+                                console.error('Error fetching saved addresses:', addressErr);
+                            }
+
+                            CreditNote.findByOrderIds(orderIds, (notesErr, noteRows) => {
+                                if (notesErr) {
+                                    console.error('Error fetching credit notes:', notesErr);
+                                }
+
+                                const creditNotesByOrder = (noteRows || []).reduce((acc, row) => {
+                                    if (!acc[row.order_id]) {
+                                        acc[row.order_id] = [];
+                                    }
+                                    acc[row.order_id].push(row);
+                                    return acc;
+                                }, {});
+
+                                res.render('orderHistory', {
+                                    user: sessionUser,
+                                    orders,
+                                    orderItems: itemsByOrder,
+                                    refundRequests: refundRequestsByOrder,
+                                    creditNotes: creditNotesByOrder,
+                                    statusHistory: groupStatusHistory(historyRows),
+                                    fulfilmentLabels: Order.FULFILMENT_LABELS,
+                                    pagination: pageInfo,
+                                    addresses: (addressRows || []).map((address) => ({
+                                        ...address,
+                                        line: UserAddress.formatLine(address)
+                                    })),
+                                    bestSellers: (bestRows || []).map(decorateProduct),
+                                    messages: req.flash('success'),
+                                    errors: req.flash('error')
+                                });
+                            });
+                        });
                     });
                 });
             });
@@ -292,15 +749,48 @@ const history = (req, res) => {
     });
 };
 
+/**
+ * Slots on a given day with the orders booked into each, for drivers and pickup staff.
+ */
+const loadSlotManifest = (date, callback) => {
+    DeliverySlot.findByDate(date, (slotErr, slotRows) => {
+        if (slotErr) {
+            return callback(slotErr);
+        }
+        Order.findBySlotDate(date, (orderErr, orderRows) => {
+            if (orderErr) {
+                return callback(orderErr);
+            }
+            const manifest = (slotRows || []).map((slot) => ({
+                ...slot,
+                label: DeliverySlot.formatWindow(slot),
+                booked: Number(slot.booked || 0),
+                orders: (orderRows || []).filter((order) => order.delivery_slot_id === slot.id)
+            }));
+            return callback(null, manifest);
+        });
+    });
+};
+
 const listAllDeliveries = (req, res) => {
-    Order.findAllWithUsers((orderErr, orderRows) => {
+    const paging = pagination.fromQuery(req.query, DELIVERIES_PAGE_SIZE);
+    const manifestDate = /^\d{4}-\d{2}-\d{2}$/.test(req.query.manifestDate || '')
+        ? req.query.manifestDate
+        : DeliverySlot.formatDateKey(new Date());
+
+    Order.findAllWithUsers(paging, (orderErr, orderRows, totalOrders) => {
         if (orderErr) {
             console.error('Error fetching deliveries:', orderErr);
             req.flash('error', 'Unable to load deliveries.');
             return res.redirect('/inventory');
         }
 
-        const orders = orderRows || [];
+        const pageInfo = pagination.build('/admin/deliveries', req.query, paging, totalOrders);
+        if (paging.page > pageInfo.totalPages) {
+            return res.redirect(pageInfo.lastUrl);
+        }
+
+        const orders = (orderRows || []).map(withSlotLabel);
         const warningById = orders.reduce((acc, order) => {
             const totalAmount = Number(order.total || 0);
             acc[order.id] = {
@@ -355,6 +845,9 @@ const listAllDeliveries = (req, res) => {
 
                     const ordersWithRefunds = orders.map((order) => ({
                         ...order,
+                        fulfilment_status: order.fulfilment_status || 'pending',
+                        next_statuses: Order.getNextFulfilmentStatuses(order.fulfilment_status, order.delivery_method),
+                        delivery_editable: Order.isDeliveryEditable(order.fulfilment_status),
                         refunded_total: refundMap[order.id] || 0,
                         refund_request: requestMap[order.id] || null
                     }));
@@ -371,12 +864,29 @@ const listAllDeliveries = (req, res) => {
                         };
                     });
 
-                    res.render('adminDeliveries', {
-                        user: req.session.user,
-                        orders: ordersWithAlerts,
-                        orderItems: itemsByOrder,
-                        messages: req.flash('success'),
-                        errors: req.flash('error')
+                    Order.findStatusHistoryByOrderIds(orderIds, (historyErr, historyRows) => {
+                        if (historyErr) {
+                            console.error('Error fetching order status history:', historyErr);
+                        }
+
+                        loadSlotManifest(manifestDate, (manifestErr, manifest) => {
+                            if (manifestErr) {
+                                console.error('Error loading slot manifest:', manifestErr);
+                            }
+
+                            res.render('adminDeliveries', {
+                                user: req.session.user,
+                                orders: ordersWithAlerts,
+                                orderItems: itemsByOrder,
+                                statusHistory: groupStatusHistory(historyRows),
+                                fulfilmentLabels: Order.FULFILMENT_LABELS,
+                                pagination: pageInfo,
+                                manifestDate,
+                                manifest: manifest || [],
+                                messages: req.flash('success'),
+                                errors: req.flash('error')
+                            });
+                        });
                     });
                 });
             });
@@ -384,83 +894,282 @@ const listAllDeliveries = (req, res) => {
     });
 };
 
+/**
+ * Check whether an order was placed with a free-delivery promo code,
+ * so later delivery changes keep the fee waived.
+ */
+const orderHasFreeDeliveryPromo = (order, callback) => {
+    if (!order || !order.promo_code) {
+        return callback(null, false);
+    }
+    PromoCode.findByCode(order.promo_code, (err, rows) => {
+        if (err) {
+            return callback(err, false);
+        }
+        return callback(null, Boolean(rows && rows[0] && rows[0].discount_type === 'free_delivery'));
+    });
+};
+
 const updateDeliveryDetails = (req, res) => {
     const orderId = parseInt(req.params.id, 10);
     if (!Number.isFinite(orderId)) {
         req.flash('error', 'Invalid order selected.');
-        return res.redirect(req.session.user && req.session.user.role === 'admin' ? '/admin/deliveries' : '/orders/history');
+        return res.redirect(permissions.hasPermission(req.session.user, 'orders.fulfil') ? '/admin/deliveries' : '/orders/history');
     }
 
     Order.findById(orderId, (orderErr, orderRows) => {
         if (orderErr) {
             console.error('Error locating order for delivery update:', orderErr);
             req.flash('error', 'Unable to update delivery.');
-            return res.redirect(req.session.user && req.session.user.role === 'admin' ? '/admin/deliveries' : '/orders/history');
+            return res.redirect(permissions.hasPermission(req.session.user, 'orders.fulfil') ? '/admin/deliveries' : '/orders/history');
         }
 
         if (!orderRows || !orderRows.length) {
             req.flash('error', 'Order not found.');
-            return res.redirect(req.session.user && req.session.user.role === 'admin' ? '/admin/deliveries' : '/orders/history');
+            return res.redirect(permissions.hasPermission(req.session.user, 'orders.fulfil') ? '/admin/deliveries' : '/orders/history');
         }
 
         const order = orderRows[0];
         const sessionUser = req.session.user;
-        const isAdmin = sessionUser && sessionUser.role === 'admin';
+        const isStaff = permissions.hasPermission(sessionUser, 'orders.fulfil');
         const isOwner = sessionUser && sessionUser.id === order.user_id;
 
-        if (!isAdmin && !isOwner) {
+        if (!isStaff && !isOwner) {
             req.flash('error', 'You are not authorised to update this delivery.');
             return res.redirect('/orders/history');
         }
 
-        User.findById(order.user_id, (userErr, userRows) => {
-            if (userErr) {
-                console.error('Error fetching user for delivery update:', userErr);
-                req.flash('error', 'Unable to update delivery.');
-                return res.redirect(isAdmin ? '/admin/deliveries' : '/orders/history');
-            }
-
-            const account = userRows && userRows[0];
-            const deliveryMethod = req.body.deliveryMethod === 'delivery' ? 'delivery' : 'pickup';
-            const requestedAddress = sanitiseDeliveryAddress(req.body.deliveryAddress) || (account ? account.address : null);
-            const waiveFee = isAdmin && (req.body.waiveFee === 'on' || req.body.waiveFee === 'true');
-            const deliveryFee = computeDeliveryFee(account, deliveryMethod, waiveFee);
-            const redirectPath = isAdmin ? '/admin/deliveries' : '/orders/history';
+        if (!Order.isDeliveryEditable(order.fulfilment_status)) {
+            req.flash('error', 'Delivery details can no longer be changed once an order has shipped.');
+            return res.redirect(isStaff ? '/admin/deliveries' : '/orders/history');
+        }
 
-            if (deliveryMethod === 'delivery' && !requestedAddress) {
-                req.flash('error', 'Delivery address is required.');
-                return res.redirect(redirectPath);
+        orderHasFreeDeliveryPromo(order, (promoErr, promoFreeDelivery) => {
+            if (promoErr) {
+                console.error('Error checking promo code for delivery update:', promoErr);
             }
 
-            Order.updateDelivery(orderId, {
-                deliveryMethod,
-                deliveryAddress: deliveryMethod === 'delivery' ? requestedAddress : null,
-                deliveryFee
-            }, (updateErr) => {
-                if (updateErr) {
-                    console.error('Error updating delivery details:', updateErr);
-                    req.flash('error', 'Unable to update delivery right now.');
-                    return res.redirect(redirectPath);
+            User.findById(order.user_id, (userErr, userRows) => {
+                if (userErr) {
+                    console.error('Error fetching user for delivery update:', userErr);
+                    req.flash('error', 'Unable to update delivery.');
+                    return res.redirect(isStaff ? '/admin/deliveries' : '/orders/history');
                 }
 
-                if (!isAdmin && sessionUser && deliveryMethod === 'delivery') {
-                    sessionUser.address = requestedAddress;
+                const account = userRows && userRows[0];
+                const deliveryMethod = req.body.deliveryMethod === 'delivery' ? 'delivery' : 'pickup';
+                let waiveReason = null;
+                if (promoFreeDelivery) {
+                    waiveReason = `Free delivery (${order.promo_code})`;
+                } else if (isStaff && (req.body.waiveFee === 'on' || req.body.waiveFee === 'true')) {
+                    waiveReason = 'Delivery fee waived';
                 }
+                const redirectPath = isStaff ? '/admin/deliveries' : '/orders/history';
+
+                const applyDelivery = (delivery) => {
+                    DeliveryFeeRule.findActive((rulesErr, rules) => {
+                        if (rulesErr) {
+                            console.error('Error loading delivery fee rules:', rulesErr);
+                            req.flash('error', 'Unable to update delivery right now.');
+                            return res.redirect(redirectPath);
+                        }
 
-                req.flash('success', 'Delivery details updated.');
-                return res.redirect(redirectPath);
+                        // The booked slot is kept only when the method stays the same.
+                        const quote = computeDeliveryFee(rules, {
+                            user: account,
+                            deliveryMethod,
+                            waiveReason,
+                            postalCode: delivery.deliveryPostalCode || DeliveryFeeRule.extractPostalCode(delivery.deliveryAddress),
+                            subtotal: Number(order.total || 0) - Number(order.delivery_fee || 0),
+                            express: deliveryMethod === order.delivery_method && Boolean(order.slot_is_express)
+                        });
+
+                        Order.updateDelivery(orderId, {
+                            deliveryMethod,
+                            ...delivery,
+                            deliveryFee: quote.fee,
+                            deliveryFeeBreakdown: quote.lines
+                        }, (updateErr) => {
+                            if (updateErr) {
+                                console.error('Error updating delivery details:', updateErr);
+                                req.flash('error', updateErr.message || 'Unable to update delivery right now.');
+                                return res.redirect(redirectPath);
+                            }
+
+                            // Shoppers changing their own delivery are not back-office changes, so only staff edits are logged.
+                            if (isStaff) {
+                                const staffWaived = waiveReason === 'Delivery fee waived';
+                                audit.record(req, {
+                                    action: staffWaived ? 'order.fee_waive' : 'order.delivery_update',
+                                    targetType: 'order',
+                                    targetId: orderId,
+                                    ...audit.changes({
+                                        deliveryMethod: order.delivery_method,
+                                        deliveryAddress: order.delivery_address,
+                                        deliveryRecipient: order.delivery_recipient,
+                                        deliveryContact: order.delivery_contact,
+                                        deliveryPostalCode: order.delivery_postal_code,
+                                        deliveryFee: order.delivery_fee
+                                    }, {
+                                        deliveryMethod,
+                                        ...delivery,
+                                        deliveryFee: quote.fee
+                                    })
+                                });
+                            }
+                            req.flash('success', `Delivery details updated. Delivery fee: $${quote.fee.toFixed(2)}.`);
+                            return res.redirect(redirectPath);
+                        });
+                    });
+                };
+
+                if (deliveryMethod !== 'delivery') {
+                    return applyDelivery(EMPTY_DELIVERY_SNAPSHOT);
+                }
+
+                resolveDeliveryAddress(order.user_id, {
+                    addressId: req.body.addressId,
+                    address: req.body.deliveryAddress,
+                    fallbackAddress: account ? account.address : null
+                }, (addressErr, delivery) => {
+                    if (addressErr) {
+                        if (!addressErr.code) {
+                            req.flash('error', addressErr.message);
+                        } else {
+                            console.error('Error resolving delivery address:', addressErr);
+                            req.flash('error', 'Unable to update delivery right now.');
+                        }
+                        return res.redirect(redirectPath);
+                    }
+
+                    if (!delivery) {
+                        req.flash('error', 'Delivery address is required.');
+                        return res.redirect(redirectPath);
+                    }
+
+                    return applyDelivery(delivery);
+                });
             });
         });
     });
 };
 
 /**
- * Render a printable invoice for an order.
+ * Advance an order to its next fulfilment status (needs orders.fulfil).
  */
-const invoice = (req, res) => {
+const updateFulfilmentStatus = (req, res) => {
+    const orderId = parseInt(req.params.id, 10);
+    const nextStatus = (req.body.status || '').trim();
+    const note = (req.body.note || '').trim().slice(0, 255) || null;
+
+    if (!Number.isFinite(orderId)) {
+        req.flash('error', 'Invalid order selected.');
+        return res.redirect('/admin/deliveries');
+    }
+
+    if (nextStatus === 'cancelled') {
+        req.body.reason = note || '';
+        return cancelOrder(req, res);
+    }
+
+    Order.updateFulfilmentStatus(orderId, nextStatus, {
+        changedBy: req.session.user.id,
+        note
+    }, (err, result) => {
+        if (err) {
+            console.error('Error updating fulfilment status:', err);
+            req.flash('error', err.message || 'Unable to update order status.');
+            return res.redirect('/admin/deliveries');
+        }
+
+        audit.record(req, {
+            action: 'order.status',
+            targetType: 'order',
+            targetId: orderId,
+            before: { status: result.previousStatus },
+            after: { status: result.status, note }
+        });
+        req.flash('success', `Order #${orderId} marked as ${Order.FULFILMENT_LABELS[result.status].toLowerCase()}.`);
+        return res.redirect('/admin/deliveries');
+    });
+};
+
+// Paid PayPal orders are the ones a cancellation has money to return on.
+const hasRefundableCapture = (order) => order.payment_method === 'paypal'
+    && Boolean(order.payment_reference)
+    && ['paid', 'partially_refunded'].includes(order.payment_status);
+
+/**
+ * Issue a full PayPal refund for a paid order being cancelled.
+ * Resolves with null when the order has nothing to refund.
+ */
+const refundCancelledOrder = (order, callback) => {
+    if (!hasRefundableCapture(order)) {
+        return callback(null, null);
+    }
+
+    paypal.refundCapture(order.payment_reference, null)
+        .then((refundResponse) => {
+            if (!refundResponse || (refundResponse.status !== 'COMPLETED' && refundResponse.status !== 'PENDING')) {
+                console.error('PayPal refund failed during cancellation:', refundResponse);
+                throw new Error('PayPal refund failed.');
+            }
+            const refundedValue = refundResponse.amount && refundResponse.amount.value
+                ? Number.parseFloat(refundResponse.amount.value)
+                : Number.parseFloat(order.total);
+            return {
+                status: 'refunded',
+                amount: refundedValue,
+                reference: refundResponse.id,
+                payload: JSON.stringify(refundResponse)
+            };
+        })
+        .then(
+            (refund) => setImmediate(() => callback(null, refund)),
+            (error) => setImmediate(() => callback(error))
+        );
+};
+
+/**
+ * Put a cancelled order's payment in front of finance as a refund request, for when it
+ * could not be refunded as part of the cancellation. Only the amount not already refunded
+ * is requested; calls back with that amount, or null when nothing is left to refund.
+ */
+const requestCancellationRefund = (order, reason, callback) => {
+    Payment.getRefundTotals([order.id], (totalsErr, totals) => {
+        if (totalsErr) {
+            return callback(totalsErr);
+        }
+        const refunded = totals && totals.length ? Number.parseFloat(totals[0].refunded_total) || 0 : 0;
+        const outstanding = Number((Number.parseFloat(order.total) - refunded).toFixed(2));
+        if (!(outstanding > 0)) {
+            return callback(null, null);
+        }
+        return RefundRequest.createRequest(order.id, order.user_id, outstanding, reason, (createErr) => {
+            if (createErr) {
+                return callback(createErr);
+            }
+            return callback(null, outstanding);
+        });
+    });
+};
+
+/**
+ * Cancel an order and restock its items. Shoppers may cancel their own orders
+ * until packing starts; staff who fulfil orders may cancel any order that has not shipped.
+ * The PayPal refund is only sent straight away for shoppers and staff who can issue refunds
+ * (refunds.execute); otherwise a refund request is opened for finance.
+ */
+const cancelOrder = (req, res) => {
     const orderId = parseInt(req.params.id, 10);
     const sessionUser = req.session.user;
-    const redirectPath = sessionUser && sessionUser.role === 'admin' ? '/admin/deliveries' : '/orders/history';
+    const isStaff = permissions.isStaffRole(sessionUser.role);
+    const redirectPath = isStaff ? '/admin/deliveries' : '/orders/history';
+
+    if (isStaff && !permissions.hasPermission(sessionUser, 'orders.fulfil')) {
+        req.flash('error', 'You do not have permission to do that.');
+        return res.redirect(permissions.homePageFor(sessionUser));
+    }
 
     if (!Number.isFinite(orderId)) {
         req.flash('error', 'Invalid order selected.');
@@ -469,8 +1178,8 @@ const invoice = (req, res) => {
 
     Order.findById(orderId, (orderErr, orderRows) => {
         if (orderErr) {
-            console.error('Error fetching order for invoice:', orderErr);
-            req.flash('error', 'Unable to load invoice.');
+            console.error('Error locating order for cancellation:', orderErr);
+            req.flash('error', 'Unable to cancel order.');
             return res.redirect(redirectPath);
         }
 
@@ -480,58 +1189,307 @@ const invoice = (req, res) => {
         }
 
         const order = orderRows[0];
-        const isAdmin = sessionUser && sessionUser.role === 'admin';
         const isOwner = sessionUser && sessionUser.id === order.user_id;
 
-        if (!isAdmin && !isOwner) {
-            req.flash('error', 'You are not authorised to view this invoice.');
+        if (!isStaff && !isOwner) {
+            req.flash('error', 'You are not authorised to cancel this order.');
             return res.redirect(redirectPath);
         }
 
+        const reason = (req.body.reason || '').trim().slice(0, 255);
+        const canRefund = !isStaff || permissions.hasPermission(sessionUser, 'refunds.execute');
+        const options = {
+            changedBy: sessionUser.id,
+            note: reason || (isStaff ? 'Cancelled by store' : 'Cancelled by customer'),
+            refund: canRefund ? refundCancelledOrder : null
+        };
+        if (!isStaff) {
+            options.allowedStatuses = ['pending'];
+        }
+
+        Order.cancel(orderId, options, (cancelErr, result) => {
+            if (cancelErr) {
+                console.error('Error cancelling order:', cancelErr);
+                req.flash('error', cancelErr.message || 'Unable to cancel order.');
+                return res.redirect(redirectPath);
+            }
+
+            if (isStaff) {
+                audit.record(req, {
+                    action: 'order.cancel',
+                    targetType: 'order',
+                    targetId: orderId,
+                    before: { status: order.fulfilment_status, paymentStatus: order.payment_status },
+                    after: {
+                        status: 'cancelled',
+                        note: options.note,
+                        paymentStatus: result.refund ? result.refund.status : order.payment_status,
+                        refundAmount: result.refund ? result.refund.amount : null
+                    }
+                });
+            }
+
+            if (result.refund) {
+                if (result.refundError) {
+                    req.flash('error', `Order #${orderId} cancelled and $${Number(result.refund.amount).toFixed(2)} refunded to PayPal (refund ${result.refund.reference}), but the refund could not be recorded. Please reconcile it by hand.`);
+                } else {
+                    req.flash('success', `Order #${orderId} cancelled. A refund of $${Number(result.refund.amount).toFixed(2)} has been issued to PayPal.`);
+                }
+                return res.redirect(redirectPath);
+            }
+
+            if (!canRefund && hasRefundableCapture(order)) {
+                return requestCancellationRefund(order, `Order cancelled by store: ${options.note}`.slice(0, 255), (requestErr, requestedAmount) => {
+                    if (requestErr) {
+                        console.error('Error opening refund request for cancelled order:', requestErr);
+                        req.flash('error', `Order #${orderId} cancelled, but no refund request could be opened. Please ask finance to refund it.`);
+                    } else if (requestedAmount === null) {
+                        req.flash('success', `Order #${orderId} cancelled. Its payment has already been refunded in full.`);
+                    } else {
+                        req.flash('success', `Order #${orderId} cancelled. A refund request for $${requestedAmount.toFixed(2)} has been opened for the finance team.`);
+                    }
+                    return res.redirect(redirectPath);
+                });
+            }
+
+            if (!result.refundError) {
+                req.flash('success', `Order #${orderId} cancelled.`);
+                return res.redirect(redirectPath);
+            }
+
+            console.error('Error refunding cancelled order:', result.refundError);
+            return requestCancellationRefund(order, 'Automatic PayPal refund failed when the order was cancelled.', (requestErr, requestedAmount) => {
+                if (requestErr) {
+                    console.error('Error opening refund request for cancelled order:', requestErr);
+                    req.flash('error', `Order #${orderId} cancelled, but the PayPal refund failed and no refund request could be opened. Please contact the store.`);
+                } else if (requestedAmount === null) {
+                    req.flash('success', `Order #${orderId} cancelled. Its payment has already been refunded in full.`);
+                } else {
+                    req.flash('error', `Order #${orderId} cancelled, but the PayPal refund failed. A refund request for $${requestedAmount.toFixed(2)} has been opened for the finance team.`);
+                }
+                return res.redirect(redirectPath);
+            });
+        });
+    });
+};
+
+/**
+ * Gather everything the tax invoice shows. Prices are GST-inclusive, so the net
+ * figures are the totals less the GST recorded at checkout. The order's invoice
+ * number is issued the first time it is requested.
+ * @param {number} orderId
+ * @param {Object} sessionUser
+ * @param {Function} callback - Node-style callback (err, invoiceData). Errors without a code are safe to show.
+ */
+const loadInvoice = (orderId, sessionUser, callback) => {
+    Order.findById(orderId, (orderErr, orderRows) => {
+        if (orderErr) {
+            return callback(orderErr);
+        }
+
+        if (!orderRows || !orderRows.length) {
+            return callback(new Error('Order not found.'));
+        }
+
+        const order = withSlotLabel(orderRows[0]);
+        const isStaff = permissions.hasPermission(sessionUser, 'orders.fulfil', 'refunds.approve', 'refunds.execute');
+        const isOwner = sessionUser && sessionUser.id === order.user_id;
+
+        if (!isStaff && !isOwner) {
+            return callback(new Error('You are not authorised to view this invoice.'));
+        }
+
         User.findById(order.user_id, (userErr, userRows) => {
             if (userErr) {
-                console.error('Error fetching customer for invoice:', userErr);
-                req.flash('error', 'Unable to load invoice.');
-                return res.redirect(redirectPath);
+                return callback(userErr);
             }
 
             const customer = userRows && userRows[0] ? userRows[0] : {};
 
             Order.findItemsByOrderIds([orderId], (itemsErr, itemRows) => {
                 if (itemsErr) {
-                    console.error('Error fetching items for invoice:', itemsErr);
-                    req.flash('error', 'Unable to load invoice.');
-                    return res.redirect(redirectPath);
+                    return callback(itemsErr);
                 }
 
                 const items = (itemRows || [])
                     .filter((row) => row.order_id === orderId)
                     .map(normaliseOrderItem);
                 const deliveryFee = Number(order.delivery_fee || 0);
-                const subtotal = Number(order.total || 0) - deliveryFee;
-
-                res.render('invoice', {
-                    user: sessionUser,
-                    order,
-                    customer,
-                    items,
-                    totals: {
-                        subtotal: subtotal < 0 ? 0 : Number(subtotal.toFixed(2)),
-                        deliveryFee: deliveryFee > 0 ? Number(deliveryFee.toFixed(2)) : 0,
-                        total: Number(order.total || 0).toFixed(2)
+                const discountAmount = Number(order.discount_amount || 0);
+                const subtotal = Number(order.total || 0) - deliveryFee + discountAmount;
+                const taxAmount = Number(order.tax_amount || 0);
+                const itemTax = items.reduce((sum, item) => sum + Number(item.tax_amount || 0), 0);
+
+                Payment.getRefundTotals([orderId], (refundErr, refundRows) => {
+                    if (refundErr) {
+                        return callback(refundErr);
                     }
+
+                    Invoice.ensureForOrder(orderId, (invoiceErr, invoiceRow) => {
+                        if (invoiceErr) {
+                            return callback(invoiceErr);
+                        }
+
+                        CreditNote.findByOrderIds([orderId], (notesErr, creditNotes) => {
+                            if (notesErr) {
+                                return callback(notesErr);
+                            }
+
+                            const refund = refundRows && refundRows[0] ? refundRows[0] : {};
+                            const refunded = Number(refund.refunded_total || 0);
+                            const refundedTax = Number(refund.refunded_tax || 0);
+
+                            return callback(null, {
+                                invoice: invoiceRow,
+                                creditNotes: creditNotes || [],
+                                order,
+                                customer,
+                                items,
+                                gst: {
+                                    rate: Number(order.tax_rate || 0),
+                                    registrationNumber: tax.GST_REGISTRATION_NUMBER
+                                },
+                                totals: {
+                                    subtotal: subtotal < 0 ? 0 : Number(subtotal.toFixed(2)),
+                                    discount: discountAmount > 0 ? Number(discountAmount.toFixed(2)) : 0,
+                                    promoCode: order.promo_code || null,
+                                    deliveryFee: deliveryFee > 0 ? Number(deliveryFee.toFixed(2)) : 0,
+                                    deliveryLines: parseFeeBreakdown(order.delivery_fee_breakdown),
+                                    deliveryTax: Number(Math.max(0, taxAmount - itemTax).toFixed(2)),
+                                    net: Number((Number(order.total || 0) - taxAmount).toFixed(2)),
+                                    tax: Number(taxAmount.toFixed(2)),
+                                    total: Number(order.total || 0).toFixed(2),
+                                    refunded: Number(refunded.toFixed(2)),
+                                    refundedTax: Number(refundedTax.toFixed(2)),
+                                    netTaxAfterRefunds: Number((taxAmount - refundedTax).toFixed(2))
+                                }
+                            });
+                        });
+                    });
                 });
             });
         });
     });
 };
 
+const handleInvoiceError = (req, res, err, redirectPath) => {
+    if (err.code) {
+        console.error('Error loading invoice:', err);
+        req.flash('error', 'Unable to load invoice.');
+    } else {
+        req.flash('error', err.message);
+    }
+    return res.redirect(redirectPath);
+};
+
+/**
+ * Render a printable tax invoice for an order.
+ */
+const invoice = (req, res) => {
+    const orderId = parseInt(req.params.id, 10);
+    const sessionUser = req.session.user;
+    const redirectPath = permissions.hasPermission(sessionUser, 'orders.fulfil') ? '/admin/deliveries' : '/orders/history';
+
+    if (!Number.isFinite(orderId)) {
+        req.flash('error', 'Invalid order selected.');
+        return res.redirect(redirectPath);
+    }
+
+    loadInvoice(orderId, sessionUser, (err, data) => {
+        if (err) {
+            return handleInvoiceError(req, res, err, redirectPath);
+        }
+        return res.render('invoice', { user: sessionUser, ...data });
+    });
+};
+
+/**
+ * Download the tax invoice as a PDF, named after its invoice number.
+ */
+const invoicePdf = (req, res) => {
+    const orderId = parseInt(req.params.id, 10);
+    const sessionUser = req.session.user;
+    const redirectPath = permissions.hasPermission(sessionUser, 'orders.fulfil') ? '/admin/deliveries' : '/orders/history';
+
+    if (!Number.isFinite(orderId)) {
+        req.flash('error', 'Invalid order selected.');
+        return res.redirect(redirectPath);
+    }
+
+    loadInvoice(orderId, sessionUser, (err, data) => {
+        if (err) {
+            return handleInvoiceError(req, res, err, redirectPath);
+        }
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="${data.invoice.invoice_number}.pdf"`);
+        return pdf.renderInvoice(data, res);
+    });
+};
+
+/**
+ * Download the credit note issued for a refund.
+ */
+const creditNotePdf = (req, res) => {
+    const noteId = parseInt(req.params.id, 10);
+    const sessionUser = req.session.user;
+    const isFinance = permissions.hasPermission(sessionUser, 'refunds.approve', 'refunds.execute');
+    const redirectPath = isFinance ? '/admin/refunds' : '/orders/history';
+
+    if (!Number.isFinite(noteId)) {
+        req.flash('error', 'Invalid credit note selected.');
+        return res.redirect(redirectPath);
+    }
+
+    CreditNote.findById(noteId, (err, note) => {
+        if (err) {
+            console.error('Error fetching credit note:', err);
+            req.flash('error', 'Unable to load the credit note.');
+            return res.redirect(redirectPath);
+        }
+
+        if (!note || (!isFinance && sessionUser.id !== note.user_id)) {
+            req.flash('error', 'Credit note not found.');
+            return res.redirect(redirectPath);
+        }
+
+        User.findById(note.user_id, (userErr, userRows) => {
+            if (userErr) {
+                console.error('Error fetching customer for credit note:', userErr);
+                req.flash('error', 'Unable to load the credit note.');
+                return res.redirect(redirectPath);
+            }
+
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${note.credit_note_number}.pdf"`);
+            return pdf.renderCreditNote(
+                note,
+                userRows && userRows[0] ? userRows[0] : {},
+                { registrationNumber: tax.GST_REGISTRATION_NUMBER },
+                res
+            );
+        });
+    });
+};
+
 module.exports = {
+    decorateProduct,
+    withSlotLabel,
     checkout,
+    quoteDelivery,
     getCheckoutContext,
     createOrderFromContext,
+    reserveCheckout,
+    attachReservationToPaypalOrder,
+    closeReservation,
+    findReservation,
+    refundReservationCapture,
+    createOrderFromReservation,
     history,
     listAllDeliveries,
     updateDeliveryDetails,
-    invoice
+    updateFulfilmentStatus,
+    cancelOrder,
+    invoice,
+    invoicePdf,
+    creditNotePdf
 };
@@ -1,6 +1,36 @@
 const Product = require('../models/product');
 const Review = require('../models/review');
 const Order = require('../models/order');
+const StockAlert = require('../models/stockAlert');
+const InventoryMovement = require('../models/inventoryMovement');
+const audit = require('../services/audit');
+const csv = require('../services/csv');
+const pagination = require('../services/pagination');
+
+const CSV_COLUMNS = ['name', 'sku', 'category', 'price', 'quantity', 'discount', 'offer', 'image', 'threshold'];
+const CSV_HEADER_ALIASES = {
+    productname: 'name',
+    product: 'name',
+    offermessage: 'offer',
+    discountpercentage: 'discount',
+    stock: 'quantity',
+    imagefilename: 'image',
+    reorderthreshold: 'threshold',
+    reorderlevel: 'threshold'
+};
+const MAX_IMPORT_ROWS = 1000;
+const SHOPPING_PAGE_SIZE = 12;
+const INVENTORY_PAGE_SIZE = 20;
+
+const SHOPPING_SORTS = {
+    featured: 'Featured',
+    price_asc: 'Price: low to high',
+    price_desc: 'Price: high to low',
+    name_asc: 'Name: A to Z',
+    name_desc: 'Name: Z to A',
+    best_sellers: 'Best sellers',
+    rating: 'Top rated'
+};
 
 const toCurrency = (value, precision = 2) => {
     const numberValue = Number.parseFloat(value);
@@ -32,6 +62,11 @@ const normaliseOfferMessage = (message) => {
     return trimmed.slice(0, 255);
 };
 
+const parseThreshold = (value) => {
+    const parsed = Number.parseInt(value, 10);
+    return Number.isInteger(parsed) && parsed >= 0 ? parsed : StockAlert.DEFAULT_REORDER_THRESHOLD;
+};
+
 const buildProductPayload = (body, image) => {
     const {
         name,
@@ -44,15 +79,194 @@ const buildProductPayload = (body, image) => {
 
     return {
         name: name ? name.trim() : '',
+        sku: body.sku ? String(body.sku).trim() || null : null,
         quantity: Math.max(0, Number.parseInt(quantity, 10) || 0),
         price: toCurrency(price),
         discountPercentage: clampDiscount(discount),
         offerMessage: normaliseOfferMessage(offer),
         image: image || null,
-        category: category ? category.trim() || 'General' : 'General'
+        category: category ? category.trim() || 'General' : 'General',
+        reorderThreshold: parseThreshold(body.threshold)
+    };
+};
+
+// A product row in the field names the forms use, for before/after values in the audit log.
+const auditableProduct = (row) => ({
+    name: row.productName,
+    sku: row.sku,
+    category: row.category,
+    price: row.price,
+    discountPercentage: row.discountPercentage,
+    offerMessage: row.offerMessage,
+    image: row.image,
+    reorderThreshold: row.reorder_threshold
+});
+
+const isBlank = (value) => value === undefined || value === null || String(value).trim() === '';
+
+// Field-level checks shared by the product forms and the CSV import.
+// buildProductPayload coerces values; this rejects the ones it would silently fix up.
+const validateProductInput = (body, image, { requireImage = false, checkQuantity = true } = {}) => {
+    const errors = [];
+    const name = body.name ? String(body.name).trim() : '';
+    const price = Number(body.price);
+    const quantity = Number(body.quantity);
+    const discount = isBlank(body.discount) ? 0 : Number(body.discount);
+
+    if (!name) {
+        errors.push('Product name is required.');
+    } else if (name.length > 200) {
+        errors.push('Product name must be 200 characters or fewer.');
+    }
+    if (!isBlank(body.sku) && !/^[A-Za-z0-9._-]{1,64}$/.test(String(body.sku).trim())) {
+        errors.push('SKU may only contain letters, numbers, dots, dashes and underscores (max 64).');
+    }
+    if (isBlank(body.price) || !Number.isFinite(price) || price < 0) {
+        errors.push('Price must be a number of 0 or more.');
+    }
+    if (checkQuantity && (isBlank(body.quantity) || !Number.isInteger(quantity) || quantity < 0)) {
+        errors.push('Quantity must be a whole number of 0 or more.');
+    }
+    if (!Number.isFinite(discount) || discount < 0 || discount > 100) {
+        errors.push('Discount must be between 0 and 100.');
+    }
+    if (!isBlank(body.threshold) && (!Number.isInteger(Number(body.threshold)) || Number(body.threshold) < 0)) {
+        errors.push('Reorder threshold must be a whole number of 0 or more.');
+    }
+    if (body.category && String(body.category).trim().length > 100) {
+        errors.push('Category must be 100 characters or fewer.');
+    }
+    if (body.offer && String(body.offer).trim().length > 255) {
+        errors.push('Offer message must be 255 characters or fewer.');
+    }
+    if (image && (String(image).length > 50 || /[\\/]/.test(image))) {
+        errors.push('Image must be a plain file name of 50 characters or fewer.');
+    }
+    if (requireImage && !image) {
+        errors.push('An image is required for new products.');
+    }
+
+    return errors;
+};
+
+const mapImportHeader = (headerRow) => headerRow.map((heading) => {
+    const key = String(heading || '').trim().toLowerCase().replace(/[\s_]+/g, '');
+    if (CSV_COLUMNS.includes(key)) {
+        return key;
+    }
+    return CSV_HEADER_ALIASES[key] || null;
+});
+
+// Turn raw CSV rows into a list of planned creates/updates, matching existing
+// products by SKU first and then by name (case-insensitive).
+const planProductImport = (rows, products) => {
+    const [headerRow = [], ...dataRows] = rows;
+    const columns = mapImportHeader(headerRow);
+
+    if (!columns.includes('name')) {
+        return { error: 'The CSV must have a header row with at least a "name" column.' };
+    }
+    if (!dataRows.length) {
+        return { error: 'The CSV does not contain any product rows.' };
+    }
+    if (dataRows.length > MAX_IMPORT_ROWS) {
+        return { error: `Imports are limited to ${MAX_IMPORT_ROWS} rows at a time.` };
+    }
+
+    const bySku = new Map();
+    const byName = new Map();
+    (products || []).forEach((product) => {
+        if (product.sku) {
+            bySku.set(product.sku.toLowerCase(), product);
+        }
+        byName.set(String(product.productName).trim().toLowerCase(), product);
+    });
+
+    const seen = new Set();
+    const entries = dataRows.map((cells, index) => {
+        const values = {};
+        columns.forEach((column, columnIndex) => {
+            if (column && cells[columnIndex] !== undefined) {
+                values[column] = String(cells[columnIndex]).trim();
+            }
+        });
+
+        const sku = values.sku || '';
+        const name = values.name || '';
+        const existing = (sku && bySku.get(sku.toLowerCase())) || (name && byName.get(name.toLowerCase())) || null;
+
+        // Columns missing from the file (or a blank SKU) keep the product's current values on update.
+        const body = {
+            name,
+            sku: sku || (existing && existing.sku) || '',
+            category: values.category !== undefined ? values.category : (existing ? existing.category : ''),
+            price: values.price !== undefined ? values.price : (existing ? existing.price : ''),
+            quantity: values.quantity !== undefined ? values.quantity : (existing ? existing.quantity : ''),
+            discount: values.discount !== undefined ? values.discount : (existing ? existing.discountPercentage : ''),
+            offer: values.offer !== undefined ? values.offer : (existing ? existing.offerMessage : ''),
+            threshold: values.threshold !== undefined ? values.threshold : (existing ? existing.reorder_threshold : '')
+        };
+        const image = values.image || (existing ? existing.image : null);
+
+        const errors = validateProductInput(body, image, { requireImage: !existing });
+        const key = existing ? `id:${existing.id}` : `name:${name.toLowerCase()}`;
+        if (seen.has(key)) {
+            errors.push('This product appears more than once in the file.');
+        }
+        seen.add(key);
+
+        const otherSku = body.sku && bySku.get(String(body.sku).toLowerCase());
+        if (otherSku && (!existing || otherSku.id !== existing.id)) {
+            errors.push(`SKU ${body.sku} already belongs to "${otherSku.productName}".`);
+        }
+
+        return {
+            line: index + 2,
+            action: existing ? 'update' : 'create',
+            productId: existing ? existing.id : null,
+            payload: buildProductPayload(body, image),
+            errors
+        };
+    });
+
+    return {
+        entries,
+        invalidCount: entries.filter((entry) => entry.errors.length).length
     };
 };
 
+const parsePriceFilter = (value) => {
+    if (isBlank(value)) {
+        return null;
+    }
+    const parsed = Number.parseFloat(value);
+    return Number.isFinite(parsed) && parsed >= 0 ? Number(parsed.toFixed(2)) : null;
+};
+
+// Read the /shopping query string into search filters. Unknown or invalid values are dropped
+// so that the same filters can be echoed back into the form and into links.
+const parseShoppingFilters = (query) => {
+    const filters = {
+        keyword: query.q ? String(query.q).trim().slice(0, 100) : '',
+        category: query.category ? String(query.category).trim() : '',
+        minPrice: parsePriceFilter(query.min_price),
+        maxPrice: parsePriceFilter(query.max_price),
+        onSale: query.on_sale === '1',
+        inStock: query.in_stock === '1',
+        sort: Object.prototype.hasOwnProperty.call(SHOPPING_SORTS, query.sort) ? query.sort : 'featured'
+    };
+
+    if (filters.minPrice !== null && filters.maxPrice !== null && filters.minPrice > filters.maxPrice) {
+        [filters.minPrice, filters.maxPrice] = [filters.maxPrice, filters.minPrice];
+    }
+    return filters;
+};
+
+const hasActiveFilters = (filters) => Boolean(
+    filters.keyword || filters.category || filters.minPrice !== null || filters.maxPrice !== null
+    || filters.onSale || filters.inStock || filters.sort !== 'featured'
+);
+
 const enhanceProductRecord = (product) => {
     if (!product) {
         return product;
@@ -72,24 +286,29 @@ const enhanceProductRecord = (product) => {
         offerMessage: normaliseOfferMessage(product.offerMessage),
         effectivePrice: finalPrice,
         hasDiscount,
-        category: product.category || 'General'
+        category: product.category || 'General',
+        reorderThreshold: Number(product.reorder_threshold),
+        stockStatus: StockAlert.getStockStatus(product.quantity, product.reorder_threshold)
     };
 };
 
 const ProductController = {
     showShopping: (req, res) => {
-        const activeCategory = req.query.category ? String(req.query.category).trim() : '';
-        const productFetcher = activeCategory
-            ? (cb) => Product.getByCategory(activeCategory, cb)
-            : (cb) => Product.getAll(cb);
+        const filters = parseShoppingFilters(req.query);
+        const paging = pagination.fromQuery(req.query, SHOPPING_PAGE_SIZE);
 
-        productFetcher((error, products) => {
+        Product.search(filters, paging, (error, products, totalProducts) => {
             if (error) {
                 console.error('Error loading products:', error);
                 req.flash('error', 'Unable to load products right now.');
                 return res.redirect('/');
             }
 
+            const pageInfo = pagination.build('/shopping', req.query, paging, totalProducts);
+            if (paging.page > pageInfo.totalPages) {
+                return res.redirect(pageInfo.lastUrl);
+            }
+
             Product.getCategories((catErr, categoryRows) => {
                 if (catErr) {
                     console.error('Error loading categories:', catErr);
@@ -107,7 +326,11 @@ const ProductController = {
                         user: req.session.user,
                         products: productList,
                         categories,
-                        activeCategory,
+                        activeCategory: filters.category,
+                        filters,
+                        filtersActive: hasActiveFilters(filters),
+                        sortOptions: SHOPPING_SORTS,
+                        pagination: pageInfo,
                         bestSellers: (bestSellers && bestSellers.length) ? bestSellers.map(enhanceProductRecord) : [],
                         messages: req.flash('success'),
                         errors: req.flash('error')
@@ -119,18 +342,182 @@ const ProductController = {
 
     // Show the inventory page
     showInventory: (req, res) => {
-        Product.getAll((error, results) => {
+        const paging = pagination.fromQuery(req.query, INVENTORY_PAGE_SIZE);
+
+        Product.getAll(paging, (error, results, totalProducts) => {
             if (error) throw error;
             const products = (results || []).map(enhanceProductRecord);
-            res.render('inventory', {
-                products,
-                user: req.session.user,
-                messages: req.flash('success'),
-                errors: req.flash('error')
+            const pageInfo = pagination.build('/inventory', req.query, paging, totalProducts);
+            if (paging.page > pageInfo.totalPages) {
+                return res.redirect(pageInfo.lastUrl);
+            }
+
+            // Alerts close themselves once stock is back at or above the threshold.
+            StockAlert.resolveRestocked((resolveErr) => {
+                if (resolveErr) {
+                    console.error('Error resolving restocked alerts:', resolveErr);
+                }
+
+                StockAlert.findOpen((alertErr, alerts) => {
+                    if (alertErr) {
+                        console.error('Error loading stock alerts:', alertErr);
+                    }
+
+                    // The watchlist covers every product, not just the current page.
+                    Product.getLowStock((lowErr, lowRows) => {
+                        if (lowErr) {
+                            console.error('Error loading low-stock products:', lowErr);
+                        }
+                        const watchlist = (lowRows || []).map(enhanceProductRecord);
+
+                        res.render('inventory', {
+                            products,
+                            pagination: pageInfo,
+                            lowStockProducts: watchlist.filter((product) => product.stockStatus === 'low_stock'),
+                            outOfStockProducts: watchlist.filter((product) => product.stockStatus === 'out_of_stock'),
+                            stockAlerts: alerts || [],
+                            user: req.session.user,
+                            messages: req.flash('success'),
+                            errors: req.flash('error')
+                        });
+                    });
+                });
+            });
+        });
+    },
+
+    // Dismiss a stock alert from the inventory dashboard
+    resolveStockAlert: (req, res) => {
+        StockAlert.resolve(req.params.id, req.session.user.id, (error) => {
+            if (error) {
+                console.error('Error resolving stock alert:', error);
+                req.flash('error', 'Unable to dismiss that alert right now.');
+            } else {
+                audit.record(req, { action: 'stock_alert.resolve', targetType: 'stock_alert', targetId: req.params.id, after: { resolved: true } });
+                req.flash('success', 'Stock alert dismissed.');
+            }
+            res.redirect('/inventory');
+        });
+    },
+
+    // Download the current inventory as CSV (same columns the import accepts)
+    exportInventory: (req, res) => {
+        Product.getAll((error, products) => {
+            if (error) {
+                console.error('Error exporting inventory:', error);
+                req.flash('error', 'Unable to export inventory right now.');
+                return res.redirect('/inventory');
+            }
+
+            const rows = (products || []).map((product) => [
+                product.productName,
+                product.sku || '',
+                product.category || 'General',
+                Number(product.price || 0).toFixed(2),
+                product.quantity,
+                Number(product.discountPercentage || 0),
+                product.offerMessage || '',
+                product.image || '',
+                product.reorder_threshold
+            ]);
+            const stamp = new Date().toISOString().slice(0, 10);
+
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.attachment(`inventory-${stamp}.csv`);
+            return res.send(csv.stringify([CSV_COLUMNS, ...rows]));
+        });
+    },
+
+    // Show the import page, with a preview of the uploaded file if there is one
+    showImportForm: (req, res) => {
+        const pending = req.session.pendingImport;
+        const render = (plan) => res.render('importProducts', {
+            user: req.session.user,
+            columns: CSV_COLUMNS,
+            pending: pending ? { fileName: pending.fileName, ...plan } : null,
+            messages: req.flash('success'),
+            errors: req.flash('error')
+        });
+
+        if (!pending) {
+            return render(null);
+        }
+
+        Product.getAll((error, products) => {
+            if (error) {
+                console.error('Error loading products for import preview:', error);
+                req.flash('error', 'Unable to preview the import right now.');
+                return res.redirect('/inventory');
+            }
+            return render(planProductImport(pending.rows, products));
+        });
+    },
+
+    // Parse an uploaded CSV and keep it in the session for a dry-run preview
+    previewImport: (req, res) => {
+        if (!req.file || !req.file.buffer || !req.file.buffer.length) {
+            req.flash('error', 'Choose a CSV file to import.');
+            return res.redirect('/inventory/import');
+        }
+
+        const rows = csv.parse(req.file.buffer.toString('utf8'));
+        const plan = planProductImport(rows, []);
+        if (plan.error) {
+            req.flash('error', plan.error);
+            return res.redirect('/inventory/import');
+        }
+
+        req.session.pendingImport = {
+            fileName: req.file.originalname,
+            rows
+        };
+        return res.redirect('/inventory/import');
+    },
+
+    // Apply the pending import; any invalid row blocks the whole file
+    commitImport: (req, res) => {
+        const pending = req.session.pendingImport;
+        if (!pending) {
+            req.flash('error', 'There is no import waiting to be applied.');
+            return res.redirect('/inventory/import');
+        }
+
+        Product.getAll((error, products) => {
+            if (error) {
+                console.error('Error loading products for import:', error);
+                req.flash('error', 'Unable to import products right now.');
+                return res.redirect('/inventory/import');
+            }
+
+            const plan = planProductImport(pending.rows, products);
+            if (plan.error || plan.invalidCount) {
+                req.flash('error', plan.error || 'Fix the highlighted rows and upload the file again.');
+                return res.redirect('/inventory/import');
+            }
+
+            Product.importBatch(plan.entries, req.session.user.id, (importError, summary) => {
+                if (importError) {
+                    console.error('Error importing products:', importError);
+                    req.flash('error', importError.code === 'ER_DUP_ENTRY'
+                        ? 'The import was cancelled because two products would share a SKU.'
+                        : 'The import failed and no products were changed.');
+                    return res.redirect('/inventory/import');
+                }
+
+                delete req.session.pendingImport;
+                audit.record(req, { action: 'product.import', targetType: 'product', after: { ...summary, rows: plan.entries.length } });
+                req.flash('success', `Import complete: ${summary.created} created, ${summary.updated} updated.`);
+                return res.redirect('/inventory');
             });
         });
     },
 
+    discardImport: (req, res) => {
+        delete req.session.pendingImport;
+        req.flash('success', 'Import discarded.');
+        res.redirect('/inventory');
+    },
+
     // Show the add product page
     showAddProductForm: (req, res) => {
         res.render('addProduct', {
@@ -143,18 +530,25 @@ const ProductController = {
     // Handle product creation
     addProduct: (req, res) => {
         const image = req.file ? req.file.filename : null;
-        const productData = buildProductPayload(req.body, image);
+        const productData = { ...buildProductPayload(req.body, image), createdBy: req.session.user.id };
+        const validationErrors = validateProductInput(req.body, image);
 
-        if (!productData.name) {
-            req.flash('error', 'Product name is required.');
+        if (validationErrors.length) {
+            validationErrors.forEach((message) => req.flash('error', message));
             return res.redirect('/addProduct');
         }
 
         Product.create(productData, (error, results) => {
+            if (error && error.code === 'ER_DUP_ENTRY') {
+                req.flash('error', 'Another product already uses that SKU.');
+                return res.redirect('/addProduct');
+            }
             if (error) {
                 console.error("Error adding product:", error);
                 res.status(500).send('Error adding product');
             } else {
+                const { createdBy, ...values } = productData;
+                audit.record(req, { action: 'product.create', targetType: 'product', targetId: results.insertId, after: values });
                 req.flash('success', `Product "${productData.name}" added successfully.`);
                 res.redirect('/inventory');
             }
@@ -188,20 +582,131 @@ const ProductController = {
         }
 
         const productData = buildProductPayload(req.body, image);
+        const validationErrors = validateProductInput(req.body, image, { checkQuantity: false });
 
-        if (!productData.name) {
-            req.flash('error', 'Product name is required.');
+        if (validationErrors.length) {
+            validationErrors.forEach((message) => req.flash('error', message));
             return res.redirect(`/updateProduct/${productId}`);
         }
 
-        Product.update(productId, productData, (error, results) => {
+        Product.getById(productId, (findError, rows) => {
+            if (findError) {
+                console.error("Error loading product for update:", findError);
+                return res.status(500).send('Error updating product');
+            }
+            if (!rows || !rows.length) {
+                return res.status(404).send('Product not found');
+            }
+
+            Product.update(productId, productData, (error) => {
+                if (error && error.code === 'ER_DUP_ENTRY') {
+                    req.flash('error', 'Another product already uses that SKU.');
+                    return res.redirect(`/updateProduct/${productId}`);
+                }
+                if (error) {
+                    console.error("Error updating product:", error);
+                    res.status(500).send('Error updating product');
+                } else {
+                    const { quantity, ...values } = productData;
+                    audit.record(req, { action: 'product.update', targetType: 'product', targetId: productId, ...audit.changes(auditableProduct(rows[0]), values) });
+                    req.flash('success', `Product "${productData.name}" updated successfully.`);
+                    res.redirect('/inventory');
+                }
+            });
+        });
+    },
+
+    // Show the adjust stock form together with the product's movement history
+    showStockForm: (req, res) => {
+        const productId = req.params.id;
+
+        Product.getById(productId, (error, results) => {
             if (error) {
-                console.error("Error updating product:", error);
-                res.status(500).send('Error updating product');
+                console.error('Error loading product for stock adjustment:', error);
+                req.flash('error', 'Unable to load that product right now.');
+                return res.redirect('/inventory');
+            }
+            if (!results || !results.length) {
+                return res.status(404).send('Product not found');
+            }
+
+            InventoryMovement.findByProduct(productId, (movementError, movements) => {
+                if (movementError) {
+                    console.error('Error loading inventory movements:', movementError);
+                }
+
+                res.render('adjustStock', {
+                    user: req.session.user,
+                    product: enhanceProductRecord(results[0]),
+                    movements: movements || [],
+                    movementLabels: InventoryMovement.MOVEMENT_LABELS,
+                    manualTypes: InventoryMovement.MANUAL_TYPES,
+                    messages: req.flash('success'),
+                    errors: req.flash('error')
+                });
+            });
+        });
+    },
+
+    // Record a stock receipt, write-off or stock count
+    adjustStock: (req, res) => {
+        const productId = req.params.id;
+        const redirectUrl = `/inventory/${productId}/stock`;
+        const type = String(req.body.type || '');
+        const amount = Number(req.body.quantity);
+        const reason = req.body.reason ? String(req.body.reason).trim() : '';
+
+        if (!InventoryMovement.MANUAL_TYPES.includes(type)) {
+            req.flash('error', 'Choose a valid adjustment type.');
+            return res.redirect(redirectUrl);
+        }
+        if (isBlank(req.body.quantity) || !Number.isInteger(amount) || amount < 0 || (type !== 'adjustment' && amount === 0)) {
+            req.flash('error', type === 'adjustment'
+                ? 'Enter the counted quantity as a whole number of 0 or more.'
+                : 'Enter a whole number of units greater than 0.');
+            return res.redirect(redirectUrl);
+        }
+        if (type !== 'receipt' && !reason) {
+            req.flash('error', 'Give a reason for write-offs and stock count adjustments.');
+            return res.redirect(redirectUrl);
+        }
+        if (reason.length > 255) {
+            req.flash('error', 'Reason must be 255 characters or fewer.');
+            return res.redirect(redirectUrl);
+        }
+
+        const movement = {
+            productId,
+            type,
+            actorId: req.session.user.id,
+            reason: reason || null
+        };
+        if (type === 'adjustment') {
+            movement.setTo = amount;
+        } else {
+            movement.change = type === 'spoilage' ? -amount : amount;
+        }
+
+        InventoryMovement.adjust(movement, (error, result) => {
+            if (error) {
+                console.error('Error adjusting stock:', error);
+                req.flash('error', error.code ? 'Unable to adjust stock right now.' : error.message);
+                return res.redirect(redirectUrl);
+            }
+
+            if (result.before === result.after) {
+                req.flash('success', 'Stock count matches — no change recorded.');
             } else {
-                req.flash('success', `Product "${productData.name}" updated successfully.`);
-                res.redirect('/inventory');
+                audit.record(req, {
+                    action: 'stock.adjust',
+                    targetType: 'product',
+                    targetId: productId,
+                    before: { quantity: result.before },
+                    after: { quantity: result.after, type, reason: reason || null }
+                });
+                req.flash('success', `Stock updated from ${result.before} to ${result.after}.`);
             }
+            return res.redirect(redirectUrl);
         });
     },
 
@@ -209,14 +714,26 @@ const ProductController = {
     deleteProduct: (req, res) => {
         const productId = req.params.id;
 
-        Product.delete(productId, (error, results) => {
-            if (error) {
-                console.error("Error deleting product:", error);
-                res.status(500).send('Error deleting product');
-            } else {
-                req.flash('success', 'Product deleted successfully.');
-                res.redirect('/inventory');
+        Product.getById(productId, (findError, rows) => {
+            if (findError) {
+                console.error("Error loading product for deletion:", findError);
+                return res.status(500).send('Error deleting product');
+            }
+            if (!rows || !rows.length) {
+                req.flash('error', 'Product not found.');
+                return res.redirect('/inventory');
             }
+
+            Product.delete(productId, (error) => {
+                if (error) {
+                    console.error("Error deleting product:", error);
+                    res.status(500).send('Error deleting product');
+                } else {
+                    audit.record(req, { action: 'product.delete', targetType: 'product', targetId: productId, before: auditableProduct(rows[0]) });
+                    req.flash('success', 'Product deleted successfully.');
+                    res.redirect('/inventory');
+                }
+            });
         });
     },
 
@@ -259,4 +776,8 @@ const ProductController = {
     }
 };
 
+// The JSON API reads catalogue searches the same way as /shopping.
+ProductController.parseShoppingFilters = parseShoppingFilters;
+ProductController.SHOPPING_SORTS = SHOPPING_SORTS;
+
 module.exports = ProductController;
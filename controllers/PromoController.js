@@ -0,0 +1,281 @@
+const PromoCode = require('../models/promoCode');
+const audit = require('../services/audit');
+
+const parseOptionalNumber = (value) => {
+    if (value === undefined || value === null || String(value).trim() === '') {
+        return null;
+    }
+    const parsed = Number.parseFloat(value);
+    return Number.isFinite(parsed) ? parsed : NaN;
+};
+
+// datetime-local inputs submit "YYYY-MM-DDTHH:MM"; MySQL expects a space separator.
+const parseDateTimeInput = (value) => {
+    const trimmed = value ? String(value).trim() : '';
+    if (!trimmed) {
+        return null;
+    }
+    const parsed = new Date(trimmed);
+    if (Number.isNaN(parsed.getTime())) {
+        return undefined;
+    }
+    return `${trimmed.replace('T', ' ').slice(0, 16)}:00`;
+};
+
+const formatDateTimeInput = (value) => {
+    if (!value) {
+        return '';
+    }
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        return '';
+    }
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+const toFormData = (promo) => ({
+    code: promo.code,
+    description: promo.description || '',
+    discountType: promo.discount_type,
+    discountValue: promo.discount_value !== null ? Number(promo.discount_value) : '',
+    minSpend: Number(promo.min_spend || 0) > 0 ? Number(promo.min_spend) : '',
+    maxUses: promo.max_uses || '',
+    maxUsesPerUser: promo.max_uses_per_user || '',
+    startsAt: formatDateTimeInput(promo.starts_at),
+    endsAt: formatDateTimeInput(promo.ends_at),
+    categories: promo.categories || '',
+    isActive: Boolean(promo.is_active)
+});
+
+// A promo row in the shape buildPromoPayload produces, so the audit log can compare the two.
+const auditablePromo = (promo) => {
+    const toSqlDateTime = (value) => {
+        const input = formatDateTimeInput(value);
+        return input ? `${input.replace('T', ' ')}:00` : null;
+    };
+    return {
+        code: promo.code,
+        description: promo.description,
+        discountType: promo.discount_type,
+        discountValue: promo.discount_value,
+        minSpend: promo.min_spend,
+        maxUses: promo.max_uses,
+        maxUsesPerUser: promo.max_uses_per_user,
+        startsAt: toSqlDateTime(promo.starts_at),
+        endsAt: toSqlDateTime(promo.ends_at),
+        categories: promo.categories,
+        isActive: Boolean(promo.is_active)
+    };
+};
+
+/**
+ * Validate submitted promo fields and build the model payload.
+ * @returns {{data:Object, errors:string[]}}
+ */
+const buildPromoPayload = (body) => {
+    const errors = [];
+    const code = PromoCode.normaliseCode(body.code);
+    const discountType = body.discountType;
+    const discountValue = parseOptionalNumber(body.discountValue);
+    const minSpend = parseOptionalNumber(body.minSpend);
+    const maxUses = parseOptionalNumber(body.maxUses);
+    const maxUsesPerUser = parseOptionalNumber(body.maxUsesPerUser);
+    const startsAt = parseDateTimeInput(body.startsAt);
+    const endsAt = parseDateTimeInput(body.endsAt);
+    const categories = (body.categories || '')
+        .split(',')
+        .map((category) => category.trim())
+        .filter(Boolean)
+        .join(', ');
+
+    if (!code || !/^[A-Z0-9_-]{3,40}$/.test(code)) {
+        errors.push('Code must be 3-40 letters, numbers, dashes or underscores.');
+    }
+
+    if (!PromoCode.DISCOUNT_TYPES.includes(discountType)) {
+        errors.push('Discount type is invalid.');
+    } else if (discountType === 'percentage' && (!Number.isFinite(discountValue) || discountValue <= 0 || discountValue > 100)) {
+        errors.push('Percentage discounts must be between 0 and 100.');
+    } else if (discountType === 'fixed' && (!Number.isFinite(discountValue) || discountValue <= 0)) {
+        errors.push('Fixed discounts must be greater than zero.');
+    }
+
+    if (minSpend !== null && (!Number.isFinite(minSpend) || minSpend < 0)) {
+        errors.push('Minimum spend must be zero or more.');
+    }
+
+    [[maxUses, 'Total usage limit'], [maxUsesPerUser, 'Per-customer usage limit']].forEach(([value, label]) => {
+        if (value !== null && (!Number.isInteger(value) || value <= 0)) {
+            errors.push(`${label} must be a whole number above zero.`);
+        }
+    });
+
+    if (startsAt === undefined || endsAt === undefined) {
+        errors.push('Validity dates are invalid.');
+    } else if (startsAt && endsAt && startsAt >= endsAt) {
+        errors.push('The end date must be after the start date.');
+    }
+
+    if (categories.length > 255) {
+        errors.push('Category restrictions are too long.');
+    }
+
+    return {
+        errors,
+        data: {
+            code,
+            description: body.description ? body.description.trim().slice(0, 255) || null : null,
+            discountType,
+            discountValue: discountType === 'free_delivery' ? 0 : Number((discountValue || 0).toFixed(2)),
+            minSpend: minSpend ? Number(minSpend.toFixed(2)) : 0,
+            maxUses,
+            maxUsesPerUser,
+            startsAt: startsAt || null,
+            endsAt: endsAt || null,
+            categories: categories || null,
+            isActive: body.isActive === 'on' || body.isActive === 'true' || body.isActive === '1'
+        }
+    };
+};
+
+const listPromos = (req, res) => {
+    PromoCode.findAll((err, promos) => {
+        if (err) {
+            console.error('Error fetching promo codes:', err);
+            req.flash('error', 'Unable to load promo codes.');
+            return res.redirect('/inventory');
+        }
+
+        res.render('adminPromos', {
+            user: req.session.user,
+            promos: promos || [],
+            formData: req.flash('formData')[0] || { isActive: true },
+            messages: req.flash('success'),
+            errors: req.flash('error')
+        });
+    });
+};
+
+const createPromo = (req, res) => {
+    const { data, errors } = buildPromoPayload(req.body);
+
+    if (errors.length) {
+        req.flash('error', errors);
+        req.flash('formData', { ...req.body, isActive: data.isActive });
+        return res.redirect('/admin/promos');
+    }
+
+    PromoCode.create(data, (err, result) => {
+        if (err) {
+            console.error('Error creating promo code:', err);
+            req.flash('error', err.code === 'ER_DUP_ENTRY' ? 'That promo code already exists.' : 'Unable to create promo code.');
+            req.flash('formData', { ...req.body, isActive: data.isActive });
+            return res.redirect('/admin/promos');
+        }
+        audit.record(req, { action: 'promo.create', targetType: 'promo_code', targetId: result && result.insertId, after: data });
+
+        req.flash('success', `Promo code ${data.code} created.`);
+        return res.redirect('/admin/promos');
+    });
+};
+
+const editPromoForm = (req, res) => {
+    const promoId = parseInt(req.params.id, 10);
+
+    PromoCode.findById(promoId, (err, rows) => {
+        if (err) {
+            console.error('Error fetching promo code:', err);
+            req.flash('error', 'Unable to load promo code.');
+            return res.redirect('/admin/promos');
+        }
+
+        if (!rows || !rows.length) {
+            req.flash('error', 'Promo code not found.');
+            return res.redirect('/admin/promos');
+        }
+
+        res.render('editPromo', {
+            user: req.session.user,
+            promo: rows[0],
+            formData: req.flash('formData')[0] || toFormData(rows[0]),
+            messages: req.flash('success'),
+            errors: req.flash('error')
+        });
+    });
+};
+
+const updatePromo = (req, res) => {
+    const promoId = parseInt(req.params.id, 10);
+    if (!Number.isFinite(promoId)) {
+        req.flash('error', 'Invalid promo code selected.');
+        return res.redirect('/admin/promos');
+    }
+
+    const { data, errors } = buildPromoPayload(req.body);
+    if (errors.length) {
+        req.flash('error', errors);
+        req.flash('formData', { ...req.body, isActive: data.isActive });
+        return res.redirect(`/admin/promos/${promoId}/edit`);
+    }
+
+    PromoCode.findById(promoId, (findErr, rows) => {
+        if (findErr) {
+            console.error('Error fetching promo code:', findErr);
+            req.flash('error', 'Unable to update promo code.');
+            return res.redirect(`/admin/promos/${promoId}/edit`);
+        }
+        if (!rows || !rows.length) {
+            req.flash('error', 'Promo code not found.');
+            return res.redirect('/admin/promos');
+        }
+
+        PromoCode.update(promoId, data, (err, result) => {
+            if (err) {
+                console.error('Error updating promo code:', err);
+                req.flash('error', err.code === 'ER_DUP_ENTRY' ? 'That promo code already exists.' : 'Unable to update promo code.');
+                req.flash('formData', { ...req.body, isActive: data.isActive });
+                return res.redirect(`/admin/promos/${promoId}/edit`);
+            }
+            if (result.affectedRows === 0) {
+                req.flash('error', 'Promo code not found.');
+                return res.redirect('/admin/promos');
+            }
+            audit.record(req, { action: 'promo.update', targetType: 'promo_code', targetId: promoId, ...audit.changes(auditablePromo(rows[0]), data) });
+            req.flash('success', `Promo code ${data.code} updated.`);
+            return res.redirect('/admin/promos');
+        });
+    });
+};
+
+const togglePromo = (req, res) => {
+    const promoId = parseInt(req.params.id, 10);
+    const activate = req.body.active === '1';
+
+    if (!Number.isFinite(promoId)) {
+        req.flash('error', 'Invalid promo code selected.');
+        return res.redirect('/admin/promos');
+    }
+
+    PromoCode.setActive(promoId, activate, (err, result) => {
+        if (err || !result || result.affectedRows === 0) {
+            if (err) {
+                console.error('Error toggling promo code:', err);
+            }
+            req.flash('error', 'Unable to update promo code.');
+            return res.redirect('/admin/promos');
+        }
+
+        audit.record(req, { action: 'promo.toggle', targetType: 'promo_code', targetId: promoId, before: { isActive: !activate }, after: { isActive: activate } });
+        req.flash('success', activate ? 'Promo code activated.' : 'Promo code deactivated.');
+        return res.redirect('/admin/promos');
+    });
+};
+
+module.exports = {
+    listPromos,
+    createPromo,
+    editPromoForm,
+    updatePromo,
+    togglePromo
+};
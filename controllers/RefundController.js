@@ -1,6 +1,7 @@
 const Payment = require('../models/payment');
 const RefundRequest = require('../models/refundRequest');
 const Order = require('../models/order');
+const audit = require('../services/audit');
 
 const listRefunds = (req, res) => {
     RefundRequest.findAll((reqErr, refundRequests) => {
@@ -75,33 +76,42 @@ const requestRefund = (req, res) => {
     });
 };
 
-const approveRefund = (req, res) => {
+// Approve or deny a refund request, recording the decision in the audit log.
+const decideRefund = (req, res, status) => {
     const refundRequestId = parseInt(req.params.id, 10);
+    const verb = status === 'approved' ? 'approve' : 'deny';
     if (!Number.isFinite(refundRequestId)) {
         return res.status(400).json({ error: 'Invalid refund request ID.' });
     }
 
-    RefundRequest.updateStatus(refundRequestId, 'approved', req.body.adminNote || null, null, (err) => {
-        if (err) {
-            return res.status(500).json({ error: 'Failed to approve refund request.' });
+    RefundRequest.findById(refundRequestId, (findErr, rows) => {
+        if (findErr) {
+            return res.status(500).json({ error: `Failed to ${verb} refund request.` });
         }
-        return res.json({ success: true });
+        if (!rows || !rows.length) {
+            return res.status(404).json({ error: 'Refund request not found.' });
+        }
+
+        const adminNote = req.body.adminNote || null;
+        RefundRequest.updateStatus(refundRequestId, status, adminNote, null, (err) => {
+            if (err) {
+                return res.status(500).json({ error: `Failed to ${verb} refund request.` });
+            }
+            audit.record(req, {
+                action: `refund.${verb}`,
+                targetType: 'refund_request',
+                targetId: refundRequestId,
+                before: { status: rows[0].status, adminNote: rows[0].admin_note, orderId: rows[0].order_id },
+                after: { status, adminNote, orderId: rows[0].order_id }
+            });
+            return res.json({ success: true });
+        });
     });
 };
 
-const denyRefund = (req, res) => {
-    const refundRequestId = parseInt(req.params.id, 10);
-    if (!Number.isFinite(refundRequestId)) {
-        return res.status(400).json({ error: 'Invalid refund request ID.' });
-    }
+const approveRefund = (req, res) => decideRefund(req, res, 'approved');
 
-    RefundRequest.updateStatus(refundRequestId, 'denied', req.body.adminNote || null, null, (err) => {
-        if (err) {
-            return res.status(500).json({ error: 'Failed to deny refund request.' });
-        }
-        return res.json({ success: true });
-    });
-};
+const denyRefund = (req, res) => decideRefund(req, res, 'denied');
 
 module.exports = {
     listRefunds,
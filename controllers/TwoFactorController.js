@@ -0,0 +1,433 @@
+const User = require('../models/user');
+const RecoveryCode = require('../models/recoveryCode');
+const Session = require('../models/session');
+const audit = require('../services/audit');
+const totp = require('../services/totp');
+const loginThrottle = require('../services/loginThrottle');
+const permissions = require('../services/permissions');
+const { startSession } = require('./UserController');
+
+// Two-factor sign-in with authenticator apps (TOTP). Optional for shoppers, required for staff:
+// a staff account without it is walked through setup as part of signing in.
+
+const CODE_PATTERN = /^\d{6}$/;
+
+// The half-finished sign-in UserController.login leaves in the session, if still fresh and at
+// the expected step (entering a code, or setting two-factor up for the first time).
+const getPendingLogin = (req, needsSetup) => {
+    const pending = req.session.pendingLogin;
+    if (!pending || pending.expiresAt < Date.now()) {
+        delete req.session.pendingLogin;
+        return null;
+    }
+    return Boolean(pending.needsSetup) === needsSetup ? pending : null;
+};
+
+const expiredLogin = (req, res) => {
+    req.flash('error', 'Your sign-in timed out. Please enter your email and password again.');
+    return res.redirect('/login');
+};
+
+// Load the account whose second factor was just checked, by id: emails are not unique,
+// so looking the user up by email could sign in a different account.
+const loadPendingUser = (pending, callback) => {
+    User.findById(pending.userId, (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+        const user = rows && rows[0];
+        return callback(null, user && user.id === pending.userId ? user : null);
+    });
+};
+
+// Setup keeps the unconfirmed secret in the session until a code from the app proves it was saved.
+const getSetupSecret = (req, userId) => {
+    const setup = req.session.totpSetup;
+    if (!setup || setup.userId !== userId) {
+        req.session.totpSetup = { userId, secret: totp.generateSecret() };
+    }
+    return req.session.totpSetup.secret;
+};
+
+/**
+ * Check a TOTP code, or failing that a recovery code, for a user with two-factor turned on.
+ * @param {object} account - Row from User.findTwoFactor().
+ * @param {string} input - What the user typed.
+ * @param {Function} callback - (err, method) where method is 'totp', 'recovery' or null.
+ */
+const checkSecondFactor = (account, input, callback) => {
+    const value = String(input || '').trim();
+    if (CODE_PATTERN.test(value.replace(/\s/g, ''))) {
+        const step = totp.verify(account.totp_secret, value, account.totp_last_step);
+        if (step === null) {
+            return callback(null, null);
+        }
+        return User.recordTotpStep(account.id, step, (err, accepted) => {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, accepted ? 'totp' : null);
+        });
+    }
+
+    const recoveryCode = totp.normaliseRecoveryCode(value);
+    if (!recoveryCode) {
+        return callback(null, null);
+    }
+    return RecoveryCode.consume(account.id, recoveryCode, (err, consumed) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, consumed ? 'recovery' : null);
+    });
+};
+
+// Turn on two-factor with the confirmed secret and issue a fresh set of recovery codes.
+const enableWithRecoveryCodes = (userId, secret, step, callback) => {
+    User.enableTwoFactor(userId, secret, step, (enableErr) => {
+        if (enableErr) {
+            return callback(enableErr);
+        }
+        const codes = totp.generateRecoveryCodes();
+        RecoveryCode.replaceForUser(userId, codes.map(totp.normaliseRecoveryCode), (codesErr) => {
+            if (codesErr) {
+                return callback(codesErr);
+            }
+            return callback(null, codes);
+        });
+    });
+};
+
+const renderSetup = (req, res, account, view) => {
+    const secret = getSetupSecret(req, account.id);
+    res.render('twoFactorSetup', {
+        ...view,
+        user: req.session.user || null,
+        secret: totp.formatSecret(secret),
+        provisioningUri: totp.provisioningUri(secret, account.email),
+        messages: req.flash('success'),
+        errors: req.flash('error')
+    });
+};
+
+const renderRecoveryCodes = (req, res, codes, continueUrl) => {
+    res.render('recoveryCodes', {
+        user: req.session.user,
+        codes,
+        continueUrl
+    });
+};
+
+const showChallenge = (req, res) => {
+    if (!getPendingLogin(req, false)) {
+        return expiredLogin(req, res);
+    }
+    res.render('twoFactorChallenge', {
+        errors: req.flash('error')
+    });
+};
+
+const verifyChallenge = (req, res) => {
+    const pending = getPendingLogin(req, false);
+    if (!pending) {
+        return expiredLogin(req, res);
+    }
+    const attempt = { email: pending.email, userId: pending.userId, ip: req.ip, userAgent: req.get('user-agent') };
+
+    loginThrottle.check(attempt, (throttleErr, verdict) => {
+        if (throttleErr) {
+            console.error('Error checking login throttle:', throttleErr);
+        } else if (!verdict.allowed) {
+            loginThrottle.record(attempt, 'throttled');
+            req.flash('error', verdict.message);
+            return res.redirect('/login/2fa');
+        }
+
+        User.findTwoFactor(pending.userId, (err, account) => {
+            if (err || !account || !account.totp_enabled_at) {
+                if (err) {
+                    console.error('Error loading two-factor settings:', err);
+                }
+                delete req.session.pendingLogin;
+                return expiredLogin(req, res);
+            }
+
+            checkSecondFactor(account, req.body.code, (checkErr, method) => {
+                if (checkErr) {
+                    console.error('Error checking two-factor code:', checkErr);
+                    req.flash('error', 'Unable to check your code right now. Please try again.');
+                    return res.redirect('/login/2fa');
+                }
+                if (!method) {
+                    loginThrottle.record(attempt, 'failure');
+                    req.flash('error', 'That code is not valid. Codes change every 30 seconds, and each can be used once.');
+                    return res.redirect('/login/2fa');
+                }
+
+                loadPendingUser(pending, (userErr, user) => {
+                    if (userErr || !user) {
+                        if (userErr) {
+                            console.error('Error loading user after two-factor check:', userErr);
+                        }
+                        return expiredLogin(req, res);
+                    }
+                    loginThrottle.record(attempt, 'success');
+                    return startSession(req, res, user, {
+                        twoFactorVerified: true,
+                        onStarted: () => {
+                            req.flash('success', method === 'recovery'
+                                ? 'Signed in with a recovery code. That code cannot be used again; generate new codes from your account if you are running low.'
+                                : 'Login successful!');
+                            return res.redirect(permissions.homePageFor(user));
+                        }
+                    });
+                });
+            });
+        });
+    });
+};
+
+const showLoginSetup = (req, res) => {
+    const pending = getPendingLogin(req, true);
+    if (!pending) {
+        return expiredLogin(req, res);
+    }
+    renderSetup(req, res, { id: pending.userId, email: pending.email }, {
+        title: 'Set up two-factor authentication',
+        intro: 'Staff accounts must use an authenticator app to sign in. Set it up now to finish signing in.',
+        action: '/login/2fa/setup',
+        cancelUrl: '/login'
+    });
+};
+
+const completeLoginSetup = (req, res) => {
+    const pending = getPendingLogin(req, true);
+    if (!pending) {
+        return expiredLogin(req, res);
+    }
+    const secret = getSetupSecret(req, pending.userId);
+    const step = totp.verify(secret, req.body.code);
+    if (step === null) {
+        req.flash('error', 'That code did not match. Check the app is set up with the key shown and try the newest code.');
+        return res.redirect('/login/2fa/setup');
+    }
+
+    loadPendingUser(pending, (userErr, user) => {
+        if (userErr || !user) {
+            if (userErr) {
+                console.error('Error loading user for two-factor setup:', userErr);
+            }
+            return expiredLogin(req, res);
+        }
+        // Never let a password alone replace an authenticator that is already set up.
+        if (user.two_factor_enabled) {
+            delete req.session.pendingLogin;
+            return expiredLogin(req, res);
+        }
+
+        enableWithRecoveryCodes(user.id, secret, step, (err, codes) => {
+            if (err) {
+                console.error('Error enabling two-factor at sign-in:', err);
+                req.flash('error', 'Unable to turn on two-factor authentication right now. Please try again.');
+                return res.redirect('/login/2fa/setup');
+            }
+            loginThrottle.record({ email: pending.email, userId: user.id, ip: req.ip, userAgent: req.get('user-agent') }, 'success');
+            return startSession(req, res, user, {
+                twoFactorVerified: true,
+                onStarted: () => renderRecoveryCodes(req, res, codes, permissions.homePageFor(user))
+            });
+        });
+    });
+};
+
+const showAccountSetup = (req, res) => {
+    const sessionUser = req.session.user;
+    User.findTwoFactor(sessionUser.id, (err, account) => {
+        if (err || !account) {
+            if (err) {
+                console.error('Error loading two-factor settings:', err);
+            }
+            req.flash('error', 'Unable to set up two-factor authentication right now.');
+            return res.redirect('/account#two-factor');
+        }
+        if (account.totp_enabled_at) {
+            req.flash('success', 'Two-factor authentication is already on.');
+            return res.redirect('/account#two-factor');
+        }
+        renderSetup(req, res, account, {
+            title: 'Set up two-factor authentication',
+            intro: 'Protect your account with a code from an authenticator app each time you sign in.',
+            action: '/account/2fa/setup',
+            cancelUrl: '/account#two-factor'
+        });
+    });
+};
+
+const enableFromAccount = (req, res) => {
+    const sessionUser = req.session.user;
+    const secret = getSetupSecret(req, sessionUser.id);
+    const step = totp.verify(secret, req.body.code);
+    if (step === null) {
+        req.flash('error', 'That code did not match. Check the app is set up with the key shown and try the newest code.');
+        return res.redirect('/account/2fa/setup');
+    }
+
+    enableWithRecoveryCodes(sessionUser.id, secret, step, (err, codes) => {
+        if (err) {
+            console.error('Error enabling two-factor:', err);
+            req.flash('error', 'Unable to turn on two-factor authentication right now.');
+            return res.redirect('/account#two-factor');
+        }
+        delete req.session.totpSetup;
+        req.session.twoFactorVerified = true;
+        return renderRecoveryCodes(req, res, codes, '/account#two-factor');
+    });
+};
+
+const regenerateRecoveryCodes = (req, res) => {
+    const sessionUser = req.session.user;
+    User.findTwoFactor(sessionUser.id, (err, account) => {
+        if (err || !account || !account.totp_enabled_at) {
+            if (err) {
+                console.error('Error loading two-factor settings:', err);
+            }
+            req.flash('error', 'Two-factor authentication is not on for this account.');
+            return res.redirect('/account#two-factor');
+        }
+        const step = totp.verify(account.totp_secret, req.body.code, account.totp_last_step);
+        if (step === null) {
+            req.flash('error', 'Enter a current code from your authenticator app to create new recovery codes.');
+            return res.redirect('/account#two-factor');
+        }
+
+        User.recordTotpStep(account.id, step, (stepErr) => {
+            if (stepErr) {
+                console.error('Error recording two-factor code use:', stepErr);
+            }
+            const codes = totp.generateRecoveryCodes();
+            RecoveryCode.replaceForUser(account.id, codes.map(totp.normaliseRecoveryCode), (codesErr) => {
+                if (codesErr) {
+                    console.error('Error replacing recovery codes:', codesErr);
+                    req.flash('error', 'Unable to create new recovery codes right now.');
+                    return res.redirect('/account#two-factor');
+                }
+                return renderRecoveryCodes(req, res, codes, '/account#two-factor');
+            });
+        });
+    });
+};
+
+const disable = (req, res) => {
+    const sessionUser = req.session.user;
+    if (permissions.isStaffRole(sessionUser.role)) {
+        req.flash('error', 'Two-factor authentication is required for staff accounts.');
+        return res.redirect('/account#two-factor');
+    }
+
+    User.findByEmailAndPassword(sessionUser.email, req.body.password || '', (passwordErr, matches) => {
+        if (passwordErr) {
+            console.error('Error checking password to disable two-factor:', passwordErr);
+            req.flash('error', 'Unable to turn off two-factor authentication right now.');
+            return res.redirect('/account#two-factor');
+        }
+        if (!matches || !matches.length || matches[0].id !== sessionUser.id) {
+            req.flash('error', 'Your password is incorrect.');
+            return res.redirect('/account#two-factor');
+        }
+
+        User.findTwoFactor(sessionUser.id, (err, account) => {
+            if (err || !account || !account.totp_enabled_at) {
+                if (err) {
+                    console.error('Error loading two-factor settings:', err);
+                }
+                req.flash('error', 'Two-factor authentication is not on for this account.');
+                return res.redirect('/account#two-factor');
+            }
+
+            checkSecondFactor(account, req.body.code, (checkErr, method) => {
+                if (checkErr || !method) {
+                    if (checkErr) {
+                        console.error('Error checking two-factor code:', checkErr);
+                    }
+                    req.flash('error', 'Enter a current code from your authenticator app or an unused recovery code.');
+                    return res.redirect('/account#two-factor');
+                }
+
+                User.disableTwoFactor(account.id, (disableErr) => {
+                    if (disableErr) {
+                        console.error('Error disabling two-factor:', disableErr);
+                        req.flash('error', 'Unable to turn off two-factor authentication right now.');
+                        return res.redirect('/account#two-factor');
+                    }
+                    RecoveryCode.replaceForUser(account.id, [], (codesErr) => {
+                        if (codesErr) {
+                            console.error('Error clearing recovery codes:', codesErr);
+                        }
+                        req.session.twoFactorVerified = false;
+                        req.flash('success', 'Two-factor authentication is now off.');
+                        return res.redirect('/account#two-factor');
+                    });
+                });
+            });
+        });
+    });
+};
+
+// For a user who lost their authenticator and recovery codes. They are signed out everywhere and
+// set it up again (staff are made to at their next sign-in).
+const resetForUser = (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    if (req.session.user && req.session.user.id === userId) {
+        req.flash('error', 'Manage your own two-factor settings from your account page.');
+        return res.redirect(`/admin/users/${userId}/edit`);
+    }
+
+    User.findById(userId, (err, results) => {
+        if (err || !results || !results.length) {
+            if (err) {
+                console.error('Error fetching user for two-factor reset:', err);
+            }
+            req.flash('error', 'User not found.');
+            return res.redirect('/admin/users');
+        }
+
+        User.disableTwoFactor(userId, (disableErr) => {
+            if (disableErr) {
+                console.error('Error resetting two-factor:', disableErr);
+                req.flash('error', 'Unable to reset two-factor authentication.');
+                return res.redirect(`/admin/users/${userId}/edit`);
+            }
+            audit.record(req, {
+                action: 'user.two_factor_reset',
+                targetType: 'user',
+                targetId: userId,
+                before: { twoFactorEnabled: Boolean(results[0].two_factor_enabled) },
+                after: { twoFactorEnabled: false }
+            });
+            RecoveryCode.replaceForUser(userId, [], (codesErr) => {
+                if (codesErr) {
+                    console.error('Error clearing recovery codes:', codesErr);
+                }
+                Session.revokeAllForUser(userId, null, (sessionErr) => {
+                    if (sessionErr) {
+                        console.error('Error ending sessions after two-factor reset:', sessionErr);
+                    }
+                    req.flash('success', `Two-factor authentication reset for ${results[0].username}. They have been signed out.`);
+                    return res.redirect(`/admin/users/${userId}/edit`);
+                });
+            });
+        });
+    });
+};
+
+module.exports = {
+    showChallenge,
+    verifyChallenge,
+    showLoginSetup,
+    completeLoginSetup,
+    showAccountSetup,
+    enableFromAccount,
+    regenerateRecoveryCodes,
+    disable,
+    resetForUser
+};
@@ -1,4 +1,147 @@
+const ApiToken = require('../models/apiToken');
+const Session = require('../models/session');
+const RecoveryCode = require('../models/recoveryCode');
 const User = require('../models/user');
+const UserAddress = require('../models/userAddress');
+const UserToken = require('../models/userToken');
+const audit = require('../services/audit');
+const passwords = require('../services/passwords');
+const loginThrottle = require('../services/loginThrottle');
+const mailer = require('../services/mailer');
+const permissions = require('../services/permissions');
+
+const RESET_TOKEN_MINUTES = 60;
+const VERIFY_TOKEN_MINUTES = 24 * 60;
+const RECENT_LOGIN_ATTEMPTS = 20;
+const PENDING_LOGIN_MINUTES = 10;
+const LINK_SENT_MESSAGE = 'If an account exists for that email, we have sent a link to it. The link can be used once.';
+
+// Links that carry a token are only built from APP_BASE_URL, never from the request's
+// Host header, which a client can set to send the token to a host of its choosing.
+const APP_BASE_URL = (process.env.APP_BASE_URL || '').trim().replace(/\/$/, '');
+if (!APP_BASE_URL) {
+    console.warn('APP_BASE_URL is not set; password reset and email verification links will not be sent.');
+}
+
+const absoluteUrl = (path) => `${APP_BASE_URL}${path}`;
+
+const missingBaseUrlError = () => new Error('APP_BASE_URL must be set to send account links.');
+
+// Field-level checks for profile details, shared by the admin editor and /account.
+// Limits follow the users table (username 20, contact 10, email/address 255).
+const validateProfile = (body, fields = ['username', 'email', 'address', 'contact']) => {
+    const values = {};
+    const fieldErrors = {};
+
+    fields.forEach((field) => {
+        values[field] = body[field] ? String(body[field]).trim() : '';
+    });
+
+    if (fields.includes('username')) {
+        if (!values.username) {
+            fieldErrors.username = 'Username is required.';
+        } else if (values.username.length > 20) {
+            fieldErrors.username = 'Username must be 20 characters or fewer.';
+        }
+    }
+    if (fields.includes('email')) {
+        if (!values.email) {
+            fieldErrors.email = 'Email is required.';
+        } else if (values.email.length > 255 || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(values.email)) {
+            fieldErrors.email = 'Enter a valid email address.';
+        }
+    }
+    if (fields.includes('address')) {
+        if (!values.address) {
+            fieldErrors.address = 'Address is required.';
+        } else if (values.address.length > 255) {
+            fieldErrors.address = 'Address must be 255 characters or fewer.';
+        }
+    }
+    if (fields.includes('contact')) {
+        values.contact = values.contact.replace(/[\s-]/g, '');
+        if (!values.contact) {
+            fieldErrors.contact = 'Contact number is required.';
+        } else if (!/^(\+\d{7,9}|\d{8,10})$/.test(values.contact)) {
+            fieldErrors.contact = 'Contact number must be 8 to 10 digits (a leading + is allowed).';
+        }
+    }
+
+    return { values, fieldErrors };
+};
+
+// Address book entries. Contact numbers follow the profile rule; postal codes are Singapore's 6 digits.
+const validateAddress = (body) => {
+    const contactCheck = validateProfile(body, ['contact']);
+    const values = {
+        label: body.label ? String(body.label).trim() : '',
+        recipient: body.recipient ? String(body.recipient).trim() : '',
+        street: body.street ? String(body.street).trim() : '',
+        unit: body.unit ? String(body.unit).trim() : '',
+        postalCode: body.postalCode ? String(body.postalCode).replace(/\s/g, '') : '',
+        contact: contactCheck.values.contact,
+        isDefault: body.isDefault === 'on' || body.isDefault === 'true'
+    };
+    const fieldErrors = { ...contactCheck.fieldErrors };
+
+    if (!values.label) {
+        fieldErrors.label = 'Give this address a label, e.g. Home.';
+    } else if (values.label.length > 40) {
+        fieldErrors.label = 'Label must be 40 characters or fewer.';
+    }
+    if (!values.recipient) {
+        fieldErrors.recipient = 'Recipient name is required.';
+    } else if (values.recipient.length > 100) {
+        fieldErrors.recipient = 'Recipient name must be 100 characters or fewer.';
+    }
+    if (!values.street) {
+        fieldErrors.street = 'Street address is required.';
+    } else if (values.street.length > 200) {
+        fieldErrors.street = 'Street address must be 200 characters or fewer.';
+    }
+    if (values.unit.length > 20) {
+        fieldErrors.unit = 'Unit number must be 20 characters or fewer.';
+    }
+    if (!UserAddress.POSTAL_CODE_PATTERN.test(values.postalCode)) {
+        fieldErrors.postalCode = 'Enter a 6-digit Singapore postal code.';
+    }
+
+    return { values, fieldErrors };
+};
+
+const sendVerificationEmail = (user, callback) => {
+    if (!APP_BASE_URL) {
+        return callback(missingBaseUrlError());
+    }
+    UserToken.create(user.id, 'email_verification', VERIFY_TOKEN_MINUTES, (tokenErr, token) => {
+        if (tokenErr) {
+            return callback(tokenErr);
+        }
+        const link = absoluteUrl(`/verify-email/${token}`);
+        mailer.send({
+            to: user.email,
+            subject: 'Confirm your Supermarket App email address',
+            text: `Hi ${user.username},\n\nPlease confirm your email address to finish setting up your account:\n${link}\n\nThis link expires in 24 hours.`
+        }, callback);
+    });
+};
+
+const sendPasswordResetEmail = (user, callback) => {
+    if (!APP_BASE_URL) {
+        return callback(missingBaseUrlError());
+    }
+    UserToken.create(user.id, 'password_reset', RESET_TOKEN_MINUTES, (tokenErr, token) => {
+        if (tokenErr) {
+            return callback(tokenErr);
+        }
+        const link = absoluteUrl(`/reset-password/${token}`);
+        mailer.send({
+            to: user.email,
+            subject: 'Reset your Supermarket App password',
+            text: `Hi ${user.username},\n\nWe received a request to reset your password. Choose a new one here:\n${link}\n\nThis link expires in ${RESET_TOKEN_MINUTES} minutes. If you did not ask for this, you can ignore this email.`
+        }, callback);
+    });
+};
 
 const showRegister = (req, res) => {
     res.render('register', {
@@ -12,7 +155,15 @@ const register = (req, res) => {
 
     const formData = { username, email, address, contact };
     const role = 'user';
-    User.create({ username, email, password, address, contact, role, freeDelivery: false }, (err) => {
+
+    const policyErrors = passwords.validatePolicy(password, { email, username });
+    if (policyErrors.length) {
+        policyErrors.forEach((message) => req.flash('error', message));
+        req.flash('formData', formData);
+        return res.redirect('/register');
+    }
+
+    User.create({ username, email, password, address, contact, role, freeDelivery: false }, (err, result) => {
         if (err) {
             console.error('Error registering user:', err);
             if (err.code === 'ER_DUP_ENTRY') {
@@ -24,8 +175,13 @@ const register = (req, res) => {
             return res.redirect('/register');
         }
 
-        req.flash('success', 'Registration successful! Please log in.');
-        return res.redirect('/login');
+        sendVerificationEmail({ id: result.insertId, username, email }, (mailErr) => {
+            if (mailErr) {
+                console.error('Error sending verification email:', mailErr);
+            }
+            req.flash('success', 'Registration successful! Check your email for a link to verify your address, then log in.');
+            return res.redirect('/login');
+        });
     });
 };
 
@@ -36,6 +192,39 @@ const showLogin = (req, res) => {
     });
 };
 
+// Sign the user in on a fresh session and send them to their landing page, or hand over to
+// `onStarted` when the caller has its own page to show.
+const startSession = (req, res, user, options = {}) => {
+    // Remove hashed password and two-factor secrets before storing user in session
+    delete user.password;
+    delete user.totp_secret;
+    delete user.totp_last_step;
+    delete user.totp_enabled_at;
+
+    // A fresh session id on sign-in stops a planted pre-login cookie from riding along.
+    req.session.regenerate((regenerateErr) => {
+        if (regenerateErr) {
+            console.error('Error regenerating session on login:', regenerateErr);
+            req.flash('error', 'Unable to log in. Please try again.');
+            return res.redirect('/login');
+        }
+
+        req.session.user = user;
+        req.session.client = {
+            ip: req.ip,
+            userAgent: (req.get('user-agent') || '').slice(0, 255),
+            signedInAt: new Date().toISOString()
+        };
+        req.session.twoFactorVerified = Boolean(options.twoFactorVerified);
+        if (options.onStarted) {
+            return options.onStarted();
+        }
+        req.flash('success', 'Login successful!');
+
+        return res.redirect(permissions.homePageFor(user));
+    });
+};
+
 const login = (req, res) => {
     const { email, password } = req.body;
 
@@ -44,28 +233,53 @@ const login = (req, res) => {
         return res.redirect('/login');
     }
 
-    User.findByEmailAndPassword(email, password, (err, results) => {
-        if (err) {
-            console.error('Error logging in:', err);
-            req.flash('error', 'Unable to log in. Please try again.');
-            return res.redirect('/login');
-        }
+    const attempt = { email, ip: req.ip, userAgent: req.get('user-agent') };
 
-        if (results.length === 0) {
-            req.flash('error', 'Invalid email or password.');
+    loginThrottle.check(attempt, (throttleErr, verdict) => {
+        if (throttleErr) {
+            // Fail open: a broken attempt store should not lock everyone out.
+            console.error('Error checking login throttle:', throttleErr);
+        } else if (!verdict.allowed) {
+            loginThrottle.record(attempt, 'throttled');
+            req.flash('error', verdict.message);
             return res.redirect('/login');
         }
 
-        const user = results[0];
-        // Remove hashed password before storing user in session
-        delete user.password;
-        req.session.user = user;
-        req.flash('success', 'Login successful!');
+        User.findByEmailAndPassword(email, password, (err, results) => {
+            if (err) {
+                console.error('Error logging in:', err);
+                req.flash('error', 'Unable to log in. Please try again.');
+                return res.redirect('/login');
+            }
 
-        if (user.role === 'admin') {
-            return res.redirect('/inventory');
-        }
-        return res.redirect('/shopping');
+            if (results.length === 0) {
+                loginThrottle.record(attempt, 'failure');
+                req.flash('error', 'Invalid email or password.');
+                return res.redirect('/login');
+            }
+
+            const user = results[0];
+            if (!user.email_verified) {
+                loginThrottle.record({ ...attempt, userId: user.id }, 'unverified');
+                req.flash('error', 'Please verify your email address before logging in. Check your inbox or request a new verification email below.');
+                return res.redirect('/login');
+            }
+
+            // Accounts with two-factor (and every staff account) finish signing in at /login/2fa;
+            // the attempt is recorded there once the second factor is checked.
+            if (user.totp_enabled_at || permissions.isStaffRole(user.role)) {
+                req.session.pendingLogin = {
+                    userId: user.id,
+                    email: user.email,
+                    needsSetup: !user.totp_enabled_at,
+                    expiresAt: Date.now() + PENDING_LOGIN_MINUTES * 60 * 1000
+                };
+                return res.redirect(user.totp_enabled_at ? '/login/2fa' : '/login/2fa/setup');
+            }
+
+            loginThrottle.record({ ...attempt, userId: user.id }, 'success');
+            return startSession(req, res, user);
+        });
     });
 };
 
@@ -75,6 +289,489 @@ const logout = (req, res) => {
     });
 };
 
+const renderEmailLinkForm = (res, view, req) => {
+    res.render('emailLinkRequest', {
+        ...view,
+        messages: req.flash('success'),
+        errors: req.flash('error')
+    });
+};
+
+const showForgotPassword = (req, res) => {
+    renderEmailLinkForm(res, {
+        title: 'Forgot your password?',
+        intro: 'Enter the email you registered with and we will send you a link to choose a new password.',
+        action: '/forgot-password',
+        submitLabel: 'Send reset link'
+    }, req);
+};
+
+const requestPasswordReset = (req, res) => {
+    const email = req.body.email ? String(req.body.email).trim() : '';
+    if (!email) {
+        req.flash('error', 'Email is required.');
+        return res.redirect('/forgot-password');
+    }
+
+    User.findByEmail(email, (err, results) => {
+        if (err) {
+            console.error('Error looking up user for password reset:', err);
+            req.flash('error', 'Unable to send a reset link right now. Please try again.');
+            return res.redirect('/forgot-password');
+        }
+
+        // Respond the same way whether or not the account exists.
+        if (!results || results.length === 0) {
+            req.flash('success', LINK_SENT_MESSAGE);
+            return res.redirect('/forgot-password');
+        }
+
+        sendPasswordResetEmail(results[0], (mailErr) => {
+            if (mailErr) {
+                console.error('Error sending password reset email:', mailErr);
+                req.flash('error', 'Unable to send a reset link right now. Please try again.');
+                return res.redirect('/forgot-password');
+            }
+            req.flash('success', LINK_SENT_MESSAGE);
+            return res.redirect('/forgot-password');
+        });
+    });
+};
+
+const showResetPassword = (req, res) => {
+    UserToken.findValid(req.params.token, 'password_reset', (err, tokenRow) => {
+        if (err) {
+            console.error('Error checking password reset token:', err);
+        }
+        if (err || !tokenRow) {
+            req.flash('error', 'That reset link is invalid or has expired. Please request a new one.');
+            return res.redirect('/forgot-password');
+        }
+
+        res.render('resetPassword', {
+            token: req.params.token,
+            email: tokenRow.email,
+            errors: req.flash('error')
+        });
+    });
+};
+
+const resetPassword = (req, res) => {
+    const { token } = req.params;
+    const { password, confirmPassword } = req.body;
+
+    UserToken.findValid(token, 'password_reset', (err, tokenRow) => {
+        if (err) {
+            console.error('Error checking password reset token:', err);
+        }
+        if (err || !tokenRow) {
+            req.flash('error', 'That reset link is invalid or has expired. Please request a new one.');
+            return res.redirect('/forgot-password');
+        }
+
+        const errors = passwords.validatePolicy(password, { email: tokenRow.email, username: tokenRow.username });
+        if (password !== confirmPassword) {
+            errors.push('Passwords do not match.');
+        }
+        if (errors.length) {
+            errors.forEach((message) => req.flash('error', message));
+            return res.redirect(`/reset-password/${token}`);
+        }
+
+        UserToken.consume(tokenRow.id, (consumeErr, consumed) => {
+            if (consumeErr || !consumed) {
+                if (consumeErr) {
+                    console.error('Error consuming password reset token:', consumeErr);
+                }
+                req.flash('error', 'That reset link has already been used. Please request a new one.');
+                return res.redirect('/forgot-password');
+            }
+
+            User.updatePassword(tokenRow.user_id, password, (updateErr) => {
+                if (updateErr) {
+                    console.error('Error resetting password:', updateErr);
+                    req.flash('error', 'Unable to reset your password right now. Please request a new link.');
+                    return res.redirect('/forgot-password');
+                }
+
+                // Following the emailed link proves ownership of the address as well.
+                User.markEmailVerified(tokenRow.user_id, (verifyErr) => {
+                    if (verifyErr) {
+                        console.error('Error marking email verified after reset:', verifyErr);
+                    }
+                    // A new password also lifts any sign-in lockout on the account.
+                    loginThrottle.unlock({ email: tokenRow.email, userId: tokenRow.user_id, ip: req.ip }, () => {
+                        req.flash('success', 'Your password has been reset. Please log in with your new password.');
+                        return res.redirect('/login');
+                    });
+                });
+            });
+        });
+    });
+};
+
+const verifyEmail = (req, res) => {
+    UserToken.findValid(req.params.token, 'email_verification', (err, tokenRow) => {
+        if (err) {
+            console.error('Error checking verification token:', err);
+        }
+        if (err || !tokenRow) {
+            req.flash('error', 'That verification link is invalid or has expired. Request a new one below.');
+            return res.redirect('/verify-email/resend');
+        }
+
+        UserToken.consume(tokenRow.id, (consumeErr) => {
+            if (consumeErr) {
+                console.error('Error consuming verification token:', consumeErr);
+            }
+            User.markEmailVerified(tokenRow.user_id, (verifyErr) => {
+                if (verifyErr) {
+                    console.error('Error verifying email:', verifyErr);
+                    req.flash('error', 'Unable to verify your email right now. Please try the link again.');
+                    return res.redirect('/login');
+                }
+                req.flash('success', 'Thanks! Your email address is verified. You can now log in.');
+                return res.redirect('/login');
+            });
+        });
+    });
+};
+
+const showResendVerification = (req, res) => {
+    renderEmailLinkForm(res, {
+        title: 'Verify your email',
+        intro: 'Enter the email you registered with and we will send you a new verification link.',
+        action: '/verify-email/resend',
+        submitLabel: 'Send verification link'
+    }, req);
+};
+
+const resendVerification = (req, res) => {
+    const email = req.body.email ? String(req.body.email).trim() : '';
+    if (!email) {
+        req.flash('error', 'Email is required.');
+        return res.redirect('/verify-email/resend');
+    }
+
+    User.findByEmail(email, (err, results) => {
+        if (err) {
+            console.error('Error looking up user for verification:', err);
+            req.flash('error', 'Unable to send a verification link right now. Please try again.');
+            return res.redirect('/verify-email/resend');
+        }
+
+        const account = results && results[0];
+        if (!account || account.email_verified) {
+            req.flash('success', LINK_SENT_MESSAGE);
+            return res.redirect('/verify-email/resend');
+        }
+
+        sendVerificationEmail(account, (mailErr) => {
+            if (mailErr) {
+                console.error('Error sending verification email:', mailErr);
+                req.flash('error', 'Unable to send a verification link right now. Please try again.');
+                return res.redirect('/verify-email/resend');
+            }
+            req.flash('success', LINK_SENT_MESSAGE);
+            return res.redirect('/verify-email/resend');
+        });
+    });
+};
+
+const showAccount = (req, res) => {
+    const sessionUser = req.session.user;
+
+    User.findById(sessionUser.id, (err, results) => {
+        if (err) {
+            console.error('Error loading account:', err);
+            req.flash('error', 'Unable to load your account right now.');
+            return res.redirect(permissions.homePageFor(sessionUser));
+        }
+        if (!results || results.length === 0) {
+            return req.session.destroy(() => res.redirect('/login'));
+        }
+
+        UserAddress.findByUser(sessionUser.id, (addressErr, addresses) => {
+            if (addressErr) {
+                console.error('Error loading saved addresses:', addressErr);
+            }
+
+            const savedAddresses = (addresses || []).map((address) => ({
+                ...address,
+                line: UserAddress.formatLine(address)
+            }));
+            const editId = parseInt(req.query.editAddress, 10);
+            const editing = savedAddresses.find((address) => address.id === editId) || null;
+
+            ApiToken.findByUser(sessionUser.id, (tokenErr, tokens) => {
+                if (tokenErr) {
+                    console.error('Error loading API tokens:', tokenErr);
+                }
+
+                RecoveryCode.countRemaining(sessionUser.id, (codesErr, recoveryCodesLeft) => {
+                    if (codesErr) {
+                        console.error('Error counting recovery codes:', codesErr);
+                    }
+
+                    res.render('account', {
+                        user: sessionUser,
+                        account: results[0],
+                        formData: req.flash('formData')[0] || null,
+                        fieldErrors: req.flash('fieldErrors')[0] || {},
+                        passwordErrors: req.flash('passwordErrors'),
+                        addresses: savedAddresses,
+                        maxAddresses: UserAddress.MAX_ADDRESSES,
+                        editingAddress: editing,
+                        addressFormData: req.flash('addressFormData')[0] || null,
+                        addressErrors: req.flash('addressErrors')[0] || {},
+                        apiTokens: (tokens || []).map((token) => ({
+                            ...token,
+                            scopeList: ApiToken.parseScopes(token.scopes)
+                        })),
+                        tokenScopes: ApiToken.scopesForRole(sessionUser.role).map((scope) => ({
+                            value: scope,
+                            ...ApiToken.SCOPES[scope]
+                        })),
+                        tokenExpiryDays: ApiToken.EXPIRY_DAYS,
+                        newApiToken: req.flash('newApiToken')[0] || null,
+                        tokenErrors: req.flash('tokenErrors'),
+                        twoFactorEnabled: Boolean(results[0].two_factor_enabled),
+                        recoveryCodesLeft: recoveryCodesLeft || 0,
+                        messages: req.flash('success'),
+                        errors: req.flash('error')
+                    });
+                });
+            });
+        });
+    });
+};
+
+const updateAccount = (req, res) => {
+    const sessionUser = req.session.user;
+    const { values, fieldErrors } = validateProfile(req.body, ['username', 'address', 'contact']);
+
+    if (Object.keys(fieldErrors).length) {
+        req.flash('fieldErrors', fieldErrors);
+        req.flash('formData', values);
+        return res.redirect('/account');
+    }
+
+    // Role, email and free delivery are not self-service; carry the stored values through.
+    User.findById(sessionUser.id, (findErr, results) => {
+        if (findErr || !results || results.length === 0) {
+            if (findErr) {
+                console.error('Error loading account before update:', findErr);
+            }
+            req.flash('error', 'Unable to update your profile right now.');
+            return res.redirect('/account');
+        }
+
+        const current = results[0];
+        User.update(current.id, {
+            username: values.username,
+            email: current.email,
+            address: values.address,
+            contact: values.contact,
+            role: current.role,
+            freeDelivery: current.free_delivery
+        }, (err) => {
+            if (err) {
+                console.error('Error updating account:', err);
+                req.flash('error', 'Unable to update your profile right now.');
+                req.flash('formData', values);
+                return res.redirect('/account');
+            }
+
+            req.session.user.username = values.username;
+            req.session.user.address = values.address;
+            req.session.user.contact = values.contact;
+            req.flash('success', 'Your profile has been updated.');
+            return res.redirect('/account');
+        });
+    });
+};
+
+const changePassword = (req, res) => {
+    const sessionUser = req.session.user;
+    const { currentPassword, newPassword, confirmPassword } = req.body;
+
+    if (!currentPassword) {
+        req.flash('passwordErrors', 'Enter your current password.');
+        return res.redirect('/account');
+    }
+
+    User.findByEmailAndPassword(sessionUser.email, currentPassword, (err, results) => {
+        if (err) {
+            console.error('Error checking current password:', err);
+            req.flash('passwordErrors', 'Unable to change your password right now.');
+            return res.redirect('/account');
+        }
+        if (!results || results.length === 0) {
+            req.flash('passwordErrors', 'Your current password is incorrect.');
+            return res.redirect('/account');
+        }
+
+        const errors = passwords.validatePolicy(newPassword, { email: sessionUser.email, username: sessionUser.username });
+        if (newPassword !== confirmPassword) {
+            errors.push('New passwords do not match.');
+        }
+        if (newPassword && newPassword === currentPassword) {
+            errors.push('Choose a password different from your current one.');
+        }
+        if (errors.length) {
+            errors.forEach((message) => req.flash('passwordErrors', message));
+            return res.redirect('/account');
+        }
+
+        User.updatePassword(sessionUser.id, newPassword, (updateErr) => {
+            if (updateErr) {
+                console.error('Error changing password:', updateErr);
+                req.flash('passwordErrors', 'Unable to change your password right now.');
+                return res.redirect('/account');
+            }
+            req.flash('success', 'Your password has been changed.');
+            return res.redirect('/account');
+        });
+    });
+};
+
+const saveAddress = (req, res) => {
+    const sessionUser = req.session.user;
+    const addressId = req.params.id ? parseInt(req.params.id, 10) : null;
+    if (req.params.id && !Number.isFinite(addressId)) {
+        req.flash('error', 'Address not found.');
+        return res.redirect('/account#addresses');
+    }
+    const formPath = addressId ? `/account?editAddress=${addressId}#addresses` : '/account#addresses';
+    const { values, fieldErrors } = validateAddress(req.body);
+
+    if (Object.keys(fieldErrors).length) {
+        req.flash('addressErrors', fieldErrors);
+        req.flash('addressFormData', values);
+        return res.redirect(formPath);
+    }
+
+    const done = (err, found) => {
+        if (err) {
+            console.error('Error saving address:', err);
+            req.flash('error', err.code ? 'Unable to save the address right now.' : err.message);
+            req.flash('addressFormData', values);
+            return res.redirect(formPath);
+        }
+        if (found === false) {
+            req.flash('error', 'Address not found.');
+            return res.redirect('/account#addresses');
+        }
+        req.flash('success', addressId ? 'Address updated.' : 'Address saved.');
+        return res.redirect('/account#addresses');
+    };
+
+    if (addressId) {
+        return UserAddress.update(addressId, sessionUser.id, values, done);
+    }
+    return UserAddress.create(sessionUser.id, values, (err) => done(err));
+};
+
+const setDefaultAddress = (req, res) => {
+    const addressId = parseInt(req.params.id, 10);
+    if (!Number.isFinite(addressId)) {
+        req.flash('error', 'Address not found.');
+        return res.redirect('/account#addresses');
+    }
+
+    UserAddress.setDefault(addressId, req.session.user.id, (err, found) => {
+        if (err) {
+            console.error('Error setting default address:', err);
+            req.flash('error', 'Unable to update your default address.');
+        } else if (!found) {
+            req.flash('error', 'Address not found.');
+        } else {
+            req.flash('success', 'Default address updated.');
+        }
+        return res.redirect('/account#addresses');
+    });
+};
+
+const deleteAddress = (req, res) => {
+    const addressId = parseInt(req.params.id, 10);
+    if (!Number.isFinite(addressId)) {
+        req.flash('error', 'Address not found.');
+        return res.redirect('/account#addresses');
+    }
+
+    UserAddress.remove(addressId, req.session.user.id, (err, found) => {
+        if (err) {
+            console.error('Error deleting address:', err);
+            req.flash('error', 'Unable to delete the address.');
+        } else if (!found) {
+            req.flash('error', 'Address not found.');
+        } else {
+            req.flash('success', 'Address deleted. Past orders keep the address they were delivered to.');
+        }
+        return res.redirect('/account#addresses');
+    });
+};
+
+/**
+ * Create a personal access token for API clients. The token is shown once, on the next page load.
+ */
+const createApiToken = (req, res) => {
+    const sessionUser = req.session.user;
+    const name = req.body.name ? String(req.body.name).trim() : '';
+    const requested = [].concat(req.body.scopes || []);
+    const allowed = ApiToken.scopesForRole(sessionUser.role);
+    const scopes = allowed.filter((scope) => requested.includes(scope));
+    const expiresInDays = req.body.expiresInDays === 'never' ? null : Number(req.body.expiresInDays);
+    const errors = [];
+
+    if (!name || name.length > 50) {
+        errors.push('Give the token a name of 50 characters or fewer.');
+    }
+    if (!scopes.length || scopes.length !== requested.length) {
+        errors.push('Choose at least one of the scopes listed.');
+    }
+    if (expiresInDays !== null && !ApiToken.EXPIRY_DAYS.includes(expiresInDays)) {
+        errors.push('Choose when the token expires.');
+    }
+    if (errors.length) {
+        req.flash('tokenErrors', errors);
+        return res.redirect('/account#api-tokens');
+    }
+
+    ApiToken.create(sessionUser.id, { name, scopes, expiresInDays }, (err, created) => {
+        if (err) {
+            if (err.code) {
+                console.error('Error creating API token:', err);
+            }
+            req.flash('tokenErrors', err.code ? 'Unable to create the token right now.' : err.message);
+            return res.redirect('/account#api-tokens');
+        }
+
+        req.flash('newApiToken', { name, token: created.token });
+        return res.redirect('/account#api-tokens');
+    });
+};
+
+const revokeApiToken = (req, res) => {
+    const tokenId = parseInt(req.params.id, 10);
+    if (!Number.isFinite(tokenId)) {
+        req.flash('tokenErrors', 'Token not found.');
+        return res.redirect('/account#api-tokens');
+    }
+
+    ApiToken.revoke(tokenId, req.session.user.id, (err, revoked) => {
+        if (err) {
+            console.error('Error revoking API token:', err);
+            req.flash('tokenErrors', 'Unable to revoke the token.');
+        } else if (!revoked) {
+            req.flash('tokenErrors', 'Token not found or already revoked.');
+        } else {
+            req.flash('success', 'API token revoked. Clients using it can no longer sign in.');
+        }
+        return res.redirect('/account#api-tokens');
+    });
+};
+
 const listUsers = (req, res) => {
     User.findAll((err, results) => {
         if (err) {
@@ -83,11 +780,27 @@ const listUsers = (req, res) => {
             return res.redirect('/inventory');
         }
 
-        res.render('manageUsers', {
-            users: results,
-            user: req.session.user,
-            messages: req.flash('success'),
-            errors: req.flash('error')
+        Session.countActiveByUser((countErr, sessionCounts) => {
+            if (countErr) {
+                console.error('Error counting user sessions:', countErr);
+            }
+
+            loginThrottle.getAccountStatus(results.map((row) => row.email), (statusErr, loginStatus) => {
+                if (statusErr) {
+                    console.error('Error loading login lockouts:', statusErr);
+                }
+
+                res.render('manageUsers', {
+                    users: results.map((row) => ({
+                        ...row,
+                        loginStatus: (loginStatus || {})[loginThrottle.normaliseEmail(row.email)] || null
+                    })),
+                    sessionCounts: sessionCounts || {},
+                    user: req.session.user,
+                    messages: req.flash('success'),
+                    errors: req.flash('error')
+                });
+            });
         });
     });
 };
@@ -109,6 +822,8 @@ const editUserForm = (req, res) => {
 
         res.render('edituser', {
             managedUser: results[0],
+            roles: permissions.listRoles(),
+            permissionLabels: permissions.PERMISSIONS,
             user: req.session.user,
             errors: req.flash('error'),
             messages: req.flash('success')
@@ -116,40 +831,40 @@ const editUserForm = (req, res) => {
     });
 };
 
+// The account fields an admin can change, for before/after values in the audit log.
+const auditableUser = (user) => ({
+    username: user.username,
+    email: user.email,
+    address: user.address,
+    contact: user.contact,
+    role: user.role,
+    freeDelivery: Boolean(user.free_delivery)
+});
+
 const updateUserRole = (req, res) => {
     const userId = parseInt(req.params.id, 10);
     const { username, email, address, contact, role, freeDelivery } = req.body;
 
-    const allowedRoles = ['user', 'admin'];
     const errors = [];
 
     if (Number.isNaN(userId)) {
         errors.push('Invalid user selected.');
     }
 
-    const safeUsername = username ? username.trim() : '';
-    const safeEmail = email ? email.trim() : '';
-    const safeAddress = address ? address.trim() : '';
-    const safeContact = contact ? contact.trim() : '';
+    const { values, fieldErrors } = validateProfile({ username, email, address, contact });
+    const safeUsername = values.username;
+    const safeEmail = values.email;
+    const safeAddress = values.address;
+    const safeContact = values.contact;
+    errors.push(...Object.values(fieldErrors));
 
-    if (!safeUsername) {
-        errors.push('Username is required.');
-    }
-
-    if (!safeEmail) {
-        errors.push('Email is required.');
-    }
-
-    if (!safeAddress) {
-        errors.push('Address is required.');
-    }
-
-    if (!safeContact) {
-        errors.push('Contact number is required.');
+    if (!role || !permissions.isRole(role)) {
+        errors.push('Role is invalid.');
     }
 
-    if (!role || !allowedRoles.includes(role)) {
-        errors.push('Role is invalid.');
+    const isSelf = req.session.user && req.session.user.id === userId;
+    if (isSelf && role !== req.session.user.role) {
+        errors.push('You cannot change your own role.');
     }
 
     if (errors.length) {
@@ -159,40 +874,63 @@ const updateUserRole = (req, res) => {
 
     const wantsFreeDelivery = freeDelivery === 'on' || freeDelivery === 'true' || freeDelivery === '1';
 
-    User.update(userId, {
-        username: safeUsername,
-        email: safeEmail,
-        address: safeAddress,
-        contact: safeContact,
-        role,
-        freeDelivery: wantsFreeDelivery
-    }, (err, result) => {
-        if (err) {
-            console.error('Error updating user:', err);
-            if (err.code === 'ER_DUP_ENTRY') {
-                req.flash('error', 'Email already exists.');
-            } else {
-                req.flash('error', 'Unable to update user.');
-            }
+    User.findById(userId, (findErr, results) => {
+        if (findErr) {
+            console.error('Error fetching user:', findErr);
+            req.flash('error', 'Unable to update user.');
             return res.redirect(`/admin/users/${userId}/edit`);
         }
 
-        if (result.affectedRows === 0) {
+        if (results.length === 0) {
             req.flash('error', 'User not found.');
             return res.redirect('/admin/users');
         }
 
-        req.flash('success', 'User details updated successfully.');
+        const roleChanged = results[0].role !== role;
+        const updated = {
+            username: safeUsername,
+            email: safeEmail,
+            address: safeAddress,
+            contact: safeContact,
+            role,
+            freeDelivery: wantsFreeDelivery
+        };
 
-        if (req.session.user && req.session.user.id === userId) {
-            req.session.user.role = role;
-            req.session.user.free_delivery = wantsFreeDelivery ? 1 : 0;
-            req.session.user.username = safeUsername;
-            req.session.user.email = safeEmail;
-            req.session.user.address = safeAddress;
-            req.session.user.contact = safeContact;
-        }
-        return res.redirect('/admin/users');
+        User.update(userId, updated, (err) => {
+            if (err) {
+                console.error('Error updating user:', err);
+                if (err.code === 'ER_DUP_ENTRY') {
+                    req.flash('error', 'Email already exists.');
+                } else {
+                    req.flash('error', 'Unable to update user.');
+                }
+                return res.redirect(`/admin/users/${userId}/edit`);
+            }
+
+            audit.record(req, { action: 'user.update', targetType: 'user', targetId: userId, ...audit.changes(auditableUser(results[0]), updated) });
+
+            if (isSelf) {
+                req.session.user.free_delivery = wantsFreeDelivery ? 1 : 0;
+                req.session.user.username = safeUsername;
+                req.session.user.email = safeEmail;
+                req.session.user.address = safeAddress;
+                req.session.user.contact = safeContact;
+            }
+
+            if (!roleChanged) {
+                req.flash('success', 'User details updated successfully.');
+                return res.redirect('/admin/users');
+            }
+
+            // Signed-in sessions keep a copy of the old role, so sign the user out everywhere.
+            Session.revokeAllForUser(userId, null, (sessionErr) => {
+                if (sessionErr) {
+                    console.error('Error revoking sessions after role change:', sessionErr);
+                }
+                req.flash('success', 'User details updated. They have been signed out so the new role takes effect.');
+                return res.redirect('/admin/users');
+            });
+        });
     });
 };
 
@@ -235,20 +973,153 @@ const deleteUser = (req, res) => {
                 return res.redirect('/admin/users');
             }
 
-            req.flash('success', `User "${userToDelete.username}" deleted successfully.`);
+            audit.record(req, { action: 'user.delete', targetType: 'user', targetId: userId, before: auditableUser(userToDelete) });
+
+            // A deleted account must not stay signed in anywhere.
+            Session.revokeAllForUser(userId, null, (sessionErr) => {
+                if (sessionErr) {
+                    console.error('Error ending sessions for deleted user:', sessionErr);
+                }
+                req.flash('success', `User "${userToDelete.username}" deleted successfully.`);
+                return res.redirect('/admin/users');
+            });
+        });
+    });
+};
+
+const unlockUser = (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+
+    User.findById(userId, (err, results) => {
+        if (err) {
+            console.error('Error fetching user to unlock:', err);
+            req.flash('error', 'Unable to unlock user.');
+            return res.redirect('/admin/users');
+        }
+        if (!results || results.length === 0) {
+            req.flash('error', 'User not found.');
             return res.redirect('/admin/users');
+        }
+
+        const managedUser = results[0];
+        loginThrottle.unlock({ email: managedUser.email, userId: managedUser.id, ip: req.ip }, () => {
+            audit.record(req, { action: 'user.unlock', targetType: 'user', targetId: managedUser.id, after: { email: managedUser.email } });
+            req.flash('success', `${managedUser.username} can sign in again.`);
+            return res.redirect('/admin/users');
+        });
+    });
+};
+
+const listUserSessions = (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+
+    User.findById(userId, (err, results) => {
+        if (err) {
+            console.error('Error fetching user for sessions:', err);
+            req.flash('error', 'Unable to load user.');
+            return res.redirect('/admin/users');
+        }
+        if (!results || results.length === 0) {
+            req.flash('error', 'User not found.');
+            return res.redirect('/admin/users');
+        }
+
+        Session.findActiveByUser(userId, (sessionErr, sessions) => {
+            if (sessionErr) {
+                console.error('Error fetching user sessions:', sessionErr);
+                req.flash('error', 'Unable to load sessions.');
+                return res.redirect('/admin/users');
+            }
+
+            loginThrottle.recentAttempts(results[0].email, RECENT_LOGIN_ATTEMPTS, (attemptErr, attempts) => {
+                if (attemptErr) {
+                    console.error('Error fetching login attempts:', attemptErr);
+                }
+
+                res.render('userSessions', {
+                    managedUser: results[0],
+                    sessions,
+                    loginAttempts: attempts || [],
+                    currentHandle: Session.handleFor(req.sessionID),
+                    user: req.session.user,
+                    messages: req.flash('success'),
+                    errors: req.flash('error')
+                });
+            });
         });
     });
 };
 
+const revokeUserSession = (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    const redirectUrl = `/admin/users/${userId}/sessions`;
+
+    if (req.params.handle === Session.handleFor(req.sessionID)) {
+        req.flash('error', 'That is your current session. Use Logout to end it.');
+        return res.redirect(redirectUrl);
+    }
+
+    Session.revoke(req.params.handle, userId, (err, revoked) => {
+        if (err) {
+            console.error('Error revoking session:', err);
+            req.flash('error', 'Unable to revoke that session.');
+        } else if (!revoked) {
+            req.flash('error', 'That session has already ended.');
+        } else {
+            audit.record(req, { action: 'user.session_revoke', targetType: 'user', targetId: userId, after: { session: req.params.handle } });
+            req.flash('success', 'Session revoked. The device will need to sign in again.');
+        }
+        return res.redirect(redirectUrl);
+    });
+};
+
+const revokeAllUserSessions = (req, res) => {
+    const userId = parseInt(req.params.id, 10);
+    const redirectUrl = `/admin/users/${userId}/sessions`;
+
+    // Keep the admin's own session when they sign themselves out everywhere else.
+    Session.revokeAllForUser(userId, req.sessionID, (err, revokedCount) => {
+        if (err) {
+            console.error('Error revoking sessions:', err);
+            req.flash('error', 'Unable to revoke sessions.');
+        } else if (!revokedCount) {
+            req.flash('error', 'There were no other sessions to revoke.');
+        } else {
+            audit.record(req, { action: 'user.sessions_revoke', targetType: 'user', targetId: userId, after: { revokedCount } });
+            req.flash('success', `${revokedCount} session${revokedCount === 1 ? '' : 's'} revoked.`);
+        }
+        return res.redirect(redirectUrl);
+    });
+};
+
 module.exports = {
+    startSession,
     showRegister,
     register,
     showLogin,
     login,
     logout,
+    showForgotPassword,
+    requestPasswordReset,
+    showResetPassword,
+    resetPassword,
+    verifyEmail,
+    showResendVerification,
+    resendVerification,
+    showAccount,
+    updateAccount,
+    changePassword,
+    saveAddress,
+    setDefaultAddress,
+    deleteAddress,
+    createApiToken,
+    revokeApiToken,
     listUsers,
     editUserForm,
     updateUserRole,
-    deleteUser
+    deleteUser,
+    unlockUser,
+    listUserSessions,
+    revokeUserSession,
+    revokeAllUserSessions
 };
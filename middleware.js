@@ -1,4 +1,79 @@
+const crypto = require('crypto');
+const ApiToken = require('./models/apiToken');
+const { sendError } = require('./services/apiErrors');
+const permissions = require('./services/permissions');
+
+const readBearerToken = (req) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.get('authorization') || '');
+    return match ? match[1] : null;
+};
+
+// Stand-in session for token requests: it lives for one request, so nothing is stored and no cookie is sent.
+const createTokenSession = (user) => ({
+    user,
+    cart: [],
+    save: (callback) => callback && callback(),
+    regenerate: (callback) => callback && callback(),
+    destroy: (callback) => callback && callback()
+});
+
+/**
+ * Sign in requests that carry `Authorization: Bearer <personal access token>`. Runs before the
+ * session middleware, which leaves a request alone once it already has a session.
+ */
+const authenticateToken = (req, res, next) => {
+    const token = readBearerToken(req);
+    if (!token) {
+        return next();
+    }
+
+    ApiToken.findActive(token, (err, match) => {
+        if (err) {
+            console.error('Error checking API token:', err);
+            return sendError(res, 500, 'Unable to check your API token right now.');
+        }
+        if (!match) {
+            return sendError(res, 401, 'The API token is invalid, expired or revoked.');
+        }
+
+        req.session = createTokenSession(match.user);
+        req.apiToken = { ...match.token, scopeChecked: false };
+        ApiToken.touch(match.token.id, (touchErr) => {
+            if (touchErr) {
+                console.error('Error recording API token use:', touchErr);
+            }
+        });
+        return next();
+    });
+};
+
+/**
+ * Let token requests through only when the token carries the scope. Session requests are unaffected.
+ * Place it before the other checks on a route; routes without it do not accept tokens.
+ */
+const checkScope = (scope) => (req, res, next) => {
+    if (!req.apiToken) {
+        return next();
+    }
+    if (!req.apiToken.scopes.includes(scope)) {
+        return sendError(res, 403, `This API token does not have the "${scope}" scope.`);
+    }
+    req.apiToken.scopeChecked = true;
+    return next();
+};
+
+const rejectUnscopedToken = (req, res) => {
+    if (req.apiToken && !req.apiToken.scopeChecked) {
+        sendError(res, 403, 'This endpoint does not accept API tokens.');
+        return true;
+    }
+    return false;
+};
+
 const checkAuthenticated = (req, res, next) => {
+    if (rejectUnscopedToken(req, res)) {
+        return;
+    }
     if (req.session.user) {
         return next();
     }
@@ -6,30 +81,161 @@ const checkAuthenticated = (req, res, next) => {
     res.redirect('/login');
 };
 
-const checkAdmin = (req, res, next) => {
-    if (req.session.user && req.session.user.role === 'admin') {
+/**
+ * Allow the request when the signed-in user's role grants at least one of the permissions
+ * (see services/permissions.js). Pages redirect with a flash message; API and JSON requests
+ * get a 403.
+ */
+const requirePermission = (...required) => (req, res, next) => {
+    if (rejectUnscopedToken(req, res)) {
+        return;
+    }
+    if (permissions.hasPermission(req.session.user, ...required)) {
         return next();
     }
-    req.flash('error', 'Access denied');
-    res.redirect('/shopping');
+    const message = 'You do not have permission to do that.';
+    if (req.apiToken || req.path.startsWith('/api/v1/')) {
+        return sendError(res, 403, message);
+    }
+    if (req.path.startsWith('/api/') || req.is('application/json')) {
+        return res.status(403).json({ error: message });
+    }
+    req.flash('error', message);
+    res.redirect(req.session.user ? permissions.homePageFor(req.session.user) : '/login');
 };
 
 const checkRoles = (...roles) => (req, res, next) => {
+    if (rejectUnscopedToken(req, res)) {
+        return;
+    }
     if (req.session.user && roles.includes(req.session.user.role)) {
         return next();
     }
+    if (req.apiToken) {
+        return sendError(res, 403, 'Access denied');
+    }
     req.flash('error', 'Access denied');
     if (req.session.user) {
-        if (req.session.user.role === 'admin') {
-            return res.redirect('/inventory');
+        if (permissions.isStaffRole(req.session.user.role)) {
+            return res.redirect(permissions.homePageFor(req.session.user));
         }
         return res.redirect('/');
     }
     res.redirect('/login');
 };
 
+// JSON API equivalents: answer with an error object instead of flashing and redirecting.
+const checkApiAuthenticated = (req, res, next) => {
+    if (rejectUnscopedToken(req, res)) {
+        return;
+    }
+    if (req.session.user) {
+        return next();
+    }
+    return sendError(res, 401, 'Please log in or send an API token to use this endpoint.');
+};
+
+const checkApiRoles = (...roles) => (req, res, next) => {
+    if (rejectUnscopedToken(req, res)) {
+        return;
+    }
+    if (req.session.user && roles.includes(req.session.user.role)) {
+        return next();
+    }
+    return sendError(res, 403, 'Your account cannot use this endpoint.');
+};
+
+const CSRF_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const tokensMatch = (expected, actual) => {
+    const a = Buffer.from(String(expected));
+    const b = Buffer.from(String(actual || ''));
+    return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// Same-origin page to send the user back to after a rejected form, never an outside site.
+const sameOriginReferrer = (req) => {
+    try {
+        const referrer = new URL(req.get('referer') || '');
+        return referrer.host === req.get('host') ? `${referrer.pathname}${referrer.search}` : '/';
+    } catch (err) {
+        return '/';
+    }
+};
+
+/**
+ * Give every session a CSRF token (exposed to views as `csrfToken`) and require it on
+ * state-changing requests. Forms send it as the `_csrf` field; multipart forms put it in the
+ * action's query string because multer only reads their body inside the route. JSON endpoints
+ * must send the `X-CSRF-Token` header. Bearer-token requests carry no cookie and are exempt.
+ */
+const csrfProtection = (req, res, next) => {
+    if (!req.session.csrfToken) {
+        req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+    }
+    res.locals.csrfToken = req.session.csrfToken;
+
+    if (req.apiToken || CSRF_SAFE_METHODS.includes(req.method)) {
+        return next();
+    }
+
+    const expectsJson = req.path.startsWith('/api/') || req.is('application/json');
+    let submitted = req.get('x-csrf-token');
+    if (!submitted && !expectsJson) {
+        submitted = req.is('multipart/form-data') ? req.query._csrf : req.body && req.body._csrf;
+    }
+    if (tokensMatch(req.session.csrfToken, submitted)) {
+        return next();
+    }
+
+    if (expectsJson) {
+        const message = 'Missing or invalid CSRF token. Reload the page and try again.';
+        return req.path.startsWith('/api/v1/') ? sendError(res, 403, message) : res.status(403).json({ error: message });
+    }
+    req.flash('error', 'Your session expired or the form was out of date. Please try again.');
+    return res.redirect(sameOriginReferrer(req));
+};
+
+/**
+ * Staff sessions must have passed two-factor sign-in. Sessions that did not (such as those
+ * started before it was required, or before the user was given a staff role) are signed out.
+ * Token requests are checked by scope instead.
+ */
+const requireStaffTwoFactor = (req, res, next) => {
+    const user = req.session.user;
+    if (req.apiToken || !user || !permissions.isStaffRole(user.role) || req.session.twoFactorVerified) {
+        return next();
+    }
+    delete req.session.user;
+    const message = 'Staff accounts must sign in with two-factor authentication. Please log in again.';
+    if (req.path.startsWith('/api/') || req.is('application/json')) {
+        return sendError(res, 401, message);
+    }
+    req.flash('error', message);
+    return res.redirect('/login');
+};
+
+/**
+ * Let views ask `can('inventory.manage')` to decide which links and buttons to show, and
+ * tell them whether the user is staff and where their back office starts.
+ */
+const exposePermissions = (req, res, next) => {
+    const user = req.session.user;
+    res.locals.can = (...required) => permissions.hasPermission(user, ...required);
+    res.locals.isStaff = Boolean(user && permissions.isStaffRole(user.role));
+    res.locals.homePage = user ? permissions.homePageFor(user) : '/';
+    next();
+};
+
 module.exports = {
+    authenticateToken,
+    csrfProtection,
+    requireStaffTwoFactor,
+    exposePermissions,
+    checkScope,
     checkAuthenticated,
-    checkAdmin,
-    checkRoles
+    requirePermission,
+    checkRoles,
+    checkApiAuthenticated,
+    checkApiRoles
 };
@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const db = require('../db');
+const permissions = require('../services/permissions');
+
+const TOKEN_PREFIX = 'smk_';
+const MAX_ACTIVE_TOKENS = 10;
+const EXPIRY_DAYS = [30, 90, 365];
+
+// Scopes a token can carry. Shopper scopes list the roles that may grant them; staff scopes
+// list permissions, any one of which is enough (see services/permissions.js).
+const SCOPES = {
+    'catalogue:read': { label: 'Read catalogue', description: 'Browse products, categories and reviews.', roles: permissions.listRoles().map((role) => role.value) },
+    'cart:manage': { label: 'Manage cart', description: 'Edit the cart, check out, and view orders and refund requests.', roles: ['user'] },
+    'orders:admin': { label: 'Admin orders', description: 'View all orders, update fulfilment and issue PayPal refunds.', permissions: ['orders.fulfil', 'refunds.execute'] }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Scopes the given role is allowed to put on a token.
+ * @param {string} role
+ * @returns {string[]}
+ */
+const scopesForRole = (role) => Object.keys(SCOPES).filter((scope) => {
+    const { roles = [], permissions: needed = [] } = SCOPES[scope];
+    return roles.includes(role) || permissions.hasPermission({ role }, ...needed);
+});
+
+/**
+ * Turn the stored comma-separated scope list into an array.
+ * @param {string|null} value
+ * @returns {string[]}
+ */
+const parseScopes = (value) => String(value || '')
+    .split(',')
+    .map((scope) => scope.trim())
+    .filter((scope) => Object.prototype.hasOwnProperty.call(SCOPES, scope));
+
+/**
+ * Issue a personal access token. The raw token is returned once and only its hash is stored.
+ * @param {number} userId
+ * @param {{name:string, scopes:string[], expiresInDays:number|null}} data
+ * @param {Function} callback - Node-style callback (err, {id, token}).
+ */
+const create = (userId, data, callback) => {
+    const countSql = 'SELECT COUNT(*) AS total FROM api_tokens WHERE user_id = ? AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW())';
+    db.query(countSql, [userId], (countErr, rows) => {
+        if (countErr) {
+            return callback(countErr);
+        }
+        if (Number(rows[0].total) >= MAX_ACTIVE_TOKENS) {
+            return callback(new Error(`You can have up to ${MAX_ACTIVE_TOKENS} active tokens. Revoke one to create another.`));
+        }
+
+        const token = `${TOKEN_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+        const sql = `
+            INSERT INTO api_tokens (user_id, name, token_hash, token_hint, scopes, expires_at)
+            VALUES (?, ?, ?, ?, ?, IF(? IS NULL, NULL, DATE_ADD(NOW(), INTERVAL ? DAY)))
+        `;
+        const params = [
+            userId,
+            data.name,
+            hashToken(token),
+            token.slice(-4),
+            data.scopes.join(','),
+            data.expiresInDays,
+            data.expiresInDays
+        ];
+        db.query(sql, params, (err, result) => {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, { id: result.insertId, token });
+        });
+    });
+};
+
+/**
+ * List a user's tokens, newest first, including revoked and expired ones.
+ * @param {number} userId
+ * @param {Function} callback
+ */
+const findByUser = (userId, callback) => {
+    const sql = `
+        SELECT id, name, token_hint, scopes, last_used_at, expires_at, revoked_at, created_at,
+               revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW()) AS is_active
+        FROM api_tokens
+        WHERE user_id = ?
+        ORDER BY created_at DESC, id DESC
+    `;
+    db.query(sql, [userId], callback);
+};
+
+/**
+ * Look up an active token together with its user (without the password hash or TOTP secret).
+ * @param {string} token - Raw bearer token.
+ * @param {Function} callback - Node-style callback (err, {token, user}|null).
+ */
+const findActive = (token, callback) => {
+    if (!token || !/^smk_[a-f0-9]{48}$/.test(token)) {
+        return callback(null, null);
+    }
+    const sql = `
+        SELECT t.id AS token_id, t.name AS token_name, t.scopes AS token_scopes, u.*
+        FROM api_tokens t
+        JOIN users u ON u.id = t.user_id
+        WHERE t.token_hash = ? AND t.revoked_at IS NULL AND (t.expires_at IS NULL OR t.expires_at > NOW())
+        LIMIT 1
+    `;
+    db.query(sql, [hashToken(token)], (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!rows || !rows.length) {
+            return callback(null, null);
+        }
+
+        const {
+            token_id: id,
+            token_name: name,
+            token_scopes: scopes,
+            password,
+            totp_secret: totpSecret,
+            totp_last_step: totpLastStep,
+            ...user
+        } = rows[0];
+        // A token keeps only the scopes its owner's current role still allows.
+        const allowed = scopesForRole(user.role);
+        return callback(null, {
+            token: { id, name, scopes: parseScopes(scopes).filter((scope) => allowed.includes(scope)) },
+            user
+        });
+    });
+};
+
+/**
+ * Record that a token was just used.
+ * @param {number} id
+ * @param {Function} callback
+ */
+const touch = (id, callback) => {
+    db.query('UPDATE api_tokens SET last_used_at = NOW() WHERE id = ?', [id], callback);
+};
+
+/**
+ * Revoke one of a user's tokens.
+ * @param {number} id
+ * @param {number} userId
+ * @param {Function} callback - Node-style callback (err, revoked).
+ */
+const revoke = (id, userId, callback) => {
+    const sql = 'UPDATE api_tokens SET revoked_at = NOW() WHERE id = ? AND user_id = ? AND revoked_at IS NULL';
+    db.query(sql, [id, userId], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, result.affectedRows > 0);
+    });
+};
+
+module.exports = {
+    SCOPES,
+    EXPIRY_DAYS,
+    MAX_ACTIVE_TOKENS,
+    scopesForRole,
+    parseScopes,
+    create,
+    findByUser,
+    findActive,
+    touch,
+    revoke
+};
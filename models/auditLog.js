@@ -0,0 +1,150 @@
+const db = require('../db');
+
+// Append-only log of back-office changes. There is deliberately no update or delete here, and
+// triggers on the table reject both. Entries are written through services/audit.js.
+
+const MAX_EXPORT_ROWS = 10000;
+
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, (char) => `\\${char}`);
+
+const toJson = (value) => (value === undefined || value === null ? null : JSON.stringify(value));
+
+// mysql2 returns JSON columns already parsed, but be lenient with strings too.
+const fromJson = (value) => {
+    if (value === null || value === undefined || typeof value !== 'string') {
+        return value === undefined ? null : value;
+    }
+    try {
+        return JSON.parse(value);
+    } catch (err) {
+        return value;
+    }
+};
+
+const mapRow = (row) => ({
+    ...row,
+    before_values: fromJson(row.before_values),
+    after_values: fromJson(row.after_values)
+});
+
+/**
+ * Append an entry.
+ * @param {{actorId:number|null, actorEmail:string|null, actorRole:string|null, action:string, targetType:string,
+ *   targetId:string|null, before:object|null, after:object|null, ip:string|null, userAgent:string|null,
+ *   requestMethod:string|null, requestPath:string|null, apiTokenId:number|null}} entry
+ * @param {Function} callback
+ */
+const create = (entry, callback) => {
+    const sql = `
+        INSERT INTO audit_log
+            (actor_id, actor_email, actor_role, action, target_type, target_id, before_values, after_values,
+             ip, user_agent, request_method, request_path, api_token_id)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    db.query(sql, [
+        entry.actorId || null,
+        entry.actorEmail || null,
+        entry.actorRole || null,
+        entry.action,
+        entry.targetType,
+        entry.targetId === undefined || entry.targetId === null ? null : String(entry.targetId),
+        toJson(entry.before),
+        toJson(entry.after),
+        entry.ip || null,
+        entry.userAgent || null,
+        entry.requestMethod || null,
+        entry.requestPath || null,
+        entry.apiTokenId || null
+    ], callback);
+};
+
+const buildWhere = (filters) => {
+    const {
+        actor = '',
+        action = '',
+        targetType = '',
+        targetId = '',
+        from = '',
+        to = ''
+    } = filters || {};
+    const conditions = [];
+    const params = [];
+
+    if (actor) {
+        if (/^\d+$/.test(actor)) {
+            conditions.push('actor_id = ?');
+            params.push(Number(actor));
+        } else {
+            conditions.push('actor_email LIKE ?');
+            params.push(`%${escapeLike(actor)}%`);
+        }
+    }
+    if (action) {
+        conditions.push('action = ?');
+        params.push(action);
+    }
+    if (targetType) {
+        conditions.push('target_type = ?');
+        params.push(targetType);
+    }
+    if (targetId) {
+        conditions.push('target_id = ?');
+        params.push(String(targetId));
+    }
+    if (from) {
+        conditions.push('created_at >= ?');
+        params.push(`${from} 00:00:00`);
+    }
+    if (to) {
+        conditions.push('created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+        params.push(to);
+    }
+
+    return { whereSql: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+};
+
+/**
+ * Entries matching the filters, newest first, one page at a time.
+ * @param {{actor?:string, action?:string, targetType?:string, targetId?:string, from?:string, to?:string}} filters
+ *   - `actor` is a user ID or part of an email; `from`/`to` are YYYY-MM-DD and inclusive.
+ * @param {{limit:number, offset:number}} paging
+ * @param {Function} callback - Node-style callback (err, rows, total).
+ */
+const search = (filters, paging, callback) => {
+    const { whereSql, params } = buildWhere(filters);
+    db.query(`SELECT COUNT(*) AS total FROM audit_log ${whereSql}`, params, (countErr, countRows) => {
+        if (countErr) {
+            return callback(countErr);
+        }
+        const sql = `SELECT * FROM audit_log ${whereSql} ORDER BY id DESC LIMIT ? OFFSET ?`;
+        db.query(sql, [...params, paging.limit, paging.offset], (err, rows) => {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, rows.map(mapRow), Number(countRows[0].total) || 0);
+        });
+    });
+};
+
+/**
+ * Entries matching the filters for a CSV export, newest first, capped at MAX_EXPORT_ROWS.
+ * @param {object} filters - As for search.
+ * @param {Function} callback - Node-style callback (err, rows).
+ */
+const findForExport = (filters, callback) => {
+    const { whereSql, params } = buildWhere(filters);
+    const sql = `SELECT * FROM audit_log ${whereSql} ORDER BY id DESC LIMIT ?`;
+    db.query(sql, [...params, MAX_EXPORT_ROWS], (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, rows.map(mapRow));
+    });
+};
+
+module.exports = {
+    MAX_EXPORT_ROWS,
+    create,
+    search,
+    findForExport
+};
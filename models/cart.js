@@ -14,7 +14,8 @@ const getItemsWithProducts = (userId, callback) => {
             p.price,
             p.discountPercentage,
             p.offerMessage,
-            p.image
+            p.image,
+            p.category
         FROM cart c
         INNER JOIN products p ON p.id = c.product_id AND p.is_deleted = 0
         WHERE c.user_id = ?
@@ -0,0 +1,124 @@
+const connection = require('../db');
+const DocumentSequence = require('./documentSequence');
+
+const runQuery = (sql, params) => new Promise((resolve, reject) => {
+    connection.query(sql, params, (err, result) => {
+        if (err) {
+            return reject(err);
+        }
+        return resolve(result);
+    });
+});
+
+/**
+ * Issue a credit note for a refund recorded in payments. The amount and GST
+ * reversed are copied from the refund row. Issuing twice for one refund returns
+ * the existing note.
+ * @param {number} paymentId
+ * @param {string|null} reason
+ * @param {Function} callback Node-style callback(err, {id, creditNoteNumber})
+ */
+const createForRefund = (paymentId, reason, callback) => {
+    connection.beginTransaction((transactionError) => {
+        if (transactionError) {
+            return callback(transactionError);
+        }
+
+        let result = null;
+
+        runQuery('SELECT id, order_id, amount, tax_amount FROM payments WHERE id = ? FOR UPDATE', [paymentId])
+            .then((payments) => {
+                if (!payments || !payments.length) {
+                    throw new Error('Refund not found.');
+                }
+                const payment = payments[0];
+                return runQuery('SELECT id, credit_note_number FROM credit_notes WHERE payment_id = ?', [paymentId])
+                    .then((existing) => {
+                        if (existing && existing.length) {
+                            result = { id: existing[0].id, creditNoteNumber: existing[0].credit_note_number };
+                            return null;
+                        }
+                        return new Promise((resolve, reject) => {
+                            DocumentSequence.next('credit_note', (sequenceErr, creditNoteNumber) => {
+                                if (sequenceErr) {
+                                    return reject(sequenceErr);
+                                }
+                                return resolve(creditNoteNumber);
+                            });
+                        }).then((creditNoteNumber) => runQuery(`
+                            INSERT INTO credit_notes (credit_note_number, order_id, payment_id, amount, tax_amount, reason)
+                            VALUES (?, ?, ?, ?, ?, ?)
+                        `, [
+                            creditNoteNumber,
+                            payment.order_id,
+                            payment.id,
+                            payment.amount,
+                            payment.tax_amount,
+                            reason ? String(reason).slice(0, 255) : null
+                        ]).then((insert) => {
+                            result = { id: insert.insertId, creditNoteNumber };
+                        }));
+                    });
+            })
+            .then(() => {
+                connection.commit((commitError) => {
+                    if (commitError) {
+                        return connection.rollback(() => callback(commitError));
+                    }
+                    return callback(null, result);
+                });
+            })
+            .catch((error) => {
+                connection.rollback(() => callback(error));
+            });
+    });
+};
+
+/**
+ * Fetch a credit note with the refund and order it belongs to.
+ * @param {number} id
+ * @param {Function} callback Node-style callback(err, row|null)
+ */
+const findById = (id, callback) => {
+    const sql = `
+        SELECT cn.id, cn.credit_note_number, cn.order_id, cn.payment_id, cn.amount, cn.tax_amount, cn.reason,
+               cn.issued_at, p.method, p.provider_reference, o.user_id, o.total AS order_total, o.tax_rate,
+               i.invoice_number
+        FROM credit_notes cn
+        JOIN payments p ON p.id = cn.payment_id
+        JOIN orders o ON o.id = cn.order_id
+        LEFT JOIN invoices i ON i.order_id = cn.order_id
+        WHERE cn.id = ?
+        LIMIT 1
+    `;
+    connection.query(sql, [id], (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, rows && rows.length ? rows[0] : null);
+    });
+};
+
+/**
+ * List the credit notes issued against a set of orders, oldest first.
+ * @param {number[]} orderIds
+ * @param {Function} callback
+ */
+const findByOrderIds = (orderIds, callback) => {
+    if (!Array.isArray(orderIds) || orderIds.length === 0) {
+        return callback(null, []);
+    }
+    const sql = `
+        SELECT id, credit_note_number, order_id, payment_id, amount, tax_amount, issued_at
+        FROM credit_notes
+        WHERE order_id IN (?)
+        ORDER BY issued_at ASC, id ASC
+    `;
+    connection.query(sql, [orderIds], callback);
+};
+
+module.exports = {
+    createForRefund,
+    findById,
+    findByOrderIds
+};
@@ -0,0 +1,183 @@
+const connection = require('../db');
+
+// zone: flat fee for postal codes starting with one of the prefixes (blank prefixes = everywhere else)
+// free_over: waives the zone fee once the basket reaches min_subtotal, optionally only for some prefixes
+// express: surcharge added when the booked slot is marked express
+const RULE_TYPES = ['zone', 'free_over', 'express'];
+
+const RULE_TYPE_LABELS = {
+    zone: 'Zone fee',
+    free_over: 'Free delivery threshold',
+    express: 'Express surcharge'
+};
+
+const parsePrefixes = (value) => (value ? String(value).split(',') : [])
+    .map((prefix) => prefix.trim())
+    .filter(Boolean);
+
+/**
+ * Pull a Singapore postal code out of a free-text address, for addresses typed at checkout.
+ * @param {string} address
+ * @returns {string|null}
+ */
+const extractPostalCode = (address) => {
+    const match = address ? String(address).match(/(?:^|\D)(\d{6})(?:\D|$)/) : null;
+    return match ? match[1] : null;
+};
+
+/**
+ * Retrieve every rule for the admin screen, grouped by type.
+ * @param {Function} callback
+ */
+const findAll = (callback) => {
+    const sql = `
+        SELECT *
+        FROM delivery_fee_rules
+        ORDER BY FIELD(rule_type, 'zone', 'free_over', 'express'), name ASC, id ASC
+    `;
+    connection.query(sql, callback);
+};
+
+/**
+ * Retrieve the active rules used at checkout.
+ * @param {Function} callback
+ */
+const findActive = (callback) => {
+    connection.query('SELECT * FROM delivery_fee_rules WHERE is_active = 1', callback);
+};
+
+/**
+ * Retrieve a rule by id.
+ * @param {number} id
+ * @param {Function} callback
+ */
+const findById = (id, callback) => {
+    connection.query('SELECT * FROM delivery_fee_rules WHERE id = ? LIMIT 1', [id], callback);
+};
+
+const toRow = (data) => [
+    data.ruleType,
+    data.name,
+    data.postalPrefixes || null,
+    data.amount || 0,
+    data.minSubtotal === null || data.minSubtotal === undefined ? null : data.minSubtotal,
+    data.isActive ? 1 : 0
+];
+
+/**
+ * Create a fee rule.
+ * @param {{ruleType:string, name:string, postalPrefixes:string|null, amount:number, minSubtotal:number|null, isActive:boolean}} data
+ * @param {Function} callback
+ */
+const create = (data, callback) => {
+    const sql = `
+        INSERT INTO delivery_fee_rules (rule_type, name, postal_prefixes, amount, min_subtotal, is_active)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `;
+    connection.query(sql, toRow(data), callback);
+};
+
+/**
+ * Update a fee rule.
+ * @param {number} id
+ * @param {Object} data - Same shape as create().
+ * @param {Function} callback
+ */
+const update = (id, data, callback) => {
+    const sql = `
+        UPDATE delivery_fee_rules
+        SET rule_type = ?, name = ?, postal_prefixes = ?, amount = ?, min_subtotal = ?, is_active = ?
+        WHERE id = ?
+    `;
+    connection.query(sql, [...toRow(data), id], callback);
+};
+
+/**
+ * Switch a rule on or off.
+ * @param {number} id
+ * @param {boolean} isActive
+ * @param {Function} callback
+ */
+const setActive = (id, isActive, callback) => {
+    connection.query('UPDATE delivery_fee_rules SET is_active = ? WHERE id = ?', [isActive ? 1 : 0, id], callback);
+};
+
+/**
+ * Delete a rule. Orders keep the fee breakdown they were charged, so this does not touch history.
+ * @param {number} id
+ * @param {Function} callback
+ */
+const remove = (id, callback) => {
+    connection.query('DELETE FROM delivery_fee_rules WHERE id = ?', [id], callback);
+};
+
+// Length of the longest prefix in the rule that the postal code starts with (0 = no match).
+const prefixMatchLength = (rule, postalCode) => parsePrefixes(rule.postal_prefixes)
+    .filter((prefix) => postalCode && postalCode.startsWith(prefix))
+    .reduce((longest, prefix) => Math.max(longest, prefix.length), 0);
+
+/**
+ * Work out the delivery fee the rules charge for a basket. Does not apply member, promo or
+ * admin waivers; callers layer those on top.
+ * @param {Array<Object>} rules - Active delivery_fee_rules rows.
+ * @param {{postalCode?:string|null, subtotal:number, express?:boolean, defaultFee:number}} context
+ * @returns {{fee:number, zone:string|null, lines:Array<{label:string, amount:number}>}}
+ */
+const evaluate = (rules, context) => {
+    const activeRules = (rules || []).filter((rule) => rule.is_active === undefined || rule.is_active);
+    const postalCode = context.postalCode || null;
+    const subtotal = Number(context.subtotal) || 0;
+    const lines = [];
+
+    // The most specific zone wins; a zone without prefixes catches every other postal code.
+    const zones = activeRules.filter((rule) => rule.rule_type === 'zone');
+    const matchedZone = zones
+        .map((rule) => ({ rule, length: prefixMatchLength(rule, postalCode) }))
+        .filter((entry) => entry.length > 0)
+        .sort((a, b) => b.length - a.length)
+        .map((entry) => entry.rule)[0]
+        || zones.find((rule) => !parsePrefixes(rule.postal_prefixes).length)
+        || null;
+
+    const zoneFee = matchedZone ? Number(matchedZone.amount) : Number(context.defaultFee) || 0;
+    lines.push({ label: matchedZone ? `Delivery (${matchedZone.name})` : 'Delivery', amount: zoneFee });
+
+    const threshold = activeRules
+        .filter((rule) => rule.rule_type === 'free_over' && rule.min_subtotal !== null)
+        .filter((rule) => !parsePrefixes(rule.postal_prefixes).length || prefixMatchLength(rule, postalCode) > 0)
+        .sort((a, b) => Number(a.min_subtotal) - Number(b.min_subtotal))[0];
+    if (threshold && zoneFee > 0 && subtotal >= Number(threshold.min_subtotal)) {
+        lines.push({ label: `${threshold.name} (orders from $${Number(threshold.min_subtotal).toFixed(2)})`, amount: -zoneFee });
+    }
+
+    if (context.express) {
+        const surcharge = activeRules
+            .filter((rule) => rule.rule_type === 'express')
+            .sort((a, b) => Number(b.amount) - Number(a.amount))[0];
+        if (surcharge && Number(surcharge.amount) > 0) {
+            lines.push({ label: surcharge.name, amount: Number(surcharge.amount) });
+        }
+    }
+
+    const fee = lines.reduce((sum, line) => sum + line.amount, 0);
+    return {
+        fee: Number(Math.max(0, fee).toFixed(2)),
+        zone: matchedZone ? matchedZone.name : null,
+        lines: lines.map((line) => ({ ...line, amount: Number(line.amount.toFixed(2)) }))
+    };
+};
+
+module.exports = {
+    RULE_TYPES,
+    RULE_TYPE_LABELS,
+    parsePrefixes,
+    extractPostalCode,
+    findAll,
+    findActive,
+    findById,
+    create,
+    update,
+    setActive,
+    remove,
+    evaluate
+};
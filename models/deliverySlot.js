@@ -0,0 +1,265 @@
+const connection = require('../db');
+
+const SLOT_METHODS = ['delivery', 'pickup'];
+
+// Places taken in a slot (s.id): live orders plus other shoppers' unexpired PayPal holds.
+// Expects the booking user's id as its only parameter so a shopper's own hold is not counted twice.
+const BOOKED_COUNT_SQL = `
+    (
+        SELECT COUNT(*)
+        FROM orders o
+        WHERE o.delivery_slot_id = s.id
+          AND o.fulfilment_status <> 'cancelled'
+    ) + (
+        SELECT COUNT(*)
+        FROM stock_reservations r
+        WHERE r.delivery_slot_id = s.id
+          AND r.status = 'active'
+          AND r.expires_at > NOW()
+          AND r.user_id <> ?
+    )
+`;
+
+const SLOT_COLUMNS = `
+    s.id, s.slot_date, s.start_time, s.end_time, s.method, s.capacity, s.is_active, s.is_express,
+    TIMESTAMP(s.slot_date, s.start_time) > NOW() AS is_upcoming
+`;
+
+const toDate = (value) => {
+    if (value instanceof Date) {
+        return value;
+    }
+    const [year, month, day] = String(value).slice(0, 10).split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+/**
+ * Human-readable slot window, e.g. "Mon, 20 Oct, 10:00-12:00".
+ * @param {{slot_date:Date|string, start_time:string, end_time:string}} slot
+ * @returns {string}
+ */
+const formatWindow = (slot) => {
+    if (!slot || !slot.slot_date) {
+        return '';
+    }
+    const day = toDate(slot.slot_date).toLocaleDateString('en-SG', { weekday: 'short', day: 'numeric', month: 'short' });
+    return `${day}, ${String(slot.start_time).slice(0, 5)}-${String(slot.end_time).slice(0, 5)}`;
+};
+
+/**
+ * YYYY-MM-DD for a DATE column, without shifting through UTC.
+ * @param {Date|string} value
+ * @returns {string}
+ */
+const formatDateKey = (value) => {
+    const date = toDate(value);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Upcoming active slots for a fulfilment method with how many places are taken.
+ * @param {string} method - delivery | pickup, or null for both.
+ * @param {number} userId - Shopper checking out; their own hold is excluded from the count.
+ * @param {Function} callback
+ */
+const findUpcoming = (method, userId, callback) => {
+    const sql = `
+        SELECT ${SLOT_COLUMNS}, ${BOOKED_COUNT_SQL} AS booked
+        FROM delivery_slots s
+        WHERE s.is_active = 1
+          AND TIMESTAMP(s.slot_date, s.start_time) > NOW()
+          ${method ? 'AND s.method = ?' : ''}
+        ORDER BY s.slot_date ASC, s.start_time ASC, s.method ASC
+    `;
+    const params = method ? [userId || 0, method] : [userId || 0];
+    connection.query(sql, params, callback);
+};
+
+/**
+ * Slots from the given date onwards for the admin screen, with booking counts.
+ * @param {string} fromDate - YYYY-MM-DD.
+ * @param {Function} callback
+ */
+const findFrom = (fromDate, callback) => {
+    const sql = `
+        SELECT ${SLOT_COLUMNS}, ${BOOKED_COUNT_SQL} AS booked
+        FROM delivery_slots s
+        WHERE s.slot_date >= ?
+        ORDER BY s.slot_date ASC, s.start_time ASC, s.method ASC
+    `;
+    connection.query(sql, [0, fromDate], callback);
+};
+
+/**
+ * All slots on one day, including inactive ones, for the delivery manifest.
+ * @param {string} date - YYYY-MM-DD.
+ * @param {Function} callback
+ */
+const findByDate = (date, callback) => {
+    const sql = `
+        SELECT ${SLOT_COLUMNS}, ${BOOKED_COUNT_SQL} AS booked
+        FROM delivery_slots s
+        WHERE s.slot_date = ?
+        ORDER BY s.start_time ASC, s.method ASC
+    `;
+    connection.query(sql, [0, date], callback);
+};
+
+/**
+ * Load a slot and how many places are taken. Pass lock=true inside a transaction so
+ * concurrent checkouts queue on the slot row and cannot overbook it.
+ * @param {number} slotId
+ * @param {number} userId
+ * @param {boolean} lock
+ * @param {Function} callback Node-style callback(err, {slot, booked})
+ */
+const getBooking = (slotId, userId, lock, callback) => {
+    const withLock = (next) => {
+        if (!lock) {
+            return next(null);
+        }
+        return connection.query('SELECT id FROM delivery_slots WHERE id = ? FOR UPDATE', [slotId], next);
+    };
+
+    withLock((lockErr) => {
+        if (lockErr) {
+            return callback(lockErr);
+        }
+        const sql = `
+            SELECT ${SLOT_COLUMNS}, ${BOOKED_COUNT_SQL} AS booked
+            FROM delivery_slots s
+            WHERE s.id = ?
+            LIMIT 1
+        `;
+        connection.query(sql, [userId || 0, slotId], (err, rows) => {
+            if (err) {
+                return callback(err);
+            }
+            if (!rows || !rows.length) {
+                return callback(new Error('The selected time slot no longer exists.'));
+            }
+            return callback(null, { slot: rows[0], booked: Number(rows[0].booked || 0) });
+        });
+    });
+};
+
+/**
+ * Return why a slot cannot take another order, or null when it can.
+ * @param {Object} slot - delivery_slots row from getBooking().
+ * @param {number} booked
+ * @param {string} method - Fulfilment method chosen at checkout.
+ * @returns {string|null}
+ */
+const bookingError = (slot, booked, method) => {
+    if (!slot.is_active || !slot.is_upcoming) {
+        return 'The selected time slot is no longer available. Please choose another.';
+    }
+    if (slot.method !== method) {
+        return `The selected time slot is for ${slot.method} orders only.`;
+    }
+    if (booked >= Number(slot.capacity)) {
+        return `The ${formatWindow(slot)} slot is fully booked. Please choose another.`;
+    }
+    return null;
+};
+
+/**
+ * Count upcoming active slots for a method, so checkout knows whether one must be chosen.
+ * @param {string} method
+ * @param {Function} callback Node-style callback(err, count)
+ */
+const countUpcoming = (method, callback) => {
+    const sql = `
+        SELECT COUNT(*) AS total
+        FROM delivery_slots s
+        WHERE s.is_active = 1 AND s.method = ? AND TIMESTAMP(s.slot_date, s.start_time) > NOW()
+    `;
+    connection.query(sql, [method], (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, Number(rows[0].total) || 0);
+    });
+};
+
+/**
+ * Create the same window on one or more consecutive days. Days that already have a slot
+ * with that start time and method are skipped.
+ * @param {{slotDate:string, startTime:string, endTime:string, method:string, capacity:number, isActive:boolean, isExpress:boolean, days:number}} data
+ * @param {Function} callback Node-style callback(err, createdCount)
+ */
+const create = (data, callback) => {
+    const start = toDate(data.slotDate);
+    const rows = [];
+    for (let i = 0; i < (data.days || 1); i += 1) {
+        const day = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i);
+        rows.push([
+            formatDateKey(day),
+            data.startTime,
+            data.endTime,
+            data.method,
+            data.capacity,
+            data.isActive ? 1 : 0,
+            data.isExpress ? 1 : 0
+        ]);
+    }
+    const sql = `
+        INSERT IGNORE INTO delivery_slots (slot_date, start_time, end_time, method, capacity, is_active, is_express)
+        VALUES ?
+    `;
+    connection.query(sql, [rows], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, result.affectedRows);
+    });
+};
+
+/**
+ * Change a slot's capacity, availability and express flag. Capacity may drop below the current
+ * bookings; existing orders keep their slot but no new ones are accepted.
+ * @param {number} id
+ * @param {{capacity:number, isActive:boolean, isExpress:boolean}} data
+ * @param {Function} callback
+ */
+const update = (id, data, callback) => {
+    const sql = 'UPDATE delivery_slots SET capacity = ?, is_active = ?, is_express = ? WHERE id = ?';
+    connection.query(sql, [data.capacity, data.isActive ? 1 : 0, data.isExpress ? 1 : 0, id], callback);
+};
+
+/**
+ * Delete a slot that has never been booked. Booked slots should be deactivated instead
+ * so order history keeps its delivery window.
+ * @param {number} id
+ * @param {Function} callback Node-style callback(err, deleted)
+ */
+const remove = (id, callback) => {
+    const sql = `
+        DELETE FROM delivery_slots
+        WHERE id = ?
+          AND NOT EXISTS (SELECT 1 FROM orders o WHERE o.delivery_slot_id = ?)
+          AND NOT EXISTS (SELECT 1 FROM stock_reservations r WHERE r.delivery_slot_id = ?)
+    `;
+    connection.query(sql, [id, id, id], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, result.affectedRows > 0);
+    });
+};
+
+module.exports = {
+    SLOT_METHODS,
+    formatWindow,
+    formatDateKey,
+    findUpcoming,
+    findFrom,
+    findByDate,
+    getBooking,
+    bookingError,
+    countUpcoming,
+    create,
+    update,
+    remove
+};
@@ -0,0 +1,32 @@
+const connection = require('../db');
+
+/**
+ * Take the next number in a document sequence, e.g. "INV-000042".
+ * Call inside a transaction: the row lock makes other callers wait until commit,
+ * and a rollback hands the number back so the sequence has no gaps.
+ * @param {string} name - invoice | credit_note
+ * @param {Function} callback Node-style callback(err, number)
+ */
+const next = (name, callback) => {
+    const sql = 'SELECT prefix, last_value FROM document_sequences WHERE name = ? FOR UPDATE';
+    connection.query(sql, [name], (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!rows || !rows.length) {
+            return callback(new Error(`The ${name} number sequence is not set up.`));
+        }
+
+        const value = Number(rows[0].last_value) + 1;
+        connection.query('UPDATE document_sequences SET last_value = ? WHERE name = ?', [value, name], (updateErr) => {
+            if (updateErr) {
+                return callback(updateErr);
+            }
+            return callback(null, `${rows[0].prefix}-${String(value).padStart(6, '0')}`);
+        });
+    });
+};
+
+module.exports = {
+    next
+};
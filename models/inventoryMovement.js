@@ -0,0 +1,148 @@
+const connection = require('../db');
+const StockAlert = require('./stockAlert');
+
+const MOVEMENT_TYPES = ['sale', 'cancellation_restock', 'adjustment', 'spoilage', 'receipt'];
+
+const MOVEMENT_LABELS = {
+    sale: 'Sale',
+    cancellation_restock: 'Cancellation restock',
+    adjustment: 'Stock count adjustment',
+    spoilage: 'Spoilage / write-off',
+    receipt: 'Stock received'
+};
+
+// Movement types an admin can record by hand from the adjust stock form.
+const MANUAL_TYPES = ['receipt', 'spoilage', 'adjustment'];
+
+/**
+ * Insert a ledger entry. Runs on the shared connection so it joins any open transaction.
+ * @param {{productId:number, type:string, before:number, after:number, actorId?:number, orderId?:number, reason?:string}} entry
+ * @param {Function} callback
+ */
+const record = (entry, callback) => {
+    const sql = `
+        INSERT INTO inventory_movements
+            (product_id, movement_type, quantity_change, quantity_before, quantity_after, actor_id, order_id, reason)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    const params = [
+        entry.productId,
+        entry.type,
+        entry.after - entry.before,
+        entry.before,
+        entry.after,
+        entry.actorId || null,
+        entry.orderId || null,
+        entry.reason ? String(entry.reason).slice(0, 255) : null
+    ];
+    connection.query(sql, params, callback);
+};
+
+/**
+ * Lock a product row, change its quantity and record the movement.
+ * Pass either `change` (relative) or `setTo` (absolute count). Must be called
+ * inside a transaction owned by the caller.
+ * @param {{productId:number, type:string, change?:number, setTo?:number, actorId?:number, orderId?:number, reason?:string}} movement
+ * @param {Function} callback - called with (err, {before, after, threshold})
+ */
+const applyChange = (movement, callback) => {
+    const lockSql = 'SELECT quantity, reorder_threshold FROM products WHERE id = ? FOR UPDATE';
+    connection.query(lockSql, [movement.productId], (lockError, rows) => {
+        if (lockError) {
+            return callback(lockError);
+        }
+        if (!rows || !rows.length) {
+            return callback(new Error('Product not found.'));
+        }
+
+        const before = Number(rows[0].quantity) || 0;
+        const after = movement.setTo !== undefined
+            ? Number(movement.setTo)
+            : before + Number(movement.change);
+        if (!Number.isInteger(after) || after < 0) {
+            return callback(new Error(`Stock cannot go below zero (currently ${before}).`));
+        }
+        if (after === before) {
+            return callback(null, { before, after, threshold: Number(rows[0].reorder_threshold) });
+        }
+
+        connection.query('UPDATE products SET quantity = ? WHERE id = ?', [after, movement.productId], (updateError) => {
+            if (updateError) {
+                return callback(updateError);
+            }
+            record({ ...movement, before, after }, (recordError) => {
+                if (recordError) {
+                    return callback(recordError);
+                }
+                return callback(null, { before, after, threshold: Number(rows[0].reorder_threshold) });
+            });
+        });
+    });
+};
+
+/**
+ * Manually adjust stock in its own transaction (receipts, spoilage, stock counts).
+ * Raises a stock alert if the change takes the product below its threshold.
+ * @param {{productId:number, type:string, change?:number, setTo?:number, actorId:number, reason?:string}} movement
+ * @param {Function} callback - called with (err, {before, after})
+ */
+const adjust = (movement, callback) => {
+    if (!MANUAL_TYPES.includes(movement.type)) {
+        return callback(new Error('Choose a valid adjustment type.'));
+    }
+
+    connection.beginTransaction((transactionError) => {
+        if (transactionError) {
+            return callback(transactionError);
+        }
+
+        applyChange(movement, (changeError, result) => {
+            if (changeError) {
+                return connection.rollback(() => callback(changeError));
+            }
+
+            StockAlert.recordIfCrossed({
+                productId: movement.productId,
+                before: result.before,
+                after: result.after,
+                threshold: result.threshold
+            }, (alertError) => {
+                if (alertError) {
+                    return connection.rollback(() => callback(alertError));
+                }
+                connection.commit((commitError) => {
+                    if (commitError) {
+                        return connection.rollback(() => callback(commitError));
+                    }
+                    return callback(null, { before: result.before, after: result.after });
+                });
+            });
+        });
+    });
+};
+
+/**
+ * Retrieve the movement history for a product, newest first.
+ * @param {number} productId
+ * @param {Function} callback
+ */
+const findByProduct = (productId, callback) => {
+    const sql = `
+        SELECT im.*, u.username AS actor_name
+        FROM inventory_movements im
+        LEFT JOIN users u ON u.id = im.actor_id
+        WHERE im.product_id = ?
+        ORDER BY im.created_at DESC, im.id DESC
+    `;
+    connection.query(sql, [productId], callback);
+};
+
+module.exports = {
+    MOVEMENT_TYPES,
+    MOVEMENT_LABELS,
+    MANUAL_TYPES,
+    record,
+    applyChange,
+    adjust,
+    findByProduct
+};
@@ -0,0 +1,87 @@
+const connection = require('../db');
+const DocumentSequence = require('./documentSequence');
+
+const runQuery = (sql, params) => new Promise((resolve, reject) => {
+    connection.query(sql, params, (err, result) => {
+        if (err) {
+            return reject(err);
+        }
+        return resolve(result);
+    });
+});
+
+/**
+ * Fetch the invoice issued for an order.
+ * @param {number} orderId
+ * @param {Function} callback Node-style callback(err, row|null)
+ */
+const findByOrderId = (orderId, callback) => {
+    const sql = 'SELECT id, invoice_number, order_id, issued_at FROM invoices WHERE order_id = ? LIMIT 1';
+    connection.query(sql, [orderId], (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, rows && rows.length ? rows[0] : null);
+    });
+};
+
+/**
+ * Return the order's invoice, issuing the next invoice number the first time.
+ * Orders placed before invoice numbering get theirs when the invoice is first opened.
+ * @param {number} orderId
+ * @param {Function} callback Node-style callback(err, row)
+ */
+const ensureForOrder = (orderId, callback) => {
+    findByOrderId(orderId, (findErr, existing) => {
+        if (findErr || existing) {
+            return callback(findErr, existing);
+        }
+
+        connection.beginTransaction((transactionError) => {
+            if (transactionError) {
+                return callback(transactionError);
+            }
+
+            // Lock the order row so two first views cannot both take a number.
+            runQuery('SELECT id FROM orders WHERE id = ? FOR UPDATE', [orderId])
+                .then((orders) => {
+                    if (!orders || !orders.length) {
+                        throw new Error('Order not found.');
+                    }
+                    return runQuery('SELECT id FROM invoices WHERE order_id = ?', [orderId]);
+                })
+                .then((rows) => {
+                    if (rows && rows.length) {
+                        return null;
+                    }
+                    return new Promise((resolve, reject) => {
+                        DocumentSequence.next('invoice', (sequenceErr, invoiceNumber) => {
+                            if (sequenceErr) {
+                                return reject(sequenceErr);
+                            }
+                            return resolve(invoiceNumber);
+                        });
+                    }).then((invoiceNumber) => runQuery(
+                        'INSERT INTO invoices (invoice_number, order_id) VALUES (?, ?)',
+                        [invoiceNumber, orderId]
+                    ));
+                })
+                .then(() => {
+                    connection.commit((commitError) => {
+                        if (commitError) {
+                            return connection.rollback(() => callback(commitError));
+                        }
+                        return findByOrderId(orderId, callback);
+                    });
+                })
+                .catch((error) => {
+                    connection.rollback(() => callback(error));
+                });
+        });
+    });
+};
+
+module.exports = {
+    findByOrderId,
+    ensureForOrder
+};
@@ -0,0 +1,100 @@
+const db = require('../db');
+
+// Append-only log of sign-in attempts. `outcome` is one of success, failure, throttled,
+// unverified or unlock; an unlock row written by an admin resets the account's failure count
+// the same way a successful sign-in does.
+
+/**
+ * Record an attempt.
+ * @param {{email:string, userId:number|null, ip:string|null, outcome:string, userAgent:string|null}} attempt
+ * @param {Function} callback
+ */
+const create = (attempt, callback) => {
+    const sql = `
+        INSERT INTO login_attempts (email, user_id, ip, outcome, user_agent)
+        VALUES (?, ?, ?, ?, ?)
+    `;
+    db.query(sql, [attempt.email, attempt.userId || null, attempt.ip || null, attempt.outcome, attempt.userAgent || null], callback);
+};
+
+/**
+ * Failures per email since its last success or unlock, within the window.
+ * @param {string[]} emails - Normalised (lower-case) emails.
+ * @param {number} windowSeconds
+ * @param {Function} callback - Node-style callback (err, {email: {count, secondsSinceLast}}).
+ */
+const countAccountFailures = (emails, windowSeconds, callback) => {
+    if (!emails.length) {
+        return callback(null, {});
+    }
+    const sql = `
+        SELECT a.email, COUNT(*) AS failures, TIMESTAMPDIFF(SECOND, MAX(a.created_at), NOW()) AS seconds_since_last
+        FROM login_attempts a
+        LEFT JOIN (
+            SELECT email, MAX(id) AS reset_id
+            FROM login_attempts
+            WHERE email IN (?) AND outcome IN ('success', 'unlock')
+            GROUP BY email
+        ) r ON r.email = a.email
+        WHERE a.email IN (?)
+          AND a.outcome = 'failure'
+          AND a.created_at > DATE_SUB(NOW(), INTERVAL ? SECOND)
+          AND (r.reset_id IS NULL OR a.id > r.reset_id)
+        GROUP BY a.email
+    `;
+    db.query(sql, [emails, emails, windowSeconds], (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+        const stats = {};
+        (rows || []).forEach((row) => {
+            stats[row.email] = { count: Number(row.failures), secondsSinceLast: Number(row.seconds_since_last) };
+        });
+        return callback(null, stats);
+    });
+};
+
+/**
+ * Failures from one IP address within the window.
+ * @param {string} ip
+ * @param {number} windowSeconds
+ * @param {Function} callback - Node-style callback (err, {count, secondsSinceLast}).
+ */
+const countIpFailures = (ip, windowSeconds, callback) => {
+    const sql = `
+        SELECT COUNT(*) AS failures, TIMESTAMPDIFF(SECOND, MAX(created_at), NOW()) AS seconds_since_last
+        FROM login_attempts
+        WHERE ip = ? AND outcome = 'failure' AND created_at > DATE_SUB(NOW(), INTERVAL ? SECOND)
+    `;
+    db.query(sql, [ip, windowSeconds], (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+        const row = rows && rows[0] ? rows[0] : {};
+        return callback(null, { count: Number(row.failures) || 0, secondsSinceLast: Number(row.seconds_since_last) || 0 });
+    });
+};
+
+/**
+ * Most recent attempts for an email, newest first.
+ * @param {string} email
+ * @param {number} limit
+ * @param {Function} callback
+ */
+const findRecentByEmail = (email, limit, callback) => {
+    const sql = `
+        SELECT id, email, user_id, ip, outcome, user_agent, created_at
+        FROM login_attempts
+        WHERE email = ?
+        ORDER BY id DESC
+        LIMIT ?
+    `;
+    db.query(sql, [email, limit], callback);
+};
+
+module.exports = {
+    create,
+    countAccountFailures,
+    countIpFailures,
+    findRecentByEmail
+};
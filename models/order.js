@@ -1,10 +1,76 @@
 const connection = require('../db');
+const Payment = require('./payment');
+const StockReservation = require('./stockReservation');
+const PromoCode = require('./promoCode');
+const StockAlert = require('./stockAlert');
+const InventoryMovement = require('./inventoryMovement');
+const DeliverySlot = require('./deliverySlot');
+const tax = require('../services/tax');
+
+const FULFILMENT_STATUSES = ['pending', 'packing', 'out_for_delivery', 'ready_for_pickup', 'completed', 'cancelled'];
+
+// Allowed next states for each fulfilment status. Terminal states have no transitions.
+const FULFILMENT_TRANSITIONS = {
+    pending: ['packing', 'cancelled'],
+    packing: ['out_for_delivery', 'ready_for_pickup', 'cancelled'],
+    out_for_delivery: ['completed'],
+    ready_for_pickup: ['completed'],
+    completed: [],
+    cancelled: []
+};
+
+const CANCELLABLE_STATUSES = Object.keys(FULFILMENT_TRANSITIONS)
+    .filter((status) => FULFILMENT_TRANSITIONS[status].includes('cancelled'));
+
+// Delivery address/method can only be changed before the order leaves the store.
+const DELIVERY_EDITABLE_STATUSES = ['pending', 'packing'];
+
+const FULFILMENT_LABELS = {
+    pending: 'Pending',
+    packing: 'Packing',
+    out_for_delivery: 'Out for delivery',
+    ready_for_pickup: 'Ready for pickup',
+    completed: 'Completed',
+    cancelled: 'Cancelled'
+};
+
+/**
+ * List the statuses an order may move to next, taking its delivery method into account.
+ * @param {string} currentStatus
+ * @param {string} deliveryMethod
+ * @returns {string[]}
+ */
+const getNextFulfilmentStatuses = (currentStatus, deliveryMethod) => {
+    const candidates = FULFILMENT_TRANSITIONS[currentStatus || 'pending'] || [];
+    return candidates.filter((status) => {
+        if (status === 'out_for_delivery') {
+            return deliveryMethod === 'delivery';
+        }
+        if (status === 'ready_for_pickup') {
+            return deliveryMethod !== 'delivery';
+        }
+        return true;
+    });
+};
+
+const isDeliveryEditable = (status) => DELIVERY_EDITABLE_STATUSES.includes(status || 'pending');
+
+const insertStatusHistory = (orderId, status, changedBy, note, callback) => {
+    const sql = `
+        INSERT INTO order_status_history (order_id, status, changed_by, note)
+        VALUES (?, ?, ?, ?)
+    `;
+    connection.query(sql, [orderId, status, changedBy || null, note || null], callback);
+};
 
 /**
  * Create a new order for the given user and cart items.
  * Inserts into orders, creates order_items, and deducts inventory within a transaction.
+ * When a promo code is supplied its usage limits are re-checked and the redemption recorded.
+ * GST is worked out per line at the configured rate and stored with the order.
  * @param {number} userId
  * @param {Array<{productId:number, productName:string, quantity:number, price:number}>} cartItems
+ * @param {{deliveryMethod?:string, deliveryAddress?:string, deliveryRecipient?:string, deliveryContact?:string, deliveryPostalCode?:string, deliverySlotId?:number, deliveryFee?:number, deliveryFeeBreakdown?:Array<{label:string, amount:number}>, promoId?:number, promoCode?:string, discountAmount?:number}} options
  * @param {Function} callback Node-style callback(err, result)
  */
 const create = (userId, cartItems, options, callback) => {
@@ -16,7 +82,15 @@ const create = (userId, cartItems, options, callback) => {
     const {
         deliveryMethod = 'pickup',
         deliveryAddress = null,
-        deliveryFee = 0
+        deliveryRecipient = null,
+        deliveryContact = null,
+        deliveryPostalCode = null,
+        deliverySlotId = null,
+        deliveryFee = 0,
+        deliveryFeeBreakdown = [],
+        promoId = null,
+        promoCode = null,
+        discountAmount = 0
     } = options || {};
 
     if (!Array.isArray(cartItems) || cartItems.length === 0) {
@@ -41,27 +115,54 @@ const create = (userId, cartItems, options, callback) => {
         const safeDeliveryFee = Number.isFinite(deliveryFee) && deliveryFee > 0
             ? Number(deliveryFee.toFixed(2))
             : 0;
-        const finalTotal = Number((orderTotal + safeDeliveryFee).toFixed(2));
+        const safeDiscount = Number.isFinite(discountAmount) && discountAmount > 0
+            ? Number(Math.min(discountAmount, orderTotal).toFixed(2))
+            : 0;
+        const finalTotal = Number((orderTotal - safeDiscount + safeDeliveryFee).toFixed(2));
+        const orderTax = tax.computeOrderTax(cartItems, { discountAmount: safeDiscount, deliveryFee: safeDeliveryFee });
 
         const orderSql = `
-            INSERT INTO orders (user_id, total, delivery_method, delivery_address, delivery_fee)
-            VALUES (?, ?, ?, ?, ?)
+            INSERT INTO orders (user_id, total, delivery_method, delivery_address, delivery_recipient,
+                                delivery_contact, delivery_postal_code, delivery_slot_id, delivery_fee,
+                                delivery_fee_breakdown, promo_code, discount_amount, tax_rate, tax_amount)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
-        connection.query(orderSql, [userId, finalTotal, deliveryMethod, deliveryAddress, safeDeliveryFee], (orderError, orderResult) => {
+        const orderParams = [
+            userId,
+            finalTotal,
+            deliveryMethod,
+            deliveryAddress,
+            deliveryRecipient,
+            deliveryContact,
+            deliveryPostalCode,
+            deliverySlotId,
+            safeDeliveryFee,
+            deliveryFeeBreakdown && deliveryFeeBreakdown.length ? JSON.stringify(deliveryFeeBreakdown) : null,
+            promoId ? promoCode : null,
+            safeDiscount,
+            orderTax.rate,
+            orderTax.taxAmount
+        ];
+        connection.query(orderSql, orderParams, (orderError, orderResult) => {
             if (orderError) {
                 return connection.rollback(() => callback(orderError));
             }
 
             const orderId = orderResult.insertId;
 
-            const itemPromises = cartItems.map((item) => new Promise((resolve, reject) => {
+            const itemPromises = cartItems.map((item, index) => new Promise((resolve, reject) => {
                 const quantity = Number(item.quantity);
                 if (!Number.isFinite(quantity) || quantity <= 0) {
                     return reject(new Error(`Invalid quantity detected for ${item.productName}.`));
                 }
 
-                const productSql = 'SELECT quantity, is_deleted FROM products WHERE id = ? FOR UPDATE';
-                connection.query(productSql, [item.productId], (productError, productRows) => {
+                const productSql = `
+                    SELECT p.quantity, p.reorder_threshold, p.is_deleted, ${StockReservation.HELD_QUANTITY_SQL} AS held_quantity
+                    FROM products p
+                    WHERE p.id = ?
+                    FOR UPDATE
+                `;
+                connection.query(productSql, [userId, item.productId], (productError, productRows) => {
                     if (productError) {
                         return reject(productError);
                     }
@@ -70,7 +171,8 @@ const create = (userId, cartItems, options, callback) => {
                         return reject(new Error(`${item.productName || 'This product'} is no longer available.`));
                     }
 
-                    const availableQuantity = Number(productRows[0].quantity);
+                    // Stock held by other shoppers' PayPal checkouts is not available to this order.
+                    const availableQuantity = Number(productRows[0].quantity) - Number(productRows[0].held_quantity || 0);
                     if (availableQuantity < quantity) {
                         return reject(new Error(`Insufficient stock for ${item.productName}.`));
                     }
@@ -80,8 +182,12 @@ const create = (userId, cartItems, options, callback) => {
                         return reject(new Error(`Invalid price detected for ${item.productName}.`));
                     }
 
-                    const insertItemSql = 'INSERT INTO order_items (order_id, product_id, quantity, price) VALUES (?, ?, ?, ?)';
-                    connection.query(insertItemSql, [orderId, item.productId, quantity, unitPrice], (itemError) => {
+                    const insertItemSql = `
+                        INSERT INTO order_items (order_id, product_id, quantity, price, tax_rate, tax_amount)
+                        VALUES (?, ?, ?, ?, ?, ?)
+                    `;
+                    const itemParams = [orderId, item.productId, quantity, unitPrice, orderTax.rate, orderTax.lines[index].taxAmount];
+                    connection.query(insertItemSql, itemParams, (itemError) => {
                         if (itemError) {
                             return reject(itemError);
                         }
@@ -91,13 +197,78 @@ const create = (userId, cartItems, options, callback) => {
                             if (updateError) {
                                 return reject(updateError);
                             }
-                            resolve();
+
+                            const stockBefore = Number(productRows[0].quantity);
+                            const movement = {
+                                productId: item.productId,
+                                type: 'sale',
+                                before: stockBefore,
+                                after: stockBefore - quantity,
+                                actorId: userId,
+                                orderId
+                            };
+                            InventoryMovement.record(movement, (movementError) => {
+                                if (movementError) {
+                                    return reject(movementError);
+                                }
+                                StockAlert.recordIfCrossed({
+                                    ...movement,
+                                    threshold: Number(productRows[0].reorder_threshold)
+                                }, (alertError) => {
+                                    if (alertError) {
+                                        return reject(alertError);
+                                    }
+                                    resolve();
+                                });
+                            });
                         });
                     });
                 });
             }));
 
             Promise.all(itemPromises)
+                .then(() => new Promise((resolve, reject) => {
+                    if (!deliverySlotId) {
+                        return resolve();
+                    }
+                    DeliverySlot.getBooking(deliverySlotId, userId, true, (slotError, booking) => {
+                        if (slotError) {
+                            return reject(slotError);
+                        }
+                        // This order is already counted against the slot, so compare the places taken before it.
+                        const bookingError = DeliverySlot.bookingError(booking.slot, booking.booked - 1, deliveryMethod);
+                        return bookingError ? reject(new Error(bookingError)) : resolve();
+                    });
+                }))
+                .then(() => new Promise((resolve, reject) => {
+                    if (!promoId) {
+                        return resolve();
+                    }
+                    // Re-check usage limits under a row lock so concurrent checkouts cannot overshoot them.
+                    PromoCode.getUsage(promoId, userId, true, (usageError, usage) => {
+                        if (usageError) {
+                            return reject(usageError);
+                        }
+                        const limitError = PromoCode.usageLimitError(usage.promo, usage.totalUses, usage.userUses);
+                        if (limitError) {
+                            return reject(new Error(limitError));
+                        }
+                        PromoCode.recordRedemption(promoId, orderId, userId, safeDiscount, (redeemError) => {
+                            if (redeemError) {
+                                return reject(redeemError);
+                            }
+                            return resolve();
+                        });
+                    });
+                }))
+                .then(() => new Promise((resolve, reject) => {
+                    insertStatusHistory(orderId, 'pending', userId, null, (historyError) => {
+                        if (historyError) {
+                            return reject(historyError);
+                        }
+                        return resolve();
+                    });
+                }))
                 .then(() => {
                     connection.commit((commitError) => {
                         if (commitError) {
@@ -108,7 +279,10 @@ const create = (userId, cartItems, options, callback) => {
                             total: finalTotal,
                             deliveryMethod,
                             deliveryAddress,
-                            deliveryFee: safeDeliveryFee
+                            deliveryFee: safeDeliveryFee,
+                            promoCode: promoId ? promoCode : null,
+                            discountAmount: safeDiscount,
+                            taxAmount: orderTax.taxAmount
                         });
                     });
                 })
@@ -119,33 +293,70 @@ const create = (userId, cartItems, options, callback) => {
     });
 };
 
+// Booked window for an order (o) joined to delivery_slots (ds); null columns when no slot was chosen.
+const SLOT_SELECT_SQL = 'o.delivery_slot_id, ds.slot_date, ds.start_time AS slot_start_time, ds.end_time AS slot_end_time, ds.is_express AS slot_is_express';
+
+/**
+ * Run a list query either whole or, when paging is given, as one LIMIT/OFFSET page
+ * alongside a COUNT query. Paged results call back with (err, rows, total).
+ */
+const queryList = (sql, countSql, params, paging, callback) => {
+    if (!paging) {
+        return connection.query(sql, params, callback);
+    }
+    return Promise.all([
+        runQuery(countSql, params),
+        runQuery(`${sql} LIMIT ? OFFSET ?`, [...params, paging.limit, paging.offset])
+    ])
+        .then(
+            // Leave the promise chain before calling back so a throw in the caller cannot re-enter it.
+            ([countRows, rows]) => setImmediate(() => callback(null, rows, Number(countRows[0].total) || 0)),
+            (error) => setImmediate(() => callback(error))
+        );
+};
+
 /**
- * Retrieve orders placed by a specific user.
+ * Retrieve orders placed by a specific user, newest first.
  * @param {number} userId
+ * @param {{limit:number, offset:number}} [paging] - fetch a single page and the total count
  * @param {Function} callback
  */
-const findByUser = (userId, callback) => {
+const findByUser = (userId, paging, callback) => {
+    if (typeof paging === 'function') {
+        callback = paging;
+        paging = null;
+    }
     const sql = `
-        SELECT id, total, created_at, delivery_method, delivery_address, delivery_fee
-        FROM orders
-        WHERE user_id = ?
-        ORDER BY created_at DESC, id DESC
+        SELECT o.id, o.total, o.created_at, o.delivery_method, o.delivery_address, o.delivery_recipient,
+               o.delivery_contact, o.delivery_postal_code, o.delivery_fee, o.promo_code, o.discount_amount,
+               o.tax_rate, o.tax_amount, o.payment_method, o.payment_status, o.fulfilment_status, ${SLOT_SELECT_SQL}
+        FROM orders o
+        LEFT JOIN delivery_slots ds ON ds.id = o.delivery_slot_id
+        WHERE o.user_id = ?
+        ORDER BY o.created_at DESC, o.id DESC
     `;
-    connection.query(sql, [userId], callback);
+    queryList(sql, 'SELECT COUNT(*) AS total FROM orders WHERE user_id = ?', [userId], paging, callback);
 };
 
 const findById = (orderId, callback) => {
     const sql = `
-        SELECT id, user_id, total, created_at, delivery_method, delivery_address, delivery_fee,
-               payment_method, payment_status, payment_reference
-        FROM orders
-        WHERE id = ?
+        SELECT o.id, o.user_id, o.total, o.created_at, o.delivery_method, o.delivery_address, o.delivery_recipient,
+               o.delivery_contact, o.delivery_postal_code, o.delivery_fee, o.delivery_fee_breakdown, o.promo_code,
+               o.discount_amount, o.tax_rate, o.tax_amount, o.payment_method, o.payment_status, o.payment_reference,
+               o.fulfilment_status, ${SLOT_SELECT_SQL}
+        FROM orders o
+        LEFT JOIN delivery_slots ds ON ds.id = o.delivery_slot_id
+        WHERE o.id = ?
         LIMIT 1
     `;
     connection.query(sql, [orderId], callback);
 };
 
-const findAllWithUsers = (callback) => {
+const findAllWithUsers = (paging, callback) => {
+    if (typeof paging === 'function') {
+        callback = paging;
+        paging = null;
+    }
     const sql = `
         SELECT
             o.id,
@@ -154,10 +365,17 @@ const findAllWithUsers = (callback) => {
             o.created_at,
             o.delivery_method,
             o.delivery_address,
+            o.delivery_recipient,
+            o.delivery_contact,
+            o.delivery_postal_code,
             o.delivery_fee,
+            o.promo_code,
+            o.discount_amount,
             o.payment_method,
             o.payment_status,
             o.payment_reference,
+            o.fulfilment_status,
+            ${SLOT_SELECT_SQL},
             u.username,
             u.email,
             u.contact,
@@ -165,9 +383,38 @@ const findAllWithUsers = (callback) => {
             u.free_delivery
         FROM orders o
         JOIN users u ON u.id = o.user_id
+        LEFT JOIN delivery_slots ds ON ds.id = o.delivery_slot_id
         ORDER BY o.created_at DESC, o.id DESC
     `;
-    connection.query(sql, callback);
+    const countSql = 'SELECT COUNT(*) AS total FROM orders o JOIN users u ON u.id = o.user_id';
+    queryList(sql, countSql, [], paging, callback);
+};
+
+/**
+ * Orders booked into slots on a given day, for the per-slot manifest. Cancelled orders are left out.
+ * @param {string} date - YYYY-MM-DD.
+ * @param {Function} callback
+ */
+const findBySlotDate = (date, callback) => {
+    const sql = `
+        SELECT
+            o.id,
+            o.delivery_slot_id,
+            o.delivery_method,
+            o.delivery_address,
+            o.delivery_recipient,
+            o.delivery_contact,
+            o.fulfilment_status,
+            o.total,
+            u.username,
+            u.contact
+        FROM orders o
+        JOIN delivery_slots ds ON ds.id = o.delivery_slot_id
+        JOIN users u ON u.id = o.user_id
+        WHERE ds.slot_date = ? AND o.fulfilment_status <> 'cancelled'
+        ORDER BY ds.start_time ASC, o.delivery_address ASC, o.id ASC
+    `;
+    connection.query(sql, [date], callback);
 };
 
 /**
@@ -186,6 +433,8 @@ const findItemsByOrderIds = (orderIds, callback) => {
             oi.product_id,
             oi.quantity,
             oi.price,
+            oi.tax_rate,
+            oi.tax_amount,
             COALESCE(p.productName, 'Deleted product') AS productName,
             p.image,
             p.discountPercentage,
@@ -225,11 +474,23 @@ const getBestSellers = (limit, callback) => {
     connection.query(sql, [safeLimit], callback);
 };
 
+/**
+ * Update delivery method, address and fee for an order, moving the GST on the old fee to the new one.
+ * Refuses the change once the order has left the packing stage.
+ * Changing the method drops any booked time slot.
+ * @param {number} orderId
+ * @param {{deliveryMethod:string, deliveryAddress:string|null, deliveryRecipient?:string|null, deliveryContact?:string|null, deliveryPostalCode?:string|null, deliveryFee:number, deliveryFeeBreakdown?:Array<{label:string, amount:number}>}} deliveryData
+ * @param {Function} callback
+ */
 const updateDelivery = (orderId, deliveryData, callback) => {
     const {
         deliveryMethod = 'pickup',
         deliveryAddress = null,
-        deliveryFee = 0
+        deliveryRecipient = null,
+        deliveryContact = null,
+        deliveryPostalCode = null,
+        deliveryFee = 0,
+        deliveryFeeBreakdown = []
     } = deliveryData || {};
 
     const safeFee = Number.isFinite(deliveryFee) && deliveryFee > 0
@@ -237,10 +498,39 @@ const updateDelivery = (orderId, deliveryData, callback) => {
         : 0;
     const sql = `
         UPDATE orders
-        SET delivery_method = ?, delivery_address = ?, delivery_fee = ?, total = total - delivery_fee + ?
-        WHERE id = ?
+        SET delivery_slot_id = IF(delivery_method = ?, delivery_slot_id, NULL),
+            delivery_method = ?, delivery_address = ?, delivery_recipient = ?, delivery_contact = ?,
+            delivery_postal_code = ?, total = total - delivery_fee + ?,
+            tax_amount = tax_amount - ROUND(delivery_fee * tax_rate / (100 + tax_rate), 2)
+                + ROUND(? * tax_rate / (100 + tax_rate), 2),
+            delivery_fee = ?, delivery_fee_breakdown = ?
+        WHERE id = ? AND fulfilment_status IN (?)
     `;
-    connection.query(sql, [deliveryMethod, deliveryAddress, safeFee, safeFee, orderId], callback);
+    // A booked slot belongs to one method, so switching between pickup and delivery releases it.
+    // MySQL applies assignments left to right, so the total and GST must be adjusted before the fee is replaced.
+    const params = [
+        deliveryMethod,
+        deliveryMethod,
+        deliveryAddress,
+        deliveryRecipient,
+        deliveryContact,
+        deliveryPostalCode,
+        safeFee,
+        safeFee,
+        safeFee,
+        deliveryFeeBreakdown && deliveryFeeBreakdown.length ? JSON.stringify(deliveryFeeBreakdown) : null,
+        orderId,
+        DELIVERY_EDITABLE_STATUSES
+    ];
+    connection.query(sql, params, (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!result || result.affectedRows === 0) {
+            return callback(new Error('Delivery details can no longer be changed once an order has shipped.'));
+        }
+        return callback(null, result);
+    });
 };
 
 const updatePayment = (orderId, paymentData, callback) => {
@@ -258,13 +548,258 @@ const updatePayment = (orderId, paymentData, callback) => {
     connection.query(sql, [method, status, reference, orderId], callback);
 };
 
+/**
+ * Move an order to a new fulfilment status, enforcing the allowed transitions
+ * and recording the change in order_status_history within a transaction.
+ * @param {number} orderId
+ * @param {string} nextStatus
+ * @param {{changedBy?:number, note?:string}} options
+ * @param {Function} callback Node-style callback(err, {orderId, previousStatus, status})
+ */
+const updateFulfilmentStatus = (orderId, nextStatus, options, callback) => {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    const { changedBy = null, note = null } = options || {};
+
+    if (!FULFILMENT_STATUSES.includes(nextStatus)) {
+        return callback(new Error('Unknown fulfilment status.'));
+    }
+
+    if (nextStatus === 'cancelled') {
+        return callback(new Error('Use order cancellation so that stock is restored.'));
+    }
+
+    connection.beginTransaction((transactionError) => {
+        if (transactionError) {
+            return callback(transactionError);
+        }
+
+        const lockSql = 'SELECT id, delivery_method, fulfilment_status FROM orders WHERE id = ? FOR UPDATE';
+        connection.query(lockSql, [orderId], (lockError, rows) => {
+            if (lockError) {
+                return connection.rollback(() => callback(lockError));
+            }
+            if (!rows || !rows.length) {
+                return connection.rollback(() => callback(new Error('Order not found.')));
+            }
+
+            const order = rows[0];
+            const previousStatus = order.fulfilment_status || 'pending';
+            const allowed = getNextFulfilmentStatuses(previousStatus, order.delivery_method);
+            if (!allowed.includes(nextStatus)) {
+                const error = new Error(`Cannot move an order from ${FULFILMENT_LABELS[previousStatus]} to ${FULFILMENT_LABELS[nextStatus]}.`);
+                return connection.rollback(() => callback(error));
+            }
+
+            const updateSql = 'UPDATE orders SET fulfilment_status = ? WHERE id = ?';
+            connection.query(updateSql, [nextStatus, orderId], (updateError) => {
+                if (updateError) {
+                    return connection.rollback(() => callback(updateError));
+                }
+
+                insertStatusHistory(orderId, nextStatus, changedBy, note, (historyError) => {
+                    if (historyError) {
+                        return connection.rollback(() => callback(historyError));
+                    }
+
+                    connection.commit((commitError) => {
+                        if (commitError) {
+                            return connection.rollback(() => callback(commitError));
+                        }
+                        return callback(null, { orderId, previousStatus, status: nextStatus });
+                    });
+                });
+            });
+        });
+    });
+};
+
+const runQuery = (sql, params) => new Promise((resolve, reject) => {
+    connection.query(sql, params, (err, result) => {
+        if (err) {
+            return reject(err);
+        }
+        return resolve(result);
+    });
+});
+
+// Mark an order refunded and add the payments row its credit note is issued from.
+const recordRefund = (order, result, callback) => {
+    connection.query('UPDATE orders SET payment_status = ? WHERE id = ?', [result.status, order.id], (updateError) => {
+        if (updateError) {
+            return callback(updateError);
+        }
+        return Payment.createRefund(
+            order.id,
+            order.payment_method,
+            result.status,
+            result.amount,
+            result.reference,
+            result.payload,
+            callback
+        );
+    });
+};
+
+/**
+ * Cancel an order within a single transaction: restock every order item,
+ * mark the order cancelled and record it on the status timeline.
+ * When options.refund is given it is called with the order row after commit;
+ * a non-null result ({status, amount, reference, payload}) is recorded through
+ * Payment.createRefund. A failed refund leaves the order cancelled and is
+ * reported as refundError rather than as err.
+ * @param {number} orderId
+ * @param {{changedBy?:number, note?:string, allowedStatuses?:string[], refund?:Function}} options
+ * @param {Function} callback Node-style callback(err, {orderId, previousStatus, restocked, refund, refundError})
+ */
+const cancel = (orderId, options, callback) => {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    const {
+        changedBy = null,
+        note = null,
+        allowedStatuses = CANCELLABLE_STATUSES,
+        refund = null
+    } = options || {};
+
+    connection.beginTransaction((transactionError) => {
+        if (transactionError) {
+            return callback(transactionError);
+        }
+
+        let order = null;
+        let restocked = 0;
+
+        runQuery('SELECT * FROM orders WHERE id = ? FOR UPDATE', [orderId])
+            .then((rows) => {
+                if (!rows || !rows.length) {
+                    throw new Error('Order not found.');
+                }
+                order = rows[0];
+                const currentStatus = order.fulfilment_status || 'pending';
+                if (currentStatus === 'cancelled') {
+                    throw new Error('This order has already been cancelled.');
+                }
+                if (!allowedStatuses.includes(currentStatus)) {
+                    throw new Error(`Orders that are ${FULFILMENT_LABELS[currentStatus].toLowerCase()} can no longer be cancelled.`);
+                }
+                return runQuery('SELECT product_id, quantity FROM order_items WHERE order_id = ?', [orderId]);
+            })
+            // Restock one item at a time so each ledger entry sees the previous one's quantity.
+            .then((items) => (items || []).reduce((chain, item) => chain.then(() => new Promise((resolve, reject) => {
+                restocked += Number(item.quantity) || 0;
+                InventoryMovement.applyChange({
+                    productId: item.product_id,
+                    type: 'cancellation_restock',
+                    change: Number(item.quantity),
+                    actorId: changedBy,
+                    orderId,
+                    reason: note
+                }, (movementError) => {
+                    if (movementError) {
+                        return reject(movementError);
+                    }
+                    return resolve();
+                });
+            })), Promise.resolve()))
+            .then(() => runQuery('UPDATE orders SET fulfilment_status = ? WHERE id = ?', ['cancelled', orderId]))
+            .then(() => new Promise((resolve, reject) => {
+                // Cancelled orders no longer count towards promo code usage limits.
+                PromoCode.removeRedemptionsForOrder(orderId, (promoError) => {
+                    if (promoError) {
+                        return reject(promoError);
+                    }
+                    return resolve();
+                });
+            }))
+            .then(() => new Promise((resolve, reject) => {
+                insertStatusHistory(orderId, 'cancelled', changedBy, note, (historyError) => {
+                    if (historyError) {
+                        return reject(historyError);
+                    }
+                    return resolve();
+                });
+            }))
+            .then(() => {
+                connection.commit((commitError) => {
+                    if (commitError) {
+                        return connection.rollback(() => callback(commitError));
+                    }
+                    const cancelled = {
+                        orderId,
+                        previousStatus: order.fulfilment_status || 'pending',
+                        restocked,
+                        refund: null,
+                        refundError: null
+                    };
+                    if (typeof refund !== 'function') {
+                        return callback(null, cancelled);
+                    }
+                    // Refund only once the cancellation is committed, so no row locks are held
+                    // across the PayPal call and a failed write cannot undo a refund already sent.
+                    return refund(order, (refundError, result) => {
+                        if (refundError) {
+                            return callback(null, { ...cancelled, refundError });
+                        }
+                        if (!result) {
+                            return callback(null, cancelled);
+                        }
+                        return recordRefund(order, result, (recordError) => {
+                            if (recordError) {
+                                console.error('Refund issued but not recorded for order', orderId, result, recordError);
+                            }
+                            return callback(null, { ...cancelled, refund: result, refundError: recordError || null });
+                        });
+                    });
+                });
+            })
+            .catch((error) => {
+                connection.rollback(() => callback(error));
+            });
+    });
+};
+
+/**
+ * Retrieve the fulfilment timeline for a list of orders, oldest entry first.
+ * @param {number[]} orderIds
+ * @param {Function} callback
+ */
+const findStatusHistoryByOrderIds = (orderIds, callback) => {
+    if (!Array.isArray(orderIds) || orderIds.length === 0) {
+        return callback(null, []);
+    }
+
+    const sql = `
+        SELECT h.id, h.order_id, h.status, h.note, h.changed_by, h.created_at, u.username AS changed_by_name
+        FROM order_status_history h
+        LEFT JOIN users u ON u.id = h.changed_by
+        WHERE h.order_id IN (?)
+        ORDER BY h.created_at ASC, h.id ASC
+    `;
+    connection.query(sql, [orderIds], callback);
+};
+
 module.exports = {
+    FULFILMENT_STATUSES,
+    FULFILMENT_LABELS,
+    getNextFulfilmentStatuses,
+    isDeliveryEditable,
+    cancel,
     create,
     findByUser,
     findById,
     findAllWithUsers,
+    findBySlotDate,
     findItemsByOrderIds,
+    findStatusHistoryByOrderIds,
     getBestSellers,
     updateDelivery,
+    updateFulfilmentStatus,
     updatePayment
 };
@@ -1,14 +1,20 @@
 const connection = require('../db');
 
+/**
+ * Record a refund against an order. The GST it reverses is the same share of the
+ * order's tax as the refund is of the order total.
+ */
 const createRefund = (orderId, method, status, amount, providerReference, payload, callback) => {
     const sql = `
-        INSERT INTO payments (order_id, method, status, amount, provider_reference, payload)
-        VALUES (?, ?, ?, ?, ?, ?)
+        INSERT INTO payments (order_id, method, status, amount, tax_amount, provider_reference, payload)
+        SELECT o.id, ?, ?, ?, IF(o.total > 0, ROUND(LEAST(?, o.total) * o.tax_amount / o.total, 2), 0), ?, ?
+        FROM orders o
+        WHERE o.id = ?
     `;
     const safeAmount = Number.isFinite(amount) ? Number(amount.toFixed(2)) : 0;
     connection.query(
         sql,
-        [orderId, method, status, safeAmount, providerReference || null, payload || null],
+        [method, status, safeAmount, safeAmount, providerReference || null, payload || null, orderId],
         callback
     );
 };
@@ -21,8 +27,11 @@ const findRefunds = (callback) => {
             p.method,
             p.status,
             p.amount,
+            p.tax_amount,
             p.provider_reference,
             p.created_at,
+            cn.id AS credit_note_id,
+            cn.credit_note_number,
             o.total AS order_total,
             o.payment_reference AS capture_reference,
             u.username,
@@ -30,6 +39,7 @@ const findRefunds = (callback) => {
         FROM payments p
         JOIN orders o ON o.id = p.order_id
         JOIN users u ON u.id = o.user_id
+        LEFT JOIN credit_notes cn ON cn.payment_id = p.id
         WHERE p.status IN ('refunded', 'partially_refunded')
         ORDER BY p.created_at DESC, p.id DESC
     `;
@@ -42,7 +52,7 @@ const getRefundTotals = (orderIds, callback) => {
     }
 
     const sql = `
-        SELECT order_id, SUM(amount) AS refunded_total
+        SELECT order_id, SUM(amount) AS refunded_total, SUM(tax_amount) AS refunded_tax
         FROM payments
         WHERE order_id IN (?)
           AND status IN ('refunded', 'partially_refunded')
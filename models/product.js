@@ -1,10 +1,53 @@
 const connection = require('../db');
+const { DEFAULT_REORDER_THRESHOLD } = require('./stockAlert');
+const InventoryMovement = require('./inventoryMovement');
+
+const EFFECTIVE_PRICE_SQL = 'ROUND(p.price * (1 - p.discountPercentage / 100), 2)';
+
+// Whitelisted ORDER BY clauses for Product.search, keyed by the ?sort= value
+const SEARCH_SORTS = {
+    featured: 'p.id ASC',
+    price_asc: `${EFFECTIVE_PRICE_SQL} ASC, p.productName ASC`,
+    price_desc: `${EFFECTIVE_PRICE_SQL} DESC, p.productName ASC`,
+    name_asc: 'p.productName ASC',
+    name_desc: 'p.productName DESC',
+    best_sellers: 'total_sold DESC, p.productName ASC',
+    rating: 'average_rating IS NULL, average_rating DESC, review_count DESC, p.productName ASC'
+};
+
+const escapeLike = (value) => String(value).replace(/[\\%_]/g, (char) => `\\${char}`);
+
+// Run a count query followed by a LIMIT/OFFSET page query; calls back with (err, rows, total).
+const queryPage = (countSql, pageSql, params, paging, callback) => {
+    connection.query(countSql, params, (countError, countRows) => {
+        if (countError) {
+            return callback(countError);
+        }
+        const total = Number(countRows[0].total) || 0;
+        connection.query(`${pageSql} LIMIT ? OFFSET ?`, [...params, paging.limit, paging.offset], (error, rows) => {
+            if (error) {
+                return callback(error);
+            }
+            return callback(null, rows, total);
+        });
+    });
+};
 
 // Product model
 const Product = {
-    getAll: (callback) => {
+
+    // Pass { limit, offset } to fetch a single page; the callback then also receives the total count.
+    getAll: (paging, callback) => {
+        if (typeof paging === 'function') {
+            callback = paging;
+            paging = null;
+        }
         const sql = 'SELECT * FROM products WHERE is_deleted = 0';
-        connection.query(sql, callback);
+        if (!paging) {
+            return connection.query(sql, callback);
+        }
+        const countSql = 'SELECT COUNT(*) AS total FROM products WHERE is_deleted = 0';
+        return queryPage(countSql, `${sql} ORDER BY id ASC`, [], paging, callback);
     },
 
     getByCategory: (category, callback) => {
@@ -12,6 +55,88 @@ const Product = {
         connection.query(sql, [category], callback);
     },
 
+    // Filter, search and sort the storefront. Price filters apply to the discounted price;
+    // best-seller counts ignore cancelled orders. Pass { limit, offset } as paging to get one page plus the total.
+    search: (filters, paging, callback) => {
+        if (typeof paging === 'function') {
+            callback = paging;
+            paging = null;
+        }
+        const {
+            keyword = '',
+            category = '',
+            minPrice = null,
+            maxPrice = null,
+            onSale = false,
+            inStock = false,
+            sort = 'featured'
+        } = filters || {};
+
+        const conditions = ['p.is_deleted = 0'];
+        const params = [];
+
+        if (keyword) {
+            const pattern = `%${escapeLike(keyword)}%`;
+            conditions.push('(p.productName LIKE ? OR p.category LIKE ? OR p.offerMessage LIKE ?)');
+            params.push(pattern, pattern, pattern);
+        }
+        if (category) {
+            conditions.push('p.category = ?');
+            params.push(category);
+        }
+        if (minPrice !== null) {
+            conditions.push(`${EFFECTIVE_PRICE_SQL} >= ?`);
+            params.push(minPrice);
+        }
+        if (maxPrice !== null) {
+            conditions.push(`${EFFECTIVE_PRICE_SQL} <= ?`);
+            params.push(maxPrice);
+        }
+        if (onSale) {
+            conditions.push('p.discountPercentage > 0');
+        }
+        if (inStock) {
+            conditions.push('p.quantity > 0');
+        }
+
+        const whereSql = `WHERE ${conditions.join(' AND ')}`;
+        const sql = `
+            SELECT p.*,
+                   COALESCE(sales.total_sold, 0) AS total_sold,
+                   ratings.average_rating,
+                   COALESCE(ratings.review_count, 0) AS review_count
+            FROM products p
+            LEFT JOIN (
+                SELECT oi.product_id, SUM(oi.quantity) AS total_sold
+                FROM order_items oi
+                JOIN orders o ON o.id = oi.order_id
+                WHERE o.fulfilment_status <> 'cancelled'
+                GROUP BY oi.product_id
+            ) sales ON sales.product_id = p.id
+            LEFT JOIN (
+                SELECT product_id, AVG(rating) AS average_rating, COUNT(*) AS review_count
+                FROM product_reviews
+                GROUP BY product_id
+            ) ratings ON ratings.product_id = p.id
+            ${whereSql}
+            ORDER BY ${SEARCH_SORTS[sort] || SEARCH_SORTS.featured}, p.id ASC
+        `;
+        if (!paging) {
+            return connection.query(sql, params, callback);
+        }
+        return queryPage(`SELECT COUNT(*) AS total FROM products p ${whereSql}`, sql, params, paging, callback);
+    },
+
+    // Products that are out of stock or below their reorder threshold, emptiest first
+    getLowStock: (callback) => {
+        const sql = `
+            SELECT * FROM products
+            WHERE is_deleted = 0 AND (quantity <= 0 OR quantity < reorder_threshold)
+            ORDER BY quantity ASC, productName ASC
+        `;
+        connection.query(sql, callback);
+    },
+
     getCategories: (callback) => {
         const sql = 'SELECT DISTINCT category FROM products WHERE is_deleted = 0 ORDER BY category ASC';
         connection.query(sql, callback);
@@ -25,37 +150,108 @@ const Product = {
     create: (productData, callback) => {
         const {
             name,
+            sku = null,
             quantity,
             price,
             image,
             discountPercentage = 0,
             offerMessage = null,
-            category = 'General'
+            category = 'General',
+            reorderThreshold = DEFAULT_REORDER_THRESHOLD,
+            createdBy = null
         } = productData;
         const sql = `
             INSERT INTO products
-                (productName, quantity, price, discountPercentage, offerMessage, image, category)
-            VALUES (?, ?, ?, ?, ?, ?, ?)
+                (productName, sku, quantity, price, discountPercentage, offerMessage, image, category, reorder_threshold)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
         `;
-        connection.query(sql, [name, quantity, price, discountPercentage, offerMessage, image, category], callback);
+        connection.query(sql, [name, sku, quantity, price, discountPercentage, offerMessage, image, category, reorderThreshold], (error, result) => {
+            if (error || !(Number(quantity) > 0)) {
+                return callback(error, result);
+            }
+            // Opening stock goes on the ledger as the product's first receipt.
+            InventoryMovement.record({
+                productId: result.insertId,
+                type: 'receipt',
+                before: 0,
+                after: Number(quantity),
+                actorId: createdBy,
+                reason: 'Opening stock'
+            }, (movementError) => callback(movementError, result));
+        });
     },
 
+    // Stock levels are not edited here; they change through InventoryMovement so every change is on the ledger.
     update: (productId, productData, callback) => {
         const {
             name,
-            quantity,
+            sku = null,
             price,
             image,
             discountPercentage = 0,
             offerMessage = null,
-            category = 'General'
+            category = 'General',
+            reorderThreshold = DEFAULT_REORDER_THRESHOLD
         } = productData;
         const sql = `
             UPDATE products
-            SET productName = ?, quantity = ?, price = ?, discountPercentage = ?, offerMessage = ?, image = ?, category = ?
+            SET productName = ?, sku = ?, price = ?, discountPercentage = ?, offerMessage = ?, image = ?, category = ?,
+                reorder_threshold = ?
             WHERE id = ?
         `;
-        connection.query(sql, [name, quantity, price, discountPercentage, offerMessage, image, category, productId], callback);
+        connection.query(sql, [name, sku, price, discountPercentage, offerMessage, image, category, reorderThreshold, productId], callback);
+    },
+
+    // Apply a batch of creates/updates from a CSV import in a single transaction.
+    // Each entry is { productId, payload }; entries without a productId are inserted.
+    // Quantity changes on existing products are recorded as stock count adjustments.
+    importBatch: (entries, actorId, callback) => {
+        connection.beginTransaction((transactionError) => {
+            if (transactionError) {
+                return callback(transactionError);
+            }
+
+            const summary = { created: 0, updated: 0 };
+            const applyEntry = (entry) => new Promise((resolve, reject) => {
+                const done = (err, result) => {
+                    if (err) {
+                        return reject(err);
+                    }
+                    if (entry.productId && result.affectedRows === 0) {
+                        return reject(new Error(`Product "${entry.payload.name}" no longer exists.`));
+                    }
+                    summary[entry.productId ? 'updated' : 'created'] += 1;
+                    if (!entry.productId) {
+                        return resolve();
+                    }
+                    InventoryMovement.applyChange({
+                        productId: entry.productId,
+                        type: 'adjustment',
+                        setTo: entry.payload.quantity,
+                        actorId,
+                        reason: 'CSV import'
+                    }, (movementError) => (movementError ? reject(movementError) : resolve()));
+                };
+                if (entry.productId) {
+                    Product.update(entry.productId, entry.payload, done);
+                } else {
+                    Product.create({ ...entry.payload, createdBy: actorId }, done);
+                }
+            });
+
+            (entries || []).reduce((chain, entry) => chain.then(() => applyEntry(entry)), Promise.resolve())
+                .then(() => {
+                    connection.commit((commitError) => {
+                        if (commitError) {
+                            return connection.rollback(() => callback(commitError));
+                        }
+                        return callback(null, summary);
+                    });
+                })
+                .catch((error) => {
+                    connection.rollback(() => callback(error));
+                });
+        });
     },
 
     delete: (productId, callback) => {
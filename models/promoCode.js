@@ -0,0 +1,297 @@
+const connection = require('../db');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed', 'free_delivery'];
+
+const normaliseCode = (code) => (code ? String(code).trim().toUpperCase() : '');
+
+const parseCategories = (value) => (value ? String(value).split(',') : [])
+    .map((category) => category.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Retrieve all promo codes with their redemption counts, newest first.
+ * @param {Function} callback
+ */
+const findAll = (callback) => {
+    const sql = `
+        SELECT pc.*, COUNT(pr.id) AS times_used
+        FROM promo_codes pc
+        LEFT JOIN promo_redemptions pr ON pr.promo_code_id = pc.id
+        GROUP BY pc.id
+        ORDER BY pc.created_at DESC, pc.id DESC
+    `;
+    connection.query(sql, callback);
+};
+
+/**
+ * Retrieve a promo code by id.
+ * @param {number} id
+ * @param {Function} callback
+ */
+const findById = (id, callback) => {
+    const sql = 'SELECT * FROM promo_codes WHERE id = ? LIMIT 1';
+    connection.query(sql, [id], callback);
+};
+
+/**
+ * Retrieve a promo code by its (case-insensitive) code.
+ * @param {string} code
+ * @param {Function} callback
+ */
+const findByCode = (code, callback) => {
+    const sql = 'SELECT * FROM promo_codes WHERE code = ? LIMIT 1';
+    connection.query(sql, [normaliseCode(code)], callback);
+};
+
+const toRow = (data) => [
+    normaliseCode(data.code),
+    data.description || null,
+    data.discountType,
+    data.discountValue || 0,
+    data.minSpend || 0,
+    data.maxUses || null,
+    data.maxUsesPerUser || null,
+    data.startsAt || null,
+    data.endsAt || null,
+    data.categories || null,
+    data.isActive ? 1 : 0
+];
+
+/**
+ * Create a promo code.
+ * @param {Object} data
+ * @param {Function} callback
+ */
+const create = (data, callback) => {
+    const sql = `
+        INSERT INTO promo_codes
+            (code, description, discount_type, discount_value, min_spend, max_uses, max_uses_per_user,
+             starts_at, ends_at, categories, is_active)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `;
+    connection.query(sql, toRow(data), callback);
+};
+
+/**
+ * Update a promo code.
+ * @param {number} id
+ * @param {Object} data
+ * @param {Function} callback
+ */
+const update = (id, data, callback) => {
+    const sql = `
+        UPDATE promo_codes
+        SET code = ?, description = ?, discount_type = ?, discount_value = ?, min_spend = ?, max_uses = ?,
+            max_uses_per_user = ?, starts_at = ?, ends_at = ?, categories = ?, is_active = ?
+        WHERE id = ?
+    `;
+    connection.query(sql, [...toRow(data), id], callback);
+};
+
+/**
+ * Enable or disable a promo code.
+ * @param {number} id
+ * @param {boolean} isActive
+ * @param {Function} callback
+ */
+const setActive = (id, isActive, callback) => {
+    const sql = 'UPDATE promo_codes SET is_active = ? WHERE id = ?';
+    connection.query(sql, [isActive ? 1 : 0, id], callback);
+};
+
+/**
+ * Count how often a promo code has been redeemed overall and by one user.
+ * Pass lock = true inside a transaction to serialise concurrent redemptions.
+ * @param {number} promoId
+ * @param {number} userId
+ * @param {boolean} lock
+ * @param {Function} callback Node-style callback(err, {promo, totalUses, userUses})
+ */
+const getUsage = (promoId, userId, lock, callback) => {
+    const promoSql = `SELECT * FROM promo_codes WHERE id = ?${lock ? ' FOR UPDATE' : ''}`;
+    connection.query(promoSql, [promoId], (promoErr, promoRows) => {
+        if (promoErr) {
+            return callback(promoErr);
+        }
+        if (!promoRows || !promoRows.length) {
+            return callback(new Error('Promo code not found.'));
+        }
+
+        const usageSql = `
+            SELECT COUNT(*) AS total_uses, COALESCE(SUM(user_id = ?), 0) AS user_uses
+            FROM promo_redemptions
+            WHERE promo_code_id = ?
+        `;
+        connection.query(usageSql, [userId, promoId], (usageErr, usageRows) => {
+            if (usageErr) {
+                return callback(usageErr);
+            }
+            const usage = usageRows && usageRows[0] ? usageRows[0] : {};
+            return callback(null, {
+                promo: promoRows[0],
+                totalUses: Number(usage.total_uses || 0),
+                userUses: Number(usage.user_uses || 0)
+            });
+        });
+    });
+};
+
+/**
+ * Return the reason a promo code has hit its usage limits, or null when it can still be used.
+ * @param {Object} promo
+ * @param {number} totalUses
+ * @param {number} userUses
+ * @returns {string|null}
+ */
+const usageLimitError = (promo, totalUses, userUses) => {
+    if (promo.max_uses && totalUses >= Number(promo.max_uses)) {
+        return `Promo code ${promo.code} has been fully redeemed.`;
+    }
+    if (promo.max_uses_per_user && userUses >= Number(promo.max_uses_per_user)) {
+        return `You have already used promo code ${promo.code} the maximum number of times.`;
+    }
+    return null;
+};
+
+/**
+ * Work out what a promo code is worth against a set of line items.
+ * Items need price, quantity and category. Returns { error } when the code does not apply.
+ * @param {Object} promo promo_codes row
+ * @param {{items:Array, subtotal:number, totalUses:number, userUses:number, now?:Date}} context
+ * @returns {{error?:string, discountAmount?:number, freeDelivery?:boolean, eligibleSubtotal?:number}}
+ */
+const evaluate = (promo, context) => {
+    const now = context.now || new Date();
+    const subtotal = Number(context.subtotal) || 0;
+
+    if (!promo || !promo.is_active) {
+        return { error: 'This promo code is not valid.' };
+    }
+    if (promo.starts_at && new Date(promo.starts_at) > now) {
+        return { error: `Promo code ${promo.code} is not active yet.` };
+    }
+    if (promo.ends_at && new Date(promo.ends_at) < now) {
+        return { error: `Promo code ${promo.code} has expired.` };
+    }
+
+    const limitError = usageLimitError(promo, context.totalUses || 0, context.userUses || 0);
+    if (limitError) {
+        return { error: limitError };
+    }
+
+    const minSpend = Number(promo.min_spend) || 0;
+    if (minSpend > 0 && subtotal < minSpend) {
+        return { error: `Spend at least $${minSpend.toFixed(2)} to use promo code ${promo.code}.` };
+    }
+
+    const categories = parseCategories(promo.categories);
+    const eligibleItems = categories.length
+        ? (context.items || []).filter((item) => categories.includes(String(item.category || 'General').trim().toLowerCase()))
+        : (context.items || []);
+    if (!eligibleItems.length) {
+        return { error: `Promo code ${promo.code} does not apply to the items in your cart.` };
+    }
+
+    const eligibleSubtotal = eligibleItems.reduce((sum, item) => {
+        const unitPrice = Number(item.price);
+        const quantity = Number(item.quantity);
+        if (!Number.isFinite(unitPrice) || !Number.isFinite(quantity)) {
+            return sum;
+        }
+        return sum + (unitPrice * quantity);
+    }, 0);
+
+    const value = Number(promo.discount_value) || 0;
+    let discountAmount = 0;
+    if (promo.discount_type === 'percentage') {
+        discountAmount = eligibleSubtotal * Math.min(100, Math.max(0, value)) / 100;
+    } else if (promo.discount_type === 'fixed') {
+        discountAmount = Math.min(Math.max(0, value), eligibleSubtotal);
+    }
+
+    return {
+        discountAmount: Number(discountAmount.toFixed(2)),
+        freeDelivery: promo.discount_type === 'free_delivery',
+        eligibleSubtotal: Number(eligibleSubtotal.toFixed(2))
+    };
+};
+
+/**
+ * Look up a code and evaluate it for a shopper's items.
+ * Errors are user-facing messages.
+ * @param {string} code
+ * @param {number} userId
+ * @param {Array} items
+ * @param {number} subtotal
+ * @param {Function} callback Node-style callback(err, {promo, discountAmount, freeDelivery})
+ */
+const resolveForCheckout = (code, userId, items, subtotal, callback) => {
+    findByCode(code, (findErr, rows) => {
+        if (findErr) {
+            return callback(findErr);
+        }
+        if (!rows || !rows.length) {
+            return callback(new Error(`Promo code ${normaliseCode(code)} was not found.`));
+        }
+
+        getUsage(rows[0].id, userId, false, (usageErr, usage) => {
+            if (usageErr) {
+                return callback(usageErr);
+            }
+            const result = evaluate(usage.promo, {
+                items,
+                subtotal,
+                totalUses: usage.totalUses,
+                userUses: usage.userUses
+            });
+            if (result.error) {
+                return callback(new Error(result.error));
+            }
+            return callback(null, { promo: usage.promo, ...result });
+        });
+    });
+};
+
+/**
+ * Record that an order used a promo code.
+ * @param {number} promoId
+ * @param {number} orderId
+ * @param {number} userId
+ * @param {number} discountAmount
+ * @param {Function} callback
+ */
+const recordRedemption = (promoId, orderId, userId, discountAmount, callback) => {
+    const sql = `
+        INSERT INTO promo_redemptions (promo_code_id, order_id, user_id, discount_amount)
+        VALUES (?, ?, ?, ?)
+    `;
+    const safeAmount = Number.isFinite(discountAmount) ? Number(discountAmount.toFixed(2)) : 0;
+    connection.query(sql, [promoId, orderId, userId, safeAmount], callback);
+};
+
+/**
+ * Release the redemption held by an order, e.g. when it is cancelled.
+ * @param {number} orderId
+ * @param {Function} callback
+ */
+const removeRedemptionsForOrder = (orderId, callback) => {
+    const sql = 'DELETE FROM promo_redemptions WHERE order_id = ?';
+    connection.query(sql, [orderId], callback);
+};
+
+module.exports = {
+    DISCOUNT_TYPES,
+    normaliseCode,
+    findAll,
+    findById,
+    findByCode,
+    create,
+    update,
+    setActive,
+    getUsage,
+    usageLimitError,
+    evaluate,
+    resolveForCheckout,
+    recordRedemption,
+    removeRedemptionsForOrder
+};
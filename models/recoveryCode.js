@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+// One-time two-factor recovery codes. Only a SHA-256 of each (normalised) code is stored.
+
+const hashCode = (code) => crypto.createHash('sha256').update(String(code)).digest('hex');
+
+/**
+ * Replace a user's recovery codes with a new set.
+ * @param {number} userId
+ * @param {string[]} codes - Normalised codes (see totp.normaliseRecoveryCode).
+ * @param {Function} callback
+ */
+const replaceForUser = (userId, codes, callback) => {
+    db.query('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId], (deleteErr) => {
+        if (deleteErr) {
+            return callback(deleteErr);
+        }
+        if (!codes.length) {
+            return callback(null);
+        }
+        const rows = codes.map((code) => [userId, hashCode(code)]);
+        db.query('INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ?', [rows], (insertErr) => callback(insertErr || null));
+    });
+};
+
+/**
+ * Use up a recovery code.
+ * @param {number} userId
+ * @param {string} code - Normalised code.
+ * @param {Function} callback - Node-style callback (err, consumed).
+ */
+const consume = (userId, code, callback) => {
+    const sql = 'UPDATE user_recovery_codes SET used_at = NOW() WHERE user_id = ? AND code_hash = ? AND used_at IS NULL';
+    db.query(sql, [userId, hashCode(code)], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, result.affectedRows > 0);
+    });
+};
+
+/**
+ * Number of unused recovery codes a user has left.
+ * @param {number} userId
+ * @param {Function} callback - Node-style callback (err, count).
+ */
+const countRemaining = (userId, callback) => {
+    db.query('SELECT COUNT(*) AS remaining FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL', [userId], (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, Number(rows[0].remaining));
+    });
+};
+
+module.exports = {
+    replaceForUser,
+    consume,
+    countRemaining
+};
@@ -40,6 +40,10 @@ const findAll = (callback) => {
     connection.query(sql, callback);
 };
 
+const findById = (refundRequestId, callback) => {
+    connection.query('SELECT * FROM refund_requests WHERE id = ?', [refundRequestId], callback);
+};
+
 const updateStatus = (refundRequestId, status, adminNote, refundedAmount, callback) => {
     const sql = `
         UPDATE refund_requests
@@ -54,5 +58,6 @@ module.exports = {
     createRequest,
     findByOrderIds,
     findAll,
+    findById,
     updateStatus
 };
@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+// Rows in `sessions` hold express-session data as JSON. `expires` is a unix timestamp in
+// seconds and `user_id` mirrors `data.user.id` so sessions can be listed per account.
+// Session ids are as good as a password, so admin screens refer to a session by its handle
+// (a SHA-256 of the id) and never see the id itself.
+
+/**
+ * Public handle for a session id.
+ * @param {string} sessionId
+ * @returns {string}
+ */
+const handleFor = (sessionId) => crypto.createHash('sha256').update(String(sessionId)).digest('hex');
+
+const parseData = (value) => {
+    try {
+        return JSON.parse(value);
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Load an unexpired session.
+ * @param {string} sessionId
+ * @param {Function} callback - Node-style callback (err, data|null).
+ */
+const findById = (sessionId, callback) => {
+    const sql = 'SELECT data FROM sessions WHERE session_id = ? AND expires > UNIX_TIMESTAMP() LIMIT 1';
+    db.query(sql, [sessionId], (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, rows && rows.length ? parseData(rows[0].data) : null);
+    });
+};
+
+/**
+ * Insert or replace a session.
+ * @param {string} sessionId
+ * @param {{expires:number, data:object}} session - expires in unix seconds.
+ * @param {Function} callback
+ */
+const save = (sessionId, session, callback) => {
+    const userId = session.data.user ? session.data.user.id : null;
+    const sql = `
+        INSERT INTO sessions (session_id, expires, data, user_id)
+        VALUES (?, ?, ?, ?)
+        ON DUPLICATE KEY UPDATE expires = VALUES(expires), data = VALUES(data), user_id = VALUES(user_id)
+    `;
+    db.query(sql, [sessionId, session.expires, JSON.stringify(session.data), userId || null], callback);
+};
+
+/**
+ * Push back the expiry of a session without rewriting its data.
+ * @param {string} sessionId
+ * @param {number} expires - unix seconds.
+ * @param {Function} callback
+ */
+const touch = (sessionId, expires, callback) => {
+    db.query('UPDATE sessions SET expires = ? WHERE session_id = ?', [expires, sessionId], callback);
+};
+
+/**
+ * Delete a session.
+ * @param {string} sessionId
+ * @param {Function} callback
+ */
+const remove = (sessionId, callback) => {
+    db.query('DELETE FROM sessions WHERE session_id = ?', [sessionId], callback);
+};
+
+/**
+ * Delete every expired session.
+ * @param {Function} callback - Node-style callback (err, removedCount).
+ */
+const removeExpired = (callback) => {
+    db.query('DELETE FROM sessions WHERE expires <= UNIX_TIMESTAMP()', (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, result.affectedRows);
+    });
+};
+
+/**
+ * Active sessions for a user, most recently used first. Each row carries the sign-in
+ * details recorded at login and the time the session was last used.
+ * @param {number} userId
+ * @param {Function} callback
+ */
+const findActiveByUser = (userId, callback) => {
+    const sql = `
+        SELECT session_id, expires, data
+        FROM sessions
+        WHERE user_id = ? AND expires > UNIX_TIMESTAMP()
+        ORDER BY expires DESC
+    `;
+    db.query(sql, [userId], (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+        const sessions = (rows || []).map((row) => {
+            const data = parseData(row.data) || {};
+            const client = data.client || {};
+            const maxAge = data.cookie && data.cookie.originalMaxAge;
+            return {
+                handle: handleFor(row.session_id),
+                expiresAt: new Date(row.expires * 1000),
+                // The expiry slides forward on every request, so it dates the last one.
+                lastSeenAt: maxAge ? new Date(row.expires * 1000 - maxAge) : null,
+                signedInAt: client.signedInAt ? new Date(client.signedInAt) : null,
+                ip: client.ip || null,
+                userAgent: client.userAgent || null
+            };
+        });
+        return callback(null, sessions);
+    });
+};
+
+/**
+ * Number of active sessions per user id.
+ * @param {Function} callback - Node-style callback (err, {userId: count}).
+ */
+const countActiveByUser = (callback) => {
+    const sql = `
+        SELECT user_id, COUNT(*) AS total
+        FROM sessions
+        WHERE user_id IS NOT NULL AND expires > UNIX_TIMESTAMP()
+        GROUP BY user_id
+    `;
+    db.query(sql, (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+        const counts = {};
+        (rows || []).forEach((row) => {
+            counts[row.user_id] = Number(row.total);
+        });
+        return callback(null, counts);
+    });
+};
+
+/**
+ * End one of a user's sessions.
+ * @param {string} handle - From handleFor().
+ * @param {number} userId
+ * @param {Function} callback - Node-style callback (err, revoked).
+ */
+const revoke = (handle, userId, callback) => {
+    if (!/^[a-f0-9]{64}$/.test(String(handle))) {
+        return callback(null, false);
+    }
+    db.query('DELETE FROM sessions WHERE user_id = ? AND SHA2(session_id, 256) = ?', [userId, handle], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, result.affectedRows > 0);
+    });
+};
+
+/**
+ * End all of a user's sessions, optionally keeping one (the caller's own).
+ * @param {number} userId
+ * @param {string|null} keepSessionId
+ * @param {Function} callback - Node-style callback (err, revokedCount).
+ */
+const revokeAllForUser = (userId, keepSessionId, callback) => {
+    db.query('DELETE FROM sessions WHERE user_id = ? AND session_id <> ?', [userId, keepSessionId || ''], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, result.affectedRows);
+    });
+};
+
+module.exports = {
+    handleFor,
+    findById,
+    save,
+    touch,
+    remove,
+    removeExpired,
+    findActiveByUser,
+    countActiveByUser,
+    revoke,
+    revokeAllForUser
+};
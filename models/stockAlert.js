@@ -0,0 +1,99 @@
+const connection = require('../db');
+
+const DEFAULT_REORDER_THRESHOLD = 5;
+const ALERT_TYPES = ['low_stock', 'out_of_stock'];
+
+/**
+ * Classify a stock level against a product's reorder threshold.
+ * A product is low on stock once its quantity falls below the threshold.
+ * @param {number} quantity
+ * @param {number} threshold
+ * @returns {string} in_stock | low_stock | out_of_stock
+ */
+const getStockStatus = (quantity, threshold) => {
+    const qty = Number(quantity) || 0;
+    const limit = Number.isFinite(Number(threshold)) ? Number(threshold) : DEFAULT_REORDER_THRESHOLD;
+    if (qty <= 0) {
+        return 'out_of_stock';
+    }
+    return qty < limit ? 'low_stock' : 'in_stock';
+};
+
+/**
+ * Record an alert when a stock change moves a product into a worse stock status
+ * (in stock -> low, or anything -> out of stock). Runs on the caller's connection
+ * so it can take part in an open transaction.
+ * @param {{productId: number, orderId?: number, before: number, after: number, threshold: number}} change
+ * @param {Function} callback - called with (err, alertType|null)
+ */
+const recordIfCrossed = (change, callback) => {
+    const previous = getStockStatus(change.before, change.threshold);
+    const current = getStockStatus(change.after, change.threshold);
+    if (current === 'in_stock' || current === previous) {
+        return callback(null, null);
+    }
+
+    const sql = `
+        INSERT INTO stock_alerts (product_id, order_id, alert_type, quantity, threshold)
+        VALUES (?, ?, ?, ?, ?)
+    `;
+    const params = [change.productId, change.orderId || null, current, change.after, change.threshold];
+    connection.query(sql, params, (err) => callback(err, err ? null : current));
+};
+
+/**
+ * Retrieve unresolved alerts with product details, newest first.
+ * @param {Function} callback
+ */
+const findOpen = (callback) => {
+    const sql = `
+        SELECT sa.id, sa.product_id, sa.order_id, sa.alert_type, sa.quantity, sa.threshold, sa.created_at,
+               p.productName, p.quantity AS current_quantity
+        FROM stock_alerts sa
+        JOIN products p ON p.id = sa.product_id
+        WHERE sa.resolved_at IS NULL AND p.is_deleted = 0
+        ORDER BY sa.created_at DESC, sa.id DESC
+    `;
+    connection.query(sql, callback);
+};
+
+/**
+ * Mark an alert as handled.
+ * @param {number} alertId
+ * @param {number} userId - admin dismissing the alert
+ * @param {Function} callback
+ */
+const resolve = (alertId, userId, callback) => {
+    const sql = `
+        UPDATE stock_alerts
+        SET resolved_at = NOW(), resolved_by = ?
+        WHERE id = ? AND resolved_at IS NULL
+    `;
+    connection.query(sql, [userId, alertId], callback);
+};
+
+/**
+ * Close open alerts for products that have since been restocked to or above their threshold.
+ * @param {Function} callback
+ */
+const resolveRestocked = (callback) => {
+    const sql = `
+        UPDATE stock_alerts sa
+        JOIN products p ON p.id = sa.product_id
+        SET sa.resolved_at = NOW()
+        WHERE sa.resolved_at IS NULL
+          AND p.quantity > 0
+          AND p.quantity >= p.reorder_threshold
+    `;
+    connection.query(sql, callback);
+};
+
+module.exports = {
+    DEFAULT_REORDER_THRESHOLD,
+    ALERT_TYPES,
+    getStockStatus,
+    recordIfCrossed,
+    findOpen,
+    resolve,
+    resolveRestocked
+};
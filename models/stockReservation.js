@@ -0,0 +1,273 @@
+const connection = require('../db');
+const DeliverySlot = require('./deliverySlot');
+
+// Quantity of a product (p.id) held by other shoppers' live reservations.
+// Expects the reserving user's id as its only parameter.
+const HELD_QUANTITY_SQL = `
+    COALESCE((
+        SELECT SUM(ri.quantity)
+        FROM stock_reservation_items ri
+        JOIN stock_reservations r ON r.id = ri.reservation_id
+        WHERE ri.product_id = p.id
+          AND r.status = 'active'
+          AND r.expires_at > NOW()
+          AND r.user_id <> ?
+    ), 0)
+`;
+
+const runQuery = (sql, params) => new Promise((resolve, reject) => {
+    connection.query(sql, params, (err, result) => {
+        if (err) {
+            return reject(err);
+        }
+        return resolve(result);
+    });
+});
+
+/**
+ * Reserve the given line items for a shopper until the window expires.
+ * Any earlier active reservation by the same shopper is released first, and
+ * stock held by other shoppers is taken into account.
+ * @param {number} userId
+ * @param {{items:Array<{productId:number, productName:string, quantity:number, price:number}>, deliveryMethod:string, deliveryAddress:string|null, deliveryRecipient?:string, deliveryContact?:string, deliveryPostalCode?:string, deliverySlotId?:number, deliveryFee:number, deliveryFeeBreakdown?:Array<{label:string, amount:number}>, subtotal:number, promoId?:number, promoCode?:string, discountAmount?:number, total:number}} data
+ * @param {number} ttlMinutes
+ * @param {Function} callback Node-style callback(err, {reservationId, expiresAt})
+ */
+const create = (userId, data, ttlMinutes, callback) => {
+    const items = (data && data.items) || [];
+    if (!items.length) {
+        return callback(new Error('Your cart is empty.'));
+    }
+
+    const safeTtl = Number.isFinite(ttlMinutes) && ttlMinutes > 0 ? Math.floor(ttlMinutes) : 15;
+
+    connection.beginTransaction((transactionError) => {
+        if (transactionError) {
+            return callback(transactionError);
+        }
+
+        let reservationId = null;
+
+        runQuery(
+            "UPDATE stock_reservations SET status = 'released' WHERE user_id = ? AND status = 'active'",
+            [userId]
+        )
+            .then(() => Promise.all(items.map((item) => {
+                const productSql = `
+                    SELECT p.quantity, p.is_deleted, ${HELD_QUANTITY_SQL} AS held_quantity
+                    FROM products p
+                    WHERE p.id = ?
+                    FOR UPDATE
+                `;
+                return runQuery(productSql, [userId, item.productId]).then((rows) => {
+                    if (!rows.length || rows[0].is_deleted) {
+                        throw new Error(`${item.productName || 'This product'} is no longer available.`);
+                    }
+                    const available = Number(rows[0].quantity) - Number(rows[0].held_quantity);
+                    if (available < Number(item.quantity)) {
+                        throw new Error(`Insufficient stock for ${item.productName}.`);
+                    }
+                });
+            })))
+            .then(() => new Promise((resolve, reject) => {
+                if (!data.deliverySlotId) {
+                    return resolve();
+                }
+                // Holding the slot row makes concurrent PayPal checkouts queue for the last place.
+                DeliverySlot.getBooking(data.deliverySlotId, userId, true, (slotErr, booking) => {
+                    if (slotErr) {
+                        return reject(slotErr);
+                    }
+                    const slotError = DeliverySlot.bookingError(booking.slot, booking.booked, data.deliveryMethod);
+                    return slotError ? reject(new Error(slotError)) : resolve();
+                });
+            }))
+            .then(() => runQuery(`
+                INSERT INTO stock_reservations
+                    (user_id, delivery_method, delivery_address, delivery_recipient, delivery_contact,
+                     delivery_postal_code, delivery_slot_id, subtotal, delivery_fee, delivery_fee_breakdown,
+                     promo_code_id, promo_code, discount_amount, total, expires_at)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))
+            `, [
+                userId,
+                data.deliveryMethod,
+                data.deliveryAddress,
+                data.deliveryRecipient || null,
+                data.deliveryContact || null,
+                data.deliveryPostalCode || null,
+                data.deliverySlotId || null,
+                data.subtotal,
+                data.deliveryFee,
+                data.deliveryFeeBreakdown && data.deliveryFeeBreakdown.length
+                    ? JSON.stringify(data.deliveryFeeBreakdown)
+                    : null,
+                data.promoId || null,
+                data.promoId ? data.promoCode : null,
+                data.discountAmount || 0,
+                data.total,
+                safeTtl
+            ]))
+            .then((result) => {
+                reservationId = result.insertId;
+                const rows = items.map((item) => [
+                    reservationId,
+                    item.productId,
+                    item.productName,
+                    item.quantity,
+                    item.price
+                ]);
+                return runQuery(
+                    'INSERT INTO stock_reservation_items (reservation_id, product_id, product_name, quantity, price) VALUES ?',
+                    [rows]
+                );
+            })
+            .then(() => runQuery('SELECT expires_at FROM stock_reservations WHERE id = ?', [reservationId]))
+            .then((rows) => {
+                connection.commit((commitError) => {
+                    if (commitError) {
+                        return connection.rollback(() => callback(commitError));
+                    }
+                    return callback(null, {
+                        reservationId,
+                        expiresAt: rows && rows[0] ? rows[0].expires_at : null
+                    });
+                });
+            })
+            .catch((error) => {
+                connection.rollback(() => callback(error));
+            });
+    });
+};
+
+/**
+ * Link a reservation to the PayPal order created for it.
+ * @param {number} reservationId
+ * @param {string} paypalOrderId
+ * @param {Function} callback
+ */
+const attachProviderOrder = (reservationId, paypalOrderId, callback) => {
+    const sql = 'UPDATE stock_reservations SET paypal_order_id = ? WHERE id = ?';
+    connection.query(sql, [paypalOrderId, reservationId], callback);
+};
+
+/**
+ * Find a shopper's reservation for a PayPal order, including its line items.
+ * The result carries an `is_expired` flag computed by the database clock.
+ * @param {string} paypalOrderId
+ * @param {number} userId
+ * @param {Function} callback Node-style callback(err, reservation|null)
+ */
+const findByProviderOrder = (paypalOrderId, userId, callback) => {
+    const sql = `
+        SELECT *, expires_at <= NOW() AS is_expired
+        FROM stock_reservations
+        WHERE paypal_order_id = ? AND user_id = ?
+        LIMIT 1
+    `;
+    connection.query(sql, [paypalOrderId, userId], (err, rows) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!rows || !rows.length) {
+            return callback(null, null);
+        }
+
+        const reservation = rows[0];
+        const itemsSql = `
+            SELECT product_id, product_name, quantity, price
+            FROM stock_reservation_items
+            WHERE reservation_id = ?
+            ORDER BY id ASC
+        `;
+        connection.query(itemsSql, [reservation.id], (itemsErr, itemRows) => {
+            if (itemsErr) {
+                return callback(itemsErr);
+            }
+            return callback(null, {
+                ...reservation,
+                is_expired: Boolean(reservation.is_expired),
+                items: (itemRows || []).map((item) => ({
+                    productId: item.product_id,
+                    productName: item.product_name,
+                    quantity: item.quantity,
+                    price: Number(item.price)
+                }))
+            });
+        });
+    });
+};
+
+/**
+ * Mark an active reservation as consumed by a capture. Fails if the
+ * reservation was already consumed, released or expired in the meantime.
+ * @param {number} reservationId
+ * @param {string} captureReference
+ * @param {Function} callback
+ */
+const consume = (reservationId, captureReference, callback) => {
+    const sql = `
+        UPDATE stock_reservations
+        SET status = 'consumed', capture_reference = ?
+        WHERE id = ? AND status = 'active'
+    `;
+    connection.query(sql, [captureReference, reservationId], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!result || result.affectedRows === 0) {
+            return callback(new Error('This checkout has already been processed.'));
+        }
+        return callback(null, result);
+    });
+};
+
+/**
+ * Record the order created from a consumed reservation.
+ * @param {number} reservationId
+ * @param {number} orderId
+ * @param {Function} callback
+ */
+const linkOrder = (reservationId, orderId, callback) => {
+    const sql = 'UPDATE stock_reservations SET order_id = ? WHERE id = ?';
+    connection.query(sql, [orderId, reservationId], callback);
+};
+
+/**
+ * Close a reservation without an order, e.g. when PayPal order creation fails
+ * or a capture had to be refunded.
+ * @param {number} reservationId
+ * @param {string} status released | expired | refunded | refund_failed
+ * @param {{captureReference?:string, refundReference?:string}} details
+ * @param {Function} callback
+ */
+const close = (reservationId, status, details, callback) => {
+    const { captureReference = null, refundReference = null } = details || {};
+    const sql = `
+        UPDATE stock_reservations
+        SET status = ?,
+            capture_reference = COALESCE(?, capture_reference),
+            refund_reference = COALESCE(?, refund_reference)
+        WHERE id = ?
+    `;
+    connection.query(sql, [status, captureReference, refundReference, reservationId], callback);
+};
+
+/**
+ * Flag active reservations whose window has passed as expired.
+ * @param {Function} callback
+ */
+const expireStale = (callback) => {
+    const sql = "UPDATE stock_reservations SET status = 'expired' WHERE status = 'active' AND expires_at <= NOW()";
+    connection.query(sql, callback);
+};
+
+module.exports = {
+    HELD_QUANTITY_SQL,
+    create,
+    attachProviderOrder,
+    findByProviderOrder,
+    consume,
+    linkOrder,
+    close,
+    expireStale
+};
@@ -1,14 +1,20 @@
 const db = require('../db');
+const passwords = require('../services/passwords');
 
 /**
- * Create a user record in the database.
+ * Create a user record in the database. The plain-text password is hashed with scrypt before insert.
  * @param {Object} userData - User fields to insert.
  * @param {Function} callback - Node-style callback (err, results).
  */
 const create = (userData, callback) => {
     const { username, email, password, address, contact, role, freeDelivery = 0 } = userData;
-    const sql = 'INSERT INTO users (username, email, password, address, contact, role, free_delivery) VALUES (?, ?, SHA1(?), ?, ?, ?, ?)';
-    db.query(sql, [username, email, password, address, contact, role, freeDelivery ? 1 : 0], callback);
+    passwords.hash(password, (hashErr, passwordHash) => {
+        if (hashErr) {
+            return callback(hashErr);
+        }
+        const sql = 'INSERT INTO users (username, email, password, address, contact, role, free_delivery) VALUES (?, ?, ?, ?, ?, ?, ?)';
+        db.query(sql, [username, email, passwordHash, address, contact, role, freeDelivery ? 1 : 0], callback);
+    });
 };
 
 /**
@@ -22,14 +28,57 @@ const findByEmail = (email, callback) => {
 };
 
 /**
- * Retrieve a user by email and plain-text password.
+ * Retrieve a user by email and plain-text password. Results are empty when the
+ * password does not match. Legacy SHA1 hashes are upgraded to scrypt on success.
  * @param {string} email - The user's email address.
  * @param {string} password - The user's plain-text password.
  * @param {Function} callback - Node-style callback (err, results).
  */
 const findByEmailAndPassword = (email, password, callback) => {
-    const sql = 'SELECT * FROM users WHERE email = ? AND password = SHA1(?)';
-    db.query(sql, [email, password], callback);
+    findByEmail(email, (err, results) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!results || results.length === 0) {
+            return callback(null, []);
+        }
+
+        const user = results[0];
+        passwords.verify(password, user.password, (verifyErr, outcome) => {
+            if (verifyErr) {
+                return callback(verifyErr);
+            }
+            if (!outcome.valid) {
+                return callback(null, []);
+            }
+            if (!outcome.needsRehash) {
+                return callback(null, [user]);
+            }
+
+            updatePassword(user.id, password, (updateErr) => {
+                if (updateErr) {
+                    // The login itself is still valid; the upgrade is retried next time.
+                    console.error('Error upgrading password hash:', updateErr);
+                }
+                return callback(null, [user]);
+            });
+        });
+    });
+};
+
+/**
+ * Replace a user's password. The plain-text password is hashed with scrypt.
+ * @param {number} id - User id.
+ * @param {string} password - New plain-text password.
+ * @param {Function} callback - Node-style callback (err, results).
+ */
+const updatePassword = (id, password, callback) => {
+    passwords.hash(password, (hashErr, passwordHash) => {
+        if (hashErr) {
+            return callback(hashErr);
+        }
+        db.query('UPDATE users SET password = ? WHERE id = ?', [passwordHash, id], callback);
+    });
 };
 
 /**
@@ -37,7 +86,7 @@ const findByEmailAndPassword = (email, password, callback) => {
  * @param {Function} callback - Node-style callback (err, results).
  */
 const findAll = (callback) => {
-    const sql = 'SELECT id, username, email, role, contact, address, free_delivery FROM users';
+    const sql = 'SELECT id, username, email, role, contact, address, free_delivery, totp_enabled_at IS NOT NULL AS two_factor_enabled FROM users';
     db.query(sql, callback);
 };
 
@@ -47,7 +96,7 @@ const findAll = (callback) => {
  * @param {Function} callback - Node-style callback (err, results).
  */
 const findById = (id, callback) => {
-    const sql = 'SELECT id, username, email, role, contact, address, free_delivery FROM users WHERE id = ?';
+    const sql = 'SELECT id, username, email, role, contact, address, free_delivery, totp_enabled_at IS NOT NULL AS two_factor_enabled FROM users WHERE id = ?';
     db.query(sql, [id], callback);
 };
 
@@ -97,10 +146,78 @@ const update = (id, data, callback) => {
     db.query(sql, [username, email, address, contact, role, freeDelivery ? 1 : 0, id], callback);
 };
 
+/**
+ * Mark a user's email address as verified.
+ * @param {number} id - User id.
+ * @param {Function} callback - Node-style callback (err, results).
+ */
+const markEmailVerified = (id, callback) => {
+    db.query('UPDATE users SET email_verified = 1 WHERE id = ?', [id], callback);
+};
+
+/**
+ * Retrieve a user's two-factor settings, including the TOTP secret.
+ * @param {number} id - User id.
+ * @param {Function} callback - Node-style callback (err, row|null).
+ */
+const findTwoFactor = (id, callback) => {
+    const sql = 'SELECT id, username, email, role, totp_secret, totp_enabled_at, totp_last_step FROM users WHERE id = ?';
+    db.query(sql, [id], (err, results) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, results && results.length ? results[0] : null);
+    });
+};
+
+/**
+ * Turn on TOTP with a confirmed secret.
+ * @param {number} id - User id.
+ * @param {string} secret - Base32 TOTP secret.
+ * @param {number} step - Time step of the code that confirmed it, so that code cannot be replayed.
+ * @param {Function} callback - Node-style callback (err, results).
+ */
+const enableTwoFactor = (id, secret, step, callback) => {
+    const sql = 'UPDATE users SET totp_secret = ?, totp_enabled_at = NOW(), totp_last_step = ? WHERE id = ?';
+    db.query(sql, [secret, step, id], callback);
+};
+
+/**
+ * Turn off TOTP and forget the secret.
+ * @param {number} id - User id.
+ * @param {Function} callback - Node-style callback (err, results).
+ */
+const disableTwoFactor = (id, callback) => {
+    db.query('UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = ?', [id], callback);
+};
+
+/**
+ * Remember the time step of an accepted code. Fails (accepted = false) when that step or a
+ * later one was already used, which stops a code being replayed.
+ * @param {number} id - User id.
+ * @param {number} step - TOTP time step.
+ * @param {Function} callback - Node-style callback (err, accepted).
+ */
+const recordTotpStep = (id, step, callback) => {
+    const sql = 'UPDATE users SET totp_last_step = ? WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)';
+    db.query(sql, [step, id, step], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, result.affectedRows > 0);
+    });
+};
+
 module.exports = {
     create,
     findByEmail,
     findByEmailAndPassword,
+    updatePassword,
+    markEmailVerified,
+    findTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    recordTotpStep,
     findAll,
     findById,
     remove,
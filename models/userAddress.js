@@ -0,0 +1,236 @@
+const db = require('../db');
+
+const MAX_ADDRESSES = 10;
+const POSTAL_CODE_PATTERN = /^\d{6}$/;
+
+const ADDRESS_COLUMNS = 'id, user_id, label, recipient, street, unit, postal_code, contact, is_default, created_at, updated_at';
+
+/**
+ * Format a saved address as the single line stored on orders, e.g. "10 Tampines Ave 1, #05-12, Singapore 520010".
+ * @param {{street:string, unit?:string, postal_code:string}} address
+ * @returns {string}
+ */
+const formatLine = (address) => {
+    if (!address) {
+        return '';
+    }
+    const parts = [address.street, address.unit, address.postal_code ? `Singapore ${address.postal_code}` : null];
+    return parts.filter((part) => part && String(part).trim()).join(', ');
+};
+
+/**
+ * Build the delivery snapshot copied onto an order so later edits to the address book do not rewrite history.
+ * @param {Object} address - user_addresses row.
+ * @returns {{deliveryAddress:string, deliveryRecipient:string, deliveryContact:string, deliveryPostalCode:string}}
+ */
+const toSnapshot = (address) => ({
+    deliveryAddress: formatLine(address).slice(0, 255),
+    deliveryRecipient: address.recipient,
+    deliveryContact: address.contact,
+    deliveryPostalCode: address.postal_code
+});
+
+/**
+ * List a user's saved addresses, default first.
+ * @param {number} userId
+ * @param {Function} callback
+ */
+const findByUser = (userId, callback) => {
+    const sql = `
+        SELECT ${ADDRESS_COLUMNS}
+        FROM user_addresses
+        WHERE user_id = ?
+        ORDER BY is_default DESC, label ASC, id ASC
+    `;
+    db.query(sql, [userId], callback);
+};
+
+/**
+ * Fetch one address, scoped to its owner so ids from another account are never returned.
+ * @param {number} id
+ * @param {number} userId
+ * @param {Function} callback - Node-style callback (err, row|null).
+ */
+const findById = (id, userId, callback) => {
+    const sql = `SELECT ${ADDRESS_COLUMNS} FROM user_addresses WHERE id = ? AND user_id = ? LIMIT 1`;
+    db.query(sql, [id, userId], (err, results) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, results && results.length ? results[0] : null);
+    });
+};
+
+/**
+ * Fetch the user's default address, or null when the address book is empty.
+ * @param {number} userId
+ * @param {Function} callback - Node-style callback (err, row|null).
+ */
+const findDefault = (userId, callback) => {
+    const sql = `
+        SELECT ${ADDRESS_COLUMNS}
+        FROM user_addresses
+        WHERE user_id = ?
+        ORDER BY is_default DESC, id ASC
+        LIMIT 1
+    `;
+    db.query(sql, [userId], (err, results) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, results && results.length ? results[0] : null);
+    });
+};
+
+const clearDefault = (userId, exceptId, callback) => {
+    db.query(
+        'UPDATE user_addresses SET is_default = 0 WHERE user_id = ? AND id <> ?',
+        [userId, exceptId],
+        callback
+    );
+};
+
+/**
+ * Save a new address. The first address, or one flagged as default, becomes the default.
+ * @param {number} userId
+ * @param {{label:string, recipient:string, street:string, unit:string|null, postalCode:string, contact:string, isDefault:boolean}} data
+ * @param {Function} callback - Node-style callback (err, insertId).
+ */
+const create = (userId, data, callback) => {
+    db.query('SELECT COUNT(*) AS total FROM user_addresses WHERE user_id = ?', [userId], (countErr, countRows) => {
+        if (countErr) {
+            return callback(countErr);
+        }
+        const existing = Number(countRows[0].total) || 0;
+        if (existing >= MAX_ADDRESSES) {
+            return callback(new Error(`You can save up to ${MAX_ADDRESSES} addresses.`));
+        }
+
+        const isDefault = Boolean(data.isDefault) || existing === 0;
+        const sql = `
+            INSERT INTO user_addresses (user_id, label, recipient, street, unit, postal_code, contact, is_default)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        `;
+        const params = [
+            userId,
+            data.label,
+            data.recipient,
+            data.street,
+            data.unit || null,
+            data.postalCode,
+            data.contact,
+            isDefault ? 1 : 0
+        ];
+        db.query(sql, params, (err, result) => {
+            if (err) {
+                return callback(err);
+            }
+            if (!isDefault) {
+                return callback(null, result.insertId);
+            }
+            return clearDefault(userId, result.insertId, (clearErr) => callback(clearErr, result.insertId));
+        });
+    });
+};
+
+/**
+ * Update a saved address owned by the user.
+ * @param {number} id
+ * @param {number} userId
+ * @param {Object} data - Same shape as create().
+ * @param {Function} callback - Node-style callback (err, found).
+ */
+const update = (id, userId, data, callback) => {
+    const sql = `
+        UPDATE user_addresses
+        SET label = ?, recipient = ?, street = ?, unit = ?, postal_code = ?, contact = ?
+        WHERE id = ? AND user_id = ?
+    `;
+    const params = [
+        data.label,
+        data.recipient,
+        data.street,
+        data.unit || null,
+        data.postalCode,
+        data.contact,
+        id,
+        userId
+    ];
+    db.query(sql, params, (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!result.affectedRows) {
+            return callback(null, false);
+        }
+        if (!data.isDefault) {
+            return callback(null, true);
+        }
+        return setDefault(id, userId, callback);
+    });
+};
+
+/**
+ * Make one address the default and clear the flag on the others.
+ * @param {number} id
+ * @param {number} userId
+ * @param {Function} callback - Node-style callback (err, found).
+ */
+const setDefault = (id, userId, callback) => {
+    db.query('UPDATE user_addresses SET is_default = 1 WHERE id = ? AND user_id = ?', [id, userId], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        if (!result.affectedRows) {
+            return callback(null, false);
+        }
+        return clearDefault(userId, id, (clearErr) => callback(clearErr, true));
+    });
+};
+
+/**
+ * Delete a saved address. If it was the default, the oldest remaining address takes over.
+ * Orders keep their own snapshot so past deliveries are unaffected.
+ * @param {number} id
+ * @param {number} userId
+ * @param {Function} callback - Node-style callback (err, found).
+ */
+const remove = (id, userId, callback) => {
+    findById(id, userId, (findErr, address) => {
+        if (findErr) {
+            return callback(findErr);
+        }
+        if (!address) {
+            return callback(null, false);
+        }
+        db.query('DELETE FROM user_addresses WHERE id = ? AND user_id = ?', [id, userId], (err) => {
+            if (err) {
+                return callback(err);
+            }
+            if (!address.is_default) {
+                return callback(null, true);
+            }
+            const promoteSql = `
+                UPDATE user_addresses SET is_default = 1
+                WHERE user_id = ?
+                ORDER BY id ASC
+                LIMIT 1
+            `;
+            return db.query(promoteSql, [userId], (promoteErr) => callback(promoteErr, true));
+        });
+    });
+};
+
+module.exports = {
+    MAX_ADDRESSES,
+    POSTAL_CODE_PATTERN,
+    formatLine,
+    toSnapshot,
+    findByUser,
+    findById,
+    findDefault,
+    create,
+    update,
+    setDefault,
+    remove
+};
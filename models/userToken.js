@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const db = require('../db');
+
+const PURPOSES = ['password_reset', 'email_verification'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Issue a single-use token for a user. Earlier unused tokens for the same purpose are
+ * invalidated so only the most recent email link works. Only a hash is stored.
+ * @param {number} userId - User id.
+ * @param {string} purpose - password_reset | email_verification.
+ * @param {number} ttlMinutes - Minutes until the token expires.
+ * @param {Function} callback - Node-style callback (err, token).
+ */
+const create = (userId, purpose, ttlMinutes, callback) => {
+    if (!PURPOSES.includes(purpose)) {
+        return callback(new Error(`Unknown token purpose "${purpose}".`));
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expireSql = 'UPDATE user_tokens SET used_at = NOW() WHERE user_id = ? AND purpose = ? AND used_at IS NULL';
+    db.query(expireSql, [userId, purpose], (expireErr) => {
+        if (expireErr) {
+            return callback(expireErr);
+        }
+        const sql = `
+            INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at)
+            VALUES (?, ?, ?, DATE_ADD(NOW(), INTERVAL ? MINUTE))
+        `;
+        db.query(sql, [userId, purpose, hashToken(token), ttlMinutes], (err) => {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, token);
+        });
+    });
+};
+
+/**
+ * Look up an unused, unexpired token together with its user.
+ * @param {string} token - Raw token from the emailed link.
+ * @param {string} purpose - Expected purpose.
+ * @param {Function} callback - Node-style callback (err, row|null).
+ */
+const findValid = (token, purpose, callback) => {
+    if (!token || !/^[a-f0-9]{64}$/.test(token)) {
+        return callback(null, null);
+    }
+    const sql = `
+        SELECT t.id, t.user_id, t.expires_at, u.email, u.username
+        FROM user_tokens t
+        JOIN users u ON u.id = t.user_id
+        WHERE t.token_hash = ? AND t.purpose = ? AND t.used_at IS NULL AND t.expires_at > NOW()
+        LIMIT 1
+    `;
+    db.query(sql, [hashToken(token), purpose], (err, results) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, results && results.length ? results[0] : null);
+    });
+};
+
+/**
+ * Mark a token as used. Only succeeds once, so a link cannot be replayed.
+ * @param {number} id - Token id.
+ * @param {Function} callback - Node-style callback (err, used) where used is false if it was already consumed.
+ */
+const consume = (id, callback) => {
+    const sql = 'UPDATE user_tokens SET used_at = NOW() WHERE id = ? AND used_at IS NULL';
+    db.query(sql, [id], (err, result) => {
+        if (err) {
+            return callback(err);
+        }
+        return callback(null, result.affectedRows > 0);
+    });
+};
+
+module.exports = {
+    PURPOSES,
+    create,
+    findValid,
+    consume
+};
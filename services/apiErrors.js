@@ -0,0 +1,50 @@
+// Error responses for the JSON API. Every failure has the same shape so clients
+// can branch on `error.code` instead of parsing messages:
+//   { "error": { "status": 404, "code": "not_found", "message": "Product not found." } }
+
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  422: 'validation_failed',
+  500: 'server_error'
+};
+
+/**
+ * Send an API error.
+ * @param {import('express').Response} res
+ * @param {number} status - HTTP status code
+ * @param {string} message - safe to show to the shopper
+ * @param {string[]} [details] - individual validation messages
+ */
+function sendError(res, status, message, details) {
+  const error = { status, code: ERROR_CODES[status] || 'error', message };
+  if (details && details.length) {
+    error.details = details;
+  }
+  return res.status(status).json({ error });
+}
+
+/**
+ * Report a model or controller error. Plain Errors without a driver `code` carry
+ * a message meant for the user; anything else is logged and hidden.
+ * @param {import('express').Response} res
+ * @param {Error} err
+ * @param {number} status - status to use for user-facing errors
+ * @param {string} logLabel - prefix for the server log
+ */
+function sendModelError(res, err, status, logLabel) {
+  if (!err || err.code || err.constructor !== Error || !err.message) {
+    console.error(`${logLabel}:`, err);
+    return sendError(res, 500, 'Something went wrong. Please try again.');
+  }
+  return sendError(res, status, err.message);
+}
+
+module.exports = {
+  ERROR_CODES,
+  sendError,
+  sendModelError
+};
@@ -0,0 +1,129 @@
+const AuditLog = require('../models/auditLog');
+
+// Audit trail for back-office changes. Controllers call record() after a change succeeds with
+// what was changed and how; the actor and request details are taken from the request. Writing
+// the entry never blocks or fails the change itself; errors are logged instead.
+
+const ACTIONS = {
+  'product.create': 'Product added',
+  'product.update': 'Product updated',
+  'product.delete': 'Product deleted',
+  'product.import': 'Products imported',
+  'stock.adjust': 'Stock adjusted',
+  'stock_alert.resolve': 'Stock alert dismissed',
+  'order.status': 'Order status changed',
+  'order.cancel': 'Order cancelled',
+  'order.delivery_update': 'Delivery details changed',
+  'order.fee_waive': 'Delivery fee waived',
+  'refund.approve': 'Refund approved',
+  'refund.deny': 'Refund denied',
+  'refund.execute': 'Refund issued',
+  'payment.link_capture': 'PayPal capture linked',
+  'promo.create': 'Promo code created',
+  'promo.update': 'Promo code updated',
+  'promo.toggle': 'Promo code switched on/off',
+  'delivery_slot.create': 'Delivery slot added',
+  'delivery_slot.update': 'Delivery slot updated',
+  'delivery_slot.delete': 'Delivery slot deleted',
+  'delivery_fee.create': 'Delivery fee rule added',
+  'delivery_fee.update': 'Delivery fee rule updated',
+  'delivery_fee.toggle': 'Delivery fee rule switched on/off',
+  'delivery_fee.delete': 'Delivery fee rule deleted',
+  'user.update': 'User updated',
+  'user.delete': 'User deleted',
+  'user.unlock': 'Account unlocked',
+  'user.two_factor_reset': 'Two-factor reset',
+  'user.session_revoke': 'Session revoked',
+  'user.sessions_revoke': 'All sessions revoked'
+};
+
+const TARGET_TYPES = ['product', 'stock_alert', 'order', 'refund_request', 'promo_code', 'delivery_slot', 'delivery_fee_rule', 'user'];
+
+// Compare form input ("1.50") and database values (1.5, Date) on equal terms.
+function comparable(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (typeof value === 'boolean') {
+    return value ? 1 : 0;
+  }
+  if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * Keep only the fields whose values differ, so an entry shows what actually changed.
+ * Fields are those of `after`; pass `fields` to limit them further.
+ * @param {object|null} before
+ * @param {object|null} after
+ * @param {string[]} [fields]
+ * @returns {{before: object, after: object}}
+ */
+function changes(before, after, fields) {
+  const keys = fields || Object.keys(after || {});
+  const result = { before: {}, after: {} };
+  keys.forEach((key) => {
+    const oldValue = before && before[key] !== undefined ? before[key] : null;
+    const newValue = after && after[key] !== undefined ? after[key] : null;
+    if (JSON.stringify(comparable(oldValue)) !== JSON.stringify(comparable(newValue))) {
+      result.before[key] = oldValue;
+      result.after[key] = newValue;
+    }
+  });
+  return result;
+}
+
+/**
+ * Append an audit entry for the current request.
+ * @param {import('express').Request} req
+ * @param {{action: string, targetType: string, targetId?: number|string, before?: object, after?: object}} entry
+ * @param {Function} [callback] - called once the entry is written (or failed to be)
+ */
+function record(req, entry, callback) {
+  const done = callback || (() => {});
+  const actor = (req.session && req.session.user) || {};
+  if (!Object.prototype.hasOwnProperty.call(ACTIONS, entry.action)) {
+    console.error(`Unknown audit action "${entry.action}".`);
+  }
+  AuditLog.create({
+    actorId: actor.id,
+    actorEmail: actor.email,
+    actorRole: actor.role,
+    action: entry.action,
+    targetType: entry.targetType,
+    targetId: entry.targetId,
+    before: entry.before,
+    after: entry.after,
+    ip: req.ip,
+    userAgent: (req.get('user-agent') || '').slice(0, 255),
+    requestMethod: req.method,
+    requestPath: String(req.originalUrl || '').split('?')[0].slice(0, 255),
+    apiTokenId: req.apiToken ? req.apiToken.id : null
+  }, (err) => {
+    if (err) {
+      console.error('Error writing audit log entry:', err);
+    }
+    done();
+  });
+}
+
+/**
+ * Actions for the filter list, with their labels.
+ * @returns {{value: string, label: string}[]}
+ */
+function listActions() {
+  return Object.keys(ACTIONS).map((action) => ({ value: action, label: ACTIONS[action] }));
+}
+
+module.exports = {
+  ACTIONS,
+  TARGET_TYPES,
+  changes,
+  record,
+  listActions
+};
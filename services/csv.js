@@ -0,0 +1,81 @@
+// Minimal RFC 4180 CSV helpers for inventory import/export.
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Handles quoted fields, escaped quotes, CRLF line endings and a UTF-8 BOM.
+ * @param {string} text
+ * @returns {string[][]}
+ */
+function parse(text) {
+  const input = String(text || '').replace(/^﻿/, '');
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < input.length; i += 1) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"') {
+        if (input[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ''));
+}
+
+function escapeField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  // Prevent spreadsheet formula injection when the export is opened in Excel.
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?$/.test(text)) {
+    text = `'${text}`;
+  }
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Serialise rows (arrays of values) to CSV text with CRLF line endings.
+ * @param {Array<Array<*>>} rows
+ * @returns {string}
+ */
+function stringify(rows) {
+  return (rows || []).map((cells) => cells.map(escapeField).join(',')).join('\r\n') + '\r\n';
+}
+
+module.exports = { parse, stringify };
@@ -0,0 +1,307 @@
+const LoginAttempt = require('../models/loginAttempt');
+require('dotenv').config();
+
+// Sign-in throttling. Every attempt is recorded; failures then slow down further attempts
+// with an exponential delay, per account (email) and per client IP, and enough consecutive
+// failures lock the account for a while. A success or an admin unlock clears the account's
+// count; IP counts just age out of their window.
+//
+// Attempts live in a pluggable store: LOGIN_ATTEMPT_STORE=mysql (default) uses the
+// login_attempts table, LOGIN_ATTEMPT_STORE=memory keeps them in this process.
+
+const ACCOUNT_FREE_FAILURES = 3;
+const ACCOUNT_LOCK_FAILURES = 10;
+const ACCOUNT_WINDOW_SECONDS = 24 * 60 * 60;
+const IP_FREE_FAILURES = 10;
+const IP_WINDOW_SECONDS = 15 * 60;
+const BASE_DELAY_SECONDS = 2;
+const MAX_DELAY_SECONDS = 15 * 60;
+const LOCKOUT_MINUTES = Number.parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 30;
+
+function normaliseEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+function secondsSince(date) {
+  return Math.floor((Date.now() - date.getTime()) / 1000);
+}
+
+// Keeps attempts in an array; for tests and single-process development.
+function createMemoryStore() {
+  const attempts = [];
+  let nextId = 1;
+
+  const failuresAfterReset = (email, windowSeconds) => {
+    let resetId = 0;
+    attempts.forEach((attempt) => {
+      if (attempt.email === email && (attempt.outcome === 'success' || attempt.outcome === 'unlock')) {
+        resetId = attempt.id;
+      }
+    });
+    return attempts.filter((attempt) => attempt.email === email
+      && attempt.outcome === 'failure'
+      && attempt.id > resetId
+      && secondsSince(attempt.createdAt) < windowSeconds);
+  };
+
+  const summarise = (failures) => ({
+    count: failures.length,
+    secondsSinceLast: failures.length ? secondsSince(failures[failures.length - 1].createdAt) : 0
+  });
+
+  return {
+    name: 'memory',
+    record(attempt, callback) {
+      attempts.push({ ...attempt, id: nextId++, createdAt: new Date() });
+      callback(null);
+    },
+    accountFailures(emails, windowSeconds, callback) {
+      const stats = {};
+      emails.forEach((email) => {
+        const failures = failuresAfterReset(email, windowSeconds);
+        if (failures.length) {
+          stats[email] = summarise(failures);
+        }
+      });
+      callback(null, stats);
+    },
+    ipFailures(ip, windowSeconds, callback) {
+      callback(null, summarise(attempts.filter((attempt) => attempt.ip === ip
+        && attempt.outcome === 'failure'
+        && secondsSince(attempt.createdAt) < windowSeconds)));
+    },
+    recentAttempts(email, limit, callback) {
+      const rows = attempts.filter((attempt) => attempt.email === email)
+        .slice(-limit)
+        .reverse()
+        .map((attempt) => ({
+          id: attempt.id,
+          email: attempt.email,
+          user_id: attempt.userId || null,
+          ip: attempt.ip || null,
+          outcome: attempt.outcome,
+          user_agent: attempt.userAgent || null,
+          created_at: attempt.createdAt
+        }));
+      callback(null, rows);
+    }
+  };
+}
+
+function createMysqlStore() {
+  return {
+    name: 'mysql',
+    record: LoginAttempt.create,
+    accountFailures: LoginAttempt.countAccountFailures,
+    ipFailures: LoginAttempt.countIpFailures,
+    recentAttempts: LoginAttempt.findRecentByEmail
+  };
+}
+
+const builtInStores = {
+  mysql: createMysqlStore,
+  memory: createMemoryStore
+};
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    const name = process.env.LOGIN_ATTEMPT_STORE || 'mysql';
+    const factory = builtInStores[name];
+    if (!factory) {
+      throw new Error(`Unknown LOGIN_ATTEMPT_STORE "${name}".`);
+    }
+    store = factory();
+  }
+  return store;
+}
+
+/**
+ * Swap in another attempt store. It must expose record, accountFailures, ipFailures and
+ * recentAttempts with the same callback signatures as the built-in stores.
+ * @param {object} customStore
+ */
+function setStore(customStore) {
+  const methods = ['record', 'accountFailures', 'ipFailures', 'recentAttempts'];
+  if (!customStore || methods.some((method) => typeof customStore[method] !== 'function')) {
+    throw new Error(`A login attempt store must provide ${methods.join(', ')}.`);
+  }
+  store = customStore;
+}
+
+/**
+ * Seconds to wait after `failures` failures, doubling past the free allowance.
+ * @param {number} failures
+ * @param {number} freeFailures
+ * @returns {number}
+ */
+function backoffSeconds(failures, freeFailures) {
+  if (failures < freeFailures) {
+    return 0;
+  }
+  return Math.min(MAX_DELAY_SECONDS, BASE_DELAY_SECONDS * (2 ** (failures - freeFailures)));
+}
+
+function accountState(stats) {
+  const failures = stats ? stats.count : 0;
+  const since = stats ? stats.secondsSinceLast : 0;
+  if (failures >= ACCOUNT_LOCK_FAILURES) {
+    const remaining = LOCKOUT_MINUTES * 60 - since;
+    if (remaining > 0) {
+      return { failures, locked: true, retryAfter: remaining };
+    }
+  }
+  return { failures, locked: false, retryAfter: Math.max(0, backoffSeconds(failures, ACCOUNT_FREE_FAILURES) - since) };
+}
+
+/**
+ * Human wording for a wait, e.g. "45 seconds" or "12 minutes".
+ * @param {number} seconds
+ * @returns {string}
+ */
+function describeWait(seconds) {
+  if (seconds < 60) {
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * Decide whether a sign-in attempt may go ahead.
+ * @param {{email: string, ip: string}} attempt
+ * @param {Function} callback - (err, {allowed, reason?, retryAfter?, message?})
+ */
+function check(attempt, callback) {
+  const email = normaliseEmail(attempt.email);
+  let activeStore;
+  try {
+    activeStore = getStore();
+  } catch (err) {
+    return callback(err);
+  }
+
+  activeStore.accountFailures([email], ACCOUNT_WINDOW_SECONDS, (accountErr, stats) => {
+    if (accountErr) {
+      return callback(accountErr);
+    }
+    const account = accountState(stats[email]);
+    if (account.locked) {
+      return callback(null, {
+        allowed: false,
+        reason: 'locked',
+        retryAfter: account.retryAfter,
+        message: `This account is temporarily locked after too many failed sign-in attempts. Try again in ${describeWait(account.retryAfter)} or reset your password.`
+      });
+    }
+
+    activeStore.ipFailures(attempt.ip, IP_WINDOW_SECONDS, (ipErr, ipStats) => {
+      if (ipErr) {
+        return callback(ipErr);
+      }
+      const ipWait = Math.max(0, backoffSeconds(ipStats.count, IP_FREE_FAILURES) - ipStats.secondsSinceLast);
+      const retryAfter = Math.max(account.retryAfter, ipWait);
+      if (retryAfter > 0) {
+        return callback(null, {
+          allowed: false,
+          reason: 'throttled',
+          retryAfter,
+          message: `Too many failed sign-in attempts. Please wait ${describeWait(retryAfter)} and try again.`
+        });
+      }
+      return callback(null, { allowed: true });
+    });
+  });
+}
+
+/**
+ * Record the outcome of an attempt. Storage errors are logged rather than returned so
+ * they never block a sign-in.
+ * @param {{email: string, userId?: number, ip?: string, userAgent?: string}} attempt
+ * @param {string} outcome - success | failure | throttled | unverified | unlock
+ * @param {Function} [callback]
+ */
+function record(attempt, outcome, callback) {
+  const done = callback || (() => {});
+  let activeStore;
+  try {
+    activeStore = getStore();
+  } catch (err) {
+    console.error('Error recording login attempt:', err);
+    return done();
+  }
+  return activeStore.record({
+    email: normaliseEmail(attempt.email),
+    userId: attempt.userId || null,
+    ip: attempt.ip || null,
+    outcome,
+    userAgent: attempt.userAgent ? String(attempt.userAgent).slice(0, 255) : null
+  }, (err) => {
+    if (err) {
+      console.error('Error recording login attempt:', err);
+    }
+    done();
+  });
+}
+
+/**
+ * Clear an account's failures so it can sign in straight away.
+ * @param {{email: string, userId: number, ip?: string}} account
+ * @param {Function} callback
+ */
+function unlock(account, callback) {
+  record(account, 'unlock', callback);
+}
+
+/**
+ * Lockout state for several accounts, keyed by lower-cased email.
+ * @param {string[]} emails
+ * @param {Function} callback - (err, {email: {failures, locked, retryAfter}})
+ */
+function getAccountStatus(emails, callback) {
+  const keys = emails.map(normaliseEmail).filter(Boolean);
+  let activeStore;
+  try {
+    activeStore = getStore();
+  } catch (err) {
+    return callback(err);
+  }
+  activeStore.accountFailures(keys, ACCOUNT_WINDOW_SECONDS, (err, stats) => {
+    if (err) {
+      return callback(err);
+    }
+    const status = {};
+    Object.keys(stats).forEach((email) => {
+      status[email] = accountState(stats[email]);
+    });
+    return callback(null, status);
+  });
+}
+
+/**
+ * Latest attempts for an account, newest first.
+ * @param {string} email
+ * @param {number} limit
+ * @param {Function} callback
+ */
+function recentAttempts(email, limit, callback) {
+  let activeStore;
+  try {
+    activeStore = getStore();
+  } catch (err) {
+    return callback(err);
+  }
+  return activeStore.recentAttempts(normaliseEmail(email), limit, callback);
+}
+
+module.exports = {
+  createMemoryStore,
+  setStore,
+  normaliseEmail,
+  check,
+  record,
+  unlock,
+  getAccountStatus,
+  recentAttempts
+};
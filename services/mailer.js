@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+require('dotenv').config();
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Supermarket App <no-reply@supermarket.local>';
+
+/**
+ * Default transport: write each message as a JSON file into an outbox directory
+ * so mail works offline and can be inspected (or asserted on) without an SMTP server.
+ */
+function createOutboxTransport(directory) {
+  const outboxDir = path.resolve(directory || process.env.MAIL_OUTBOX_DIR || 'outbox');
+
+  return {
+    name: 'outbox',
+    send(message, callback) {
+      fs.mkdir(outboxDir, { recursive: true }, (mkdirErr) => {
+        if (mkdirErr) {
+          return callback(mkdirErr);
+        }
+        const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        const file = path.join(outboxDir, `${id}.json`);
+        fs.writeFile(file, JSON.stringify({ id, ...message }, null, 2), (writeErr) => {
+          if (writeErr) {
+            return callback(writeErr);
+          }
+          return callback(null, { id, file });
+        });
+      });
+    }
+  };
+}
+
+// Logs messages instead of storing them; handy when running locally.
+function createConsoleTransport() {
+  return {
+    name: 'console',
+    send(message, callback) {
+      console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+      callback(null, { id: null });
+    }
+  };
+}
+
+const builtInTransports = {
+  outbox: createOutboxTransport,
+  console: createConsoleTransport
+};
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || 'outbox';
+    const factory = builtInTransports[name];
+    if (!factory) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}".`);
+    }
+    transport = factory();
+  }
+  return transport;
+}
+
+/**
+ * Swap in another transport (e.g. an SMTP or API client). It must expose
+ * send(message, callback) where message is { from, to, subject, text, html, sentAt }.
+ * @param {{send: Function}} customTransport
+ */
+function setTransport(customTransport) {
+  if (!customTransport || typeof customTransport.send !== 'function') {
+    throw new Error('A mail transport must provide a send(message, callback) function.');
+  }
+  transport = customTransport;
+}
+
+/**
+ * Send an email through the configured transport.
+ * @param {{to: string, subject: string, text: string, html?: string}} message
+ * @param {Function} callback - (err, info)
+ */
+function send(message, callback) {
+  const done = callback || (() => {});
+  if (!message || !message.to || !message.subject) {
+    return done(new Error('Email messages need a recipient and a subject.'));
+  }
+
+  let activeTransport;
+  try {
+    activeTransport = getTransport();
+  } catch (err) {
+    return done(err);
+  }
+
+  return activeTransport.send({
+    from: MAIL_FROM,
+    to: message.to,
+    subject: message.subject,
+    text: message.text || '',
+    html: message.html || null,
+    sentAt: new Date().toISOString()
+  }, done);
+}
+
+module.exports = {
+  createOutboxTransport,
+  setTransport,
+  send
+};
@@ -0,0 +1,69 @@
+// Page/limit helpers shared by the paginated list pages.
+
+const MAX_LIMIT = 100;
+
+/**
+ * Read ?page= and ?limit= from a query string.
+ * @param {object} query - req.query
+ * @param {number} defaultLimit
+ * @returns {{page: number, limit: number, offset: number}}
+ */
+function fromQuery(query, defaultLimit) {
+  const page = Math.max(1, Number.parseInt(query && query.page, 10) || 1);
+  const requestedLimit = Number.parseInt(query && query.limit, 10);
+  const limit = requestedLimit > 0 ? Math.min(requestedLimit, MAX_LIMIT) : defaultLimit;
+  return { page, limit, offset: (page - 1) * limit };
+}
+
+/**
+ * Build the data the pagination partial needs. Links keep every other query
+ * parameter (filters, sort) so paging through results does not reset them.
+ * @param {string} basePath - e.g. '/shopping'
+ * @param {object} query - req.query
+ * @param {{page: number, limit: number}} paging
+ * @param {number} total - total number of matching rows
+ */
+function build(basePath, query, paging, total) {
+  const totalPages = Math.max(1, Math.ceil((Number(total) || 0) / paging.limit));
+  const page = Math.min(paging.page, totalPages);
+
+  const urlFor = (pageNumber) => {
+    const params = new URLSearchParams();
+    Object.keys(query || {}).forEach((key) => {
+      if (key !== 'page' && query[key] !== undefined && query[key] !== '') {
+        params.append(key, query[key]);
+      }
+    });
+    if (pageNumber > 1) {
+      params.set('page', pageNumber);
+    }
+    const search = params.toString();
+    return search ? `${basePath}?${search}` : basePath;
+  };
+
+  // Show a window of up to five page links around the current page.
+  const first = Math.max(1, Math.min(page - 2, totalPages - 4));
+  const last = Math.min(totalPages, first + 4);
+  const pages = [];
+  for (let number = first; number <= last; number += 1) {
+    pages.push({ number, url: urlFor(number), active: number === page });
+  }
+
+  return {
+    page,
+    limit: paging.limit,
+    total: Number(total) || 0,
+    totalPages,
+    from: total ? (page - 1) * paging.limit + 1 : 0,
+    to: Math.min(page * paging.limit, Number(total) || 0),
+    prevUrl: page > 1 ? urlFor(page - 1) : null,
+    nextUrl: page < totalPages ? urlFor(page + 1) : null,
+    lastUrl: urlFor(totalPages),
+    pages
+  };
+}
+
+module.exports = {
+  fromQuery,
+  build
+};
@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+
+// scrypt cost parameters. Stored alongside each hash so they can be raised later
+// without invalidating existing passwords.
+const SCRYPT_N = 16384;
+const SCRYPT_R = 8;
+const SCRYPT_P = 1;
+const KEY_LENGTH = 64;
+const SALT_BYTES = 16;
+
+const MIN_LENGTH = 8;
+const MAX_LENGTH = 128;
+
+/**
+ * Hash a password with scrypt and a random salt.
+ * Result format: scrypt$N$r$p$salt$hash (salt and hash base64-encoded).
+ * @param {string} password
+ * @param {Function} callback - (err, hash)
+ */
+function hash(password, callback) {
+  crypto.randomBytes(SALT_BYTES, (saltErr, salt) => {
+    if (saltErr) {
+      return callback(saltErr);
+    }
+    crypto.scrypt(String(password), salt, KEY_LENGTH, { N: SCRYPT_N, r: SCRYPT_R, p: SCRYPT_P }, (err, derived) => {
+      if (err) {
+        return callback(err);
+      }
+      return callback(null, ['scrypt', SCRYPT_N, SCRYPT_R, SCRYPT_P, salt.toString('base64'), derived.toString('base64')].join('$'));
+    });
+  });
+}
+
+function safeEqual(a, b) {
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check a password against a stored hash. Accepts scrypt hashes and the
+ * legacy unsalted SHA1 hex digests; needsRehash is true for anything that is
+ * not an scrypt hash with the current parameters.
+ * @param {string} password
+ * @param {string} stored
+ * @param {Function} callback - (err, { valid, needsRehash })
+ */
+function verify(password, stored, callback) {
+  const value = String(stored || '');
+
+  if (/^[a-f0-9]{40}$/i.test(value)) {
+    const digest = crypto.createHash('sha1').update(String(password)).digest();
+    const valid = safeEqual(digest, Buffer.from(value, 'hex'));
+    return callback(null, { valid, needsRehash: valid });
+  }
+
+  const parts = value.split('$');
+  if (parts.length !== 6 || parts[0] !== 'scrypt') {
+    return callback(null, { valid: false, needsRehash: false });
+  }
+
+  const [, n, r, p, saltB64, hashB64] = parts;
+  const expected = Buffer.from(hashB64, 'base64');
+  const options = { N: Number(n), r: Number(r), p: Number(p), maxmem: 128 * Number(n) * Number(r) * 2 };
+  crypto.scrypt(String(password), Buffer.from(saltB64, 'base64'), expected.length, options, (err, derived) => {
+    if (err) {
+      return callback(err);
+    }
+    const valid = safeEqual(derived, expected);
+    const outdated = Number(n) !== SCRYPT_N || Number(r) !== SCRYPT_R || Number(p) !== SCRYPT_P;
+    return callback(null, { valid, needsRehash: valid && outdated });
+  });
+}
+
+/**
+ * Password policy for new passwords.
+ * @param {string} password
+ * @param {{email?: string, username?: string}} [context] - values the password must not match
+ * @returns {string[]} error messages; empty when the password is acceptable
+ */
+function validatePolicy(password, context = {}) {
+  const value = String(password || '');
+  const errors = [];
+
+  if (value.length < MIN_LENGTH) {
+    errors.push(`Password must be at least ${MIN_LENGTH} characters long.`);
+  }
+  if (value.length > MAX_LENGTH) {
+    errors.push(`Password must be ${MAX_LENGTH} characters or fewer.`);
+  }
+  if (!/[A-Za-z]/.test(value) || !/[0-9]/.test(value)) {
+    errors.push('Password must contain at least one letter and one number.');
+  }
+  const lowered = value.toLowerCase();
+  const personal = [context.email, context.email && String(context.email).split('@')[0], context.username]
+    .filter(Boolean)
+    .map((item) => String(item).trim().toLowerCase());
+  if (lowered && personal.includes(lowered)) {
+    errors.push('Password must not be the same as your email or username.');
+  }
+
+  return errors;
+}
+
+module.exports = {
+  MIN_LENGTH,
+  hash,
+  verify,
+  validatePolicy
+};
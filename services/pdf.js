@@ -0,0 +1,214 @@
+const PDFDocument = require('pdfkit');
+
+// PDF versions of the tax invoice and refund credit notes. Both stream straight
+// into the HTTP response; nothing is written to disk.
+
+const STORE_NAME = 'Supermarket App';
+const SUPPORT_EMAIL = 'support@supermarket.app';
+const PAGE_MARGIN = 50;
+
+function money(amount) {
+  const value = Number(amount) || 0;
+  return `${value < 0 ? '-' : ''}$${Math.abs(value).toFixed(2)}`;
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleDateString('en-SG', { day: 'numeric', month: 'short', year: 'numeric' }) : '';
+}
+
+function createDocument(stream, title) {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN, info: { Title: title, Author: STORE_NAME } });
+  doc.pipe(stream);
+  return doc;
+}
+
+// Store name on the left, document title and reference lines on the right.
+function writeHeader(doc, heading, references, gstNumber) {
+  const top = doc.y;
+  doc.font('Helvetica-Bold').fontSize(18).text(STORE_NAME, PAGE_MARGIN, top);
+  doc.font('Helvetica').fontSize(9).fillColor('#555555').text('Freshness delivered');
+  if (gstNumber) {
+    doc.text(`GST Reg. No: ${gstNumber}`);
+  }
+  const leftBottom = doc.y;
+
+  doc.fillColor('#000000').font('Helvetica-Bold').fontSize(14)
+    .text(heading, PAGE_MARGIN, top, { align: 'right' });
+  doc.font('Helvetica').fontSize(9);
+  references.forEach((line) => doc.text(line, { align: 'right' }));
+
+  doc.y = Math.max(leftBottom, doc.y) + 20;
+  doc.x = PAGE_MARGIN;
+}
+
+function writeParty(doc, label, lines) {
+  doc.font('Helvetica-Bold').fontSize(9).fillColor('#555555').text(label.toUpperCase());
+  doc.font('Helvetica').fontSize(10).fillColor('#000000');
+  lines.filter(Boolean).forEach((line) => doc.text(line));
+  doc.moveDown();
+}
+
+/**
+ * Draw a simple table. Each column is {header, width, align}; rows are arrays of strings.
+ */
+function writeTable(doc, columns, rows) {
+  const drawRow = (cells, font) => {
+    const y = doc.y;
+    let x = PAGE_MARGIN;
+    let height = 0;
+    doc.font(font).fontSize(9);
+    cells.forEach((cell, index) => {
+      const column = columns[index];
+      const options = { width: column.width - 6, align: column.align || 'left' };
+      doc.text(String(cell), x + 3, y, options);
+      height = Math.max(height, doc.heightOfString(String(cell), options));
+      x += column.width;
+    });
+    doc.y = y + height + 6;
+    doc.moveTo(PAGE_MARGIN, doc.y - 3).lineTo(x, doc.y - 3).strokeColor('#dddddd').stroke();
+  };
+
+  drawRow(columns.map((column) => column.header), 'Helvetica-Bold');
+  rows.forEach((row) => drawRow(row, 'Helvetica'));
+  doc.x = PAGE_MARGIN;
+  doc.moveDown();
+}
+
+// Right-aligned label/amount pairs under the table.
+function writeTotals(doc, lines) {
+  const labelX = 300;
+  const width = doc.page.width - PAGE_MARGIN - labelX;
+  lines.forEach((line) => {
+    const y = doc.y;
+    doc.font(line.bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(line.bold ? 11 : 9);
+    doc.text(line.label, labelX, y, { width: width - 90 });
+    doc.text(line.amount, labelX, y, { width, align: 'right' });
+    doc.moveDown(0.3);
+  });
+  doc.x = PAGE_MARGIN;
+}
+
+function writeFooter(doc, note) {
+  doc.moveDown(2);
+  doc.font('Helvetica').fontSize(8).fillColor('#555555')
+    .text(note, PAGE_MARGIN, doc.y, { width: doc.page.width - PAGE_MARGIN * 2 });
+  doc.fillColor('#000000');
+}
+
+/**
+ * Write a tax invoice PDF. Takes the same figures the invoice page renders.
+ * @param {object} data - {invoice, order, customer, items, gst, totals}
+ * @param {import('stream').Writable} stream
+ */
+function renderInvoice(data, stream) {
+  const { invoice, order, customer, items, gst, totals } = data;
+  const taxed = gst.rate > 0;
+  const doc = createDocument(stream, `${taxed ? 'Tax Invoice' : 'Invoice'} ${invoice.invoice_number}`);
+
+  writeHeader(doc, taxed ? 'TAX INVOICE' : 'INVOICE', [
+    `Invoice no: ${invoice.invoice_number}`,
+    `Invoice date: ${formatDate(invoice.issued_at)}`,
+    `Order: #${order.id} (${formatDate(order.created_at)})`
+  ], taxed ? gst.registrationNumber : null);
+
+  writeParty(doc, 'Billed to', [
+    customer.username || 'Customer',
+    customer.email,
+    customer.contact,
+    order.delivery_address || customer.address
+  ]);
+  writeParty(doc, order.delivery_method === 'delivery' ? 'Delivery' : 'Pickup', [
+    order.delivery_recipient ? `Recipient: ${order.delivery_recipient}` : null,
+    order.slot_label ? `Slot: ${order.slot_label}` : null
+  ]);
+
+  const columns = taxed
+    ? [
+      { header: 'Item', width: 215 },
+      { header: 'Qty', width: 40, align: 'center' },
+      { header: 'Unit price', width: 80, align: 'right' },
+      { header: 'GST', width: 60, align: 'right' },
+      { header: 'Amount (incl. GST)', width: 100, align: 'right' }
+    ]
+    : [
+      { header: 'Item', width: 275 },
+      { header: 'Qty', width: 40, align: 'center' },
+      { header: 'Unit price', width: 80, align: 'right' },
+      { header: 'Amount', width: 100, align: 'right' }
+    ];
+  const rows = (items || []).map((item) => {
+    const row = [item.productName, item.quantity, money(item.price)];
+    if (taxed) {
+      row.push(money(item.tax_amount));
+    }
+    row.push(money(Number(item.price) * Number(item.quantity)));
+    return row;
+  });
+  writeTable(doc, columns, rows);
+
+  const lines = [{ label: 'Subtotal', amount: money(totals.subtotal) }];
+  if (totals.discount > 0) {
+    lines.push({ label: `Discount${totals.promoCode ? ` (${totals.promoCode})` : ''}`, amount: money(-totals.discount) });
+  }
+  if ((totals.deliveryLines || []).length > 1) {
+    totals.deliveryLines.forEach((line) => lines.push({ label: line.label, amount: money(line.amount) }));
+  }
+  lines.push({ label: 'Delivery', amount: totals.deliveryFee > 0 ? money(totals.deliveryFee) : 'Free' });
+  lines.push({ label: taxed ? 'Total (incl. GST)' : 'Total', amount: money(totals.total), bold: true });
+  if (taxed) {
+    lines.push({ label: 'Total excl. GST', amount: money(totals.net) });
+    lines.push({ label: `GST @ ${gst.rate}%`, amount: money(totals.tax) });
+  }
+  if (totals.refunded > 0) {
+    lines.push({ label: 'Refunded (see credit notes)', amount: money(-totals.refunded) });
+  }
+  writeTotals(doc, lines);
+
+  writeFooter(doc, `Thank you for shopping with us. Prices include GST where shown. For support, contact ${SUPPORT_EMAIL}.`);
+  doc.end();
+}
+
+/**
+ * Write a credit note PDF for a refund.
+ * @param {object} note - credit note row from CreditNote.findById()
+ * @param {object} customer - users row
+ * @param {{registrationNumber: string}} gst
+ * @param {import('stream').Writable} stream
+ */
+function renderCreditNote(note, customer, gst, stream) {
+  const taxed = Number(note.tax_rate) > 0;
+  const doc = createDocument(stream, `Credit Note ${note.credit_note_number}`);
+
+  writeHeader(doc, 'CREDIT NOTE', [
+    `Credit note no: ${note.credit_note_number}`,
+    `Date: ${formatDate(note.issued_at)}`,
+    `Original invoice: ${note.invoice_number || `Order #${note.order_id}`}`
+  ], taxed ? gst.registrationNumber : null);
+
+  writeParty(doc, 'Credited to', [customer.username || 'Customer', customer.email, customer.contact]);
+
+  const amount = Number(note.amount) || 0;
+  const taxAmount = Number(note.tax_amount) || 0;
+  writeTable(doc, [
+    { header: 'Description', width: 355 },
+    { header: 'Amount', width: 140, align: 'right' }
+  ], [
+    [`Refund for order #${note.order_id}${note.reason ? ` - ${note.reason}` : ''}`, money(amount)]
+  ]);
+
+  const lines = [];
+  if (taxed) {
+    lines.push({ label: 'Amount excl. GST', amount: money(amount - taxAmount) });
+    lines.push({ label: `GST @ ${Number(note.tax_rate)}% reversed`, amount: money(taxAmount) });
+  }
+  lines.push({ label: taxed ? 'Total credited (incl. GST)' : 'Total credited', amount: money(amount), bold: true });
+  writeTotals(doc, lines);
+
+  writeFooter(doc, `Refunded via ${String(note.method || '').toUpperCase()}${note.provider_reference ? ` (ref ${note.provider_reference})` : ''}. For support, contact ${SUPPORT_EMAIL}.`);
+  doc.end();
+}
+
+module.exports = {
+  renderInvoice,
+  renderCreditNote
+};
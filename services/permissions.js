@@ -0,0 +1,118 @@
+// Roles and what they may do. Routes ask for a permission (see requirePermission in
+// middleware.js) rather than a role, so a role can be given more or less access here
+// without touching the routes. `user` is a shopper and holds no permissions; every other
+// role is store staff and signs in to the back office.
+
+const PERMISSIONS = {
+  'inventory.manage': { label: 'Manage inventory', description: 'Add, edit and delete products, adjust stock and import the catalogue.' },
+  'orders.fulfil': { label: 'Fulfil orders', description: 'See all orders, update delivery details and move orders through fulfilment.' },
+  'refunds.approve': { label: 'Approve refunds', description: 'Approve or deny refund requests from shoppers.' },
+  'refunds.execute': { label: 'Issue refunds', description: 'Send approved refunds back through PayPal and view credit notes.' },
+  'promotions.manage': { label: 'Manage promotions', description: 'Create and edit promo codes.' },
+  'delivery.manage': { label: 'Manage delivery', description: 'Set up delivery slots and delivery fee rules.' },
+  'users.manage': { label: 'Manage users', description: 'Edit accounts and roles, unlock accounts, reset two-factor and revoke sessions.' },
+  'audit.view': { label: 'View audit log', description: 'See and export the record of back-office changes.' }
+};
+
+const ROLES = {
+  user: {
+    label: 'Shopper',
+    permissions: []
+  },
+  staff: {
+    label: 'Store staff',
+    permissions: ['inventory.manage', 'orders.fulfil']
+  },
+  driver: {
+    label: 'Delivery driver',
+    permissions: ['orders.fulfil']
+  },
+  finance: {
+    label: 'Finance',
+    permissions: ['refunds.approve', 'refunds.execute']
+  },
+  admin: {
+    label: 'Admin',
+    permissions: Object.keys(PERMISSIONS)
+  }
+};
+
+// Where each permission's work starts, in the order a staff member lands after signing in.
+const HOME_PAGES = [
+  ['inventory.manage', '/inventory'],
+  ['orders.fulfil', '/admin/deliveries'],
+  ['refunds.approve', '/admin/refunds'],
+  ['refunds.execute', '/admin/refunds'],
+  ['users.manage', '/admin/users'],
+  ['promotions.manage', '/admin/promos'],
+  ['delivery.manage', '/admin/delivery-slots'],
+  ['audit.view', '/admin/audit']
+];
+
+function isRole(role) {
+  return Object.prototype.hasOwnProperty.call(ROLES, role);
+}
+
+/**
+ * Permissions granted to a role; unknown roles get none.
+ * @param {string} role
+ * @returns {string[]}
+ */
+function permissionsForRole(role) {
+  return isRole(role) ? ROLES[role].permissions : [];
+}
+
+/**
+ * Whether the user holds at least one of the permissions.
+ * @param {{role: string}|null|undefined} user
+ * @param {...string} permissions
+ * @returns {boolean}
+ */
+function hasPermission(user, ...permissions) {
+  if (!user) {
+    return false;
+  }
+  const granted = permissionsForRole(user.role);
+  return permissions.some((permission) => granted.includes(permission));
+}
+
+/**
+ * Staff are every role with at least one permission. They use the back office instead of
+ * the shop and must sign in with two-factor authentication.
+ * @param {string} role
+ * @returns {boolean}
+ */
+function isStaffRole(role) {
+  return permissionsForRole(role).length > 0;
+}
+
+/**
+ * Page to send a user to after signing in, or when they open a page they may not use.
+ * @param {{role: string}} user
+ * @returns {string}
+ */
+function homePageFor(user) {
+  const match = HOME_PAGES.find(([permission]) => hasPermission(user, permission));
+  if (match) {
+    return match[1];
+  }
+  return isStaffRole(user.role) ? '/account' : '/shopping';
+}
+
+/**
+ * Roles for the role picker, with their labels and permissions.
+ * @returns {{value: string, label: string, permissions: string[]}[]}
+ */
+function listRoles() {
+  return Object.keys(ROLES).map((role) => ({ value: role, label: ROLES[role].label, permissions: ROLES[role].permissions }));
+}
+
+module.exports = {
+  PERMISSIONS,
+  isRole,
+  permissionsForRole,
+  hasPermission,
+  isStaffRole,
+  homePageFor,
+  listRoles
+};
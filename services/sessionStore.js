@@ -0,0 +1,125 @@
+const crypto = require('crypto');
+const session = require('express-session');
+const Session = require('../models/session');
+require('dotenv').config();
+
+// express-session store backed by the `sessions` table, plus the session options
+// read from the environment:
+//   SESSION_SECRET            comma-separated; the first signs new cookies, the rest still verify
+//   SESSION_COOKIE_SECURE     true | false | auto (default auto: secure on HTTPS requests)
+//   SESSION_COOKIE_SAMESITE   lax | strict | none (default lax)
+//   SESSION_COOKIE_HTTPONLY   default true
+//   SESSION_MAX_AGE_DAYS      default 7
+//   SESSION_CLEANUP_MINUTES   how often expired rows are purged, default 15
+
+const DEFAULT_MAX_AGE_DAYS = 7;
+const DEFAULT_CLEANUP_MINUTES = 15;
+const SAME_SITE_VALUES = ['lax', 'strict', 'none'];
+
+function readFlag(value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  return ['true', '1', 'yes'].includes(String(value).trim().toLowerCase());
+}
+
+function readPositiveNumber(value, fallback) {
+  const parsed = Number.parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+}
+
+class MySQLSessionStore extends session.Store {
+  /**
+   * @param {{cleanupMinutes?: number}} [options]
+   */
+  constructor(options = {}) {
+    super();
+    const cleanupMinutes = options.cleanupMinutes || DEFAULT_CLEANUP_MINUTES;
+    this.cleanupTimer = setInterval(() => this.clearExpired(), cleanupMinutes * 60 * 1000);
+    // Cleanup alone should never keep the process alive.
+    this.cleanupTimer.unref();
+  }
+
+  // Sessions without a cookie expiry still need one in the table; give them a day.
+  expiresAt(sess) {
+    const expires = sess && sess.cookie && sess.cookie.expires
+      ? new Date(sess.cookie.expires).getTime()
+      : Date.now() + 24 * 60 * 60 * 1000;
+    return Math.round(expires / 1000);
+  }
+
+  get(sid, callback) {
+    Session.findById(sid, callback);
+  }
+
+  set(sid, sess, callback) {
+    Session.save(sid, { expires: this.expiresAt(sess), data: sess }, (err) => callback && callback(err || null));
+  }
+
+  touch(sid, sess, callback) {
+    Session.touch(sid, this.expiresAt(sess), (err) => callback && callback(err || null));
+  }
+
+  destroy(sid, callback) {
+    Session.remove(sid, (err) => callback && callback(err || null));
+  }
+
+  clearExpired(callback) {
+    Session.removeExpired((err, removed) => {
+      if (err) {
+        console.error('Error clearing expired sessions:', err);
+      }
+      if (callback) {
+        callback(err || null, removed);
+      }
+    });
+  }
+}
+
+/**
+ * Options for express-session, using the MySQL store and the environment settings above.
+ * @returns {object}
+ */
+function buildSessionOptions() {
+  let secrets = String(process.env.SESSION_SECRET || '')
+    .split(',')
+    .map((secret) => secret.trim())
+    .filter(Boolean);
+  if (!secrets.length) {
+    console.warn('SESSION_SECRET is not set; using a random secret, so everyone is signed out when the app restarts.');
+    secrets = [crypto.randomBytes(32).toString('hex')];
+  }
+
+  const secureSetting = String(process.env.SESSION_COOKIE_SECURE || 'auto').trim().toLowerCase();
+  let secure = secureSetting === 'auto' ? 'auto' : readFlag(secureSetting, false);
+
+  const sameSiteSetting = String(process.env.SESSION_COOKIE_SAMESITE || 'lax').trim().toLowerCase();
+  const sameSite = SAME_SITE_VALUES.includes(sameSiteSetting) ? sameSiteSetting : 'lax';
+  if (sameSite === 'none' && secure !== true) {
+    // Browsers drop SameSite=None cookies that are not also Secure.
+    console.warn('SESSION_COOKIE_SAMESITE=none requires secure cookies; enabling SESSION_COOKIE_SECURE.');
+    secure = true;
+  }
+
+  const maxAgeDays = readPositiveNumber(process.env.SESSION_MAX_AGE_DAYS, DEFAULT_MAX_AGE_DAYS);
+
+  return {
+    secret: secrets,
+    store: new MySQLSessionStore({
+      cleanupMinutes: readPositiveNumber(process.env.SESSION_CLEANUP_MINUTES, DEFAULT_CLEANUP_MINUTES)
+    }),
+    resave: false,
+    saveUninitialized: false,
+    cookie: {
+      maxAge: Math.round(maxAgeDays * 24 * 60 * 60 * 1000),
+      httpOnly: readFlag(process.env.SESSION_COOKIE_HTTPONLY, true),
+      secure,
+      sameSite
+    }
+  };
+}
+
+module.exports = {
+  MySQLSessionStore,
+  buildSessionOptions
+};
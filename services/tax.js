@@ -0,0 +1,63 @@
+// GST helpers. Shelf prices and delivery fees are GST-inclusive, so tax is
+// carved out of each amount rather than added on top.
+
+const DEFAULT_RATE = 9;
+
+const parsedRate = Number.parseFloat(process.env.GST_RATE);
+const GST_RATE = Number.isFinite(parsedRate) && parsedRate >= 0 ? parsedRate : DEFAULT_RATE;
+const GST_REGISTRATION_NUMBER = (process.env.GST_REGISTRATION_NUMBER || '').trim();
+
+function roundMoney(value) {
+  return Math.round((Number(value) + Number.EPSILON) * 100) / 100;
+}
+
+/**
+ * GST contained in a GST-inclusive amount.
+ * @param {number} gross
+ * @param {number} [rate] - percentage, defaults to the configured rate
+ * @returns {number}
+ */
+function taxFromGross(gross, rate = GST_RATE) {
+  const amount = Number(gross) || 0;
+  if (amount <= 0 || !(rate > 0)) {
+    return 0;
+  }
+  return roundMoney((amount * rate) / (100 + rate));
+}
+
+/**
+ * Work out the GST in an order. The promo discount is spread across the lines
+ * in proportion to their value (the last line takes the rounding remainder),
+ * and each line's tax is taken from what the shopper actually pays for it.
+ * @param {Array<{price:number, quantity:number}>} items
+ * @param {{discountAmount?: number, deliveryFee?: number}} amounts
+ * @param {number} [rate] - percentage, defaults to the configured rate
+ * @returns {{rate: number, lines: Array<{gross: number, discount: number, taxAmount: number}>, deliveryTax: number, taxAmount: number}}
+ */
+function computeOrderTax(items, amounts, rate = GST_RATE) {
+  const grossLines = (items || []).map((item) => roundMoney(Number(item.price) * Number(item.quantity)));
+  const subtotal = grossLines.reduce((sum, gross) => sum + gross, 0);
+  const discount = Math.min(Math.max(0, Number(amounts && amounts.discountAmount) || 0), subtotal);
+
+  let discountLeft = roundMoney(discount);
+  const lines = grossLines.map((gross, index) => {
+    const share = index === grossLines.length - 1
+      ? discountLeft
+      : roundMoney(subtotal > 0 ? (discount * gross) / subtotal : 0);
+    discountLeft = roundMoney(discountLeft - share);
+    return { gross, discount: share, taxAmount: taxFromGross(gross - share, rate) };
+  });
+
+  const deliveryTax = taxFromGross(amounts && amounts.deliveryFee, rate);
+  const taxAmount = roundMoney(lines.reduce((sum, line) => sum + line.taxAmount, 0) + deliveryTax);
+
+  return { rate, lines, deliveryTax, taxAmount };
+}
+
+module.exports = {
+  GST_RATE,
+  GST_REGISTRATION_NUMBER,
+  roundMoney,
+  taxFromGross,
+  computeOrderTax
+};
@@ -0,0 +1,166 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as used by Google Authenticator, 1Password,
+// Authy and friends: HMAC-SHA1, 6 digits, 30-second steps, base32 secrets.
+
+const ISSUER = 'Supermarket App';
+const DIGITS = 6;
+const STEP_SECONDS = 30;
+// Accept the previous and next code too, to allow for clock drift.
+const DRIFT_STEPS = 1;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(text) {
+  const clean = String(text || '').toUpperCase().replace(/[\s=-]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 secret.');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * A new random 160-bit secret, base32-encoded.
+ * @returns {string}
+ */
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / STEP_SECONDS);
+}
+
+/**
+ * The code for a given time step.
+ * @param {string} secret - base32
+ * @param {number} step
+ * @returns {string}
+ */
+function codeForStep(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % (10 ** DIGITS)).padStart(DIGITS, '0');
+}
+
+/**
+ * Check a code against the secret.
+ * @param {string} secret - base32
+ * @param {string} code - what the user typed; spaces are ignored
+ * @param {number|null} [lastStep] - step of the last accepted code, which may not be reused
+ * @returns {number|null} the matching time step, or null
+ */
+function verify(secret, code, lastStep = null) {
+  const digits = String(code || '').replace(/\s/g, '');
+  if (!secret || !new RegExp(`^\\d{${DIGITS}}$`).test(digits)) {
+    return null;
+  }
+  const now = currentStep();
+  for (let step = now - DRIFT_STEPS; step <= now + DRIFT_STEPS; step += 1) {
+    if (lastStep !== null && lastStep !== undefined && step <= lastStep) {
+      continue;
+    }
+    const expected = codeForStep(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(digits))) {
+      return step;
+    }
+  }
+  return null;
+}
+
+/**
+ * otpauth:// URI for authenticator apps (what the QR code encodes).
+ * @param {string} secret
+ * @param {string} accountName - usually the user's email
+ * @returns {string}
+ */
+function provisioningUri(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Show a secret in groups of four so it is easier to type.
+ * @param {string} secret
+ * @returns {string}
+ */
+function formatSecret(secret) {
+  return String(secret).replace(/(.{4})/g, '$1 ').trim();
+}
+
+/**
+ * One-time recovery codes such as "k7qm-2xfp-h9dw".
+ * @param {number} [count]
+ * @returns {string[]}
+ */
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const alphabet = 'abcdefghjkmnpqrstuvwxyz23456789';
+  const codes = [];
+  for (let i = 0; i < count; i += 1) {
+    const bytes = crypto.randomBytes(12);
+    const chars = Array.from(bytes, (byte) => alphabet[byte % alphabet.length]).join('');
+    codes.push(`${chars.slice(0, 4)}-${chars.slice(4, 8)}-${chars.slice(8, 12)}`);
+  }
+  return codes;
+}
+
+/**
+ * Canonical form of a typed recovery code (case, spaces and dashes ignored).
+ * @param {string} code
+ * @returns {string}
+ */
+function normaliseRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[\s-]/g, '');
+}
+
+module.exports = {
+  ISSUER,
+  generateSecret,
+  codeForStep,
+  currentStep,
+  verify,
+  provisioningUri,
+  formatSecret,
+  generateRecoveryCodes,
+  normaliseRecoveryCode
+};